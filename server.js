@@ -1,15 +1,27 @@
 /**
- * Simple Express server for the Zombie Survival Game
- * 
- * This file creates a basic HTTP server to serve the game files
- * with proper MIME types for ES modules.
- * 
+ * Express + socket.io server for the Zombie Survival Game
+ *
+ * This file creates an HTTP server to serve the game files with proper MIME
+ * types for ES modules, hosts authoritative co-op rooms over socket.io
+ * (see src/multiplayer/roomManager.js) and serves the leaderboard REST API
+ * under /api/leaderboard (see src/leaderboard/leaderboardRoutes.js). Accepted
+ * runs are kept in LEADERBOARD_FILE (default data/leaderboard.json).
+ *
  * Example usage: Run with 'node server.js' and access at http://localhost:3000
+ * Join a co-op room by opening http://localhost:3000/?room=myroom in several tabs
  */
 
-const express = require('express');
-const path = require('path');
-const fs = require('fs');
+import express from 'express';
+import path from 'path';
+import fs from 'fs';
+import http from 'http';
+import { fileURLToPath } from 'url';
+import { Server } from 'socket.io';
+import { attachRoomServer } from './src/multiplayer/roomManager.js';
+import { createLeaderboardStore } from './src/leaderboard/leaderboardStore.js';
+import { createLeaderboardRouter } from './src/leaderboard/leaderboardRoutes.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const app = express();
 const port = process.env.PORT || 3000;
 const alternativePorts = [3001, 3002, 3003, 3004, 3005];
@@ -27,9 +39,9 @@ app.get('/', (req, res) => {
       console.error('Error reading index.html:', err);
       return res.status(500).send('Error loading game');
     }
-    
+
     const timestamp = new Date().toISOString();
-    
+
     // Create script content based on environment
     let scriptContent = `
       <script>
@@ -41,19 +53,25 @@ app.get('/', (req, res) => {
         console.log("Server timestamp:", "${timestamp}");
       </script>
       <script type="module" src="./src/debugCheck.js"></script>`;
-    
+
     // Only include envCheck.js in development mode
     if (environment === 'development') {
       scriptContent += `\n      <script type="module" src="./src/envCheck.js"></script>`;
     }
-    
+
     // Inject the scripts before closing head tag
     const injectedData = data.replace('</head>', `${scriptContent}</head>`);
-    
+
     res.send(injectedData);
   });
 });
 
+// Leaderboard API (before the static files, so nothing on disk can shadow it)
+const leaderboardStore = createLeaderboardStore({
+  file: process.env.LEADERBOARD_FILE || path.join(__dirname, 'data', 'leaderboard.json')
+});
+app.use('/api/leaderboard', createLeaderboardRouter({ store: leaderboardStore }));
+
 // Serve static files from the root directory
 app.use(express.static(__dirname, {
   setHeaders: (res, path) => {
@@ -63,14 +81,22 @@ app.use(express.static(__dirname, {
     }
   }
 }));
+
+// HTTP server shared by express and socket.io
+const httpServer = http.createServer(app);
+const io = new Server(httpServer, {
+  cors: { origin: '*', methods: ['GET', 'POST'] }
+});
+
+// Host authoritative co-op rooms (zombies, spawns, scoring live here)
+const roomServer = attachRoomServer(io);
+
 // Try to start the server on the main port, fall back to alternatives if needed
 const startServer = (portToUse, portIndex = 0) => {
-  const server = app.listen(portToUse, () => {
-    console.log(`Zombie Survival Game running at http://localhost:${portToUse} in ${environment} mode`);
-  }).on('error', (err) => {
+  httpServer.once('error', (err) => {
     if (err.code === 'EADDRINUSE') {
       console.log(`Port ${portToUse} is already in use.`);
-      
+
       // Try the next alternative port if available
       if (portIndex < alternativePorts.length) {
         const nextPort = alternativePorts[portIndex];
@@ -85,7 +111,24 @@ const startServer = (portToUse, portIndex = 0) => {
       process.exit(1);
     }
   });
+
+  httpServer.listen(portToUse, () => {
+    console.log(`Zombie Survival Game running at http://localhost:${portToUse} in ${environment} mode`);
+  });
 };
 
-// Start the server
-startServer(port); 
\ No newline at end of file
+/**
+ * Stops the room loop and closes the HTTP/socket.io server
+ * @returns {Promise<void>} Resolves once the server is closed
+ */
+const stopServer = () => {
+  roomServer.stop();
+  return new Promise((resolve) => io.close(() => resolve()));
+};
+
+// Start the server when run directly (node server.js), not when imported
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  startServer(port);
+}
+
+export { app, httpServer, io, roomServer, leaderboardStore, startServer, stopServer };
@@ -6,33 +6,28 @@
  * directly with simple movement AI and has the standard appearance of a green,
  * blocky undead character with red eyes.
  * 
+ * Stats, spawn weight and scale live in enemies.json. Its AI is just the shared
+ * chase component from enemyBehaviours.js, so only the geometry lives here.
+ * 
  * Example usage:
- *   import { createbaseZombie } from './enemies/baseZombie.js';
+ *   import { createEnemy } from './enemies/enemyFactory.js';
  *   
  *   // Create a zombie at position (10, 0, 15) with speed 0.05
- *   const zombie = createbaseZombie({x: 10, z: 15}, 0.05);
+ *   const zombie = createEnemy('zombie', {x: 10, z: 15}, 0.05);
  *   scene.add(zombie);
  */
 
-// src/enemies/zombie.js
 import * as THREE from 'three';
 import { logger } from '../utils/logger.js';
 
 // Add 'enemy' to logger sections if not already included
 logger.addSection('enemy');
 
-export const createbaseZombie = (position, baseSpeed) => {
 /**
- * Creates a Minecraft-style low-poly zombie character
- * @param {Object} position - The initial position of the zombie
- * @param {number} baseSpeed - Base movement speed (zombie will move at exactly this speed)
- * @returns {THREE.Group} The zombie object
+ * Builds the Minecraft-style low-poly zombie out of primitives
+ * @param {THREE.Group} basezombie - The enemy group to add geometry to
  */
-    // Configuration parameters
-    const scale = new THREE.Vector3(1.0, 1.0, 1.0); // Scale vector for easy adjustment
-    
-    const basezombie = new THREE.Group();
-    
+export const buildZombieGeometry = (basezombie) => {
     // Head (cube with "scary" offset eyes)
     const headGeometry = new THREE.BoxGeometry(0.5, 0.5, 0.5);
     const headMaterial = new THREE.MeshStandardMaterial({
@@ -105,148 +100,4 @@ export const createbaseZombie = (position, baseSpeed) => {
     rightLeg.position.set(0.125, 0.25, 0);
     rightLeg.castShadow = true;
     basezombie.add(rightLeg);
-
-    // Set initial position
-    basezombie.position.set(position.x, 0, position.z);
-    
-    // Debug log for zombie creation
-    logger.debug('enemyspawner', `Creating base zombie at ${position.x.toFixed(2)},${position.z.toFixed(2)}`);
-    
-    // Store mesh reference for updateZombies compatibility
-    basezombie.mesh = basezombie;
-    
-    // Set enemy type for special behavior
-    basezombie.enemyType = 'zombie';
-    
-    // Set speed to exactly baseSpeed (standard zombie is the baseline)
-    basezombie.speed = baseSpeed;
-    
-    // Set mass for physics calculations
-    basezombie.mass = 1.0;
-    
-    // Set default health
-    basezombie.health = 100;
-
-    // Set points value for this enemy type
-    basezombie.points = basezombie.health/10; // Base points for regular zombie
-
-    // Scale the zombie according to scale parameter
-    basezombie.scale.copy(scale);
-
-    /**
-     * Updates the zombie's position and behavior
-     * @param {Object} context - The update context containing all necessary information
-     */
-    basezombie.update = (context) => {
-        // Debug log update call
-        logger.verbose('enemy', `Base zombie update method called (at ${basezombie.position.x.toFixed(2)},${basezombie.position.z.toFixed(2)})`);
-        
-        // Additional debugging to inspect context
-        logger.verbose('enemy', `Context check:`, {
-            hasPlayerPosition: !!context.playerPosition,
-            playerPos: context.playerPosition ? 
-                `${context.playerPosition.x.toFixed(2)},${context.playerPosition.z.toFixed(2)}` : 'missing',
-            delta: context.delta,
-            speed: basezombie.speed,
-            hasCollisionSettings: !!context.collisionSettings,
-            hasNearbyZombies: Array.isArray(context.nearbyZombies)
-        });
-        
-        const { 
-            playerPosition, 
-            delta, 
-            collisionSettings,
-            environmentObjects,
-            nearbyZombies,
-            zombieSizes,
-            gameState,
-            checkCollision,
-            pushAway,
-            damagePlayer
-        } = context;
-        
-        // Calculate direction to player
-        const direction = new THREE.Vector3(
-            playerPosition.x - basezombie.position.x,
-            0,
-            playerPosition.z - basezombie.position.z
-        );
-        
-        const distance = direction.length();
-        const finalDirection = direction.clone().normalize();
-        
-        // Add slight randomness to movement
-        const randomFactor = Math.min(0.1, distance * 0.005);
-        const randomAngle = (Math.random() - 0.5) * Math.PI * randomFactor;
-        finalDirection.applyAxisAngle(new THREE.Vector3(0, 1, 0), randomAngle);
-        
-        // Calculate intended position
-        const moveDistance = basezombie.speed * delta * 60;
-        const intendedPosition = new THREE.Vector3()
-            .copy(basezombie.position)
-            .addScaledVector(finalDirection, moveDistance);
-        
-        // Debug log position change
-        logger.verbose('enemy', `Base zombie moving from ${basezombie.position.x.toFixed(2)},${basezombie.position.z.toFixed(2)} to ${intendedPosition.x.toFixed(2)},${intendedPosition.z.toFixed(2)}`);
-        
-        // Player collision
-        const { COLLISION_DISTANCE, DAMAGE_DISTANCE, DAMAGE_PER_SECOND, ZOMBIE_COLLISION_DISTANCE } = collisionSettings;
-        
-        if (checkCollision(intendedPosition, playerPosition, COLLISION_DISTANCE)) {
-            const newPosition = pushAway(intendedPosition, playerPosition, COLLISION_DISTANCE);
-            intendedPosition.x = newPosition.x;
-            intendedPosition.z = newPosition.z;
-            
-            if (checkCollision(intendedPosition, playerPosition, DAMAGE_DISTANCE)) {
-                const damageAmount = DAMAGE_PER_SECOND * delta;
-                if (gameState) damagePlayer(gameState, damageAmount);
-            }
-        }
-        
-        // Zombie collisions
-        for (let i = 0; i < nearbyZombies.length; i++) {
-            const otherZombie = nearbyZombies[i];
-            if (!otherZombie || !otherZombie.mesh || otherZombie.mesh.isExploding) continue;
-            
-            if (checkCollision(intendedPosition, otherZombie.mesh.position, ZOMBIE_COLLISION_DISTANCE)) {
-                const thisSize = basezombie.mass || 1.0;
-                const otherSize = otherZombie.mesh.mass || 1.0;
-                
-                const avoidancePosition = pushAway(
-                    intendedPosition, 
-                    otherZombie.mesh.position, 
-                    ZOMBIE_COLLISION_DISTANCE
-                );
-                intendedPosition.x = (intendedPosition.x + avoidancePosition.x) * 0.5;
-                intendedPosition.z = (intendedPosition.z + avoidancePosition.z) * 0.5;
-            }
-        }
-        
-        // Environment collisions
-        if (environmentObjects) {
-            for (const object of environmentObjects) {
-                if (object && object.isObstacle) {
-                    const dx = intendedPosition.x - object.position.x;
-                    const dz = intendedPosition.z - object.position.z;
-                    const distance = Math.sqrt(dx * dx + dz * dz);
-                    if (distance < (object.boundingRadius || 2.5)) {
-                        const pushDirection = new THREE.Vector3(dx, 0, dz).normalize();
-                        const pushDistance = (object.boundingRadius || 2.5) - distance + 0.1;
-                        intendedPosition.x += pushDirection.x * pushDistance;
-                        intendedPosition.z += pushDirection.z * pushDistance;
-                        break;
-                    }
-                }
-            }
-        }
-        
-        // Apply final position and rotation
-        basezombie.position.copy(intendedPosition);
-        basezombie.rotation.y = Math.atan2(finalDirection.x, finalDirection.z);
-        
-        // Debug position confirmation
-        logger.verbose('enemy', `Base zombie position updated to ${basezombie.position.x.toFixed(2)},${basezombie.position.z.toFixed(2)}`);
-    };
-
-    return basezombie;
-};
\ No newline at end of file
+};
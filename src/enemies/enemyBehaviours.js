@@ -0,0 +1,426 @@
+/**
+ * Enemy Behaviours Module - Reusable AI components that enemies are built from
+ *
+ * Each enemy type lists its behaviours in enemies.json and the factory runs them
+ * in that order every simulation step. A component is a function
+ * (enemy) => update(context); it reads its settings off the enemy (copied there
+ * from the definition's "tuning") and fills in a default for anything missing.
+ * An update may return false to skip the behaviours after it for that step -
+ * that's how an exploder stops walking once its fuse is lit.
+ *
+ * Components:
+ *   chase            - Walk at the player, flocking with the horde (wanderLimit,
+ *                      wanderPerDistance, contactDamageMultiplier, avoidance)
+ *   keepDistance     - Ranged: back off inside retreatRange, hold still up to
+ *                      holdRange, approach beyond it (same movement settings as chase)
+ *   charge           - Burst of speed at medium range every dashCooldown ms
+ *                      (chargeMinRange, chargeMaxRange, chargeSpeedMultiplier) - list before chase
+ *   poisonAura       - Damages the player within poisonRadius (poisonDamage per second)
+ *   summonMinions    - Counts down summonCooldown; gameLoop.js summons the minions
+ *                      and resets it to summonInterval seconds
+ *   explodeOnContact - Lights a fuse within triggerDistance, flashes and stops moving;
+ *                      gameLoop.js detonates it when fuseTime runs out - list before chase
+ *   slam             - Heavy extra hit within slamRange (slamDamage per second)
+ *
+ * Moving enemies share moveEnemy(): player push-away and contact damage,
+ * zombie avoidance and environment collision. Avoidance styles:
+ *   "even"         - Meet other zombies halfway (default)
+ *   "massWeighted" - Heavier enemies give way less
+ *   "shove"        - Shove zombies much lighter than itself out of the way
+ *
+ * Example usage (enemies.json):
+ *   "behaviours": ["charge", "chase"],
+ *   "tuning": { "dashCooldown": 3000, "wanderLimit": 0.05, "avoidance": "massWeighted" }
+ */
+
+import * as THREE from 'three';
+import { logger } from '../utils/logger.js';
+import { getRandom } from '../utils/random.js';
+import { getSimTime } from '../utils/simClock.js';
+
+// Seeded AI stream (see utils/random.js)
+const aiRandom = getRandom('ai');
+
+// Add 'enemy' to logger sections if not already included
+logger.addSection('enemy');
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+export const AVOIDANCE_STYLES = ['even', 'massWeighted', 'shove'];
+
+/**
+ * Fills in the shared movement settings on an enemy
+ * @param {THREE.Group} enemy - The enemy
+ */
+const applyMovementDefaults = (enemy) => {
+    enemy.wanderLimit = enemy.wanderLimit ?? 0.1; // Max random steering (fraction of PI)
+    enemy.wanderPerDistance = enemy.wanderPerDistance ?? 0.005; // Steering added per unit of distance
+    enemy.contactDamageMultiplier = enemy.contactDamageMultiplier ?? 1; // 0 = harmless on contact
+    enemy.avoidance = enemy.avoidance ?? 'even';
+
+    if (!AVOIDANCE_STYLES.includes(enemy.avoidance)) {
+        throw new Error(`Unknown avoidance "${enemy.avoidance}" for ${enemy.enemyType} (expected one of: ${AVOIDANCE_STYLES.join(', ')})`);
+    }
+};
+
+/**
+ * Gets the flat (XZ) vector from the enemy to the player
+ * @param {THREE.Group} enemy - The enemy
+ * @param {THREE.Vector3} playerPosition - Player position
+ * @returns {THREE.Vector3} Direction (not normalized)
+ */
+const toPlayer = (enemy, playerPosition) => new THREE.Vector3(
+    playerPosition.x - enemy.position.x,
+    0,
+    playerPosition.z - enemy.position.z
+);
+
+/**
+ * Keeps the intended position off other zombies, using the enemy's avoidance style
+ * @param {THREE.Group} enemy - The moving enemy
+ * @param {THREE.Vector3} intendedPosition - Where it wants to go (adjusted in place)
+ * @param {Object} context - Update context
+ * @param {number} moveDistance - How far it is moving this step (shove strength)
+ */
+const avoidZombies = (enemy, intendedPosition, context, moveDistance) => {
+    const { nearbyZombies, checkCollision, pushAway, collisionSettings } = context;
+    const { ZOMBIE_COLLISION_DISTANCE } = collisionSettings;
+
+    for (let i = 0; i < nearbyZombies.length; i++) {
+        const otherZombie = nearbyZombies[i];
+        if (!otherZombie || !otherZombie.mesh || otherZombie.mesh.isExploding) continue;
+
+        const otherPosition = otherZombie.mesh.position;
+        if (!checkCollision(intendedPosition, otherPosition, ZOMBIE_COLLISION_DISTANCE)) continue;
+
+        const thisSize = enemy.mass || 1.0;
+        const otherSize = otherZombie.mesh.mass || 1.0;
+
+        if (enemy.avoidance === 'shove' && thisSize > otherSize * 1.3) {
+            // Much heavier - push the other zombie aside and barely slow down
+            const pushDirection = new THREE.Vector3()
+                .subVectors(otherPosition, intendedPosition)
+                .normalize();
+            otherPosition.addScaledVector(pushDirection, moveDistance * 0.5);
+            const avoidancePosition = pushAway(intendedPosition, otherPosition, ZOMBIE_COLLISION_DISTANCE * 0.5);
+            intendedPosition.x = intendedPosition.x * 0.8 + avoidancePosition.x * 0.2;
+            intendedPosition.z = intendedPosition.z * 0.8 + avoidancePosition.z * 0.2;
+        } else if (enemy.avoidance === 'massWeighted') {
+            // Give way in proportion to the other zombie's share of the mass
+            const massRatio = thisSize / (thisSize + otherSize);
+            const avoidancePosition = pushAway(intendedPosition, otherPosition, ZOMBIE_COLLISION_DISTANCE);
+            intendedPosition.x = intendedPosition.x * massRatio + avoidancePosition.x * (1 - massRatio);
+            intendedPosition.z = intendedPosition.z * massRatio + avoidancePosition.z * (1 - massRatio);
+        } else {
+            // Meet halfway
+            const avoidancePosition = pushAway(intendedPosition, otherPosition, ZOMBIE_COLLISION_DISTANCE);
+            intendedPosition.x = (intendedPosition.x + avoidancePosition.x) * 0.5;
+            intendedPosition.z = (intendedPosition.z + avoidancePosition.z) * 0.5;
+        }
+    }
+};
+
+/**
+ * Pushes the intended position out of the first obstacle it overlaps
+ * @param {THREE.Vector3} intendedPosition - Where the enemy wants to go (adjusted in place)
+ * @param {Array} environmentObjects - World objects (only isObstacle ones block)
+ */
+const avoidObstacles = (intendedPosition, environmentObjects) => {
+    if (!environmentObjects) return;
+
+    for (const object of environmentObjects) {
+        if (object && object.isObstacle) {
+            const dx = intendedPosition.x - object.position.x;
+            const dz = intendedPosition.z - object.position.z;
+            const distance = Math.sqrt(dx * dx + dz * dz);
+            const radius = object.boundingRadius || 2.5;
+            if (distance < radius) {
+                const pushDirection = new THREE.Vector3(dx, 0, dz).normalize();
+                const pushDistance = radius - distance + 0.1;
+                intendedPosition.x += pushDirection.x * pushDistance;
+                intendedPosition.z += pushDirection.z * pushDistance;
+                break;
+            }
+        }
+    }
+};
+
+/**
+ * Moves an enemy one step along a direction, resolving collisions on the way
+ * Adds a little random wander (more when far away), keeps off the player (and
+ * bites on contact), avoids other zombies and obstacles, then faces the way it moved.
+ * @param {THREE.Group} enemy - The enemy (movement settings from applyMovementDefaults)
+ * @param {Object} context - Update context from updateZombies
+ * @param {THREE.Vector3} direction - Normalized direction to move in (wander is added in place)
+ * @param {number} distance - Distance to the player (scales the wander)
+ * @param {number} [speed=enemy.speed] - Speed for this step
+ */
+export const moveEnemy = (enemy, context, direction, distance, speed = enemy.speed) => {
+    const { playerPosition, delta, collisionSettings, environmentObjects, gameState, checkCollision, pushAway, damagePlayer } = context;
+
+    // Add slight randomness to movement
+    const randomFactor = Math.min(enemy.wanderLimit, distance * enemy.wanderPerDistance);
+    const randomAngle = (aiRandom() - 0.5) * Math.PI * randomFactor;
+    direction.applyAxisAngle(UP, randomAngle);
+
+    // Calculate intended position
+    const moveDistance = speed * delta * 60;
+    const intendedPosition = new THREE.Vector3()
+        .copy(enemy.position)
+        .addScaledVector(direction, moveDistance);
+
+    logger.verbose('enemy', `${enemy.enemyType} moving from ${enemy.position.x.toFixed(2)},${enemy.position.z.toFixed(2)} to ${intendedPosition.x.toFixed(2)},${intendedPosition.z.toFixed(2)}`);
+
+    // Handle collisions if collision settings are available
+    if (collisionSettings && checkCollision && pushAway) {
+        const { COLLISION_DISTANCE, DAMAGE_DISTANCE, DAMAGE_PER_SECOND } = collisionSettings;
+
+        // Player collision
+        if (checkCollision(intendedPosition, playerPosition, COLLISION_DISTANCE)) {
+            const newPosition = pushAway(intendedPosition, playerPosition, COLLISION_DISTANCE);
+            intendedPosition.x = newPosition.x;
+            intendedPosition.z = newPosition.z;
+
+            if (enemy.contactDamageMultiplier > 0 && checkCollision(intendedPosition, playerPosition, DAMAGE_DISTANCE)) {
+                const damageAmount = DAMAGE_PER_SECOND * delta * enemy.contactDamageMultiplier;
+                if (gameState) damagePlayer(gameState, damageAmount, enemy.displayName);
+            }
+        }
+
+        // Zombie collisions
+        if (context.nearbyZombies) {
+            avoidZombies(enemy, intendedPosition, context, moveDistance);
+        }
+    }
+
+    // Environment collisions
+    avoidObstacles(intendedPosition, environmentObjects);
+
+    // Apply final position and rotation
+    enemy.position.copy(intendedPosition);
+    enemy.rotation.y = Math.atan2(direction.x, direction.z);
+};
+
+/**
+ * Chase - walks at the player along the horde's flocking heading (see
+ * gameplay/hordeFlocking.js), or straight at them before it has one.
+ * Speed is scaled by enemy.speedBoost (see charge).
+ * @param {THREE.Group} enemy - The enemy
+ * @returns {Function} update(context)
+ */
+export const chase = (enemy) => {
+    applyMovementDefaults(enemy);
+
+    return (context) => {
+        const direction = toPlayer(enemy, context.playerPosition);
+        const distance = direction.length();
+
+        if (enemy.flockHeading) {
+            direction.copy(enemy.flockHeading);
+        } else {
+            direction.normalize();
+        }
+
+        moveEnemy(enemy, context, direction, distance, enemy.speed * (enemy.speedBoost ?? 1));
+    };
+};
+
+/**
+ * Keep distance - ranged enemies hang back at medium range (gameLoop.js does the shooting)
+ * @param {THREE.Group} enemy - The enemy
+ * @returns {Function} update(context)
+ */
+export const keepDistance = (enemy) => {
+    applyMovementDefaults(enemy);
+    enemy.retreatRange = enemy.retreatRange ?? 8; // Back off when closer than this
+    enemy.holdRange = enemy.holdRange ?? 15; // Stand still between retreatRange and this
+
+    return (context) => {
+        const direction = toPlayer(enemy, context.playerPosition);
+        const distance = direction.length();
+        direction.normalize();
+
+        if (distance < enemy.retreatRange) {
+            direction.negate(); // Run away when close
+            logger.debug('enemy', `${enemy.enemyType} retreating from player`);
+        } else if (distance <= enemy.holdRange) {
+            return; // Hold position and shoot
+        }
+
+        moveEnemy(enemy, context, direction, distance);
+    };
+};
+
+/**
+ * Charge - every dashCooldown ms, a burst of speed when the player is at medium range
+ * Sets enemy.speedBoost for the movement behaviour after it.
+ * @param {THREE.Group} enemy - The enemy
+ * @returns {Function} update(context)
+ */
+export const charge = (enemy) => {
+    enemy.lastDashTime = 0;
+    enemy.dashCooldown = enemy.dashCooldown ?? 3000; // ms between charges
+    enemy.chargeMinRange = enemy.chargeMinRange ?? 5;
+    enemy.chargeMaxRange = enemy.chargeMaxRange ?? 10;
+    enemy.chargeSpeedMultiplier = enemy.chargeSpeedMultiplier ?? 3.0;
+
+    return (context) => {
+        enemy.speedBoost = 1;
+
+        const now = getSimTime();
+        if (now - enemy.lastDashTime <= enemy.dashCooldown) return;
+
+        const distance = toPlayer(enemy, context.playerPosition).length();
+        if (distance > enemy.chargeMinRange && distance < enemy.chargeMaxRange) {
+            logger.info('enemy', `${enemy.enemyType} charging at player`);
+            enemy.lastDashTime = now;
+            enemy.speedBoost = enemy.chargeSpeedMultiplier;
+        }
+    };
+};
+
+/**
+ * Poison aura - hurts the player every step they stand within poisonRadius
+ * @param {THREE.Group} enemy - The enemy
+ * @returns {Function} update(context)
+ */
+export const poisonAura = (enemy) => {
+    enemy.poisonRadius = enemy.poisonRadius ?? 8.0;
+    enemy.poisonDamage = enemy.poisonDamage ?? 15; // Damage per second
+
+    return (context) => {
+        const { playerPosition, delta, gameState, damagePlayer } = context;
+
+        if (toPlayer(enemy, playerPosition).length() < enemy.poisonRadius) {
+            const poisonAmount = enemy.poisonDamage * delta;
+            if (gameState) {
+                logger.info('enemy', `${enemy.enemyType} poisoning player for ${poisonAmount.toFixed(2)} damage`);
+                damagePlayer(gameState, poisonAmount, `${enemy.displayName} poison`);
+            }
+        }
+    };
+};
+
+/**
+ * Summon minions - counts summonCooldown down; gameLoop.js summons zombies around
+ * the enemy once it reaches zero and resets it to summonInterval
+ * @param {THREE.Group} enemy - The enemy
+ * @returns {Function} update(context)
+ */
+export const summonMinions = (enemy) => {
+    enemy.summonInterval = enemy.summonInterval ?? 10; // Seconds between summons
+    enemy.summonCooldown = enemy.firstSummonDelay ?? 0; // First summon right away unless tuned
+
+    return (context) => {
+        enemy.summonCooldown -= context.delta;
+    };
+};
+
+/**
+ * Sets every material on the enemy to a colour (model or primitive geometry)
+ * @param {THREE.Group} enemy - The enemy
+ * @param {Function} paint - (material) => void
+ */
+const paintMaterials = (enemy, paint) => {
+    if (enemy.userData.modelLoaded) {
+        // For 3D model - traverse the model to reach all materials
+        enemy.traverse(child => {
+            if (child.isMesh && child.material) {
+                const materials = Array.isArray(child.material) ? child.material : [child.material];
+                materials.forEach(paint);
+            }
+        });
+    } else {
+        // For geometric model - access children directly
+        enemy.children.forEach(child => {
+            if (child.material && child.material.color) paint(child.material);
+        });
+    }
+};
+
+/**
+ * Explode on contact - lights a fuse near the player, then flashes, shakes and
+ * stops moving until gameLoop.js detonates it. List it before the movement behaviour.
+ * @param {THREE.Group} enemy - The enemy
+ * @returns {Function} update(context), returns false while the fuse burns
+ */
+export const explodeOnContact = (enemy) => {
+    enemy.triggerDistance = enemy.triggerDistance ?? 3.0; // Distance to player that lights the fuse
+    enemy.fuseTime = enemy.fuseTime ?? 1.5; // Seconds before detonation
+    enemy.isExploding = false;
+    enemy.explosionTimer = 0;
+
+    return (context) => {
+        const { playerPosition, delta } = context;
+
+        if (!enemy.isExploding) {
+            if (toPlayer(enemy, playerPosition).length() >= enemy.triggerDistance) return;
+
+            logger.debug('enemy', `${enemy.enemyType} starting explosion sequence`);
+            enemy.isExploding = true;
+            enemy.explosionTimer = enemy.fuseTime;
+
+            // Turn red
+            paintMaterials(enemy, (material) => {
+                material.color.set(0xff0000);
+                if (material.emissive) {
+                    material.emissive.set(0xff0000);
+                    material.emissiveIntensity = 0.5;
+                }
+            });
+            return false; // Don't move once exploding starts
+        }
+
+        // Update explosion timer and flashing effect
+        enemy.explosionTimer -= delta;
+
+        const flashSpeed = Math.max(0.1, enemy.explosionTimer / 3);
+        const flashIntensity = Math.sin(getSimTime() * 0.01 / flashSpeed) * 0.5 + 0.5;
+
+        // Flash between red and yellow as the countdown progresses
+        paintMaterials(enemy, (material) => {
+            const g = flashIntensity * 0.8;
+            material.color.setRGB(1.0, g, 0);
+            if (material.emissive) {
+                material.emissive.setRGB(0.5, g * 0.5, 0);
+                material.emissiveIntensity = 0.5 + flashIntensity * 0.5;
+            }
+        });
+
+        // Wobble/shake as it's about to explode
+        const wobbleIntensity = Math.min(0.05, (enemy.fuseTime - enemy.explosionTimer) * 0.1);
+        enemy.position.x += (aiRandom() - 0.5) * wobbleIntensity;
+        enemy.position.z += (aiRandom() - 0.5) * wobbleIntensity;
+
+        // The blast, damage and removal are handled in gameLoop.js once the timer runs out
+        if (enemy.explosionTimer <= 0) {
+            logger.info('enemy', `${enemy.enemyType} detonating at ${enemy.position.x.toFixed(2)},${enemy.position.z.toFixed(2)}`);
+            enemy.markedForDeletion = true;
+            enemy.health = 0;
+        }
+
+        return false; // Don't move while exploding
+    };
+};
+
+/**
+ * Slam - a devastating extra hit on top of contact damage when right next to the player
+ * @param {THREE.Group} enemy - The enemy
+ * @returns {Function} update(context)
+ */
+export const slam = (enemy) => {
+    enemy.slamRange = enemy.slamRange ?? 2.0;
+    enemy.slamDamage = enemy.slamDamage ?? 30; // Damage per second
+
+    return (context) => {
+        const { playerPosition, delta, gameState, damagePlayer } = context;
+
+        if (toPlayer(enemy, playerPosition).length() < enemy.slamRange) {
+            const attackDamage = enemy.slamDamage * delta;
+            if (gameState) {
+                logger.info('enemy', `${enemy.enemyType} slamming player for ${attackDamage.toFixed(2)} damage`);
+                damagePlayer(gameState, attackDamage, `${enemy.displayName} slam`);
+            }
+        }
+    };
+};
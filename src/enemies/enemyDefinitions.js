@@ -0,0 +1,293 @@
+/**
+ * Enemy Definitions Module - Loads and validates the enemy definitions in enemies.json
+ *
+ * Every enemy type is described by data instead of code: stats, 3D model,
+ * fallback geometry, behaviours and spawn weight. The enemy factory
+ * (enemyFactory.js) builds enemies from these definitions and the spawners
+ * (entitySpawners.js, multiplayer/room.js) pick types by their spawn weight, so
+ * adding or tuning an enemy is an edit to enemies.json.
+ *
+ * Definition format (keyed by enemy type in enemies.json):
+ *   {
+ *     "name": "Exploder",                       // Display name
+ *     "stats": {
+ *       "health": 100,                          // Hit points
+ *       "speedMultiplier": 0.9,                 // Speed relative to gameState.baseSpeed
+ *       "mass": 1.2,                            // Weight when pushing other enemies
+ *       "points": 10,                           // Score for a kill
+ *       "exp": 12                               // EXP for a kill (default 0)
+ *     },
+ *     "model": {                                // Optional GLB model (null = fallback geometry only)
+ *       "path": "./exploder.glb",
+ *       "scale": [1, 1.5, 1],                   // Number or [x, y, z]
+ *       "offsetY": 1,                           // Lifts the model onto the ground (default 0)
+ *       "brightness": 1.7                       // Material color multiplier (default 1)
+ *     },
+ *     "scale": 1,                               // Overall scale (default 1)
+ *     "fallbackGeometry": "exploder",           // Primitive geometry used when there is no model
+ *     "instanced": false,                       // Draw with shared InstancedMeshes (needs model: null, default false)
+ *     "behaviours": ["explodeOnContact", "chase"], // AI components run every update, in order
+ *     "tuning": { "fuseTime": 1.5 },            // Optional behaviour settings copied onto the enemy
+ *     "spawn": {
+ *       "weight": 10,                           // Relative spawn chance (0 = never spawned randomly)
+ *       "speedVariation": 0.03,                 // Random +/- speed spread
+ *       "playSpawnSfx": false,                  // Growl when spawned (default false)
+ *       "extraProps": { "lastShotTime": 0 }     // Extra fields for the gameState.zombies entry
+ *     },
+ *     "drops": [                                // Optional loot, each rolled on death (see gameplay/pickups.js)
+ *       { "kind": "ammo", "chance": 0.1 },      // Pickup kind and chance (1 = always)
+ *       { "kind": "coin", "chance": 1, "count": 3 } // How many to drop (default 1)
+ *     ]
+ *   }
+ *
+ * The file is validated when this module loads and a bad definition throws an
+ * Error listing every problem (e.g. "exploder.stats.health must be a positive
+ * number (got -5)"). The factory additionally checks that fallbackGeometry and
+ * behaviours name code that exists, and gameplay/pickups.js that drops name
+ * pickups it can make.
+ *
+ * Example usage:
+ *   import { getEnemyDefinition, getEnemyDefinitions } from './enemies/enemyDefinitions.js';
+ *
+ *   const exploder = getEnemyDefinition('exploder');
+ *   console.log(exploder.stats.health, exploder.spawn.weight);
+ *   const spawnable = getEnemyDefinitions().filter(definition => definition.spawn.weight > 0);
+ */
+
+import enemyData from './enemies.json' with { type: 'json' };
+import { logger } from '../utils/logger.js';
+
+// Add 'enemy' to logger sections if not already included
+logger.addSection('enemy');
+
+// Allowed keys at each level - anything else is almost certainly a typo
+const DEFINITION_KEYS = ['name', 'stats', 'model', 'scale', 'fallbackGeometry', 'instanced', 'behaviours', 'tuning', 'spawn', 'drops'];
+const STATS_KEYS = ['health', 'speedMultiplier', 'mass', 'points', 'exp'];
+const MODEL_KEYS = ['path', 'scale', 'offsetY', 'brightness'];
+const SPAWN_KEYS = ['weight', 'speedVariation', 'playSpawnSfx', 'extraProps'];
+const DROP_KEYS = ['kind', 'chance', 'count'];
+
+/**
+ * Whether a value is a plain object (not null, not an array)
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Whether a value is a finite number
+ * @param {*} value - Value to check
+ * @returns {boolean} True for finite numbers
+ */
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Formats a value for an error message
+ * @param {*} value - Offending value
+ * @returns {string} Short description
+ */
+const describe = (value) => value === undefined ? 'nothing' : JSON.stringify(value);
+
+/**
+ * Copies a definition and fills in the optional fields
+ * Leaves malformed parts alone so validation can report them
+ * @param {string} type - Enemy type (key in enemies.json)
+ * @param {Object} entry - Raw definition
+ * @returns {Object} Definition with type and defaults
+ */
+const normalizeDefinition = (type, entry) => {
+    if (!isObject(entry)) return { type, invalid: entry };
+
+    const definition = {
+        type,
+        ...entry,
+        model: entry.model === undefined ? null : entry.model,
+        scale: entry.scale === undefined ? 1 : entry.scale,
+        instanced: entry.instanced === undefined ? false : entry.instanced,
+        tuning: entry.tuning === undefined ? {} : entry.tuning,
+        drops: entry.drops === undefined ? [] : entry.drops
+    };
+
+    if (isObject(entry.model)) {
+        definition.model = { offsetY: 0, brightness: 1, ...entry.model };
+    }
+    if (isObject(entry.spawn)) {
+        definition.spawn = { playSpawnSfx: false, extraProps: {}, ...entry.spawn };
+    }
+    if (Array.isArray(entry.drops)) {
+        definition.drops = entry.drops.map(drop => (isObject(drop) ? { count: 1, ...drop } : drop));
+    }
+
+    return definition;
+};
+
+/**
+ * Checks a list of normalized definitions
+ * @param {Array<Object>} definitions - Definitions (see normalizeDefinition)
+ * @param {Object} [known] - Optional { geometries, behaviours, pickups } name lists to check references against
+ * @returns {Array<string>} Problems found (empty when everything is valid)
+ */
+export const validateEnemyDefinitions = (definitions, known = {}) => {
+    const problems = [];
+
+    // Small helpers that record a problem with its path, e.g. "exploder.stats.health"
+    const check = (condition, path, message, value) => {
+        if (!condition) problems.push(`${path} ${message} (got ${describe(value)})`);
+        return condition;
+    };
+    const checkKeys = (object, allowed, path) => {
+        for (const key of Object.keys(object)) {
+            if (!allowed.includes(key)) {
+                problems.push(`${path}.${key} is not a known field (expected one of: ${allowed.join(', ')})`);
+            }
+        }
+    };
+
+    if (!Array.isArray(definitions) || definitions.length === 0) {
+        return ['enemy definitions must contain at least one enemy'];
+    }
+
+    for (const definition of definitions) {
+        const { type } = definition;
+
+        if (!check(/^[a-zA-Z][a-zA-Z0-9]*$/.test(type), `"${type}"`, 'is not a valid enemy type name (letters and digits only)', type)) continue;
+        if (!check(!('invalid' in definition), type, 'must be an object', definition.invalid)) continue;
+
+        checkKeys(definition, ['type', ...DEFINITION_KEYS], type);
+        check(typeof definition.name === 'string' && definition.name.length > 0, `${type}.name`, 'must be a non-empty string', definition.name);
+
+        // Stats
+        const { stats } = definition;
+        if (check(isObject(stats), `${type}.stats`, 'must be an object', stats)) {
+            checkKeys(stats, STATS_KEYS, `${type}.stats`);
+            check(isNumber(stats.health) && stats.health > 0, `${type}.stats.health`, 'must be a positive number', stats.health);
+            check(isNumber(stats.speedMultiplier) && stats.speedMultiplier >= 0, `${type}.stats.speedMultiplier`, 'must be a number >= 0', stats.speedMultiplier);
+            check(isNumber(stats.mass) && stats.mass > 0, `${type}.stats.mass`, 'must be a positive number', stats.mass);
+            check(isNumber(stats.points) && stats.points >= 0, `${type}.stats.points`, 'must be a number >= 0', stats.points);
+            check(stats.exp === undefined || (isNumber(stats.exp) && stats.exp >= 0), `${type}.stats.exp`, 'must be a number >= 0', stats.exp);
+        }
+
+        // Model (optional)
+        const { model } = definition;
+        if (model !== null && check(isObject(model), `${type}.model`, 'must be an object or null', model)) {
+            checkKeys(model, MODEL_KEYS, `${type}.model`);
+            check(typeof model.path === 'string' && model.path.length > 0, `${type}.model.path`, 'must be a non-empty string', model.path);
+            const validScale = (isNumber(model.scale) && model.scale > 0) ||
+                (Array.isArray(model.scale) && model.scale.length === 3 && model.scale.every(value => isNumber(value) && value > 0));
+            check(validScale, `${type}.model.scale`, 'must be a positive number or an array of 3 positive numbers', model.scale);
+            check(isNumber(model.offsetY), `${type}.model.offsetY`, 'must be a number', model.offsetY);
+            check(isNumber(model.brightness) && model.brightness > 0, `${type}.model.brightness`, 'must be a positive number', model.brightness);
+        }
+
+        check(isNumber(definition.scale) && definition.scale > 0, `${type}.scale`, 'must be a positive number', definition.scale);
+
+        // Fallback geometry
+        if (check(typeof definition.fallbackGeometry === 'string', `${type}.fallbackGeometry`, 'must be a string', definition.fallbackGeometry) && known.geometries) {
+            check(known.geometries.includes(definition.fallbackGeometry), `${type}.fallbackGeometry`,
+                `must be one of: ${known.geometries.join(', ')}`, definition.fallbackGeometry);
+        }
+
+        // Instancing (optional) - instances all share one mesh, so there can't be a per-enemy model
+        if (check(typeof definition.instanced === 'boolean', `${type}.instanced`, 'must be true or false', definition.instanced) && definition.instanced) {
+            check(model === null, `${type}.model`, 'must be null for an instanced enemy', model);
+        }
+
+        // Behaviours
+        const { behaviours } = definition;
+        if (check(Array.isArray(behaviours) && behaviours.length > 0, `${type}.behaviours`, 'must be a non-empty array', behaviours)) {
+            behaviours.forEach((behaviour, index) => {
+                if (check(typeof behaviour === 'string', `${type}.behaviours[${index}]`, 'must be a string', behaviour) && known.behaviours) {
+                    check(known.behaviours.includes(behaviour), `${type}.behaviours[${index}]`,
+                        `must be one of: ${known.behaviours.join(', ')}`, behaviour);
+                }
+            });
+        }
+
+        // Tuning (optional)
+        if (check(isObject(definition.tuning), `${type}.tuning`, 'must be an object', definition.tuning)) {
+            for (const [key, value] of Object.entries(definition.tuning)) {
+                check(isNumber(value) || typeof value === 'string', `${type}.tuning.${key}`, 'must be a number or a string', value);
+            }
+        }
+
+        // Spawn settings
+        const { spawn } = definition;
+        if (check(isObject(spawn), `${type}.spawn`, 'must be an object', spawn)) {
+            checkKeys(spawn, SPAWN_KEYS, `${type}.spawn`);
+            check(isNumber(spawn.weight) && spawn.weight >= 0, `${type}.spawn.weight`, 'must be a number >= 0', spawn.weight);
+            check(isNumber(spawn.speedVariation) && spawn.speedVariation >= 0, `${type}.spawn.speedVariation`, 'must be a number >= 0', spawn.speedVariation);
+            check(typeof spawn.playSpawnSfx === 'boolean', `${type}.spawn.playSpawnSfx`, 'must be true or false', spawn.playSpawnSfx);
+            check(isObject(spawn.extraProps), `${type}.spawn.extraProps`, 'must be an object', spawn.extraProps);
+        }
+
+        // Drops (optional)
+        const { drops } = definition;
+        if (check(Array.isArray(drops), `${type}.drops`, 'must be an array', drops)) {
+            drops.forEach((drop, index) => {
+                const path = `${type}.drops[${index}]`;
+                if (!check(isObject(drop), path, 'must be an object', drop)) return;
+                checkKeys(drop, DROP_KEYS, path);
+                if (check(typeof drop.kind === 'string', `${path}.kind`, 'must be a string', drop.kind) && known.pickups) {
+                    check(known.pickups.includes(drop.kind), `${path}.kind`, `must be one of: ${known.pickups.join(', ')}`, drop.kind);
+                }
+                check(isNumber(drop.chance) && drop.chance >= 0 && drop.chance <= 1, `${path}.chance`, 'must be a number from 0 to 1', drop.chance);
+                check(Number.isInteger(drop.count) && drop.count > 0, `${path}.count`, 'must be a positive whole number', drop.count);
+            });
+        }
+    }
+
+    if (problems.length === 0 && !definitions.some(definition => definition.spawn.weight > 0)) {
+        problems.push('at least one enemy needs a spawn.weight above 0');
+    }
+
+    return problems;
+};
+
+/**
+ * Throws if definitions have problems, listing all of them
+ * @param {Array<Object>} definitions - Normalized definitions
+ * @param {Object} [known] - Optional { geometries, behaviours, pickups } name lists
+ * @param {string} [source='enemies.json'] - Where the definitions came from (for the message)
+ */
+export const assertValidEnemyDefinitions = (definitions, known = {}, source = 'enemies.json') => {
+    const problems = validateEnemyDefinitions(definitions, known);
+    if (problems.length > 0) {
+        throw new Error(`Invalid enemy definitions in ${source}:\n  - ${problems.join('\n  - ')}`);
+    }
+};
+
+/**
+ * Turns raw enemies.json-style data into validated definitions
+ * @param {Object} data - Map of enemy type -> raw definition
+ * @param {Object} [known] - Optional { geometries, behaviours, pickups } name lists
+ * @param {string} [source='enemies.json'] - Where the data came from (for error messages)
+ * @returns {Array<Object>} Definitions in file order, with defaults filled in
+ */
+export const loadEnemyDefinitions = (data, known = {}, source = 'enemies.json') => {
+    if (!isObject(data)) {
+        throw new Error(`Invalid enemy definitions in ${source}:\n  - expected an object keyed by enemy type (got ${describe(data)})`);
+    }
+
+    const definitions = Object.entries(data).map(([type, entry]) => normalizeDefinition(type, entry));
+    assertValidEnemyDefinitions(definitions, known, source);
+    return definitions;
+};
+
+// Built-in definitions - validated as soon as anything imports this module
+const definitions = loadEnemyDefinitions(enemyData);
+const definitionsByType = new Map(definitions.map(definition => [definition.type, definition]));
+
+logger.debug('enemy', `Loaded ${definitions.length} enemy definitions`);
+
+/**
+ * Gets every enemy definition, in enemies.json order
+ * @returns {Array<Object>} Definitions
+ */
+export const getEnemyDefinitions = () => definitions;
+
+/**
+ * Gets the definition for one enemy type
+ * @param {string} type - Enemy type ('zombie', 'exploder', ...)
+ * @returns {Object|undefined} The definition, or undefined for an unknown type
+ */
+export const getEnemyDefinition = (type) => definitionsByType.get(type);
@@ -0,0 +1,209 @@
+/**
+ * Enemy Factory Module - Builds enemies from their definitions in enemies.json
+ *
+ * Puts an enemy together from data: applies the definition's stats and tuning,
+ * loads its GLB model (falling back to the primitive geometry if there is no
+ * model or it fails to load) and wires up its behaviours as the enemy's
+ * update(context). Types marked "instanced" get no meshes of their own and are
+ * drawn by rendering/instancedEnemies.js instead. Geometry builders and
+ * behaviours are the code half of an enemy - geometry (and its animation)
+ * lives in the per-enemy modules, the AI components in enemyBehaviours.js -
+ * and they are registered here by name, which is how enemies.json refers to them.
+ *
+ * Example usage:
+ *   import { createEnemy } from './enemies/enemyFactory.js';
+ *
+ *   // Create an exploder at position (15, 0, 10) with speed 0.05
+ *   const exploder = createEnemy('exploder', {x: 15, z: 10}, 0.05);
+ *   scene.add(exploder);
+ */
+
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { getEnemyDefinition, getEnemyDefinitions, assertValidEnemyDefinitions } from './enemyDefinitions.js';
+import { chase, keepDistance, charge, poisonAura, summonMinions, explodeOnContact, slam } from './enemyBehaviours.js';
+import { buildZombieGeometry } from './baseZombie.js';
+import { buildSkeletonArcherGeometry } from './skeletonArcher.js';
+import { buildExploderGeometry } from './exploder.js';
+import { buildZombieKingGeometry } from './zombieKing.js';
+import { buildPlagueTitanGeometry, plagueTitanAnimation } from './plagueTitan.js';
+import { buildNecrofiendGeometry, necrofiendAnimation } from './necrofiend.js';
+import { buildRotBehemothGeometry } from './rotBehemoth.js';
+import { buildSkittercrabGeometry, skittercrabAnimation } from './skittercrab.js';
+import { useInstancedRendering, isInstancingEnabled } from '../rendering/instancedEnemies.js';
+import { logger } from '../utils/logger.js';
+
+// Add 'enemy' to logger sections if not already included
+logger.addSection('enemy');
+logger.addSection('enemyspawner');
+
+// Primitive geometry builders, by the name used in "fallbackGeometry"
+export const GEOMETRY_BUILDERS = {
+    zombie: buildZombieGeometry,
+    skeletonArcher: buildSkeletonArcherGeometry,
+    exploder: buildExploderGeometry,
+    zombieKing: buildZombieKingGeometry,
+    plagueTitan: buildPlagueTitanGeometry,
+    necrofiend: buildNecrofiendGeometry,
+    rotBehemoth: buildRotBehemothGeometry,
+    skittercrab: buildSkittercrabGeometry
+};
+
+// Behaviours, by the name used in "behaviours" - each returns an update(context) function
+// The shared AI components are in enemyBehaviours.js; the animations belong to their enemy's geometry
+export const BEHAVIOURS = {
+    chase,
+    keepDistance,
+    charge,
+    poisonAura,
+    summonMinions,
+    explodeOnContact,
+    slam,
+    plagueTitanAnimation,
+    necrofiendAnimation,
+    skittercrabAnimation
+};
+
+// The schema was checked when the definitions loaded - also check they only name code that exists
+assertValidEnemyDefinitions(getEnemyDefinitions(), {
+    geometries: Object.keys(GEOMETRY_BUILDERS),
+    behaviours: Object.keys(BEHAVIOURS)
+});
+
+const loader = new GLTFLoader();
+
+/**
+ * Loads an enemy's GLB model into its group
+ * Brightens the materials (the models are dark under the game lighting) and
+ * sets enemy.userData.modelLoaded once it is in.
+ * @param {THREE.Group} enemy - The enemy group
+ * @param {Object} model - Model settings from the definition { path, scale, offsetY, brightness }
+ * @returns {Promise<boolean>} Resolves once loaded, rejects if the model can't be loaded
+ */
+const loadEnemyModel = (enemy, model) => {
+    return new Promise((resolve, reject) => {
+        loader.load(model.path,
+            (gltf) => {
+                logger.info('enemy', `Successfully loaded ${model.path} model`);
+
+                const object = gltf.scene;
+                if (Array.isArray(model.scale)) {
+                    object.scale.set(...model.scale);
+                } else {
+                    object.scale.setScalar(model.scale);
+                }
+                object.position.y = model.offsetY; // Position at ground level
+
+                // Brighten up the model by traversing all meshes and adjusting their materials
+                object.traverse((node) => {
+                    if (node.isMesh && node.material) {
+                        // Handle both single material and material array
+                        const materials = Array.isArray(node.material) ? node.material : [node.material];
+
+                        materials.forEach((material) => {
+                            // Add emissive properties to brighten the model
+                            material.emissive = material.color.clone().multiplyScalar(0.3);
+                            material.emissiveIntensity = 0.0;
+
+                            // Increase base color brightness
+                            material.color.multiplyScalar(model.brightness);
+
+                            // Reduce metalness and increase roughness for better visibility
+                            if (material.metalness !== undefined) {
+                                material.metalness = Math.max(0, material.metalness - 0.3);
+                            }
+
+                            if (material.roughness !== undefined) {
+                                material.roughness = Math.min(1, material.roughness + 0.2);
+                            }
+
+                            // Ensure materials receive shadows properly
+                            material.needsUpdate = true;
+                        });
+
+                        // Make sure model casts and receives shadows
+                        node.castShadow = true;
+                        node.receiveShadow = true;
+                    }
+                });
+
+                enemy.add(object);
+
+                // Store model loaded status in userData for behaviours to reference
+                enemy.userData.modelLoaded = true;
+                resolve(true);
+            },
+            (xhr) => {
+                logger.debug('enemy', `${model.path} loading: ${(xhr.loaded / xhr.total * 100).toFixed(2)}%`);
+            },
+            (error) => {
+                logger.warn('enemy', `Failed to load ${model.path} model`, { error: error.message });
+                reject(error);
+            }
+        );
+    });
+};
+
+/**
+ * Creates an enemy of the given type
+ * @param {string} type - Enemy type from enemies.json ('zombie', 'exploder', ...)
+ * @param {Object} position - Spawn position {x, z}
+ * @param {number} baseSpeed - Global base speed (the definition's speedMultiplier scales it)
+ * @returns {THREE.Group|null} The enemy (its own .mesh), or null for an unknown type
+ */
+export const createEnemy = (type, position, baseSpeed) => {
+    const definition = getEnemyDefinition(type);
+    if (!definition) {
+        logger.warn('enemy', `No enemy definition for type: ${type}`);
+        return null;
+    }
+
+    const enemy = new THREE.Group();
+    enemy.position.set(position.x, 0, position.z);
+
+    // Store mesh reference for updateZombies compatibility
+    enemy.mesh = enemy;
+    enemy.enemyType = type;
+    enemy.displayName = definition.name; // Shown as the cause of death
+
+    // Stats from the definition
+    const { stats } = definition;
+    enemy.speed = baseSpeed * stats.speedMultiplier;
+    enemy.mass = stats.mass;
+    enemy.health = stats.health;
+    enemy.points = stats.points;
+    enemy.exp = stats.exp ?? 0;
+
+    // Settings read by the behaviours (poisonRadius, dashCooldown, avoidance, ...)
+    Object.assign(enemy, definition.tuning);
+
+    // Instanced types draw through shared meshes; otherwise try the 3D model
+    // first, then fall back to primitive geometry if it fails
+    const buildFallbackGeometry = GEOMETRY_BUILDERS[definition.fallbackGeometry];
+    if (definition.instanced && isInstancingEnabled()) {
+        useInstancedRendering(enemy, type, buildFallbackGeometry);
+    } else if (definition.model) {
+        loadEnemyModel(enemy, definition.model).catch(() => {
+            logger.info('enemy', `Falling back to default geometry ${type} model`);
+            buildFallbackGeometry(enemy);
+        });
+    } else {
+        buildFallbackGeometry(enemy);
+    }
+
+    enemy.scale.setScalar(definition.scale);
+
+    // Behaviours run in the order they are listed; one returning false skips the rest for that step
+    const updates = definition.behaviours.map(name => BEHAVIOURS[name](enemy, definition));
+    enemy.update = updates.length === 1
+        ? updates[0]
+        : (context) => {
+            for (const update of updates) {
+                if (update(context) === false) break;
+            }
+        };
+
+    logger.debug('enemyspawner', `Creating ${type} at ${position.x.toFixed(2)},${position.z.toFixed(2)}`);
+
+    return enemy;
+};
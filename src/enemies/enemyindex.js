@@ -2,8 +2,9 @@
  * Enemy Index Module - Central export point for all enemy creation functions
  * 
  * This module serves as a centralized entry point for importing all enemy creation
- * functions in the game. It exports each enemy creator function from their respective
- * modules, allowing for a clean import syntax when creating different enemy types
+ * functions in the game. Enemies are defined in enemies.json and built by
+ * createEnemy (enemyFactory.js); the per-type creators below are shorthands for it,
+ * allowing for a clean import syntax when creating different enemy types
  * throughout the game.
  * 
  * Example usage:
@@ -26,20 +27,25 @@
 // src/enemies/index.js
 
 import * as THREE from 'three';
+import { createEnemy } from './enemyFactory.js';
 import { logger } from '../utils/logger.js';
 
 // Add 'enemy' to logger sections if not already included
 logger.addSection('enemy');
 
-// Export all enemy creation functions
-export { createbaseZombie } from './baseZombie.js';
-export { createSkeletonArcher } from './skeletonArcher.js';
-export { createExploder } from './exploder.js';
-export { createZombieKing } from './zombieKing.js';
-export { createPlagueTitan } from './plagueTitan.js';
-export { createNecrofiend } from './necrofiend.js';
-export { createRotBehemoth } from './rotBehemoth.js';
-export { createSkittercrab } from './skittercrab.js';
+// Enemies are built from their definitions in enemies.json
+export { createEnemy } from './enemyFactory.js';
+export { getEnemyDefinition, getEnemyDefinitions } from './enemyDefinitions.js';
+
+// Per-type creation functions (kept for existing callers)
+export const createbaseZombie = (position, baseSpeed) => createEnemy('zombie', position, baseSpeed);
+export const createSkeletonArcher = (position, baseSpeed) => createEnemy('skeletonArcher', position, baseSpeed);
+export const createExploder = (position, baseSpeed) => createEnemy('exploder', position, baseSpeed);
+export const createZombieKing = (position, baseSpeed) => createEnemy('zombieKing', position, baseSpeed);
+export const createPlagueTitan = (position, baseSpeed) => createEnemy('plagueTitan', position, baseSpeed);
+export const createNecrofiend = (position, baseSpeed) => createEnemy('necrofiend', position, baseSpeed);
+export const createRotBehemoth = (position, baseSpeed) => createEnemy('rotBehemoth', position, baseSpeed);
+export const createSkittercrab = (position, baseSpeed) => createEnemy('skittercrab', position, baseSpeed);
 
 // Log that the enemy module is initialized
 logger.info('enemy', 'Enemy module initialized with all enemy types');
\ No newline at end of file
@@ -6,11 +6,15 @@
  * zombie with a sickly green aura that deals damage over time to players who get
  * too close to it.
  * 
+ * Stats, model, spawn weight and scale live in enemies.json. The poison comes
+ * from the shared poisonAura component (enemyBehaviours.js); this module has the
+ * geometry and its pulsing animation.
+ * 
  * Example usage:
- *   import { createPlagueTitan } from './enemies/plagueTitan.js';
+ *   import { createEnemy } from './enemies/enemyFactory.js';
  *   
  *   // Create a Plague Titan at position (25, 0, 25) with speed 0.05
- *   const titan = createPlagueTitan({x: 25, z: 25}, 0.05);
+ *   const titan = createEnemy('plagueTitan', {x: 25, z: 25}, 0.05);
  *   scene.add(titan);
  */
 
@@ -20,12 +24,11 @@ import { logger } from '../utils/logger.js';
 // Add 'enemy' to logger sections if not already included
 logger.addSection('enemy');
 
-export const createPlagueTitan = (position, baseSpeed) => {
-    // Configuration parameters
-    const scale = new THREE.Vector3(1.0, 1.0, 1.0); // Increased scale for more imposing presence
-    
-    const titan = new THREE.Group();
-
+/**
+ * Builds the plague titan (bloated body, growths, sores, tentacles and a toxic aura) out of primitives
+ * @param {THREE.Group} titan - The enemy group to add geometry to
+ */
+export const buildPlagueTitanGeometry = (titan) => {
     // Create base humanoid structure
     const bodyGroup = new THREE.Group();
     titan.add(bodyGroup);
@@ -298,33 +301,28 @@ export const createPlagueTitan = (position, baseSpeed) => {
     
     titan.add(auraGroup);
 
-    // Position the titan
-    titan.position.set(position.x, 0, position.z);
-
-    // Log the creation
-    logger.info('enemyspawner', `Creating plague titan at ${position.x.toFixed(2)},${position.z.toFixed(2)}`);
-
-    // Set properties
-    titan.mesh = titan;
-    titan.enemyType = 'plagueTitan';
-    titan.health = 1000; // Increased health for a truly challenging boss
-    titan.points = titan.health/10; // Base points for regular zombie
-    titan.speed = baseSpeed * 0.95; // Much slower than standard zombies
-    titan.mass = 6.0; // Very heavy
-    titan.poisonRadius = 8.0; // Increased radius of poison effect
-    titan.poisonDamage = 15; // Increased damage per second from poison
-    
-    // Scale the plague titan according to scale parameter
-    titan.scale.copy(scale);
+    // Keep the parts plagueTitanAnimation animates
+    titan.userData.parts = { bodyGroup, torso, growth1, growth2, eyeMaterial, sores, soreMaterial, auraGroup, leftArm, rightArm };
+};
 
+/**
+ * Plague Titan animation - pulsing body, growths and sores, orbiting toxic aura and swinging arms
+ * @param {THREE.Group} titan - The enemy
+ * @returns {Function} update(context), called every simulation step
+ */
+export const plagueTitanAnimation = (titan) => {
     // Animation properties
     titan.animationTime = 0;
     
-    // Animations and special effects
-    const updateAnimations = (delta) => {
+    return ({ delta }) => {
         // Update animation time
         titan.animationTime += delta;
         
+        // Only the primitive geometry has parts to animate
+        const parts = titan.userData.parts;
+        if (!parts) return;
+        const { bodyGroup, torso, growth1, growth2, eyeMaterial, sores, soreMaterial, auraGroup, leftArm, rightArm } = parts;
+        
         // Pulsating body effect
         const pulseScale = 1.0 + Math.sin(titan.animationTime * 2) * 0.05;
         torso.scale.set(1.2 * pulseScale, 1.5 * pulseScale, 1.0 * pulseScale);
@@ -372,125 +370,4 @@ export const createPlagueTitan = (position, baseSpeed) => {
             }
         }
     };
-
-    // Update method
-    titan.update = (context) => {
-        logger.verbose('enemy', `Plague titan update at ${titan.position.x.toFixed(2)},${titan.position.z.toFixed(2)}`);
-        
-        // Get context variables
-        const { 
-            playerPosition, 
-            delta, 
-            collisionSettings,
-            environmentObjects,
-            nearbyZombies,
-            gameState,
-            checkCollision,
-            pushAway,
-            damagePlayer
-        } = context;
-        
-        // Update animations
-        updateAnimations(delta);
-        
-        // Calculate direction to player
-        const direction = new THREE.Vector3(
-            playerPosition.x - titan.position.x,
-            0,
-            playerPosition.z - titan.position.z
-        );
-        
-        const distance = direction.length();
-        const finalDirection = direction.clone().normalize();
-        
-        // Add slight randomness to movement
-        const randomFactor = Math.min(0.1, distance * 0.005);
-        const randomAngle = (Math.random() - 0.5) * Math.PI * randomFactor;
-        finalDirection.applyAxisAngle(new THREE.Vector3(0, 1, 0), randomAngle);
-        
-        // Calculate intended position
-        const moveDistance = titan.speed * delta * 60;
-        const intendedPosition = new THREE.Vector3()
-            .copy(titan.position)
-            .addScaledVector(finalDirection, moveDistance);
-        
-        // Handle collisions if collision settings are available
-        if (collisionSettings) {
-            const { COLLISION_DISTANCE, DAMAGE_DISTANCE, DAMAGE_PER_SECOND, ZOMBIE_COLLISION_DISTANCE } = collisionSettings;
-            
-            if (checkCollision && pushAway) {
-                if (checkCollision(intendedPosition, playerPosition, COLLISION_DISTANCE)) {
-                    const newPosition = pushAway(intendedPosition, playerPosition, COLLISION_DISTANCE);
-                    intendedPosition.x = newPosition.x;
-                    intendedPosition.z = newPosition.z;
-                    
-                    if (checkCollision(intendedPosition, playerPosition, DAMAGE_DISTANCE)) {
-                        const damageAmount = DAMAGE_PER_SECOND * delta;
-                        if (gameState) damagePlayer(gameState, damageAmount);
-                    }
-                }
-            }
-            
-            // Zombie collisions
-            if (nearbyZombies && checkCollision && pushAway) {
-                for (let i = 0; i < nearbyZombies.length; i++) {
-                    const otherZombie = nearbyZombies[i];
-                    if (!otherZombie || !otherZombie.mesh || otherZombie.mesh.isExploding) continue;
-                    
-                    if (checkCollision(intendedPosition, otherZombie.mesh.position, ZOMBIE_COLLISION_DISTANCE)) {
-                        const thisSize = titan.mass;
-                        const otherSize = otherZombie.mesh.mass;
-                        
-                        const avoidancePosition = pushAway(
-                            intendedPosition, 
-                            otherZombie.mesh.position, 
-                            ZOMBIE_COLLISION_DISTANCE
-                        );
-                        intendedPosition.x = (intendedPosition.x + avoidancePosition.x) * 0.5;
-                        intendedPosition.z = (intendedPosition.z + avoidancePosition.z) * 0.5;
-                    }
-                }
-            }
-        }
-        
-        // Environment collisions
-        if (environmentObjects) {
-            for (const object of environmentObjects) {
-                if (object && object.isObstacle) {
-                    const dx = intendedPosition.x - object.position.x;
-                    const dz = intendedPosition.z - object.position.z;
-                    const distance = Math.sqrt(dx * dx + dz * dz);
-                    if (distance < (object.boundingRadius || 2.5)) {
-                        const pushDirection = new THREE.Vector3(dx, 0, dz).normalize();
-                        const pushDistance = (object.boundingRadius || 2.5) - distance + 0.1;
-                        intendedPosition.x += pushDirection.x * pushDistance;
-                        intendedPosition.z += pushDirection.z * pushDistance;
-                        break;
-                    }
-                }
-            }
-        }
-        
-        // Apply final position and rotation
-        titan.position.copy(intendedPosition);
-        titan.rotation.y = Math.atan2(finalDirection.x, finalDirection.z);
-        
-        // Poison effect
-        const distanceToPlayer = new THREE.Vector3(
-            playerPosition.x - titan.position.x,
-            0,
-            playerPosition.z - titan.position.z
-        ).length();
-        
-        if (distanceToPlayer < titan.poisonRadius) {
-            const poisonAmount = titan.poisonDamage * delta;
-            if (gameState) {
-                logger.info('enemy', `Plague titan poisoning player for ${poisonAmount.toFixed(2)} damage`);
-                damagePlayer(gameState, poisonAmount);
-            }
-        }
-    };
-    
-    return titan;
 };
-
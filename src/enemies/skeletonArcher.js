@@ -6,27 +6,28 @@
  * has a bone-white appearance with black hollow eyes and carries a bow.
  * It moves faster than the standard zombie but maintains distance from the player.
  * 
+ * Stats, spawn weight and scale live in enemies.json. It moves with the
+ * keepDistance component (enemyBehaviours.js) and gameLoop.js fires its arrows.
+ * 
  * Example usage:
- *   import { createSkeletonArcher } from './enemies/skeletonArcher.js';
+ *   import { createEnemy } from './enemies/enemyFactory.js';
  *   
  *   // Create a skeleton archer at position (20, 0, 15) with speed 0.05
- *   const archer = createSkeletonArcher({x: 20, z: 15}, 0.05);
+ *   const archer = createEnemy('skeletonArcher', {x: 20, z: 15}, 0.05);
  *   scene.add(archer);
  */
 
-// src/enemies/zombie.js
 import * as THREE from 'three';
 import { logger } from '../utils/logger.js';
 
 // Add 'enemy' to logger sections if not already included
 logger.addSection('enemy');
 
-export const createSkeletonArcher = (position, baseSpeed) => {
-    // Configuration parameters
-    const scale = new THREE.Vector3(1.0, 1.0, 1.0); // Scale vector for easy adjustment
-    
-    const skeleton = new THREE.Group();
-
+/**
+ * Builds the skeleton archer (bones, hollow eyes and a bow) out of primitives
+ * @param {THREE.Group} skeleton - The enemy group to add geometry to
+ */
+export const buildSkeletonArcherGeometry = (skeleton) => {
     // Head with hollow eyes
     const headGeometry = new THREE.BoxGeometry(0.5, 0.5, 0.5);
     const boneMaterial = new THREE.MeshStandardMaterial({
@@ -82,159 +83,4 @@ export const createSkeletonArcher = (position, baseSpeed) => {
     const rightLeg = new THREE.Mesh(legGeometry, boneMaterial);
     rightLeg.position.set(0.1, 0.25, 0);
     skeleton.add(rightLeg);
-
-    skeleton.position.set(position.x, 0, position.z);
-    
-    // Debug log for skeleton creation
-    logger.debug('enemyspawner', `Creating skeleton archer at ${position.x.toFixed(2)},${position.z.toFixed(2)}`);
-    
-    skeleton.mesh = skeleton;
-    
-    // Set enemy type for special behavior
-    skeleton.enemyType = 'skeletonArcher';
-    skeleton.lastShotTime = 0; // For tracking when the skeleton last shot an arrow
-    
-    // Set speed relative to baseSpeed (faster than standard zombie)
-    skeleton.speed = baseSpeed * 1.1; // 110% of base speed
-    
-    // Set mass for physics calculations - archers are lighter
-    skeleton.mass = 0.8;
-    
-    // Set default health
-    skeleton.health = 100;
-    // Set points value for this enemy type
-    skeleton.points = skeleton.health/10; // Base points for regular zombie
-    
-    // Scale the skeleton according to scale parameter
-    skeleton.scale.copy(scale);
-    
-    /**
-     * Updates the skeleton archer's position and behavior
-     * @param {Object} context - The update context containing all necessary information
-     */
-    skeleton.update = (context) => {
-        // Debug log update call
-        logger.verbose('enemy', `Skeleton archer update method called (at ${skeleton.position.x.toFixed(2)},${skeleton.position.z.toFixed(2)})`);
-        
-        const { 
-            playerPosition, 
-            delta, 
-            collisionSettings,
-            environmentObjects,
-            nearbyZombies,
-            zombieSizes,
-            gameState,
-            checkCollision,
-            pushAway,
-            damagePlayer
-        } = context;
-        
-        // Calculate direction to player
-        const direction = new THREE.Vector3(
-            playerPosition.x - skeleton.position.x,
-            0,
-            playerPosition.z - skeleton.position.z
-        );
-        
-        const distance = direction.length();
-        const finalDirection = direction.clone().normalize();
-        
-        // Debug distance to player
-        logger.verbose('enemy', `Skeleton archer distance to player: ${distance.toFixed(2)}`);
-        
-        // Special archer behavior - run away when too close, stand still at medium range
-        if (distance < 8) {
-            finalDirection.negate(); // Run away when close
-            logger.debug('enemy', `Skeleton archer retreating from player`);
-        } else if (distance > 15) {
-            // Move toward player (normal behavior)
-            logger.verbose('enemy', `Skeleton archer approaching player`);
-        } else {
-            // Stand still and shoot
-            // Shooting logic would go here - creating an arrow projectile, etc.
-            const currentTime = Date.now();
-            if (currentTime - skeleton.lastShotTime > 2000) { // Shoot every 2 seconds
-                skeleton.lastShotTime = currentTime;
-                // Fire arrow logic would go here
-                // Example: createArrow(skeleton.position, playerPosition, gameState);
-                logger.debug('enemy', `Skeleton archer firing arrow at player`);
-            }
-            return; // Don't move while shooting
-        }
-        
-        // Add slight randomness to movement
-        const randomFactor = Math.min(0.1, distance * 0.005);
-        const randomAngle = (Math.random() - 0.5) * Math.PI * randomFactor;
-        finalDirection.applyAxisAngle(new THREE.Vector3(0, 1, 0), randomAngle);
-        
-        // Calculate intended position
-        const moveDistance = skeleton.speed * delta * 60;
-        const intendedPosition = new THREE.Vector3()
-            .copy(skeleton.position)
-            .addScaledVector(finalDirection, moveDistance);
-        
-        // Debug log position change
-        logger.verbose('enemy', `Skeleton archer moving from ${skeleton.position.x.toFixed(2)},${skeleton.position.z.toFixed(2)} to ${intendedPosition.x.toFixed(2)},${intendedPosition.z.toFixed(2)}`);
-        
-        // Player collision
-        const { COLLISION_DISTANCE, DAMAGE_DISTANCE, DAMAGE_PER_SECOND, ZOMBIE_COLLISION_DISTANCE } = collisionSettings;
-        
-        if (checkCollision(intendedPosition, playerPosition, COLLISION_DISTANCE)) {
-            const newPosition = pushAway(intendedPosition, playerPosition, COLLISION_DISTANCE);
-            intendedPosition.x = newPosition.x;
-            intendedPosition.z = newPosition.z;
-            
-            if (checkCollision(intendedPosition, playerPosition, DAMAGE_DISTANCE)) {
-                const damageAmount = DAMAGE_PER_SECOND * delta;
-                if (gameState) damagePlayer(gameState, damageAmount);
-                logger.debug('enemy', `Skeleton archer deals ${damageAmount.toFixed(2)} damage to player`);
-            }
-        }
-        
-        // Zombie collisions
-        for (let i = 0; i < nearbyZombies.length; i++) {
-            const otherZombie = nearbyZombies[i];
-            if (!otherZombie || !otherZombie.mesh || otherZombie.mesh.isExploding) continue;
-            
-            if (checkCollision(intendedPosition, otherZombie.mesh.position, ZOMBIE_COLLISION_DISTANCE)) {
-                const thisSize = skeleton.mass || 1.0;
-                const otherSize = otherZombie.mesh.mass || 1.0;
-                
-                const avoidancePosition = pushAway(
-                    intendedPosition, 
-                    otherZombie.mesh.position, 
-                    ZOMBIE_COLLISION_DISTANCE
-                );
-                intendedPosition.x = (intendedPosition.x + avoidancePosition.x) * 0.5;
-                intendedPosition.z = (intendedPosition.z + avoidancePosition.z) * 0.5;
-            }
-        }
-        
-        // Environment collisions
-        if (environmentObjects) {
-            for (const object of environmentObjects) {
-                if (object && object.isObstacle) {
-                    const dx = intendedPosition.x - object.position.x;
-                    const dz = intendedPosition.z - object.position.z;
-                    const distance = Math.sqrt(dx * dx + dz * dz);
-                    if (distance < (object.boundingRadius || 2.5)) {
-                        const pushDirection = new THREE.Vector3(dx, 0, dz).normalize();
-                        const pushDistance = (object.boundingRadius || 2.5) - distance + 0.1;
-                        intendedPosition.x += pushDirection.x * pushDistance;
-                        intendedPosition.z += pushDirection.z * pushDistance;
-                        break;
-                    }
-                }
-            }
-        }
-        
-        // Apply final position and rotation
-        skeleton.position.copy(intendedPosition);
-        skeleton.rotation.y = Math.atan2(finalDirection.x, finalDirection.z);
-        
-        // Debug position confirmation
-        logger.verbose('enemy', `Skeleton archer position updated to ${skeleton.position.x.toFixed(2)},${skeleton.position.z.toFixed(2)}`);
-    };
-    
-    return skeleton;
 };
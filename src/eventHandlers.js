@@ -2,26 +2,73 @@ import { gameState } from './gameState.js';
 import { logger } from './utils/logger.js';
 import { spawnPowerupBehindPlayer } from './gameplay/powerupSpawner.js';
 import { createSoundSettingsUI, toggleSoundSettingsUI } from './ui/soundSettings.js';
+import { getSubMenu, toggleSubMenu } from './ui/menu.js';
+import { togglePauseMenu, isGamePaused } from './ui/pauseMenu.js';
+import { equipWeaponSlot, cycleWeapon } from './gameplay/weaponInventory.js';
+import { isReplayPlaying } from './replay/inputReplay.js';
+
+/**
+ * Applies a weapon switch asked for by the player
+ * Ignored while paused, after game over and during a replay (the replay has its own switches).
+ * @param {Function} change - Switch to make: (gameState) => boolean
+ */
+export function switchWeapon(change) {
+    if (gameState.gameOver || isGamePaused() || isReplayPlaying()) return;
+    change(gameState);
+}
+
+/**
+ * Gets the name a key is stored under in gameState.keys
+ * Goes by the physical key (event.code), so holding Shift to dash doesn't turn
+ * 1 into ! or w into W: letters are 'a'-'z', digits '1'-'9', both Shifts
+ * 'shift', Space ' ' and the arrows 'arrowup' etc. Anything else falls back
+ * to its lower-case event.key.
+ * @param {KeyboardEvent} event - The key event
+ * @returns {string} Key name
+ */
+export function getKeyName(event) {
+    const code = event.code || '';
+    if (/^Key[A-Z]$/.test(code)) return code.slice(3).toLowerCase();
+    if (/^(Digit|Numpad)[0-9]$/.test(code)) return code.slice(-1);
+    if (code === 'ShiftLeft' || code === 'ShiftRight') return 'shift';
+    if (code === 'Space') return ' ';
+    if (code.startsWith('Arrow')) return code.toLowerCase();
+    return (event.key || '').toLowerCase();
+}
 
 export function setupEventListeners(player, scene, camera,renderer) {
 // Setup event listeners
 document.addEventListener('keydown', (event) => {
-        gameState.keys[event.key.toLowerCase()] = true;
+        const key = getKeyName(event);
+        gameState.keys[key] = true;
         
-        // Debug key to spawn a powerup (P key)
-        if (event.key.toLowerCase() === 'p' && gameState.debug) {
+        // Debug key to spawn a powerup (Shift+P key)
+        if (key === 'p' && event.shiftKey && gameState.debug) {
             logger.debug('Manual powerup spawn triggered');
             spawnPowerupBehindPlayer(scene, gameState, player);
+        } else if (event.key === 'Escape' || key === 'p') {
+            // Pause / resume with Esc or P - a held key repeats, which would flicker the menu
+            if (event.repeat) return;
+            togglePauseMenu();
         }
         
-        // Toggle sound settings with M key
-        if (event.key.toLowerCase() === 'm') {
-            toggleSoundSettingsUI();
+        // Number keys pick a weapon slot
+        if (/^[1-9]$/.test(key)) {
+            switchWeapon((state) => equipWeaponSlot(state, Number(key)));
+        }
+        
+        // Toggle sound settings with M key (through the menu system so the game pauses while it is open)
+        if (key === 'm') {
+            if (getSubMenu('sound')) {
+                toggleSubMenu('sound');
+            } else {
+                toggleSoundSettingsUI();
+            }
         }
     });
 
     document.addEventListener('keyup', (event) => {
-        gameState.keys[event.key.toLowerCase()] = false;
+        gameState.keys[getKeyName(event)] = false;
     });
 
     document.addEventListener('mousemove', (event) => {
@@ -38,6 +85,12 @@ document.addEventListener('keydown', (event) => {
         gameState.mouseDown = false;
     });
 
+    // Mouse wheel cycles through the weapons carried
+    document.addEventListener('wheel', (event) => {
+        if (event.deltaY === 0) return;
+        switchWeapon((state) => cycleWeapon(state, Math.sign(event.deltaY)));
+    }, { passive: true });
+
     // Handle window resize
     window.addEventListener('resize', () => {
         camera.aspect = window.innerWidth / window.innerHeight;
@@ -3,12 +3,13 @@ import * as THREE from 'three';
 import { gameState, handleGameOver } from './gameState.js';
 
 // import { createScene, createCamera, createRenderer, createLighting, createGround } from './rendering/scene.js';
-import { createPlayer, handlePlayerMovement, createPlayerWeapon, aimPlayerWithMouse } from './gameplay/player.js';
+import { createPlayer, handlePlayerMovement, createPlayerWeapon, aimPlayerWithMouse, showEquippedWeapon } from './gameplay/player.js';
 import { updateZombies } from './gameplay/zombie.js';
-import { createExplosion } from './gameplay/zombieUtils.js';
+import { createExplosion, awardKill } from './gameplay/zombieUtils.js';
 import { createbaseZombie,createExploder,createSkeletonArcher,createZombieKing,createPlagueTitan,createNecrofiend,createRotBehemoth,createSkittercrab } from './enemies/enemyindex.js';
 import { updateUI, showMessage, initUI } from './ui/ui.js';
-import { handleCollisions, checkCollision, applyPowerupEffect } from './gameplay/physics.js';
+import { updatePerkChoice } from './ui/perkChoice.js';
+import { handleCollisions, checkCollision } from './gameplay/physics.js';
 import { createBullet, updateBullets } from './gameplay/weapons.js';
 import { logger } from './utils/logger.js';
 import { animatePowerup } from './gameplay/powerups2.js';
@@ -18,10 +19,24 @@ import { shouldSpawnPowerup, spawnPowerupBehindPlayer, cleanupOldPowerups,
          checkPortalCollision, cleanupOldPortals } from './gameplay/powerupSpawner.js';
 import { debugWebGL, fixWebGLContext, monitorRenderingPerformance, createFallbackCanvas } from './debug.js';
 import { safeCall } from './utils/safeAccess.js';
-import { spawnEnvironmentObjects, spawnEnemy } from './gameplay/entitySpawners.js';
+import { spawnEnvironmentObjects } from './gameplay/entitySpawners.js';
+import { updateWaves } from './gameplay/waveDirector.js';
 import { shootBullet, handleCombatCollisions, initCombatSystem } from './gameplay/combat.js';
 import { playSound } from './gameplay/audio.js';
 import { manageProceduralGround } from './rendering/environment.js';
+import { getRandom } from './utils/random.js';
+import { advanceSimClock, getSimTime, getSimSeconds, addSimTask, getTimeScale, isSimPaused } from './utils/simClock.js';
+import { updateNetwork, sendShots, sendDash } from './multiplayer/networkClient.js';
+import { updateInstancedEnemies } from './rendering/instancedEnemies.js';
+import { applyReplayInput, recordReplayInput } from './replay/inputReplay.js';
+import { captureKillCamSnapshot } from './rendering/killCam.js';
+import { unlockWeapons } from './gameplay/weaponInventory.js';
+import { startReload, updateReload } from './gameplay/ammo.js';
+import { updatePickups } from './gameplay/pickups.js';
+import { applyRunLoadout } from './gameplay/loadout.js';
+import { startDash, updateDash, updateDashAnimation } from './gameplay/dash.js';
+import { updateEquipment, updateGrenades, updateGrenadeAim } from './gameplay/equipment.js';
+import { updatePowerups, getActivePowerups, getPowerupLevel, applyMoveHooks } from './gameplay/activePowerups.js';
 
 /**
  * Controls and plays ambient enemy sounds based on global sound settings
@@ -95,202 +110,144 @@ function updateEnemySounds(zombies, currentTime, gameState) {
     }
 }
 
-// Animation loop with error handling
-function animate(scene, camera, renderer, player, clock, powerupTimer, innerCircle) {
-    requestAnimationFrame(() => animate(scene, camera, renderer, player, clock, powerupTimer, innerCircle));
+// Fixed simulation step - gameplay always advances in 1/60 s slices no matter
+// the display refresh rate, so results don't depend on frame rate
+const FIXED_TIMESTEP = 1 / 60;
+const MAX_STEPS_PER_FRAME = 5; // Avoid a spiral of death after a long hitch
+const MAX_FRAME_DELTA = 0.25; // Ignore time beyond this (tab switches, breakpoints)
+
+// Leftover real time not yet simulated (scaled by the sim time scale)
+let accumulator = 0;
+
+// Positions at the start of the latest step, used to interpolate rendering
+const previousPositions = new WeakMap(); // Object3D -> THREE.Vector3
+const renderedPositions = new WeakMap(); // Object3D -> THREE.Vector3 (true position while rendering)
+let trackedObjects = [];
+
+/**
+ * Records an object's position before a simulation step
+ * @param {THREE.Object3D} object - Object to interpolate when rendering
+ */
+const trackObject = (object) => {
+    let previous = previousPositions.get(object);
+    if (!previous) {
+        previous = new THREE.Vector3();
+        previousPositions.set(object, previous);
+    }
+    previous.copy(object.position);
+    trackedObjects.push(object);
+};
+
+/**
+ * Snapshots the positions of moving objects before a simulation step
+ * @param {THREE.Object3D} player - The player object
+ */
+const capturePreviousPositions = (player) => {
+    trackedObjects = [];
+    trackObject(player);
+    for (const zombie of gameState.zombies) {
+        if (zombie && zombie.mesh) trackObject(zombie.mesh);
+    }
+    for (const bullet of gameState.bullets) {
+        if (bullet && bullet.mesh) trackObject(bullet.mesh);
+    }
+};
+
+/**
+ * Moves tracked objects between their previous and current positions
+ * @param {number} alpha - How far into the next step we are (0-1)
+ */
+const applyInterpolation = (alpha) => {
+    for (const object of trackedObjects) {
+        // Skip objects removed from the scene during the step
+        if (!object.parent) continue;
+        
+        let current = renderedPositions.get(object);
+        if (!current) {
+            current = new THREE.Vector3();
+            renderedPositions.set(object, current);
+        }
+        current.copy(object.position);
+        object.position.lerpVectors(previousPositions.get(object), current, alpha);
+    }
+};
+
+/**
+ * Puts tracked objects back at their simulated positions after rendering
+ */
+const restoreInterpolation = () => {
+    for (const object of trackedObjects) {
+        if (!object.parent) continue;
+        object.position.copy(renderedPositions.get(object));
+    }
+};
+
+/**
+ * Advances the game by one fixed simulation step
+ * Contains all gameplay (movement, combat, enemies, spawning, powerups) and no
+ * rendering, so it can also be driven without a renderer
+ * @param {THREE.Scene} scene - The Three.js scene
+ * @param {THREE.Camera|null} camera - Camera used for mouse aiming (optional)
+ * @param {THREE.Object3D} player - The player object
+ * @param {number} delta - Step length in seconds
+ * @returns {boolean} True if the player is leaving through a portal
+ */
+function stepSimulation(scene, camera, player, delta = FIXED_TIMESTEP) {
+    // Advance simulation time first so timers and effect tasks run in step order
+    advanceSimClock(delta);
     
     try {
-        const delta = clock.getDelta();
-        const currentTime = Date.now();
+        const currentTime = getSimTime();
         
-        // Skip updates if game is over
-        if (gameState.gameOver) {
-            renderer.render(scene, camera);
-            return;
-        }
+        // A playing replay supplies this step's input (and aim) instead of the player
+        const replayAim = applyReplayInput(gameState, player);
         
-        // Handle countdown after first frame is rendered
-        if (gameState.showCountdown && gameState.countdownFunc) {
-            // Set the flag to false to ensure this only runs once
-            gameState.showCountdown = false;
-            
-            // Set up a pre-countdown rendering phase to ensure everything is visible
-            gameState.preCountdownFrames = 5; // Render 5 frames before starting countdown
-            
-            // Log that we're starting the pre-countdown phase
-            logger.info('game', 'Starting pre-countdown rendering to ensure environment is visible');
-        }
+        // The first step hands out what the shop's loadout starts the run with
+        applyRunLoadout(gameState, scene);
         
-        // Handle pre-countdown frames - render several frames before starting the countdown
-        if (gameState.preCountdownFrames > 0) {
-            // Decrement the frame counter
-            gameState.preCountdownFrames--;
-            
-            // Process a full frame update to ensure environment is rendered
-            handlePlayerMovement(player, gameState.keys, gameState.baseSpeed, gameState.mouse, delta);
-            aimPlayerWithMouse(player, gameState.mouse, camera);
-            gameState.worldData = manageProceduralGround(scene, player.position, gameState.worldData);
-            
-            // Update camera position
-            camera.position.x = player.position.x;
-            camera.position.z = player.position.z + 10;
-            camera.position.y = 10;
-            const targetPoint = new THREE.Vector3(
-                player.position.x,
-                player.position.y - 1,
-                player.position.z - 3
-            );
-            camera.lookAt(targetPoint);
-            
-            // Render the frame
-            renderer.render(scene, camera);
-            
-            // If this was the last pre-countdown frame, start the countdown
-            if (gameState.preCountdownFrames === 0) {
-                // Set a paused flag to stop game updates during countdown
-                gameState.pausedForCountdown = true;
-                
-                // Trigger the countdown
-                setTimeout(async () => {
-                    await gameState.countdownFunc();
-                    // Resume game after countdown completes
-                    gameState.pausedForCountdown = false;
-                    logger.info('game', 'Countdown complete, game started');
-                }, 100); // Small delay to ensure frames are visible
-            }
-            
-            return;
+        // Update player position based on input with direction-based speeds (powerups and curses may change them)
+        const movement = applyMoveHooks(gameState, gameState.baseSpeed * gameState.player.moveSpeedMultiplier);
+        // Shift dashes (read from the held keys so replays dash at the same step); no walking mid-dash
+        // In co-op the room owns health, so it is told about the dash as well
+        if (gameState.keys.shift && startDash(gameState, player, movement.reversed) && gameState.network) {
+            sendDash(gameState);
         }
-        
-        // If the game is paused for countdown, just render the scene without updating
-        if (gameState.pausedForCountdown) {
-            renderer.render(scene, camera);
-            return;
+        if (!updateDash(gameState, player, delta)) {
+            handlePlayerMovement(player, gameState.keys, movement.speed, gameState.mouse, delta, movement.reversed);
         }
         
-        // Update player position based on input with direction-based speeds
-        handlePlayerMovement(player, gameState.keys, gameState.baseSpeed, gameState.mouse, delta);
+        // Aim player with mouse (needs a camera to unproject the cursor)
+        if (replayAim !== null) {
+            player.rotation.y = replayAim;
+        } else if (camera) {
+            aimPlayerWithMouse(player, gameState.mouse, camera);
+        }
         
-        // Aim player with mouse
-        aimPlayerWithMouse(player, gameState.mouse, camera);
+        // Keep this step's input for the run's replay
+        recordReplayInput(gameState, player);
         
         // Manage procedural ground generation based on player position
         gameState.worldData = manageProceduralGround(scene, player.position, gameState.worldData);
         
-        // Update health halo based on player health
-        if (player.userData.healthHalo) {
-            // Calculate the angle based on health percentage (full circle = 2π radians)
-            const healthPercent = Math.max(0, Math.min(100, gameState.player.health)) / 100;
-            
-            // Only update if health percentage has changed from last frame
-            if (healthPercent !== player.userData.lastHealthPercent) {
-                const angle = healthPercent * Math.PI * 2;
-                
-                // Get stored values from player userData
-                const haloRadius = player.userData.haloRadius || 0.4;
-                const haloTubeWidth = player.userData.haloTubeWidth || 0.08;
-                
-                // Determine which material to use based on health percentage
-                let materialKey;
-                if (healthPercent > 0.8) {
-                    materialKey = 'full';
-                } else if (healthPercent > 0.6) {
-                    materialKey = 'high';
-                } else if (healthPercent > 0.4) {
-                    materialKey = 'medium';
-                } else if (healthPercent > 0.2) {
-                    materialKey = 'low';
-                } else {
-                    materialKey = 'critical';
-                }
-                
-                // Get the health halo and glow halo references
-                const healthHalo = player.userData.healthHalo;
-                const glowHalo = player.userData.glowHalo;
-                
-                // Get the materials without recreating them
-                const healthMaterials = player.userData.healthMaterials;
-                const glowMaterials = player.userData.glowMaterials;
-                
-                if (healthMaterials && glowMaterials) {
-                    // Update materials
-                    healthHalo.material = healthMaterials[materialKey];
-                    glowHalo.material = glowMaterials[materialKey];
-                    
-                    // Update geometries (dispose old ones first)
-                    if (healthHalo.geometry) healthHalo.geometry.dispose();
-                    if (glowHalo.geometry) glowHalo.geometry.dispose();
-                    
-                    // Create new geometries with correct arc lengths
-                    healthHalo.geometry = new THREE.RingGeometry(
-                        haloRadius - haloTubeWidth, 
-                        haloRadius, 
-                        32, 
-                        1, 
-                        0, 
-                        angle
-                    );
-                    
-                    glowHalo.geometry = new THREE.RingGeometry(
-                        haloRadius - haloTubeWidth - 0.02, 
-                        haloRadius + 0.02, 
-                        32, 
-                        1, 
-                        0, 
-                        angle
-                    );
-                    
-                    // Store the current health percent for comparison next frame
-                    player.userData.lastHealthPercent = healthPercent;
-                }
-            }
-            
-            // Add a subtle pulsing effect to the glow when health is low
-            if (healthPercent < 0.3 && player.userData.glowHalo) {
-                const pulseScale = 1 + 0.1 * Math.sin(currentTime * 0.01);
-                player.userData.glowHalo.scale.set(pulseScale, pulseScale, 1);
-            }
+        // Reload on R (read from the held keys so replays reload at the same step), finish reloads in progress
+        if (gameState.keys.r && !gameState.gameOver) {
+            startReload(gameState);
         }
+        updateReload(gameState);
         
-        // Update camera to follow player
-        camera.position.x = player.position.x;
-        
-        if (gameState.debug.enabled) {
-            // Use debug camera settings
-            const cameraSettings = gameState.debug.camera;
-            
-            // Calculate camera position based on debug settings
-            camera.position.z = player.position.z + cameraSettings.distance;
-            camera.position.y = cameraSettings.height;
-            
-            // Calculate a target point with tilt adjustment
-            const tiltRadians = THREE.MathUtils.degToRad(cameraSettings.tilt);
-            const targetPoint = new THREE.Vector3(
-                player.position.x,
-                player.position.y - 1 + Math.sin(tiltRadians) * cameraSettings.distance * 0.5,
-                player.position.z - 3 - Math.cos(tiltRadians) * 2
-            );
-            camera.lookAt(targetPoint);
-        } else {
-            // Default camera behavior for production mode
-            camera.position.z = player.position.z + 10; // Now in front of the player (flipped 180 degrees)
-            camera.position.y = 10; // Higher camera position for more overhead view (was 7)
-            
-            // Calculate a target point that's:
-            // 1. At the player's x position
-            // 2. Below the player's y position (to position player higher in frame)
-            // 3. Behind the player (to look back at the player)
-            const targetPoint = new THREE.Vector3(
-                player.position.x,
-                player.position.y - 1, // Adjusted to tilt camera more overhead
-                player.position.z - 3  // Now behind the player (flipped 180 degrees)
-            );
-            camera.lookAt(targetPoint);
-        }
+        // Throw grenades (G) and place mines (F) - after aiming, so a grenade goes where the player faces
+        updateEquipment(scene, player, gameState);
+        updateGrenades(gameState);
         
         // Handle continuous firing when mouse is held down - with rate limiting
         if ((gameState.mouseDown || gameState.keys[' ']) && !gameState.gameOver) {
+            const bulletCountBeforeShot = gameState.bullets.length;
             shootBullet(scene, player, gameState);
+            
+            // In co-op the room resolves hits, so forward any new bullets to it
+            if (gameState.network) {
+                sendShots(gameState, gameState.bullets.slice(bulletCountBeforeShot));
+            }
         }
         
         // Update bullets
@@ -359,18 +316,16 @@ function animate(scene, camera, renderer, player, clock, powerupTimer, innerCirc
                         75, // damage
                         gameState.zombies, 
                         player, 
-                        gameState
+                        gameState,
+                        'zombie' // Source is zombie, so the blast can hurt the player
                     );
                     
                     // Remove exploder
                     scene.remove(zombie.mesh);
                     gameState.zombies.splice(i, 1);
                     
-                    // Increment kill counter for explosion
-                    gameState.stats.zombiesKilled++;
-                    
-                    // Add points for successful explosion
-                    gameState.score += 25;
+                    // Count the kill and add points for a successful explosion
+                    awardKill(gameState, 25, 'exploderBlast');
                 }
             } catch (error) {
                 logger.error(`Error handling exploder explosion: ${error.message}`);
@@ -391,7 +346,6 @@ function animate(scene, camera, renderer, player, clock, powerupTimer, innerCirc
             const zombie = gameState.zombies[i];
             
             if (zombie.type === 'skeletonArcher') {
-                const currentTime = Date.now();
                 const ARCHER_COOLDOWN = 2000; // 2 seconds between shots
                 
                 if (currentTime - zombie.lastShotTime >= ARCHER_COOLDOWN) {
@@ -433,20 +387,21 @@ function animate(scene, camera, renderer, player, clock, powerupTimer, innerCirc
             }
         }
         
-        // Handle zombie king summoning minions
+        // Handle summoners (summonMinions behaviour) calling in minions
         for (let i = 0; i < gameState.zombies.length; i++) {
             const zombie = gameState.zombies[i];
             
-            if (zombie.type === 'zombieKing' && zombie.mesh.summonCooldown <= 0) {
+            if (zombie.mesh && zombie.mesh.summonCooldown <= 0) {
                 // Reset cooldown
-                zombie.mesh.summonCooldown = 10; // 10 seconds between summons
+                zombie.mesh.summonCooldown = zombie.mesh.summonInterval; // Seconds between summons
                 
-                // Summon 2-3 regular zombies around the king
-                const numMinions = 2 + Math.random() * 2;
+                // Summon 2-3 regular zombies around the summoner
+                const spawnRandom = getRandom('spawn');
+                const numMinions = 2 + spawnRandom() * 2;
                 
                 for (let j = 0; j < numMinions; j++) {
-                    const angle = Math.random() * Math.PI * 2;
-                    const distance = 2 + Math.random() * 2;
+                    const angle = spawnRandom() * Math.PI * 2;
+                    const distance = 2 + spawnRandom() * 2;
                     
                     const position = {
                         x: zombie.mesh.position.x + Math.sin(angle) * distance,
@@ -485,49 +440,46 @@ function animate(scene, camera, renderer, player, clock, powerupTimer, innerCirc
                 
                 // Animate and remove the effect
                 let scale = 1;
-                const animateSummonEffect = () => {
+                addSimTask(() => {
                     scale -= 0.02;
                     summonEffect.scale.set(scale, scale, scale);
                     summonEffect.material.opacity = scale * 0.7;
                     
                     if (scale > 0) {
-                        requestAnimationFrame(animateSummonEffect);
-                    } else {
-                        scene.remove(summonEffect);
-                        summonEffect.geometry.dispose();
-                        summonEffect.material.dispose();
+                        return true;
                     }
-                };
-                
-                animateSummonEffect();
+                    scene.remove(summonEffect);
+                    summonEffect.geometry.dispose();
+                    summonEffect.material.dispose();
+                    return false;
+                });
             }
         }
        
-        // Spawn new enemies based on time - much more frequently for a horde
-        if (currentTime - gameState.lastEnemySpawnTime > gameState.enemySpawnRate) {
-            // Check if we can spawn more zombies
-            if (gameState.zombies.length < gameState.maxZombies) {
-                // Spawn multiple zombies at once for a horde effect
-                const spawnCount = Math.min(5, gameState.maxZombies - gameState.zombies.length);
-                
-                for (let i = 0; i < spawnCount; i++) {
-                    spawnEnemy(player.position, scene, gameState);
-                }
-                
-                gameState.lastEnemySpawnTime = currentTime;
-            } else {
-                logger.debug('spawn', 'Max zombies reached, not spawning more');
-            }
+        // Sync with the co-op room (remote players, server zombies, our position)
+        if (gameState.network) {
+            updateNetwork(gameState, player, delta);
+        }
+       
+        // Spawn enemies in escalating waves with breaks in between
+        // In co-op the room server spawns enemies instead
+        if (!gameState.network) {
+            updateWaves(scene, player, gameState, currentTime);
         }
+        // Hand out any guns the new wave has reached
+        unlockWeapons(gameState);
+        
+        // Collect (and expire) the loot dropped by zombies
+        updatePickups(scene, player, gameState, delta);
         // Update powerups - animate them
         for (const powerup of gameState.powerups) {
             if (powerup.active && powerup.mesh) {
-                animatePowerup(powerup.mesh, clock.elapsedTime);
+                animatePowerup(powerup.mesh, getSimSeconds());
                 
                 // Add special effects for unlocked powerups
                 if (powerup.unlocked) {
                     // Add a pulsing glow effect to unlocked powerups
-                    const pulseIntensity = 0.5 + 0.2 * Math.sin(clock.elapsedTime * 4);
+                    const pulseIntensity = 0.5 + 0.2 * Math.sin(getSimSeconds() * 4);
                     
                     // Find core parts of the powerup to apply the glow
                     powerup.mesh.traverse((child) => {
@@ -604,8 +556,7 @@ function animate(scene, camera, renderer, player, clock, powerupTimer, innerCirc
                     window.location.href = gameState.returnPortal.referrerUrl;
                     
                     // Render one more frame and exit update loop
-                    renderer.render(scene, camera);
-                    return;
+                    return true;
                 }
             } else {
                 // Reset entry time if player leaves the portal
@@ -618,14 +569,13 @@ function animate(scene, camera, renderer, player, clock, powerupTimer, innerCirc
         
         // Update portals - animate them
         if (gameState.portals && gameState.portals.length > 0) {
-            updatePortals(gameState.portals, clock.elapsedTime, scene);
+            updatePortals(gameState.portals, getSimSeconds(), scene);
             
             // Check for portal collisions
             if (checkPortalCollision(player.position, player, gameState.portals, gameState)) {
                 // If collision happened, player is already being redirected
                 // No need to continue with the rest of the frame
-                renderer.render(scene, camera);
-                return;
+                return true;
             }
         }
         
@@ -655,83 +605,8 @@ function animate(scene, camera, renderer, player, clock, powerupTimer, innerCirc
         // Clean up old powerups
         cleanupOldPowerups(scene, gameState, 30000); // 30 seconds max age
         
-        // Update powerup duration
-        if (gameState.player.activePowerup && gameState.player.powerupDuration > 0) {
-            gameState.player.powerupDuration -= delta;
-            
-            // Debug log to track powerup duration
-            if (gameState.debug.enabled) {
-                logger.debug('powerup', `Powerup active: ${gameState.player.activePowerup}, duration: ${gameState.player.powerupDuration.toFixed(2)}`);
-            }
-            
-            // Update powerup timer indicator
-            if (!powerupTimer.visible) {
-                powerupTimer.visible = true;
-                innerCircle.visible = true;
-                
-                logger.info('powerup', `Showing powerup timer for ${gameState.player.activePowerup}`);
-                
-                // Access predefined materials for this powerup type
-                const powerupType = gameState.player.activePowerup;
-                
-                // Get material for this powerup type or use default if not found
-                const timerMaterial = powerupTimer.userData.materials && 
-                                     powerupTimer.userData.materials[powerupType] ? 
-                                     powerupTimer.userData.materials[powerupType] : 
-                                     powerupTimer.userData.materials.default;
-                
-                const innerMaterial = innerCircle.userData.materials && 
-                                     innerCircle.userData.materials[powerupType] ? 
-                                     innerCircle.userData.materials[powerupType] : 
-                                     innerCircle.userData.materials.default;
-                
-                // Use the predefined materials instead of changing colors
-                powerupTimer.material = timerMaterial;
-                innerCircle.material = innerMaterial;
-            }
-            
-            // Calculate scale based on remaining duration (starts at 1, shrinks to 0)
-            const scaleRatio = gameState.player.powerupDuration / 10;
-            
-            // Use scale transformation instead of recreating geometries
-            const effectiveScale = scaleRatio;
-            powerupTimer.scale.set(effectiveScale, effectiveScale, 1);
-            
-            // Add pulsing effect to the inner circle
-            const pulseScale = 0.9 + Math.sin(clock.elapsedTime * 5) * 0.1;
-            innerCircle.scale.set(effectiveScale * pulseScale, effectiveScale * pulseScale, 1);
-            
-            // Adjust opacity based on remaining time (fade out as time runs out)
-            const remainingTimeRatio = gameState.player.powerupDuration / 10;
-            
-            // Only update opacity - don't recreate the material
-            if (powerupTimer.material) {
-                powerupTimer.material.opacity = 0.6 * remainingTimeRatio + 0.2; // Min opacity 0.2
-            }
-            
-            // Clear powerup if duration is up
-            if (gameState.player.powerupDuration <= 0) {
-                gameState.player.activePowerup = null;
-                gameState.player.powerupDuration = 0;
-                powerupTimer.visible = false;
-                innerCircle.visible = false;
-                
-                // Reset to zero scale
-                powerupTimer.scale.set(0, 0, 0);
-                innerCircle.scale.set(0, 0, 0);
-            }
-        } else if (powerupTimer.visible || innerCircle.visible) {
-            // Ensure timer elements are hidden when no powerup is active
-            powerupTimer.visible = false;
-            innerCircle.visible = false;
-            
-            // Reset to zero scale
-            powerupTimer.scale.set(0, 0, 0);
-            innerCircle.scale.set(0, 0, 0);
-        }
-        
-        // Update UI
-        updateUI(gameState);
+        // Count down every running powerup on its own timer (the timer ring is drawn in renderFrame)
+        updatePowerups(gameState, scene, delta);
         
         // Update particles from dismemberment
         if (gameState.dismembermentParticles && gameState.dismembermentParticles.length > 0) {
@@ -757,6 +632,222 @@ function animate(scene, camera, renderer, player, clock, powerupTimer, innerCirc
             }
         }
         
+        // Keep the last seconds of the run for the kill-cam
+        captureKillCamSnapshot(gameState, player);
+    } catch (error) {
+        logger.error('Simulation step error:', error);
+    }
+    
+    return false;
+}
+
+/**
+ * Updates the powerup timer ring under the player from the powerup state
+ * With several powerups running the ring shows the one that runs out first.
+ * @param {THREE.Mesh} powerupTimer - Outer timer ring
+ * @param {THREE.Mesh} innerCircle - Inner pulsing circle
+ */
+function updatePowerupTimer(powerupTimer, innerCircle) {
+    const activePowerups = getActivePowerups(gameState);
+    if (activePowerups.length > 0) {
+        const powerup = activePowerups.reduce((soonest, next) => next.remaining < soonest.remaining ? next : soonest);
+        
+        if (!powerupTimer.visible || powerupTimer.userData.powerupType !== powerup.type) {
+            powerupTimer.visible = true;
+            innerCircle.visible = true;
+            powerupTimer.userData.powerupType = powerup.type;
+            
+            logger.info('powerup', `Showing powerup timer for ${powerup.type}`);
+            
+            // Use the predefined materials for this powerup type instead of changing colors
+            powerupTimer.material = powerupTimer.userData.materials[powerup.type] || powerupTimer.userData.materials.default;
+            innerCircle.material = innerCircle.userData.materials[powerup.type] || innerCircle.userData.materials.default;
+        }
+        
+        // Calculate scale based on remaining duration (starts at 1, shrinks to 0)
+        const remainingTimeRatio = powerup.remaining / powerup.duration;
+        
+        // Use scale transformation instead of recreating geometries
+        powerupTimer.scale.set(remainingTimeRatio, remainingTimeRatio, 1);
+        
+        // Add pulsing effect to the inner circle
+        const pulseScale = 0.9 + Math.sin(getSimSeconds() * 5) * 0.1;
+        innerCircle.scale.set(remainingTimeRatio * pulseScale, remainingTimeRatio * pulseScale, 1);
+        
+        // Only update opacity - don't recreate the material (fade out as time runs out)
+        if (powerupTimer.material) {
+            powerupTimer.material.opacity = 0.6 * remainingTimeRatio + 0.2; // Min opacity 0.2
+        }
+    } else if (powerupTimer.visible || innerCircle.visible) {
+        // Ensure timer elements are hidden when no powerup is active
+        powerupTimer.visible = false;
+        innerCircle.visible = false;
+        powerupTimer.userData.powerupType = null;
+        
+        // Reset to zero scale
+        powerupTimer.scale.set(0, 0, 0);
+        innerCircle.scale.set(0, 0, 0);
+    }
+}
+
+/**
+ * Shows the player effects (shield bubble, regen aura, ...) of the powerups that are running
+ * @param {THREE.Object3D} player - The player object
+ */
+function updatePowerupEffects(player) {
+    const effects = player.userData.powerupEffects || {};
+    Object.entries(effects).forEach(([type, effect]) => {
+        const level = getPowerupLevel(gameState, type);
+        effect.visible = level > 0;
+        if (level > 0 && effect.userData.update) {
+            effect.userData.update(level, getSimSeconds());
+        }
+    });
+}
+
+/**
+ * Draws the current state, interpolating moving objects between steps
+ * @param {THREE.Scene} scene - The Three.js scene
+ * @param {THREE.Camera} camera - The camera
+ * @param {THREE.WebGLRenderer} renderer - The renderer
+ * @param {THREE.Object3D} player - The player object
+ * @param {THREE.Mesh} powerupTimer - Outer powerup timer ring
+ * @param {THREE.Mesh} innerCircle - Inner powerup timer circle
+ * @param {number} alpha - How far into the next step we are (0-1)
+ */
+function renderFrame(scene, camera, renderer, player, powerupTimer, innerCircle, alpha) {
+    // Show objects part way between the last two steps for smooth motion
+    applyInterpolation(alpha);
+    
+    try {
+        // Show the gun the player switched to (or the replay switched to)
+        showEquippedWeapon(player, gameState.player.weapon);
+        
+        // Update health halo based on player health
+        if (player.userData.healthHalo) {
+            // Calculate the angle based on health percentage (full circle = 2π radians)
+            const { health, maxHealth } = gameState.player;
+            const healthPercent = Math.max(0, Math.min(maxHealth, health)) / maxHealth;
+            
+            // Only update if health percentage has changed from last frame
+            if (healthPercent !== player.userData.lastHealthPercent) {
+                const angle = healthPercent * Math.PI * 2;
+                
+                // Get stored values from player userData
+                const haloRadius = player.userData.haloRadius || 0.4;
+                const haloTubeWidth = player.userData.haloTubeWidth || 0.08;
+                
+                // Determine which material to use based on health percentage
+                let materialKey;
+                if (healthPercent > 0.8) {
+                    materialKey = 'full';
+                } else if (healthPercent > 0.6) {
+                    materialKey = 'high';
+                } else if (healthPercent > 0.4) {
+                    materialKey = 'medium';
+                } else if (healthPercent > 0.2) {
+                    materialKey = 'low';
+                } else {
+                    materialKey = 'critical';
+                }
+                
+                // Get the health halo and glow halo references
+                const healthHalo = player.userData.healthHalo;
+                const glowHalo = player.userData.glowHalo;
+                
+                // Get the materials without recreating them
+                const healthMaterials = player.userData.healthMaterials;
+                const glowMaterials = player.userData.glowMaterials;
+                
+                if (healthMaterials && glowMaterials) {
+                    // Update materials
+                    healthHalo.material = healthMaterials[materialKey];
+                    glowHalo.material = glowMaterials[materialKey];
+                    
+                    // Update geometries (dispose old ones first)
+                    if (healthHalo.geometry) healthHalo.geometry.dispose();
+                    if (glowHalo.geometry) glowHalo.geometry.dispose();
+                    
+                    // Create new geometries with correct arc lengths
+                    healthHalo.geometry = new THREE.RingGeometry(
+                        haloRadius - haloTubeWidth, 
+                        haloRadius, 
+                        32, 
+                        1, 
+                        0, 
+                        angle
+                    );
+                    
+                    glowHalo.geometry = new THREE.RingGeometry(
+                        haloRadius - haloTubeWidth - 0.02, 
+                        haloRadius + 0.02, 
+                        32, 
+                        1, 
+                        0, 
+                        angle
+                    );
+                    
+                    // Store the current health percent for comparison next frame
+                    player.userData.lastHealthPercent = healthPercent;
+                }
+            }
+            
+            // Add a subtle pulsing effect to the glow when health is low
+            if (healthPercent < 0.3 && player.userData.glowHalo) {
+                const pulseScale = 1 + 0.1 * Math.sin(getSimTime() * 0.01);
+                player.userData.glowHalo.scale.set(pulseScale, pulseScale, 1);
+            }
+        }
+        
+        // Update camera to follow player
+        camera.position.x = player.position.x;
+        
+        if (gameState.debug.enabled) {
+            // Use debug camera settings
+            const cameraSettings = gameState.debug.camera;
+            
+            // Calculate camera position based on debug settings
+            camera.position.z = player.position.z + cameraSettings.distance;
+            camera.position.y = cameraSettings.height;
+            
+            // Calculate a target point with tilt adjustment
+            const tiltRadians = THREE.MathUtils.degToRad(cameraSettings.tilt);
+            const targetPoint = new THREE.Vector3(
+                player.position.x,
+                player.position.y - 1 + Math.sin(tiltRadians) * cameraSettings.distance * 0.5,
+                player.position.z - 3 - Math.cos(tiltRadians) * 2
+            );
+            camera.lookAt(targetPoint);
+        } else {
+            // Default camera behavior for production mode
+            camera.position.z = player.position.z + 10; // Now in front of the player (flipped 180 degrees)
+            camera.position.y = 10; // Higher camera position for more overhead view (was 7)
+            
+            // Calculate a target point that's:
+            // 1. At the player's x position
+            // 2. Below the player's y position (to position player higher in frame)
+            // 3. Behind the player (to look back at the player)
+            const targetPoint = new THREE.Vector3(
+                player.position.x,
+                player.position.y - 1, // Adjusted to tilt camera more overhead
+                player.position.z - 3  // Now behind the player (flipped 180 degrees)
+            );
+            camera.lookAt(targetPoint);
+        }
+        
+        // Update powerup timer indicator
+        updatePowerupTimer(powerupTimer, innerCircle);
+        updatePowerupEffects(player);
+        updateDashAnimation(player, gameState);
+        updateGrenadeAim(scene, player, gameState);
+        
+        // Update UI (and the level-up perk choice, if one is open)
+        updateUI(gameState);
+        updatePerkChoice(gameState);
+        
+        // Copy the (interpolated) enemy transforms into the shared instanced meshes
+        updateInstancedEnemies(scene);
+        
         // Render scene with error handling
         try {
             renderer.render(scene, camera);
@@ -773,9 +864,134 @@ function animate(scene, camera, renderer, player, clock, powerupTimer, innerCirc
                 renderer.render(testScene, camera);
             }
         }
+    } finally {
+        // Gameplay must keep working with the real, simulated positions
+        restoreInterpolation();
+    }
+}
+
+/**
+ * Runs the fixed simulation steps one rendered frame's worth of time pays for
+ * Time is only banked while the simulation isn't paused, and a pause raised
+ * during a step (a level-up's perk choice, say) stops the steps after it.
+ * @param {THREE.Scene} scene - The Three.js scene
+ * @param {THREE.Camera|null} camera - Camera used for mouse aiming (optional)
+ * @param {THREE.Object3D} player - The player object
+ * @param {number} frameDelta - Real time since the last frame (seconds)
+ * @returns {number} Steps run
+ */
+function runFrameSteps(scene, camera, player, frameDelta) {
+    // Bank real time (scaled for slow motion) unless the simulation is paused
+    if (!isSimPaused()) {
+        accumulator += frameDelta * getTimeScale();
+    }
+    
+    // Run as many fixed steps as the banked time allows
+    let steps = 0;
+    while (accumulator >= FIXED_TIMESTEP && steps < MAX_STEPS_PER_FRAME && !gameState.gameOver && !isSimPaused()) {
+        capturePreviousPositions(player);
+        accumulator -= FIXED_TIMESTEP;
+        steps++;
+        
+        if (stepSimulation(scene, camera, player, FIXED_TIMESTEP)) {
+            // Leaving through a portal - stop simulating this frame
+            accumulator = 0;
+            break;
+        }
+    }
+    
+    // Drop time we couldn't catch up on instead of fast-forwarding later
+    if (steps === MAX_STEPS_PER_FRAME) {
+        accumulator = 0;
+    }
+    return steps;
+}
+
+/**
+ * Forgets banked frame time (a new run starts from a clean slate)
+ */
+function resetFrameTime() {
+    accumulator = 0;
+}
+
+// Animation loop with error handling
+function animate(scene, camera, renderer, player, clock, powerupTimer, innerCircle) {
+    requestAnimationFrame(() => animate(scene, camera, renderer, player, clock, powerupTimer, innerCircle));
+    
+    try {
+        const frameDelta = Math.min(clock.getDelta(), MAX_FRAME_DELTA);
+        
+        // Skip updates if game is over
+        if (gameState.gameOver) {
+            renderer.render(scene, camera);
+            return;
+        }
+        
+        // Handle countdown after first frame is rendered
+        if (gameState.showCountdown && gameState.countdownFunc) {
+            // Set the flag to false to ensure this only runs once
+            gameState.showCountdown = false;
+            
+            // Set up a pre-countdown rendering phase to ensure everything is visible
+            gameState.preCountdownFrames = 5; // Render 5 frames before starting countdown
+            
+            // Log that we're starting the pre-countdown phase
+            logger.info('game', 'Starting pre-countdown rendering to ensure environment is visible');
+        }
+        
+        // Handle pre-countdown frames - render several frames before starting the countdown
+        if (gameState.preCountdownFrames > 0) {
+            // Decrement the frame counter
+            gameState.preCountdownFrames--;
+            
+            // Process a full frame update to ensure environment is rendered
+            handlePlayerMovement(player, gameState.keys, gameState.baseSpeed, gameState.mouse, frameDelta);
+            aimPlayerWithMouse(player, gameState.mouse, camera);
+            gameState.worldData = manageProceduralGround(scene, player.position, gameState.worldData);
+            
+            // Update camera position
+            camera.position.x = player.position.x;
+            camera.position.z = player.position.z + 10;
+            camera.position.y = 10;
+            const targetPoint = new THREE.Vector3(
+                player.position.x,
+                player.position.y - 1,
+                player.position.z - 3
+            );
+            camera.lookAt(targetPoint);
+            
+            // Render the frame
+            renderer.render(scene, camera);
+            
+            // If this was the last pre-countdown frame, start the countdown
+            if (gameState.preCountdownFrames === 0) {
+                // Set a paused flag to stop game updates during countdown
+                gameState.pausedForCountdown = true;
+                
+                // Trigger the countdown
+                setTimeout(async () => {
+                    await gameState.countdownFunc();
+                    // Resume game after countdown completes
+                    gameState.pausedForCountdown = false;
+                    logger.info('game', 'Countdown complete, game started');
+                }, 100); // Small delay to ensure frames are visible
+            }
+            
+            return;
+        }
+        
+        // If the game is paused for countdown, just render the scene without updating
+        if (gameState.pausedForCountdown) {
+            renderer.render(scene, camera);
+            return;
+        }
+        
+        runFrameSteps(scene, camera, player, frameDelta);
+        
+        renderFrame(scene, camera, renderer, player, powerupTimer, innerCircle, accumulator / FIXED_TIMESTEP);
     } catch (error) {
         logger.error('Animation loop error:', error);
     }
 }
 
-export { animate };
\ No newline at end of file
+export { animate, stepSimulation, runFrameSteps, resetFrameTime, FIXED_TIMESTEP };
@@ -0,0 +1,139 @@
+/**
+ * Game Reset Module - Starts a fresh run in the same page
+ *
+ * Restarting used to reload the page, which re-downloaded every model and
+ * music track and went back through the startup screen. Instead the scene is
+ * split in two: objects that live for the whole page (lights, the player,
+ * pooled effects) are marked persistent once setup is done, and everything
+ * else - zombies, bullets, mines, powerups, portals, particles, ground tiles
+ * and scenery - belongs to a run. restartGame removes the run's objects, frees
+ * their GPU resources and puts the clock, seed, gameState and player back to
+ * how a new game starts. The game loop keeps running and picks the new run up
+ * on its next frame.
+ *
+ * Example usage:
+ *   import { markPersistent, restartGame } from './gameReset.js';
+ *
+ *   // Once, after the lights, player and effect pools are in the scene
+ *   markPersistent(scene);
+ *
+ *   // On R / the restart button
+ *   restartGame({ scene, player, seed: urlParams.get('seed') });
+ */
+
+import { gameState, resetGameState } from './gameState.js';
+import { spawnEnvironmentObjects } from './gameplay/entitySpawners.js';
+import { useSavedLoadout } from './gameplay/loadout.js';
+import { resetExplosionSystem } from './gameplay/zombieUtils.js';
+import { resetCombatSystem } from './gameplay/combat.js';
+import { playRandomMusicTrack } from './gameplay/audio.js';
+import { clearPauseReasons } from './ui/pauseMenu.js';
+import { closeRunHistory } from './ui/highScores.js';
+import { closeShop } from './ui/shop.js';
+import { startLeaderboardSession } from './leaderboard/leaderboardClient.js';
+import { startRecording, stopPlayback } from './replay/inputReplay.js';
+import { stopKillCam, clearKillCamSnapshots } from './rendering/killCam.js';
+import { resetSimClock } from './utils/simClock.js';
+import { setSeed } from './utils/random.js';
+import { hasDOM } from './utils/deviceDetection.js';
+import { logger } from './utils/logger.js';
+
+// Add 'restart' to logger sections if not already included
+logger.addSection('restart');
+
+/**
+ * Marks everything currently in the scene as living for the whole page
+ * Objects added later belong to a run and are removed by restartGame.
+ * @param {THREE.Scene} scene - The scene
+ */
+export const markPersistent = (scene) => {
+    scene.children.forEach((child) => {
+        child.userData.persistent = true;
+    });
+};
+
+/**
+ * Frees the GPU resources (geometry, materials, textures) of an object and its children
+ * Shared geometry or materials still in use elsewhere are simply uploaded again
+ * the next time they are drawn.
+ * @param {THREE.Object3D} object - The object (already removed from the scene)
+ */
+export const disposeObject = (object) => {
+    object.traverse((node) => {
+        if (node.geometry) node.geometry.dispose();
+        if (node.material) {
+            const materials = Array.isArray(node.material) ? node.material : [node.material];
+            materials.forEach((material) => {
+                if (material.map) material.map.dispose();
+                material.dispose();
+            });
+        }
+    });
+};
+
+/**
+ * Clears the current run and starts a new one without reloading the page
+ * @param {Object} options - Options
+ * @param {THREE.Scene} options.scene - The game scene
+ * @param {THREE.Object3D} options.player - The player object
+ * @param {string|number|null} [options.seed] - Seed for the new run (empty = a new random seed)
+ * @returns {number} How many objects were removed from the scene
+ */
+export const restartGame = ({ scene, player, seed = null }) => {
+    // Take down the game over screen and anything holding the game paused
+    if (hasDOM()) {
+        const gameOverScreen = document.getElementById('game-over-screen');
+        if (gameOverScreen) gameOverScreen.remove();
+        closeRunHistory();
+        closeShop();
+        stopKillCam(); // Puts the run's enemies back, so they are cleared with the rest
+    }
+    clearPauseReasons();
+
+    // Remove every object that belongs to the run (copy first - removing changes children)
+    const runObjects = scene.children.filter(child => !child.userData.persistent);
+    runObjects.forEach((object) => {
+        scene.remove(object);
+        disposeObject(object);
+    });
+
+    // The portals the player arrived through belonged to the first run
+    gameState.entryPortal = null;
+    gameState.returnPortal = null;
+
+    // Pooled explosions and the muzzle flash may have been mid-animation when their timers were dropped
+    resetExplosionSystem();
+    resetCombatSystem();
+
+    // Same seed again with ?seed=, otherwise a fresh one
+    resetSimClock();
+    setSeed(seed);
+    stopPlayback(gameState);
+    clearKillCamSnapshots();
+    resetGameState();
+
+    // Player back at the start
+    player.position.set(0, 0, 0);
+    player.rotation.set(0, 0, 0);
+    player.userData.lastHealthPercent = null; // Redraw the full health halo
+
+    spawnEnvironmentObjects(scene, gameState);
+    startRecording();
+
+    // Solo runs start with whatever the shop's loadout holds (a replay swaps in its own)
+    if (!gameState.network) {
+        useSavedLoadout(gameState, player);
+    }
+
+    if (gameState.audioReady) {
+        playRandomMusicTrack();
+    }
+
+    // The new run gets its own leaderboard session
+    if (hasDOM()) {
+        startLeaderboardSession();
+    }
+
+    logger.info('restart', `New run started, removed ${runObjects.length} objects from the last one`);
+    return runObjects.length;
+};
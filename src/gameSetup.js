@@ -13,14 +13,15 @@
 
 import * as THREE from 'three';
 import { createScene, createCamera, createRenderer, createLighting } from './rendering/scene.js';
-import { createPlayer, createPlayerWeapon } from './gameplay/player.js';
+import { createPlayer, showEquippedWeapon } from './gameplay/player.js';
 import { updateUI, initUI,showMessage, } from './ui/ui.js';
-import { initAudio, loadAudio, loadPositionalAudio, playSound, stopSound, toggleMute, setMasterVolume, debugAudioSystem, getAudioState, setAudioEnabled, loadMusicTracks, playRandomMusicTrack } from './gameplay/audio.js';
+import { initAudio, loadAudio, loadPositionalAudio, loadSynthAudio, playSound, stopSound, toggleMute, setMasterVolume, debugAudioSystem, getAudioState, setAudioEnabled, loadMusicTracks, playRandomMusicTrack } from './gameplay/audio.js';
 import { createSoundSettingsUI } from './ui/soundSettings.js';
 import { debugWebGL, fixWebGLContext, createFallbackCanvas } from './debug.js';
 import { logger } from './utils/logger.js';
 import { checkAudioFiles, fixAudioPath } from './utils/audioChecker.js';
 import { createGroundTile, manageProceduralGround } from './rendering/environment.js';
+import { POWERUP_REGISTRY } from './gameplay/powerupRegistry.js';
 // import { gameState } from './gameState.js'; gamestate is passed in as a parameter
 
 /**
@@ -141,94 +142,27 @@ export function initializeGame(gameState) {
         logger.info('stats', 'Initialized player position tracking for game statistics');
     }
 
-    // Add weapon to player
-    const playerWeapon = createPlayerWeapon();
-    player.add(playerWeapon);
+    // Add the equipped weapon to the player
+    showEquippedWeapon(player, gameState.player.weapon);
 
     // Create powerup timer indicator with predefined materials for each powerup type
     // Create a fixed-size geometry that will be scaled rather than recreated
     const MAX_TIMER_SIZE = 2.0;
     const powerupTimerGeometry = new THREE.RingGeometry(MAX_TIMER_SIZE * 0.8, MAX_TIMER_SIZE, 32);
     
-    // Create predefined materials for each powerup type to avoid shader recompilation
-    const powerupMaterials = {
-        rapidFire: new THREE.MeshBasicMaterial({
-            color: 0xffa500, // Orange
-            transparent: true,
-            opacity: 0.6,
-            side: THREE.DoubleSide
-        }),
-        shotgunBlast: new THREE.MeshBasicMaterial({
-            color: 0x4682b4, // Steel blue
-            transparent: true,
-            opacity: 0.6,
-            side: THREE.DoubleSide
-        }),
-        explosion: new THREE.MeshBasicMaterial({
-            color: 0xff0000, // Red
-            transparent: true,
-            opacity: 0.6,
-            side: THREE.DoubleSide
-        }),
-        laserShot: new THREE.MeshBasicMaterial({
-            color: 0x00ffff, // Cyan
-            transparent: true,
-            opacity: 0.6,
-            side: THREE.DoubleSide
-        }),
-        grenadeLauncher: new THREE.MeshBasicMaterial({
-            color: 0x228b22, // Forest green
-            transparent: true,
-            opacity: 0.6,
-            side: THREE.DoubleSide
-        }),
-        default: new THREE.MeshBasicMaterial({
-            color: 0x00ffff, // Default cyan
-            transparent: true,
-            opacity: 0.6,
-            side: THREE.DoubleSide
-        })
-    };
-    
-    // Create inner circle materials matching each powerup type
-    const innerCircleMaterials = {
-        rapidFire: new THREE.MeshBasicMaterial({
-            color: 0xffcc00, // Light orange
-            transparent: true,
-            opacity: 0.3,
-            side: THREE.DoubleSide
-        }),
-        shotgunBlast: new THREE.MeshBasicMaterial({
-            color: 0x87ceeb, // Light blue
-            transparent: true,
-            opacity: 0.3,
-            side: THREE.DoubleSide
-        }),
-        explosion: new THREE.MeshBasicMaterial({
-            color: 0xff6666, // Light red
-            transparent: true,
-            opacity: 0.3,
-            side: THREE.DoubleSide
-        }),
-        laserShot: new THREE.MeshBasicMaterial({
-            color: 0x99ffff, // Light cyan
-            transparent: true,
-            opacity: 0.3,
-            side: THREE.DoubleSide
-        }),
-        grenadeLauncher: new THREE.MeshBasicMaterial({
-            color: 0x32cd32, // Lime green
-            transparent: true,
-            opacity: 0.3,
-            side: THREE.DoubleSide
-        }),
-        default: new THREE.MeshBasicMaterial({
-            color: 0xffffff, // Default white
-            transparent: true,
-            opacity: 0.3,
-            side: THREE.DoubleSide
-        })
-    };
+    // Create predefined materials for each powerup type (colours from the registry) to avoid shader recompilation
+    const createTimerMaterial = (color, opacity) => new THREE.MeshBasicMaterial({
+        color,
+        transparent: true,
+        opacity,
+        side: THREE.DoubleSide
+    });
+    const powerupMaterials = { default: createTimerMaterial(0x00ffff, 0.6) };
+    const innerCircleMaterials = { default: createTimerMaterial(0xffffff, 0.3) };
+    for (const [type, definition] of Object.entries(POWERUP_REGISTRY)) {
+        powerupMaterials[type] = createTimerMaterial(definition.color, 0.6);
+        innerCircleMaterials[type] = createTimerMaterial(definition.innerColor, 0.3);
+    }
     
     // Use the default material for initial creation
     const powerupTimer = new THREE.Mesh(powerupTimerGeometry, powerupMaterials.default);
@@ -252,6 +186,17 @@ export function initializeGame(gameState) {
     innerCircle.userData.materials = innerCircleMaterials;
     powerupTimer.userData.maxSize = MAX_TIMER_SIZE;
 
+    // Effects some powerups show on the player while they run (shield bubble etc.) -
+    // built once and hidden, then shown by gameLoop.js from the powerup state
+    player.userData.powerupEffects = {};
+    for (const [type, definition] of Object.entries(POWERUP_REGISTRY)) {
+        if (!definition.createEffect) continue;
+        const effect = definition.createEffect();
+        effect.visible = false;
+        player.add(effect);
+        player.userData.powerupEffects[type] = effect;
+    }
+
     // Create clock for timing
     const clock = new THREE.Clock();
 
@@ -353,6 +298,17 @@ export function initializeGame(gameState) {
             // Load weapon sounds with correct VITE paths
             await loadAudio('gunshot', './sfx/gunshot.mp3', false, 0.8);
             
+            // Empty-gun click and reload clack (made on the fly - no files for these)
+            await loadSynthAudio('dryFire', 0.04, (t) => (Math.random() * 2 - 1) * Math.exp(-t * 150), 0.5);
+            await loadSynthAudio('reload', 0.25, (t) => {
+                const clack = (start) => t >= start ? Math.sin((t - start) * 2 * Math.PI * 900) * Math.exp(-(t - start) * 60) : 0;
+                return 0.6 * (clack(0) + clack(0.16));
+            }, 0.6);
+            
+            // Grenade whoosh and the beep of a mine being set (also made on the fly)
+            await loadSynthAudio('grenadeThrow', 0.3, (t) => (Math.random() * 2 - 1) * Math.sin(Math.PI * t / 0.3) * 0.5, 0.5);
+            await loadSynthAudio('minePlace', 0.15, (t) => Math.sin(t * 2 * Math.PI * 1200) * Math.exp(-t * 30), 0.4);
+            
             // Load zombie sounds
             await loadPositionalAudio('zombie-growl', './sfx/zombie-growl.mp3', 15, 0.7);
             await loadPositionalAudio('zombie-death', './sfx/zombie-death.mp3', 10, 0.8);
@@ -11,30 +11,67 @@
 import { logger } from './utils/logger.js';
 import { stopSound } from './gameplay/audio.js';
 import { showMessage } from './ui/ui.js';
+import { getSeed } from './utils/random.js';
+import { getSimTime } from './utils/simClock.js';
+import { hasDOM } from './utils/deviceDetection.js';
+import { recordRun } from './utils/runHistory.js';
+import { createHighScoreTable, openRunHistory, describeLeaderboardResult } from './ui/highScores.js';
+import { createRunSummary, isSubmittableRun } from './leaderboard/runSummary.js';
+import { submitRun } from './leaderboard/leaderboardClient.js';
+import { finishRecording, isReplayPlaying } from './replay/inputReplay.js';
+import { startKillCam, getKillCamClip, canRecordKillCam, saveKillCamClip } from './rendering/killCam.js';
+import { getStartingWeapons } from './gameplay/weaponInventory.js';
+import { earnCoins, addCoins } from './gameplay/metaProgress.js';
+import { openShop } from './ui/shop.js';
 
 // Set log level based on environment
-const DEBUG_MODE = window.NODE_ENV === 'development';
-console.log('GAMESTATE.JS: NODE_ENV = ', window.NODE_ENV);
+const DEBUG_MODE = globalThis.NODE_ENV === 'development';
+console.log('GAMESTATE.JS: NODE_ENV = ', globalThis.NODE_ENV);
 console.log('GAMESTATE.JS: DEBUG_MODE =', DEBUG_MODE);
 
 // Game state
 const gameState = {
     player: {
-        health: 100, exp: 0, damage: 40, speed: 0.15, activePowerup: null, powerupDuration: 0, name: 'Unknown Survivor'
+        health: 100, maxHealth: 100, exp: 0, damage: 40, speed: 0.15, name: 'Unknown Survivor',
+        level: 1, // Exp is earned towards the next level (see gameplay/experience.js)
+        perks: [], // Perks taken this run, in order (see gameplay/perks.js)
+        perkActions: [], // Perks taken and rerolls used, in order (what replays record)
+        perkChoice: null, // Perks on offer while a level-up choice is open
+        pendingPerks: 0, // Level-ups waiting for their choice
+        perkRerolls: 0, // Perk choices that can still be rerolled (bought in the shop)
+        coins: 0, // Coins picked up this run, banked for the shop at game over (see gameplay/pickups.js)
+        loadout: null, // What this run starts with (see gameplay/loadout.js), applied on its first step
+        loadoutApplied: false,
+        fireRateMultiplier: 1, moveSpeedMultiplier: 1, pierce: 0, pickupRadiusMultiplier: 1, // Changed by perks
+        weapons: getStartingWeapons(), // Guns carried (see gameplay/weaponInventory.js)
+        weapon: getStartingWeapons()[0], // Gun in hand
+        weaponUnlock: null, // Last gun picked up and when, for the HUD
+        ammo: {}, // Rounds per gun: { [type]: { magazine, reserve } } (see gameplay/ammo.js)
+        reload: null, // Reload in progress: { weapon, startTime, endTime }
+        dash: null, // Dash in progress: { startTime, x, z } (see gameplay/dash.js)
+        lastDashTime: -Infinity, invulnerableUntil: -Infinity, // Dash cooldown and invulnerability (sim ms)
+        equipment: {}, // Grenade and mine charges: { [type]: charges } (see gameplay/equipment.js)
+        equipmentKeys: {}, // Equipment keys held last step, to catch presses and releases
+        powerups: {} // Running powerups: { [type]: { level, remaining, duration } } (see gameplay/activePowerups.js)
     },
     zombies: [],bullets: [],keys: {},mouse: { x: 0, y: 0 },
     mouseDown: false, // Track if mouse button is held down
     gameOver: false, debug: DEBUG_MODE, /* Enable debug mode*/ camera: null, // Added for camera reference
-    powerups: [], lastShotTime: 0, environmentObjects: [], // Store environment objects
+    powerups: [], lastShotTime: -Infinity, environmentObjects: [], // Store environment objects
+    pickups: [], // Loot dropped by zombies (see gameplay/pickups.js)
+    grenades: [], // Thrown grenades in flight (see gameplay/equipment.js)
     enemySpawnRate: 250, // Time between enemy spawns in ms (reduced for more zombies)
     powerupSpawnRate: 4500, // ms between powerup spawns
     lastEnemySpawnTime: 0, maxZombies: 500, // Maximum number of zombies allowed at once
-    initialSpawnCount: 150, // Number of zombies to spawn at start (increased from 30 to 300)
+    wave: null, // Wave director progress (see gameplay/waveDirector.js), set below
     dismembermentParticles: [], // Store colorful particles for dismemberment effects
     lastPowerupSpawnTime: 0, // Track when the last powerup was spawned
+    powerupGroupCount: 0, // Offers spawned this run - the last offer's spawnGroup id
     playerObject: null, // Store player object for access by other functions
     baseSpeed: 0.07, // Global base speed for player and enemies
     score: 0, // Initialize score to 0
+    startingScore: 0, // Score carried in through a portal (?score=) - part of the score, but not earned this run
+    network: null, // Co-op room connection (set by multiplayer/networkClient.js when ?room= is used)
     // Sound control parameters
     sound: {
         lastZombieSoundTime: 0,     // Last time any zombie made a sound
@@ -49,14 +86,35 @@ const gameState = {
     },
     // Game statistics for end-game summary
     stats: {
-        startTime: Date.now(),       // When the game started
+        startTime: 0,                // Simulation time (ms) when the game started
         zombiesKilled: 0,            // Total zombies killed
-        distanceTraveled: 0          // Distance traveled by player (calculated at game over)
+        distanceTraveled: 0,         // Distance traveled by player (calculated at game over)
+        wavesCleared: 0,             // Waves fully cleared (set by the wave director)
+        scoreEvents: []              // { t, points, source, wave } per kill, for the leaderboard (see awardKill)
     }
 };
 
+/**
+ * Creates the wave progress for a new run - the lead-in before wave 1
+ * @returns {Object} Wave state read and updated by gameplay/waveDirector.js
+ */
+const createWaveState = () => ({
+    number: 0,             // Current (or last finished) wave, 0 before the first
+    phase: 'intermission', // 'intermission' between waves, 'active' while one runs
+    startTime: 0,          // Simulation time the current wave started
+    nextWaveTime: null,    // Simulation time the next wave starts (set by the director)
+    budget: 0,             // Enemies this wave spawns in total
+    spawned: 0,            // Enemies spawned so far this wave
+    isBossWave: false,
+    bossType: null,
+    config: null           // Full wave config (chances, multipliers)
+});
+
+gameState.wave = createWaveState();
+
 // Make gameState globally accessible for zombie collision detection
-window.gameState = gameState;
+// (globalThis is window in the browser, and also works when running headless)
+globalThis.gameState = gameState;
 
 // Update player speed to reference the global base speed
 gameState.player.speed = gameState.baseSpeed;
@@ -78,6 +136,91 @@ const setGlobalBaseSpeed = (newSpeed) => {
 // Add the function to gameState for access
 gameState.setGlobalBaseSpeed = setGlobalBaseSpeed;
 
+/**
+ * Clears everything that belongs to a single run (entities, timers, score, stats)
+ * Settings like spawn rates and sound chances are kept. Scene objects are not
+ * removed here - the caller owns the scene.
+ */
+const resetGameState = () => {
+    gameState.player.maxHealth = 100;
+    gameState.player.health = gameState.player.maxHealth;
+    gameState.player.lastDamageCause = null;
+    gameState.player.exp = 0;
+    gameState.player.level = 1;
+    gameState.player.perks = [];
+    gameState.player.perkActions = [];
+    gameState.player.perkChoice = null;
+    gameState.player.pendingPerks = 0;
+    gameState.player.perkRerolls = 0;
+    gameState.player.coins = 0;
+    gameState.player.loadout = null;
+    gameState.player.loadoutApplied = false;
+    gameState.player.damage = 40;
+    gameState.player.fireRateMultiplier = 1;
+    gameState.player.moveSpeedMultiplier = 1;
+    gameState.player.pierce = 0;
+    gameState.player.pickupRadiusMultiplier = 1;
+    gameState.player.powerups = {};
+    gameState.player.weapons = getStartingWeapons();
+    gameState.player.weapon = gameState.player.weapons[0];
+    gameState.player.weaponUnlock = null;
+    gameState.player.ammo = {};
+    gameState.player.reload = null;
+    gameState.player.dash = null;
+    gameState.player.lastDashTime = -Infinity;
+    gameState.player.invulnerableUntil = -Infinity;
+    gameState.player.equipment = {};
+    gameState.player.equipmentKeys = {};
+
+    gameState.zombies = [];
+    gameState.bullets = [];
+    gameState.powerups = [];
+    gameState.portals = [];
+    gameState.mines = [];
+    gameState.pickups = [];
+    gameState.grenades = [];
+    gameState.projectiles = [];
+    gameState.dismembermentParticles = [];
+    gameState.environmentObjects = [];
+    gameState.worldData = null;
+
+    gameState.keys = {};
+    gameState.mouseDown = false;
+    gameState.gameOver = false;
+    gameState.score = 0;
+    gameState.startingScore = 0;
+
+    // Timers are simulation times, so they restart from zero with the sim clock
+    gameState.lastShotTime = -Infinity; // First shot is never in cooldown
+    gameState.lastEnemySpawnTime = 0;
+    gameState.lastPowerupSpawnTime = 0;
+    gameState.lastPowerupCheckTime = 0;
+    gameState.lastPowerupCheckFrameTime = 0;
+    gameState.lastPortalSpawnTime = 0;
+    gameState.lastPortalCheckTime = 0;
+    gameState.lastPortalCheckFrameTime = 0;
+    gameState.currentPowerupGroup = null;
+    gameState.powerupGroupCount = 0;
+    gameState.sound.lastZombieSoundTime = 0;
+    gameState.wave = createWaveState();
+
+    gameState.stats = {
+        startTime: getSimTime(),
+        zombiesKilled: 0,
+        distanceTraveled: 0,
+        wavesCleared: 0,
+        scoreEvents: []
+    };
+};
+
+/**
+ * Gets the part of the score earned during this run
+ * Leaves out a score carried in through a portal, which anyone can put in the URL.
+ * @param {Object} state - The game state
+ * @returns {number} Points scored this run
+ */
+const getEarnedScore = (state) => Math.max(0, state.score - (state.startingScore || 0));
+
 /**
  * Handles game over state, displays message and sets up restart functionality
  */
@@ -87,13 +230,8 @@ const handleGameOver = () => {
     
     gameState.gameOver = true;
     
-    // Save player name to localStorage for next session
-    if (gameState.player.name) {
-        localStorage.setItem('playerName', gameState.player.name);
-    }
-    
     // Calculate final stats
-    const timePlayedMs = Date.now() - gameState.stats.startTime;
+    const timePlayedMs = getSimTime() - gameState.stats.startTime;
     const timePlayedSeconds = Math.floor(timePlayedMs / 1000);
     const minutes = Math.floor(timePlayedSeconds / 60);
     const seconds = timePlayedSeconds % 60;
@@ -105,9 +243,42 @@ const handleGameOver = () => {
         const distanceFromOrigin = Math.sqrt(pos.x * pos.x + pos.z * pos.z);
         gameState.stats.distanceTraveled = distanceFromOrigin;
     }
+    gameState.stats.timePlayedMs = timePlayedMs;
+    gameState.stats.causeOfDeath = gameState.player.lastDamageCause || 'Unknown';
+    
+    // A replay's run was recorded (and scored) when it was played
+    const watchingReplay = isReplayPlaying();
+    const replay = watchingReplay ? null : finishRecording(gameState);
+    
+    // Headless runs (tests, simulations) stop here - the rest is the game over screen
+    if (!hasDOM()) {
+        logger.info('game', `Game over after ${formattedTime} with score ${gameState.score}`);
+        return;
+    }
+    
+    // Save player name to localStorage for next session
+    if (gameState.player.name) {
+        localStorage.setItem('playerName', gameState.player.name);
+    }
+    
+    // Add the run to the local high scores and history
+    const { run, rank } = watchingReplay ? { run: null, rank: 0 } : recordRun({
+        name: gameState.player.name,
+        score: gameState.score,
+        timeMs: timePlayedMs,
+        kills: gameState.stats.zombiesKilled,
+        distance: gameState.stats.distanceTraveled,
+        wave: gameState.wave.number,
+        seed: getSeed(),
+        cause: gameState.stats.causeOfDeath
+    });
+    
+    // The score earned this run and the coins picked up go to the shop
+    const coinsEarned = watchingReplay ? 0 : earnCoins(getEarnedScore(gameState)) + addCoins(gameState.player.coins);
     
     // Display game over message
     const gameOverDiv = document.createElement('div');
+    gameOverDiv.id = 'game-over-screen';
     gameOverDiv.style.position = 'absolute';
     gameOverDiv.style.top = '50%';
     gameOverDiv.style.left = '50%';
@@ -124,17 +295,47 @@ const handleGameOver = () => {
     gameOverDiv.style.width = '80%';
     gameOverDiv.style.maxWidth = '600px';
     gameOverDiv.innerHTML = `
-        GAME OVER<br>
+        ${watchingReplay ? 'REPLAY OVER' : 'GAME OVER'}<br>
         ${gameState.player.name} has fallen!<br>
         Score: ${gameState.score}<br>
         <div style="font-size: 28px; margin-top: 15px; color: #ffffff; line-height: 1.4;">
             Time Survived: ${formattedTime}<br>
             Zombies Killed: ${gameState.stats.zombiesKilled}<br>
-            Distance Traveled: ${Math.round(gameState.stats.distanceTraveled)} meters
-        </div><br>
+            ${gameState.wave.number > 0 ? `Wave Reached: ${gameState.wave.number}<br>` : ''}
+            Distance Traveled: ${Math.round(gameState.stats.distanceTraveled)} meters<br>
+            Killed by: ${gameState.stats.causeOfDeath}
+        </div>
+        ${rank === 1 ? '<div style="font-size: 28px; margin-top: 10px; color: #ffdd44;">NEW PERSONAL BEST!</div>' : ''}
+        ${coinsEarned > 0 ? `<div style="font-size: 24px; margin-top: 10px; color: #ffcc33;">+${coinsEarned} coins</div>` : ''}
+        <div style="font-size: 16px; margin-top: 10px; color: #cccccc;">Seed: ${getSeed()}</div><br>
         <span style="font-size: 24px">Press R to restart</span>
     `;
     
+    // Best runs for this name, with the one just played highlighted
+    gameOverDiv.appendChild(createHighScoreTable(gameState.player.name, { highlight: run }));
+    
+    // Submit to the leaderboard server, if there is one (co-op scores belong to the room)
+    if (!gameState.network && !watchingReplay) {
+        const leaderboardStatus = document.createElement('div');
+        Object.assign(leaderboardStatus.style, {
+            fontSize: '16px',
+            fontWeight: 'normal',
+            color: '#cccccc'
+        });
+        gameOverDiv.appendChild(leaderboardStatus);
+        
+        if (isSubmittableRun(gameState)) {
+            leaderboardStatus.textContent = 'Submitting to the leaderboard...';
+            submitRun(createRunSummary(gameState, { name: gameState.player.name, seed: getSeed() }))
+                .then((result) => {
+                    leaderboardStatus.textContent = describeLeaderboardResult(result);
+                });
+        } else {
+            // The score brought in through the portal has no kills behind it, so the server would turn it away
+            leaderboardStatus.textContent = 'Runs that arrive through a portal with a score are not sent to the leaderboard';
+        }
+    }
+    
     // Create restart button for mobile users
     const restartButton = document.createElement('button');
     restartButton.textContent = 'RESTART GAME';
@@ -188,17 +389,15 @@ const handleGameOver = () => {
             transform: 'scale(1)'
         });
         
-        // Delay the reload slightly to show the button press animation
-        setTimeout(() => {
-            location.reload();
-        }, 100);
+        // Delay the restart slightly to show the button press animation
+        setTimeout(restartRun, 100);
     });
     
     // Add click event for desktop
     restartButton.addEventListener('click', (e) => {
         // Only trigger on real mouse clicks, not on touch events that generate click events
         if (e.pointerType !== 'touch') {
-            location.reload();
+            restartRun();
         }
     });
     
@@ -327,6 +526,72 @@ const handleGameOver = () => {
         backButton.style.display = 'none';
     }
     
+    // Create "RUN HISTORY" button
+    const historyButton = document.createElement('button');
+    historyButton.textContent = 'RUN HISTORY';
+    historyButton.id = 'historyButton';
+    Object.assign(historyButton.style, {
+        backgroundColor: '#666666', // Grey - not one of the ways out
+        color: 'white',
+        border: 'none',
+        padding: '15px 30px',
+        borderRadius: '5px',
+        fontSize: '20px',
+        fontWeight: 'bold',
+        cursor: 'pointer',
+        boxShadow: '0 0 10px rgba(0, 0, 0, 0.5)',
+        display: 'block',
+        margin: '20px auto',
+        WebkitTapHighlightColor: 'transparent',
+        touchAction: 'manipulation',
+        userSelect: 'none'
+    });
+    historyButton.addEventListener('click', () => openRunHistory(gameState.player.name));
+    
+    // Create "SHOP" button - coins and the next run's loadout
+    const shopButton = document.createElement('button');
+    shopButton.textContent = 'SHOP';
+    shopButton.id = 'shopButton';
+    shopButton.style.cssText = historyButton.style.cssText;
+    shopButton.style.backgroundColor = '#aa8800'; // Gold - spending coins
+    shopButton.addEventListener('click', openShop);
+    
+    // Buttons about the run just played - watch it again, keep it, share the kill-cam
+    const replayButtons = [];
+    const createReplayButton = (label, onClick) => {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.style.cssText = historyButton.style.cssText;
+        button.style.backgroundColor = '#aa6600'; // Orange - about the run just played
+        button.addEventListener('click', () => onClick(button));
+        replayButtons.push(button);
+    };
+    // (only with the replay controls set up by main.js)
+    if (replay && gameState.playReplay) {
+        createReplayButton('WATCH REPLAY', () => gameState.playReplay(replay));
+        createReplayButton('DOWNLOAD REPLAY', () => gameState.downloadReplay(replay));
+    }
+    
+    // The last seconds of the run play behind this screen (once the step that ended it is over);
+    // the clip can be saved as a video
+    const hasKillCam = getKillCamClip().duration > 0;
+    if (hasKillCam) {
+        setTimeout(() => startKillCam(gameState), 0);
+    }
+    if (hasKillCam && canRecordKillCam()) {
+        createReplayButton('SAVE DEATH CLIP', (button) => {
+            button.disabled = true;
+            button.textContent = 'RECORDING CLIP...';
+            saveKillCamClip()
+                .then(() => { button.textContent = 'SAVE DEATH CLIP'; })
+                .catch((error) => {
+                    logger.warn('game', `Kill-cam clip not saved: ${error.message}`);
+                    button.textContent = 'CLIP NOT SAVED';
+                })
+                .finally(() => { button.disabled = false; });
+        });
+    }
+    
     // Make buttons bigger on mobile
     if (window.gameState?.controls?.isMobileDevice || window.gameState?.controls?.isTouchDevice) {
         const styleButtons = (btn) => {
@@ -340,20 +605,46 @@ const handleGameOver = () => {
         styleButtons(restartButton);
         styleButtons(vibeVerseButton);
         styleButtons(backButton);
+        styleButtons(historyButton);
+        styleButtons(shopButton);
+        replayButtons.forEach(styleButtons);
     }
     
     // Add buttons to game over div
     gameOverDiv.appendChild(restartButton);
+    gameOverDiv.appendChild(historyButton);
+    gameOverDiv.appendChild(shopButton);
+    replayButtons.forEach(button => gameOverDiv.appendChild(button));
     gameOverDiv.appendChild(vibeVerseButton);
     gameOverDiv.appendChild(backButton);
     document.body.appendChild(gameOverDiv);
     
     // Add event listener for restart via keyboard (keep this for desktop users)
-    document.addEventListener('keydown', (event) => {
-        if (event.key.toLowerCase() === 'r' && gameState.gameOver) {
-            location.reload(); // Simple reload to restart
-        }
-    });
+    // Same function every game over, so the browser only registers it once
+    document.addEventListener('keydown', handleRestartKey);
+};
+
+/**
+ * Starts a new run - in place when main.js has set up gameState.restartGame,
+ * otherwise (or in a co-op room, where the server owns the run) by reloading
+ */
+const restartRun = () => {
+    if (!gameState.gameOver) return; // Already restarted (e.g. R and the button)
+    if (gameState.restartGame && !gameState.network) {
+        gameState.restartGame();
+    } else {
+        location.reload();
+    }
+};
+
+/**
+ * Restarts on R after game over
+ * @param {KeyboardEvent} event - The key event
+ */
+const handleRestartKey = (event) => {
+    if (event.key.toLowerCase() === 'r' && gameState.gameOver) {
+        restartRun();
+    }
 };
 
 // Assign the handleGameOver function to gameState
@@ -372,4 +663,4 @@ const initPlayerPositionTracking = (position) => {
 // Add the functions to gameState for access
 gameState.initPlayerPositionTracking = initPlayerPositionTracking;
 
-export { gameState, handleGameOver, setGlobalBaseSpeed }; 
\ No newline at end of file
+export { gameState, handleGameOver, setGlobalBaseSpeed, resetGameState, getEarnedScore };
\ No newline at end of file
@@ -0,0 +1,159 @@
+/**
+ * Active Powerups Module - The powerups the player has running right now
+ *
+ * Running powerups are kept in gameState.player.powerups as
+ * { [type]: { level, remaining, duration } }, with remaining and duration in
+ * seconds. Each one counts down on its own timer, so any number can run side
+ * by side. Collecting one that is already running raises its level (up to the
+ * registry's maxLevel) and gives it a full, level-length timer again.
+ *
+ * What a powerup does comes from its hooks in powerupRegistry.js. This module
+ * runs them: onActivate when collected, onFire from combat.js for each shot,
+ * onMove before the player moves, onHit for each bullet that hits a zombie,
+ * onDamage from damagePlayer() before the player loses health, onTick from the
+ * step and onExpire when a timer runs out.
+ *
+ * Example usage:
+ *   import { activatePowerup, updatePowerups, applyFireHooks } from './gameplay/activePowerups.js';
+ *
+ *   activatePowerup(gameState, 'rapidFire', scene);        // Collected
+ *   updatePowerups(gameState, scene, delta);              // Once per simulation step
+ *   const fireMode = applyFireHooks(gameState, weapon);   // Before a shot
+ */
+
+import { POWERUP_TYPES, getPowerupDefinition, getPowerupDuration } from './powerupRegistry.js';
+import { playSound } from './audio.js';
+import { showMessage } from '../ui/ui.js';
+import { logger } from '../utils/logger.js';
+
+// Add 'powerup' to logger sections if not already included
+logger.addSection('powerup');
+
+/**
+ * Gets the running powerups in registry order
+ * @param {Object} gameState - The game state
+ * @returns {Array<Object>} [{ type, level, remaining, duration }]
+ */
+export const getActivePowerups = (gameState) => {
+    const running = gameState.player.powerups || {};
+    return POWERUP_TYPES.filter(type => running[type]).map(type => ({ type, ...running[type] }));
+};
+
+/**
+ * Gets a powerup's level
+ * @param {Object} gameState - The game state
+ * @param {string} type - Powerup type
+ * @returns {number} Level, or 0 if it is not running
+ */
+export const getPowerupLevel = (gameState, type) => gameState.player.powerups?.[type]?.level || 0;
+
+/**
+ * Starts a powerup, or levels it up and restarts its timer if it is already running
+ * @param {Object} gameState - The game state
+ * @param {string} type - Powerup type
+ * @param {THREE.Scene} [scene] - The scene (for powerups that put things in the world)
+ * @returns {Object} The running powerup { level, remaining, duration }
+ */
+export const activatePowerup = (gameState, type, scene = null) => {
+    const definition = getPowerupDefinition(type);
+    if (!definition) throw new Error(`Unknown powerup type: ${type}`);
+    if (!gameState.player.powerups) gameState.player.powerups = {};
+
+    const current = gameState.player.powerups[type];
+    const level = current ? Math.min(current.level + 1, definition.maxLevel) : 1;
+    const duration = getPowerupDuration(type, level);
+    const powerup = { level, remaining: duration, duration };
+    gameState.player.powerups[type] = powerup;
+
+    if (definition.onActivate) {
+        definition.onActivate({ gameState, scene, powerup }, level);
+    }
+
+    playSound('powerupPickup');
+    if (definition.cursed) {
+        showMessage(`Cursed: ${definition.name}!`, 2000);
+    } else {
+        showMessage(level > 1 ? `${definition.name} level ${level}!` : `${definition.name} activated!`, 2000);
+    }
+    logger.info('powerup', `Activated ${type} at level ${level} for ${duration}s`);
+    return powerup;
+};
+
+/**
+ * Counts down every running powerup, runs their onTick hooks and ends the ones that are up
+ * Call once per simulation step.
+ * @param {Object} gameState - The game state
+ * @param {THREE.Scene} scene - The scene
+ * @param {number} delta - Step length (seconds)
+ */
+export const updatePowerups = (gameState, scene, delta) => {
+    for (const { type, level } of getActivePowerups(gameState)) {
+        const powerup = gameState.player.powerups[type];
+        const definition = getPowerupDefinition(type);
+        if (definition.onTick) {
+            definition.onTick({ gameState, scene, delta, powerup }, level);
+        }
+
+        powerup.remaining -= delta;
+        if (powerup.remaining <= 0) {
+            delete gameState.player.powerups[type];
+            if (definition.onExpire) {
+                definition.onExpire({ gameState, scene, powerup }, level);
+            }
+            logger.info('powerup', `${type} ran out`);
+        }
+    }
+};
+
+/**
+ * Works out what a shot fires: the equipped gun as changed by every running powerup's onFire
+ * @param {Object} gameState - The game state
+ * @param {Object} weapon - Equipped weapon definition
+ * @returns {Object} Fire mode (weapon definition fields)
+ */
+export const applyFireHooks = (gameState, weapon) => getActivePowerups(gameState).reduce((mode, { type, level }) => {
+    const { onFire } = getPowerupDefinition(type);
+    return onFire ? onFire(mode, level) : mode;
+}, weapon);
+
+/**
+ * Works out how the player moves this step, as changed by every running powerup's onMove
+ * @param {Object} gameState - The game state
+ * @param {number} speed - Base movement speed
+ * @returns {Object} { speed, reversed }
+ */
+export const applyMoveHooks = (gameState, speed) => getActivePowerups(gameState).reduce((movement, { type, level }) => {
+    const { onMove } = getPowerupDefinition(type);
+    return onMove ? onMove(movement, level) : movement;
+}, { speed, reversed: false });
+
+/**
+ * Runs every running powerup's onHit hook for a player bullet that hit a zombie
+ * A hook may keep the bullet going by clearing bullet.toRemove.
+ * @param {Object} gameState - The game state
+ * @param {THREE.Scene} scene - The scene
+ * @param {Object} bullet - The bullet
+ * @param {Object} zombie - The zombie it hit
+ */
+export const applyHitHooks = (gameState, scene, bullet, zombie) => {
+    for (const { type, level } of getActivePowerups(gameState)) {
+        const { onHit } = getPowerupDefinition(type);
+        if (onHit) onHit({ gameState, scene, bullet, zombie }, level);
+    }
+};
+
+/**
+ * Lets every running powerup's onDamage hook soak up some of a hit on the player
+ * @param {Object} gameState - The game state
+ * @param {number} damage - Damage about to be dealt
+ * @returns {number} Damage left over for the player's health
+ */
+export const applyDamageHooks = (gameState, damage) => {
+    let remaining = damage;
+    for (const { type, level } of getActivePowerups(gameState)) {
+        const { onDamage } = getPowerupDefinition(type);
+        if (!onDamage || remaining <= 0) continue;
+        remaining = onDamage({ gameState, damage: remaining, powerup: gameState.player.powerups[type] }, level);
+    }
+    return remaining;
+};
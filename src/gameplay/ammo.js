@@ -0,0 +1,151 @@
+/**
+ * Ammo Module - Magazines, reserve ammo and reloading
+ *
+ * Every gun has a magazine and a reserve (weapons.json "ammo"). Each shot
+ * takes ammoPerShot rounds from the magazine; an empty magazine reloads on its
+ * own from the reserve, and R reloads early. A reload takes the gun's
+ * reloadTime of simulation time and is dropped if the player switches guns.
+ * A gun with a null reserve never runs out, it only has to reload. Ammo is
+ * kept per gun in gameState.player.ammo and starts full the first time a gun
+ * is used in a run.
+ *
+ * Reloads are started from the step (R is read from gameState.keys, not a key
+ * event) and timed on the simulation clock, so replays reload exactly when the
+ * recorded run did.
+ *
+ * Example usage:
+ *   import { takeRounds, startReload, updateReload, getAmmo } from './gameplay/ammo.js';
+ *
+ *   // In the step
+ *   if (gameState.keys.r) startReload(gameState);
+ *   updateReload(gameState);
+ *
+ *   // When the trigger is pulled
+ *   if (takeRounds(gameState, weapon, weapon.ammoPerShot) === AMMO_RESULT.fired) { ... }
+ */
+
+import { getWeaponDefinition } from './weaponDefinitions.js';
+import { getEquippedWeapon } from './weaponInventory.js';
+import { playSound } from './audio.js';
+import { getSimTime } from '../utils/simClock.js';
+import { logger } from '../utils/logger.js';
+
+// Add 'ammo' to logger sections if not already included
+logger.addSection('ammo');
+
+// What happened when the trigger asked for rounds
+export const AMMO_RESULT = {
+    fired: 'fired',         // Rounds taken, shoot
+    reloading: 'reloading', // Busy reloading (or just started to), no shot
+    empty: 'empty'          // Magazine and reserve both dry
+};
+
+/**
+ * Gets a gun's ammo, filling it up the first time the gun is used this run
+ * @param {Object} gameState - The game state
+ * @param {string} type - Weapon type
+ * @returns {Object} { magazine, reserve } - rounds loaded and spare (reserve null = unlimited)
+ */
+export const getAmmo = (gameState, type) => {
+    if (!gameState.player.ammo) gameState.player.ammo = {};
+    if (!gameState.player.ammo[type]) {
+        const definition = getWeaponDefinition(type);
+        if (!definition) throw new Error(`Unknown weapon type: ${type}`);
+        gameState.player.ammo[type] = { magazine: definition.ammo.magazine, reserve: definition.ammo.reserve };
+    }
+    return gameState.player.ammo[type];
+};
+
+/**
+ * Gets how far along the current reload is
+ * @param {Object} gameState - The game state
+ * @returns {number|null} 0-1, or null when not reloading
+ */
+export const getReloadProgress = (gameState) => {
+    const { reload } = gameState.player;
+    if (!reload) return null;
+    return Math.min(1, (getSimTime() - reload.startTime) / (reload.endTime - reload.startTime));
+};
+
+/**
+ * Starts reloading the equipped gun
+ * Does nothing if it is already reloading, the magazine is full or there is nothing to load.
+ * @param {Object} gameState - The game state
+ * @returns {boolean} True if a reload started
+ */
+export const startReload = (gameState) => {
+    if (gameState.player.reload) return false;
+    const weapon = getEquippedWeapon(gameState);
+    const ammo = getAmmo(gameState, weapon.type);
+    if (ammo.magazine >= weapon.ammo.magazine || ammo.reserve === 0) return false;
+
+    const startTime = getSimTime();
+    gameState.player.reload = { weapon: weapon.type, startTime, endTime: startTime + weapon.reloadTime };
+    playSound('reload');
+    logger.debug('ammo', `Reloading ${weapon.type} (${weapon.reloadTime}ms)`);
+    return true;
+};
+
+/**
+ * Finishes the reload once its time is up, or drops it if the gun was put away
+ * Call once per simulation step.
+ * @param {Object} gameState - The game state
+ */
+export const updateReload = (gameState) => {
+    const { reload } = gameState.player;
+    if (!reload) return;
+
+    if (reload.weapon !== gameState.player.weapon) {
+        gameState.player.reload = null;
+        logger.debug('ammo', `Reload of ${reload.weapon} dropped by switching guns`);
+        return;
+    }
+    if (getSimTime() < reload.endTime) return;
+
+    const definition = getWeaponDefinition(reload.weapon);
+    const ammo = getAmmo(gameState, reload.weapon);
+    const wanted = definition.ammo.magazine - ammo.magazine;
+    const loaded = ammo.reserve === null ? wanted : Math.min(wanted, ammo.reserve);
+    ammo.magazine += loaded;
+    if (ammo.reserve !== null) ammo.reserve -= loaded;
+    gameState.player.reload = null;
+    logger.debug('ammo', `Reloaded ${reload.weapon}: ${ammo.magazine} / ${ammo.reserve ?? 'unlimited'}`);
+};
+
+/**
+ * Takes the rounds for one shot from the equipped gun's magazine
+ * An empty magazine starts a reload when there is reserve to load from.
+ * @param {Object} gameState - The game state
+ * @param {Object} weapon - Equipped weapon definition
+ * @param {number} rounds - Rounds the shot uses (0 = free, always fires)
+ * @returns {string} One of AMMO_RESULT
+ */
+export const takeRounds = (gameState, weapon, rounds) => {
+    if (rounds === 0) return AMMO_RESULT.fired;
+    if (gameState.player.reload) return AMMO_RESULT.reloading;
+
+    const ammo = getAmmo(gameState, weapon.type);
+    if (ammo.magazine < rounds) {
+        return startReload(gameState) ? AMMO_RESULT.reloading : AMMO_RESULT.empty;
+    }
+
+    ammo.magazine -= rounds;
+    if (ammo.magazine < rounds) {
+        startReload(gameState); // Last round gone - reload straight away
+    }
+    return AMMO_RESULT.fired;
+};
+
+/**
+ * Adds spare rounds to a gun's reserve
+ * @param {Object} gameState - The game state
+ * @param {string} type - Weapon type
+ * @param {number} rounds - Rounds to add
+ * @returns {number} Rounds actually added (0 for a gun with unlimited reserve)
+ */
+export const addReserveAmmo = (gameState, type, rounds) => {
+    const ammo = getAmmo(gameState, type);
+    if (ammo.reserve === null) return 0;
+    ammo.reserve += rounds;
+    return rounds;
+};
@@ -15,6 +15,9 @@
  * 
  * // Load a positional explosion sound
  * await loadPositionalAudio('explosion', '/audio/explosion.mp3', 10, 0.8);
+ *
+ * // Make a 50ms decaying click without an audio file
+ * await loadSynthAudio('click', 0.05, (t) => (Math.random() * 2 - 1) * Math.exp(-t * 120), 0.6);
  */
 
 import * as THREE from 'three';
@@ -103,4 +106,34 @@ export const loadPositionalAudio = (name, url, refDistance = 10, volume = 1.0) =
       }
     );
   });
-}; 
\ No newline at end of file
+}; 
+/**
+ * Create a short global sound from a formula instead of a file (e.g. the dry-fire click)
+ * @param {string} name - Unique identifier for the sound
+ * @param {number} duration - Length in seconds
+ * @param {Function} sample - Returns the sample (-1 to 1) at a time: (seconds) => number
+ * @param {number} volume - Volume level (0.0 to 1.0)
+ * @returns {Promise} Promise that resolves when the sound is ready
+ */
+export const loadSynthAudio = (name, duration, sample, volume = 1.0) => {
+  return new Promise((resolve) => {
+    const context = audioState.listener.context;
+    const buffer = context.createBuffer(1, Math.ceil(duration * context.sampleRate), context.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < data.length; i++) {
+      data[i] = sample(i / context.sampleRate);
+    }
+
+    const sound = new THREE.Audio(audioState.listener);
+    sound.setBuffer(buffer);
+    sound.setVolume(volume * audioState.sfxVolume * audioState.masterVolume);
+    audioState.sounds.set(name, {
+      audio: sound,
+      buffer,
+      isPlaying: false,
+      type: 'sfx'
+    });
+    logger.debug('audio', `Synthesized audio: ${name}`);
+    resolve(sound);
+  });
+};
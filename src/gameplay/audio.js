@@ -42,7 +42,8 @@ export {
 // Re-export from audio-loader.js
 export { 
   loadAudio,
-  loadPositionalAudio 
+  loadPositionalAudio,
+  loadSynthAudio
 } from './audio-loader.js';
 
 // Re-export from audio-playback.js
@@ -24,6 +24,14 @@ import { createExplosion, isZombieDead, handleZombieDeath, damageZombie } from '
 import { safeCall } from '../utils/safeAccess.js';
 import { createSmokeTrail } from './powerups2.js';
 import { logger } from '../utils/logger.js';
+import { getRandom } from '../utils/random.js';
+import { getSimTime, simTimeout, clearSimTimeout } from '../utils/simClock.js';
+import { getEquippedWeapon } from './weaponInventory.js';
+import { takeRounds, AMMO_RESULT } from './ammo.js';
+import { applyFireHooks, applyHitHooks, getActivePowerups } from './activePowerups.js';
+
+// Seeded stream for bullet spread and speed variation
+const combatRandom = getRandom('combat');
 
 // Add THREE.Ray for ray-based collision detection
 const raycaster = new THREE.Raycaster();
@@ -49,11 +57,121 @@ const initCombatSystem = (scene) => {
 };
 
 /**
- * Shoots a bullet from the player's weapon
+ * Turns off the muzzle flash (new run - its sim timeout was dropped with the clock)
+ */
+const resetCombatSystem = () => {
+    muzzleFlashLight.visible = false;
+    muzzleFlashTimeout = null;
+};
+
+// Least time between two "click"s of an empty gun (ms)
+const DRY_FIRE_INTERVAL = 300;
+
+/**
+ * Adds a plain bullet
+ * @param {THREE.Scene} scene - The Three.js scene
+ * @param {Object} gameState - The game state object
+ * @param {THREE.Vector3} position - Muzzle position
+ * @param {THREE.Vector3} direction - Direction of travel
+ * @param {number} damage - Damage on hit
+ * @param {number} speed - Bullet speed
+ * @param {number|string} color - Bullet colour
+ */
+const fireBullet = (scene, gameState, position, direction, damage, speed, color) => {
+    const bullet = createBullet(position, direction, damage, speed, color);
+    if (bullet.mesh) {
+        scene.add(bullet.mesh);
+    }
+    gameState.bullets.push(bullet);
+};
+
+/**
+ * Adds a laser beam (long, thin bullet) with a flash of light at the muzzle
+ * @param {THREE.Scene} scene - The Three.js scene
+ * @param {Object} gameState - The game state object
+ * @param {THREE.Vector3} position - Muzzle position
+ * @param {THREE.Vector3} direction - Direction of travel
+ * @param {number} damage - Damage on hit
+ * @param {number} speed - Beam speed
+ * @param {number|string} color - Beam colour
+ */
+const fireLaser = (scene, gameState, position, direction, damage, speed, color) => {
+    const laserBullet = createBullet(position, direction, damage, speed, color);
+    
+    // Use safeCall instead of direct access to avoid null errors
+    safeCall(laserBullet, 'mesh.scale.set', [.5, .5, 5.0]);
+    laserBullet.isLaser = true;
+    
+    if (laserBullet.mesh) {
+        scene.add(laserBullet.mesh);
+    }
+    gameState.bullets.push(laserBullet);
+    
+    // Add laser light effect
+    const laserLight = new THREE.PointLight(0x00ffff, 1, 5);
+    laserLight.position.copy(position);
+    scene.add(laserLight);
+    
+    // Remove light after a short time
+    simTimeout(() => {
+        scene.remove(laserLight);
+    }, 100);
+};
+
+/**
+ * Adds a grenade
+ *
+ * This is the centralized implementation of grenade projectiles, for both the
+ * launcher weapon and the grenade launcher powerup. A grenade:
+ * - Moves slower than normal bullets
+ * - Has a smoke trail
+ * - Explodes on impact with enemies or environment
+ * - Causes area damage rather than direct hit damage
+ *
+ * Collision detection is handled in handleCombatCollisions and in physics.js handleCollisions
+ *
+ * @param {THREE.Scene} scene - The Three.js scene
+ * @param {Object} gameState - The game state object
+ * @param {THREE.Vector3} position - Muzzle position
+ * @param {THREE.Vector3} direction - Direction of travel
+ * @param {number} damage - Damage (equal to the explosion damage for powerup interaction)
+ * @param {number} speed - Grenade speed
+ * @param {number|string} color - Grenade colour
+ */
+const fireGrenade = (scene, gameState, position, direction, damage, speed, color) => {
+    logger.info('grenadelauncher', 'Creating grenade from combat.js shootBullet');
+    const grenadeBullet = createBullet(position, direction, damage, speed, color);
+    
+    // Use safeCall instead of direct access to avoid null errors
+    safeCall(grenadeBullet, 'mesh.scale.set', [1.5, 1.5, 1]);
+    logger.debug('grenadelauncher', 'Applied scale to grenade mesh in combat.js');
+    
+    if (grenadeBullet.mesh) {
+        scene.add(grenadeBullet.mesh);
+    }
+    
+    // Add grenade properties
+    grenadeBullet.isGrenade = true;
+    grenadeBullet.smokeTrail = [];
+    logger.debug('grenadelauncher', 'Set isGrenade=true and initialized smokeTrail array in combat.js');
+    
+    gameState.bullets.push(grenadeBullet);
+};
+
+// How each projectile type in weapons.json is fired
+const PROJECTILE_FIRERS = {
+    bullet: fireBullet,
+    laser: fireLaser,
+    grenade: fireGrenade
+};
+
+/**
+ * Shoots the player's weapon
  * 
- * This function handles creating bullets with different properties based on
- * the player's active powerup. It also manages cooldown between shots and
- * plays appropriate sound effects.
+ * This function fires the equipped weapon (see weaponInventory.js), as changed
+ * by the running powerups' onFire hooks. It also manages cooldown between
+ * shots, takes the rounds from the magazine (see ammo.js) and plays
+ * appropriate sound effects.
  * 
  * @param {THREE.Scene} scene - The Three.js scene to add bullets to
  * @param {THREE.Object3D} player - The player object
@@ -61,31 +179,30 @@ const initCombatSystem = (scene) => {
  */
 const shootBullet = (scene, player, gameState) => {
     // Check if enough time has passed since the last shot
-    const currentTime = Date.now();
-    // Use debug gun fire rate if available
-    const fireRateCooldown = 100;
-    
-    // Apply rapid fire powerup effect if active
-    let actualFireRate = fireRateCooldown;
-    if (gameState.player.activePowerup === 'rapidFire') {
-        actualFireRate = fireRateCooldown / 3; // 3x faster fire rate
-        logger.info('combat', 'Rapid fire powerup active! Fire rate boosted');
-    }
-    if (gameState.player.activePowerup === 'grenadeLauncher') {
-        actualFireRate = fireRateCooldown * 3; // 3x faster fire rate
-        logger.info('combat', 'Grenade launcher powerup active! Fire rate boosted');
-    }
+    const currentTime = getSimTime();
+    const weapon = getEquippedWeapon(gameState);
+    const fireMode = applyFireHooks(gameState, weapon);
 
-
-    if (currentTime - gameState.lastShotTime < actualFireRate) {
+    if (currentTime - gameState.lastShotTime < fireMode.fireRate * gameState.player.fireRateMultiplier) {
         return; // Still in cooldown
     }
     
+    // Take the rounds from the magazine - an empty gun reloads, or clicks when there is nothing left
+    const ammoResult = takeRounds(gameState, weapon, fireMode.ammoPerShot);
+    if (ammoResult !== AMMO_RESULT.fired) {
+        if (ammoResult === AMMO_RESULT.empty && currentTime - gameState.lastShotTime >= DRY_FIRE_INTERVAL) {
+            gameState.lastShotTime = currentTime;
+            playSound('dryFire');
+        }
+        return;
+    }
+    
     gameState.lastShotTime = currentTime;
     
-    // Log active powerup when shooting
-    if (gameState.player.activePowerup) {
-        logger.info('combat', `Shooting with active powerup: ${gameState.player.activePowerup}, duration: ${gameState.player.powerupDuration.toFixed(2)}`);
+    // Log active powerups when shooting
+    const activePowerups = getActivePowerups(gameState);
+    if (activePowerups.length > 0) {
+        logger.info('combat', `Shooting with active powerups: ${activePowerups.map(({ type, level }) => `${type} (level ${level})`).join(', ')}`);
     }
     
     // Play gunshot 
@@ -112,117 +229,21 @@ const shootBullet = (scene, player, gameState) => {
         );
     }
     
-    // Apply powerup effects
-    if (gameState.player.activePowerup === 'rapidFire') {
-        // Rapid fire is handled by reducing the cooldown above
-        // Create a single bullet with standard damage
-        const bullet = createBullet(
-            bulletPosition,
-            direction,
-            gameState.player.damage,
-            0.8*(1+Math.random()*0.15) // Faster bullet speed for rapid fire
-        );
-        
-        if (bullet.mesh) {
-            scene.add(bullet.mesh);
-        }
-        gameState.bullets.push(bullet);
-    } else if (gameState.player.activePowerup === 'shotgunBlast') {
-        // Create 8 bullets in a spread pattern
-        for (let i = 0; i < 8; i++) {
-            const spreadDirection = direction.clone().applyAxisAngle(
-                new THREE.Vector3(0, 1, 0),
-                (Math.random() - 0.5) * Math.PI / 4
-            );
-            
-            const spreadBullet = createBullet(
-                bulletPosition.clone(),
-                spreadDirection,
-                gameState.player.damage * 0.6, // Less damage per pellet
-                0.5*(1+Math.random()*0.15)
-            );
-            
-            if (spreadBullet.mesh) {
-                scene.add(spreadBullet.mesh);
-            }
-            gameState.bullets.push(spreadBullet);
-        }
-    } else if (gameState.player.activePowerup === 'laserShot') {
-        // Create a laser beam (long, thin bullet with high damage)
-        const laserBullet = createBullet(
-            bulletPosition,
-            direction,
-            gameState.player.damage * 2.75, // Double damage
-            1.0*(1+Math.random()*0.15), // Very fast
-            0x00ff00 // Bright green color for laser
-        );
-        
-        // Use safeCall instead of direct access to avoid null errors
-        safeCall(laserBullet, 'mesh.scale.set', [.5, .5, 5.0]);
-        
-        if (laserBullet.mesh) {
-            scene.add(laserBullet.mesh);
-        }
-        gameState.bullets.push(laserBullet);
-        
-        // Add laser light effect
-        const laserLight = new THREE.PointLight(0x00ffff, 1, 5);
-        laserLight.position.copy(bulletPosition);
-        scene.add(laserLight);
-        
-        // Remove light after a short time
-        setTimeout(() => {
-            scene.remove(laserLight);
-        }, 100);
-    } else if (gameState.player.activePowerup === 'grenadeLauncher') {
-        /**
-         * PRIMARY IMPLEMENTATION OF GRENADE LAUNCHER
-         * 
-         * This is the centralized implementation of the grenade launcher powerup.
-         * It creates a grenade projectile that:
-         * - Moves slower than normal bullets
-         * - Has a smoke trail
-         * - Explodes on impact with enemies or environment
-         * - Causes area damage rather than direct hit damage
-         * 
-         * Collision detection is handled in handleCombatCollisions and in physics.js handleCollisions
-         */
-        logger.info('grenadelauncher', 'Creating grenade from combat.js shootBullet');
-        const grenadeBullet = createBullet(
-            bulletPosition,
-            direction,
-            75, // Set damage equal to explosion damage for powerup interaction
-            0.3*(1+Math.random()*0.15), // Slower speed
-            0x9b111e // Ruby red color
-        );
-        
-        // Use safeCall instead of direct access to avoid null errors
-        safeCall(grenadeBullet, 'mesh.scale.set', [1.5, 1.5, 1]);
-        logger.debug('grenadelauncher', 'Applied scale to grenade mesh in combat.js');
-        
-        if (grenadeBullet.mesh) {
-            scene.add(grenadeBullet.mesh);
-        }
-        
-        // Add grenade properties
-        grenadeBullet.isGrenade = true;
-        grenadeBullet.smokeTrail = [];
-        logger.debug('grenadelauncher', 'Set isGrenade=true and initialized smokeTrail array in combat.js');
-        
-        gameState.bullets.push(grenadeBullet);
-    } else {
-        // Standard bullet
-        const bullet = createBullet(
-            bulletPosition,
-            direction,
-            gameState.player.damage,
-            0.8*(1+Math.random()*0.15)// Faster bullet speed
+    // One projectile per pellet; spread (if any) is drawn before speed so runs stay reproducible
+    const fire = PROJECTILE_FIRERS[fireMode.projectile];
+    for (let i = 0; i < fireMode.pellets; i++) {
+        const pelletDirection = fireMode.spread > 0
+            ? direction.clone().applyAxisAngle(new THREE.Vector3(0, 1, 0), (combatRandom() - 0.5) * fireMode.spread)
+            : direction;
+        fire(
+            scene,
+            gameState,
+            bulletPosition.clone(),
+            pelletDirection,
+            gameState.player.damage * fireMode.damageMultiplier,
+            fireMode.speed * (1 + combatRandom() * 0.15),
+            fireMode.color
         );
-        
-        if (bullet.mesh) {
-            scene.add(bullet.mesh);
-        }
-        gameState.bullets.push(bullet);
     }
     
     // Use the pre-created muzzle flash light
@@ -231,11 +252,11 @@ const shootBullet = (scene, player, gameState) => {
     
     // Clear existing timeout if it exists
     if (muzzleFlashTimeout !== null) {
-        clearTimeout(muzzleFlashTimeout);
+        clearSimTimeout(muzzleFlashTimeout);
     }
     
     // Set timeout to hide the muzzle flash
-    muzzleFlashTimeout = setTimeout(() => {
+    muzzleFlashTimeout = simTimeout(() => {
         muzzleFlashLight.visible = false;
         muzzleFlashTimeout = null;
     }, 50);
@@ -379,6 +400,9 @@ const handleCombatCollisions = (scene, player, gameState, delta) => {
             // Skip if zombie is already dead or has no mesh
             if (!zombie || !zombie.mesh || zombie.health <= 0 || zombie.isDead) continue;
             
+            // A piercing beam does not hit the same zombie twice
+            if (bullet.pierced && bullet.pierced.includes(zombie)) continue;
+            
             // Check collision with ray
             const intersectionPoint = new THREE.Vector3();
             const zombieCollisionRadius = zombie.collisionRadius || 1.0; // Use zombie specific radius or default
@@ -399,15 +423,22 @@ const handleCombatCollisions = (scene, player, gameState, delta) => {
         
         // If we found an intersection, handle it
         if (closestIntersection && hitZombieIndex !== -1 && hitZombie) {
-            // Move bullet to the intersection point
-            if (bullet.mesh) {
-                bullet.mesh.position.copy(closestIntersection);
+            // Mark bullet for removal (a powerup's onHit hook may let it carry on)
+            bullet.toRemove = true;
+            applyHitHooks(gameState, scene, bullet, hitZombie);
+            
+            // The Armour Piercing perk lets any shot but a grenade carry on through more zombies
+            if (bullet.toRemove && !bullet.isGrenade && (bullet.perkPierces || 0) < gameState.player.pierce) {
+                bullet.perkPierces = (bullet.perkPierces || 0) + 1;
+                bullet.pierced = bullet.pierced || [];
+                bullet.pierced.push(hitZombie);
+                bullet.toRemove = false;
             }
-            // Update the logical position as well
-            // bullet.position.copy(closestIntersection); // This might be redundant if mesh.position is the source of truth
             
-            // Mark bullet for removal
-            bullet.toRemove = true;
+            // Move a stopped bullet to the intersection point
+            if (bullet.toRemove && bullet.mesh) {
+                bullet.mesh.position.copy(closestIntersection);
+            }
             
             // --- REVISED HIT HANDLING LOGIC ---
             if (bullet.isGrenade) {
@@ -503,4 +534,4 @@ const handleCombatCollisions = (scene, player, gameState, delta) => {
     }
 };
 
-export { shootBullet, handleCombatCollisions, updateGrenadeTrails, initCombatSystem }; 
\ No newline at end of file
+export { shootBullet, handleCombatCollisions, updateGrenadeTrails, initCombatSystem, resetCombatSystem }; 
\ No newline at end of file
@@ -0,0 +1,122 @@
+/**
+ * Dash Module - A quick burst of movement that nothing can hurt
+ *
+ * Shift (or the DASH button on touch screens) sends the player distance units
+ * in the direction they are moving - or facing, when standing still - over
+ * duration ms. For the first invulnerability ms damagePlayer ignores every
+ * hit, which covers contact damage, projectiles, explosions and the plague
+ * aura alike. A dash stops early at environment obstacles, so it can't go
+ * through buildings, and the next one is ready cooldown ms after the last
+ * one started.
+ *
+ * The key is read from gameState.keys on a simulation step and timed on the
+ * simulation clock, so replays dash at the same step.
+ *
+ * Example usage:
+ *   import { startDash, updateDash, isInvulnerable } from './gameplay/dash.js';
+ *
+ *   if (gameState.keys.shift) startDash(gameState, player);   // Every step
+ *   if (!updateDash(gameState, player, delta)) {
+ *       handlePlayerMovement(...);                              // Walk when not dashing
+ *   }
+ *   if (isInvulnerable(gameState)) return;                      // In damagePlayer
+ */
+
+import { getMoveInput, isBlockedByObstacle } from './player.js';
+import { getSimTime } from '../utils/simClock.js';
+import { logger } from '../utils/logger.js';
+
+// Add 'dash' to logger sections if not already included
+logger.addSection('dash');
+
+// Dash tuning
+export const DASH_SETTINGS = {
+    distance: 5,          // World units covered by a full dash
+    duration: 180,        // ms the dash takes
+    cooldown: 1200,       // ms from the start of one dash to the next
+    invulnerability: 300  // ms of invulnerability from the start of a dash
+};
+
+/**
+ * Whether the player can't be hurt right now
+ * @param {Object} gameState - The game state
+ * @returns {boolean} True during a dash's invulnerability
+ */
+export const isInvulnerable = (gameState) => getSimTime() < gameState.player.invulnerableUntil;
+
+/**
+ * Gets how far the dash cooldown has come back
+ * @param {Object} gameState - The game state
+ * @returns {number} 0 (just dashed) to 1 (ready)
+ */
+export const getDashReadiness = (gameState) =>
+    Math.min(1, (getSimTime() - gameState.player.lastDashTime) / DASH_SETTINGS.cooldown);
+
+/**
+ * Starts a dash if one is ready
+ * @param {Object} gameState - The game state
+ * @param {THREE.Object3D} player - The player
+ * @param {boolean} [reversed=false] - Flip the input (the Backwards curse)
+ * @returns {boolean} True if a dash started
+ */
+export const startDash = (gameState, player, reversed = false) => {
+    if (gameState.gameOver || gameState.player.dash || getDashReadiness(gameState) < 1) return false;
+
+    // Dash the way the player is moving, or the way they face when standing still
+    let { x, z } = getMoveInput(gameState.keys, reversed);
+    if (x === 0 && z === 0) {
+        x = Math.sin(player.rotation.y);
+        z = Math.cos(player.rotation.y);
+    }
+    const length = Math.sqrt(x * x + z * z);
+
+    const now = getSimTime();
+    gameState.player.dash = { startTime: now, x: x / length, z: z / length };
+    gameState.player.lastDashTime = now;
+    gameState.player.invulnerableUntil = now + DASH_SETTINGS.invulnerability;
+    logger.debug('dash', `Dash towards (${(x / length).toFixed(2)}, ${(z / length).toFixed(2)})`);
+    return true;
+};
+
+/**
+ * Moves the player along the dash in progress, ending it when time is up or an obstacle is in the way
+ * @param {Object} gameState - The game state
+ * @param {THREE.Object3D} player - The player
+ * @param {number} delta - Step length (seconds)
+ * @returns {boolean} True while dashing (the player doesn't walk as well)
+ */
+export const updateDash = (gameState, player, delta) => {
+    const { dash } = gameState.player;
+    if (!dash) return false;
+
+    const step = DASH_SETTINGS.distance * (delta * 1000) / DASH_SETTINGS.duration;
+    const x = player.position.x + dash.x * step;
+    const z = player.position.z + dash.z * step;
+    if (isBlockedByObstacle(x, z)) {
+        gameState.player.dash = null; // Stop at the wall (still invulnerable for the rest of the window)
+        return false;
+    }
+
+    player.position.x = x;
+    player.position.z = z;
+    if (getSimTime() - dash.startTime >= DASH_SETTINGS.duration) {
+        gameState.player.dash = null;
+    }
+    return true;
+};
+
+/**
+ * Spins the player model through the dash and flickers it while invulnerable
+ * Render-only; call once per rendered frame.
+ * @param {THREE.Object3D} player - The player
+ * @param {Object} gameState - The game state
+ */
+export const updateDashAnimation = (player, gameState) => {
+    const model = player.userData.bodyModel;
+    if (!model) return;
+
+    const { dash } = gameState.player;
+    const progress = dash ? Math.min(1, (getSimTime() - dash.startTime) / DASH_SETTINGS.duration) : 0;
+    model.rotation.y = progress * Math.PI * 2;
+    model.visible = !isInvulnerable(gameState) || Math.floor(getSimTime() / 50) % 2 === 0;
+};
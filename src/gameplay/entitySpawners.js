@@ -16,11 +16,16 @@
  */
 
 import * as THREE from 'three';
-import { createbaseZombie, createSkeletonArcher, createExploder, createZombieKing, createPlagueTitan, createNecrofiend, createRotBehemoth, createSkittercrab } from '../enemies/enemyindex.js';
+import { createEnemy, getEnemyDefinition, getEnemyDefinitions } from '../enemies/enemyindex.js';
 import { createBuilding, createRock, createDeadTree } from '../rendering/environment.js';
 import { setupDismemberment } from './dismemberment.js';
 import { playSound } from './audio.js';
 import { logger } from '../utils/logger.js';
+import { getRandom } from '../utils/random.js';
+
+// Seeded streams - spawning and world layout are reproducible with ?seed=
+const spawnRandom = getRandom('spawn');
+const worldRandom = getRandom('world');
 
 /**
  * Spawns environment objects (buildings, rocks, trees) in the game world
@@ -31,26 +36,26 @@ import { logger } from '../utils/logger.js';
 const spawnEnvironmentObjects = (scene, gameState) => {
     // Create buildings in the distance
     for (let i = 0; i < 15; i++) {
-        const angle = Math.random() * Math.PI * 2;
-        const distance = 40 + Math.random() * 60;
+        const angle = worldRandom() * Math.PI * 2;
+        const distance = 40 + worldRandom() * 60;
         const position = {
             x: Math.sin(angle) * distance,
             z: Math.cos(angle) * distance
         };
         
         // Randomly choose between building, rock, or tree
-        const objectType = Math.random();
+        const objectType = worldRandom();
         let environmentObject;
         
         if (objectType < 0.4) {
             // Create building with random size
-            const width = 2 + Math.random() * 3;
-            const height = 3 + Math.random() * 5;
-            const depth = 2 + Math.random() * 3;
+            const width = 2 + worldRandom() * 3;
+            const height = 3 + worldRandom() * 5;
+            const depth = 2 + worldRandom() * 3;
             environmentObject = createBuilding(position, width, height, depth);
         } else if (objectType < 0.7) {
             // Create rock with random size
-            const size = 1 + Math.random() * 2;
+            const size = 1 + worldRandom() * 2;
             environmentObject = createRock(position, size);
         } else {
             // Create dead tree
@@ -64,89 +69,30 @@ const spawnEnvironmentObjects = (scene, gameState) => {
     //logger.debug('Environment objects spawned');
 };
 
-/**
- * Enemy registry containing all enemy types with their spawn configuration
- * This makes it easy to add new enemy types and adjust spawn probabilities
- */
-const enemyRegistry = [
-    {
-        type: 'zombie',
-        chance: 45,  // Reduced from 60%
-        createFn: createbaseZombie,
-        speedVariation: 0.04,  // +/- 0.02 variation
-        playSpawnSfx: false
-    },
-    {
-        type: 'skeletonArcher',
-        chance: 4,  // Reduced from 20%
-        createFn: createSkeletonArcher,
-        speedVariation: 0.02,  // +/- 0.01 variation
-        playSpawnSfx: false,
-        additionalProps: {
-            lastShotTime: 0
-        }
-    },
-    {
-        type: 'exploder',
-        chance: 10,  // Reduced from 15%
-        createFn: createExploder,
-        speedVariation: 0.03,  // +/- 0.015 variation
-        playSpawnSfx: false
-    },
-    {
-        type: 'zombieKing',
-        chance: 2,  // Reduced from 5%
-        createFn: createZombieKing,
-        speedVariation: 0.02,  // +/- 0.01 variation
-        playSpawnSfx: true
-    },
-    {
-        type: 'plagueTitan',
-        chance: 0.05,  // New enemy
-        createFn: createPlagueTitan,
-        speedVariation: 0.02,
-        playSpawnSfx: true
-    },
-    {
-        type: 'necrofiend',
-        chance: 1,  // New enemy
-        createFn: createNecrofiend,
-        speedVariation: 0.03,
-        playSpawnSfx: true
-    },
-    {
-        type: 'rotBehemoth',
-        chance: 0.1,  // New enemy - rare/powerful
-        createFn: createRotBehemoth,
-        speedVariation: 0.02,
-        playSpawnSfx: true
-    },
-    {
-        type: 'skittercrab',
-        chance: 2,  // New enemy
-        createFn: createSkittercrab,
-        speedVariation: 0.05,  // More variation for fast erratic movement
-        playSpawnSfx: false
-    }
-];
-
 /**
  * Selects an enemy type based on relative spawn chances
+ * Chances are the spawn weights from enemies.json unless overridden
  * 
- * @returns {Object} The selected enemy configuration
+ * @param {Object} [chances] - Optional map of type -> chance overriding the definitions (e.g. per wave)
+ * @returns {Object} The selected enemy definition
  */
-const selectEnemyType = () => {
+const selectEnemyType = (chances) => {
+    const definitions = getEnemyDefinitions();
+    
+    // Use the override chances when given (types missing from it never spawn)
+    const getChance = (enemy) => chances ? (chances[enemy.type] || 0) : enemy.spawn.weight;
+    
     // Calculate total chance sum
-    const totalChance = enemyRegistry.reduce((sum, enemy) => sum + enemy.chance, 0);
+    const totalChance = definitions.reduce((sum, enemy) => sum + getChance(enemy), 0);
     
     // Generate a random number between 0 and totalChance
-    const roll = Math.random() * totalChance;
+    const roll = spawnRandom() * totalChance;
     
     // Find which enemy type this roll selects
     let cumulativeChance = 0;
     
-    for (const enemy of enemyRegistry) {
-        cumulativeChance += enemy.chance;
+    for (const enemy of definitions) {
+        cumulativeChance += getChance(enemy);
         if (roll < cumulativeChance) {
             return enemy;
         }
@@ -154,7 +100,7 @@ const selectEnemyType = () => {
     
     // Fallback to first enemy type (should never happen unless totalChance is 0)
     logger.warn('spawn', 'Failed to select enemy type, using default');
-    return enemyRegistry[0];
+    return definitions[0];
 };
 
 /**
@@ -163,9 +109,10 @@ const selectEnemyType = () => {
  * @param {Object} playerPos - The player's position {x, z}
  * @param {THREE.Scene} scene - The Three.js scene to add enemies to
  * @param {Object} gameState - The game state object
+ * @param {Object} [modifiers] - Optional wave modifiers { chances, healthMultiplier, speedMultiplier }
  * @returns {Object|null} The created enemy object or null if max zombies reached
  */
-const spawnEnemy = (playerPos, scene, gameState) => {
+const spawnEnemy = (playerPos, scene, gameState, modifiers = {}) => {
     // Don't spawn more zombies if we've reached the maximum
     if (gameState.zombies.length >= gameState.maxZombies) {
         return null;
@@ -182,10 +129,10 @@ const spawnEnemy = (playerPos, scene, gameState) => {
 
     // Rejection sampling for angle - higher probability in front of player
     do {
-        theta = Math.random() * 2 * Math.PI;
+        theta = spawnRandom() * 2 * Math.PI;
     } while (
         Math.abs(theta - Math.PI) < (1.5 * Math.PI / 3) || // never spawn in back of player
-        Math.pow(Math.random(), 9) > (1 + Math.cos(theta + Math.PI)) / 2 // cosine dependent probability of spawning in front of player
+        Math.pow(spawnRandom(), 9) > (1 + Math.cos(theta + Math.PI)) / 2 // cosine dependent probability of spawning in front of player
     );
 
     
@@ -193,25 +140,45 @@ const spawnEnemy = (playerPos, scene, gameState) => {
     theta = theta - Math.PI; // Flip the angle to be in the FRONT of the player our game is a bit backwards somehow
     const spawnjitter = 10 ;
     // Calculate position with guaranteed minimum distance
-    const distance = minDistanceToPlayer + Math.abs(Math.random()) * spawnjitter; // units from player
+    const distance = minDistanceToPlayer + Math.abs(spawnRandom()) * spawnjitter; // units from player
     position = {
         x: playerPos.x + distance * Math.sin(theta),
         z: playerPos.z + distance * Math.cos(theta)
     };
     
+    // Select enemy type based on chances
+    const selectedEnemy = selectEnemyType(modifiers.chances);
+    
+    return addEnemy(selectedEnemy, position, scene, gameState, modifiers);
+};
+
+/**
+ * Creates an enemy from its definition and adds it to the game
+ * 
+ * @param {Object} selectedEnemy - Enemy definition (see enemies/enemyDefinitions.js)
+ * @param {Object} position - Spawn position {x, z}
+ * @param {THREE.Scene} scene - The Three.js scene to add the enemy to
+ * @param {Object} gameState - The game state object
+ * @param {Object} [modifiers] - Optional { healthMultiplier, speedMultiplier } (wave escalation)
+ * @returns {Object} The created enemy object
+ */
+const addEnemy = (selectedEnemy, position, scene, gameState, modifiers = {}) => {
+    const { healthMultiplier = 1, speedMultiplier = 1 } = modifiers;
+    
     // Get the base speed from gameState with a small random variation
     const globalBaseSpeed = gameState.baseSpeed;
     logger.debug('speed', `Using global base speed: ${globalBaseSpeed} for enemy spawn`);
     
-    // Select enemy type based on chances
-    const selectedEnemy = selectEnemyType();
-    
     // Create the enemy mesh
-    const enemyMesh = selectedEnemy.createFn(position, globalBaseSpeed);
+    const enemyMesh = createEnemy(selectedEnemy.type, position, globalBaseSpeed);
+    
+    // Scale toughness for later waves (the mesh drives movement and takes the hits)
+    enemyMesh.health = Math.round(enemyMesh.health * healthMultiplier);
+    enemyMesh.speed *= speedMultiplier;
     
     // Add small random variation to speed
-    const variation = selectedEnemy.speedVariation;
-    const baseSpeed = enemyMesh.speed + (Math.random() * variation - variation/2);
+    const variation = selectedEnemy.spawn.speedVariation;
+    const baseSpeed = enemyMesh.speed + (spawnRandom() * variation - variation/2);
     
     // Create the enemy object with common properties
     const enemyObj = {
@@ -222,13 +189,11 @@ const spawnEnemy = (playerPos, scene, gameState) => {
         gameState: gameState,
         baseSpeed: baseSpeed,
         type: selectedEnemy.type,
-        playSpawnSfx: selectedEnemy.playSpawnSfx || false
+        playSpawnSfx: selectedEnemy.spawn.playSpawnSfx
     };
     
     // Add any additional properties specific to this enemy type
-    if (selectedEnemy.additionalProps) {
-        Object.assign(enemyObj, selectedEnemy.additionalProps);
-    }
+    Object.assign(enemyObj, selectedEnemy.spawn.extraProps);
     
     logger.debug('speed', `${selectedEnemy.type} spawned with speed: ${baseSpeed}`);
     
@@ -253,4 +218,24 @@ const spawnEnemy = (playerPos, scene, gameState) => {
     return enemyObj;
 };
 
-export { spawnEnvironmentObjects, spawnEnemy }; 
\ No newline at end of file
+/**
+ * Spawns a specific enemy type at a given position (bypasses the random roll)
+ * Used by scripted events and the headless test harness
+ * 
+ * @param {string} type - Enemy type from enemies.json ('zombie', 'exploder', ...)
+ * @param {Object} position - Spawn position {x, z}
+ * @param {THREE.Scene} scene - The Three.js scene to add the enemy to
+ * @param {Object} gameState - The game state object
+ * @param {Object} [modifiers] - Optional { healthMultiplier, speedMultiplier } (wave escalation)
+ * @returns {Object|null} The created enemy object or null for an unknown type
+ */
+const spawnEnemyAt = (type, position, scene, gameState, modifiers = {}) => {
+    const selectedEnemy = getEnemyDefinition(type);
+    if (!selectedEnemy) {
+        logger.warn('spawn', `Unknown enemy type: ${type}`);
+        return null;
+    }
+    return addEnemy(selectedEnemy, position, scene, gameState, modifiers);
+};
+
+export { spawnEnvironmentObjects, spawnEnemy, spawnEnemyAt };
\ No newline at end of file
@@ -0,0 +1,287 @@
+/**
+ * Equipment Module - Grenades and mines carried alongside the guns
+ *
+ * Each kind of equipment has a slot with a few charges (startingCharges at
+ * the start of a run, never more than maxCharges). Charges are used up one
+ * at a time and refilled by the supply pickups zombies drop (see
+ * gameplay/pickups.js). The kinds are:
+ *
+ *   grenade (G) - hold to aim, with the arc shown on the ground, and let go to
+ *                 throw it throwRange units the way the player faces; it
+ *                 explodes where it lands
+ *   mine (F)    - drops a proximity mine at the player's feet that arms after
+ *                 mineArmDelay ms (see gameplay/mines.js)
+ *
+ * The keys are read from gameState.keys on a simulation step and grenades fly
+ * on the simulation clock, so replays throw and place at the same step.
+ *
+ * Example usage:
+ *   import { updateEquipment, updateGrenades, updateGrenadeAim } from './gameplay/equipment.js';
+ *
+ *   updateEquipment(scene, player, gameState);   // Every step, after aiming
+ *   updateGrenades(gameState);                   // Every step
+ *   updateGrenadeAim(scene, player, gameState);  // Every rendered frame
+ */
+
+import * as THREE from 'three';
+import { createExplosion } from './zombieUtils.js';
+import { placeMine } from './mines.js';
+import { playSound } from './audio.js';
+import { getSimTime } from '../utils/simClock.js';
+import { logger } from '../utils/logger.js';
+
+// Add 'equipment' to logger sections if not already included
+logger.addSection('equipment');
+
+// Grenade and mine tuning
+export const EQUIPMENT_SETTINGS = {
+    throwRange: 9,          // How far a grenade lands from the player (world units)
+    throwHeight: 3,         // Height of the arc at its peak
+    flightTime: 700,        // ms from throw to landing
+    grenadeDamage: 200,     // Same blast as the launcher's grenades
+    grenadeRadius: 4,
+    mineArmDelay: 1000,     // ms before a placed mine can go off
+    mineLifetime: 45000,    // ms before an untriggered placed mine fizzles out
+    arcPoints: 24           // Points in the aim preview line
+};
+
+// Every kind of equipment: its key, charges and what using it does
+const EQUIPMENT_REGISTRY = {
+    grenade: {
+        name: 'Grenades',
+        key: 'g',
+        startingCharges: 2,
+        maxCharges: 4,
+        onRelease: true, // Held to aim, thrown on release
+        use: (scene, player, gameState) => throwGrenade(scene, player, gameState)
+    },
+    mine: {
+        name: 'Mines',
+        key: 'f',
+        startingCharges: 2,
+        maxCharges: 4,
+        onRelease: false,
+        use: (scene, player, gameState) => placeMine(scene, gameState, player.position, {
+            armDelay: EQUIPMENT_SETTINGS.mineArmDelay,
+            lifetime: EQUIPMENT_SETTINGS.mineLifetime
+        })
+    }
+};
+
+export const EQUIPMENT_TYPES = Object.keys(EQUIPMENT_REGISTRY);
+
+// Shared grenade parts
+const grenadeGeometry = new THREE.SphereGeometry(0.18, 8, 8);
+const grenadeMaterial = new THREE.MeshStandardMaterial({ color: 0x3a4a2a, roughness: 0.7 });
+
+// The aim preview (created the first time it is shown)
+let aimArc = null;
+let aimMarker = null;
+
+/**
+ * Gets an equipment definition
+ * @param {string} type - Equipment type
+ * @returns {Object} { name, key, startingCharges, maxCharges, onRelease, use }
+ */
+export const getEquipmentDefinition = (type) => {
+    const definition = EQUIPMENT_REGISTRY[type];
+    if (!definition) throw new Error(`Unknown equipment: ${type}`);
+    return definition;
+};
+
+/**
+ * Gets the charges left in a slot, filling it to its starting charges the first time it is asked for this run
+ * @param {Object} gameState - The game state
+ * @param {string} type - Equipment type
+ * @returns {number} Charges left
+ */
+export const getCharges = (gameState, type) => {
+    if (!gameState.player.equipment) gameState.player.equipment = {};
+    if (gameState.player.equipment[type] === undefined) {
+        gameState.player.equipment[type] = getEquipmentDefinition(type).startingCharges;
+    }
+    return gameState.player.equipment[type];
+};
+
+/**
+ * Adds charges to a slot, up to its maximum
+ * @param {Object} gameState - The game state
+ * @param {string} type - Equipment type
+ * @param {number} amount - Charges to add
+ * @returns {number} Charges actually added
+ */
+export const addCharges = (gameState, type, amount) => {
+    const before = getCharges(gameState, type);
+    gameState.player.equipment[type] = Math.min(getEquipmentDefinition(type).maxCharges, before + amount);
+    return gameState.player.equipment[type] - before;
+};
+
+/**
+ * Whether any slot has room for another charge
+ * @param {Object} gameState - The game state
+ * @returns {boolean} True if a refill would add something
+ */
+export const canRefillEquipment = (gameState) =>
+    EQUIPMENT_TYPES.some(type => getCharges(gameState, type) < EQUIPMENT_REGISTRY[type].maxCharges);
+
+/**
+ * Uses one charge of a piece of equipment
+ * @param {THREE.Scene} scene - The scene
+ * @param {THREE.Object3D} player - The player
+ * @param {Object} gameState - The game state
+ * @param {string} type - Equipment type
+ * @returns {boolean} True if it was used (false when out of charges)
+ */
+export const useEquipment = (scene, player, gameState, type) => {
+    const definition = getEquipmentDefinition(type);
+    if (gameState.gameOver) return false;
+    if (getCharges(gameState, type) === 0) {
+        playSound('dryFire');
+        return false;
+    }
+    gameState.player.equipment[type]--;
+    definition.use(scene, player, gameState);
+    logger.info('equipment', `Used ${type}, ${gameState.player.equipment[type]} left`);
+    return true;
+};
+
+/**
+ * Uses equipment whose key was just pressed (or, for grenades, just let go)
+ * Keeps last step's keys in gameState.player.equipmentKeys to tell.
+ * @param {THREE.Scene} scene - The scene
+ * @param {THREE.Object3D} player - The player
+ * @param {Object} gameState - The game state
+ */
+export const updateEquipment = (scene, player, gameState) => {
+    const held = gameState.player.equipmentKeys || {};
+    gameState.player.equipmentKeys = {};
+    for (const type of EQUIPMENT_TYPES) {
+        const { key, onRelease } = EQUIPMENT_REGISTRY[type];
+        const down = Boolean(gameState.keys[key]);
+        gameState.player.equipmentKeys[key] = down;
+        if (onRelease ? held[key] && !down : down && !held[key]) {
+            useEquipment(scene, player, gameState, type);
+        }
+    }
+};
+
+/**
+ * Gets where a grenade thrown now would start and land
+ * @param {THREE.Object3D} player - The player (its position and facing)
+ * @returns {Object} { start, end } - THREE.Vector3s
+ */
+export const getThrowPath = (player) => {
+    const { throwRange } = EQUIPMENT_SETTINGS;
+    const angle = player.rotation.y;
+    return {
+        start: new THREE.Vector3(player.position.x, 1, player.position.z),
+        end: new THREE.Vector3(
+            player.position.x + Math.sin(angle) * throwRange,
+            0.2,
+            player.position.z + Math.cos(angle) * throwRange
+        )
+    };
+};
+
+/**
+ * Gets a point along a grenade's arc
+ * @param {Object} path - { start, end } from getThrowPath
+ * @param {number} progress - 0 (thrown) to 1 (landed)
+ * @param {THREE.Vector3} [target] - Vector to write into
+ * @returns {THREE.Vector3} The point
+ */
+const getArcPoint = ({ start, end }, progress, target = new THREE.Vector3()) => {
+    target.lerpVectors(start, end, progress);
+    target.y += EQUIPMENT_SETTINGS.throwHeight * 4 * progress * (1 - progress);
+    return target;
+};
+
+/**
+ * Throws a grenade the way the player faces
+ * @param {THREE.Scene} scene - The scene
+ * @param {THREE.Object3D} player - The player
+ * @param {Object} gameState - The game state
+ * @returns {Object} The grenade { mesh, path, thrownAt, update }
+ */
+const throwGrenade = (scene, player, gameState) => {
+    const path = getThrowPath(player);
+    const mesh = new THREE.Mesh(grenadeGeometry, grenadeMaterial);
+    mesh.position.copy(path.start);
+    scene.add(mesh);
+
+    const grenade = { mesh, path, thrownAt: getSimTime() };
+    grenade.update = () => {
+        const progress = Math.min(1, (getSimTime() - grenade.thrownAt) / EQUIPMENT_SETTINGS.flightTime);
+        getArcPoint(path, progress, mesh.position);
+        mesh.rotation.x = progress * Math.PI * 4; // Tumble through the air
+        if (progress < 1) return true;
+
+        scene.remove(mesh);
+        logger.debug('equipment', `Grenade landed at (${path.end.x.toFixed(2)}, ${path.end.z.toFixed(2)})`);
+        createExplosion(scene, path.end.clone(), EQUIPMENT_SETTINGS.grenadeRadius, EQUIPMENT_SETTINGS.grenadeDamage,
+            gameState.zombies, gameState.playerObject, gameState, 'player');
+        return false;
+    };
+
+    if (!gameState.grenades) gameState.grenades = [];
+    gameState.grenades.push(grenade);
+    playSound('grenadeThrow');
+    return grenade;
+};
+
+/**
+ * Moves grenades in flight and sets off the ones that have landed
+ * @param {Object} gameState - The game state
+ */
+export const updateGrenades = (gameState) => {
+    if (!gameState.grenades) return;
+    gameState.grenades = gameState.grenades.filter(grenade => grenade.update());
+};
+
+/**
+ * Shows where a grenade would land while G is held
+ * Render-only; call once per rendered frame.
+ * @param {THREE.Scene} scene - The scene
+ * @param {THREE.Object3D} player - The player
+ * @param {Object} gameState - The game state
+ */
+export const updateGrenadeAim = (scene, player, gameState) => {
+    const aiming = Boolean(gameState.keys[EQUIPMENT_REGISTRY.grenade.key]) && !gameState.gameOver &&
+        getCharges(gameState, 'grenade') > 0;
+    if (!aiming) {
+        if (aimArc) aimArc.visible = aimMarker.visible = false;
+        return;
+    }
+
+    if (!aimArc) {
+        const positions = new Float32Array(EQUIPMENT_SETTINGS.arcPoints * 3);
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        aimArc = new THREE.Line(geometry, new THREE.LineDashedMaterial({
+            color: 0xffcc33, dashSize: 0.3, gapSize: 0.2, transparent: true, opacity: 0.8
+        }));
+        aimArc.frustumCulled = false; // The points move every frame
+        aimMarker = new THREE.Mesh(
+            new THREE.RingGeometry(EQUIPMENT_SETTINGS.grenadeRadius - 0.15, EQUIPMENT_SETTINGS.grenadeRadius, 32),
+            new THREE.MeshBasicMaterial({ color: 0xff6633, transparent: true, opacity: 0.5, side: THREE.DoubleSide })
+        );
+        aimMarker.rotation.x = -Math.PI / 2;
+    }
+    if (aimArc.parent !== scene) {
+        scene.add(aimArc);
+        scene.add(aimMarker);
+    }
+
+    // Same arc the grenade will fly, from the same start
+    const path = getThrowPath(player);
+    const positions = aimArc.geometry.attributes.position;
+    const point = new THREE.Vector3();
+    for (let i = 0; i < EQUIPMENT_SETTINGS.arcPoints; i++) {
+        getArcPoint(path, i / (EQUIPMENT_SETTINGS.arcPoints - 1), point);
+        positions.setXYZ(i, point.x, point.y, point.z);
+    }
+    positions.needsUpdate = true;
+    aimArc.computeLineDistances();
+    aimMarker.position.set(path.end.x, 0.05, path.end.z);
+    aimArc.visible = aimMarker.visible = true;
+};
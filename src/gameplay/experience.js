@@ -0,0 +1,72 @@
+/**
+ * Experience Module - EXP for kills and the level curve
+ *
+ * Each enemy type is worth some EXP (stats.exp in enemies/enemies.json),
+ * awarded when it dies. gameState.player.exp is the EXP earned towards the
+ * next level; once it reaches getExpToNextLevel the player levels up, the
+ * leftover carries over, and a perk choice is queued (see perks.js). Each level
+ * takes levelGrowth times as much EXP as the one before.
+ *
+ * Example usage:
+ *   import { awardExp, getLevelProgress } from './gameplay/experience.js';
+ *
+ *   awardExp(gameState, 10);                  // A zombie died
+ *   const barWidth = getLevelProgress(gameState) * 200;
+ */
+
+import { queuePerkChoice } from './perks.js';
+import { showMessage } from '../ui/ui.js';
+import { logger } from '../utils/logger.js';
+
+// Add 'exp' to logger sections if not already included
+logger.addSection('exp');
+
+// Level curve
+export const EXP_SETTINGS = {
+    firstLevelExp: 50,  // EXP from level 1 to level 2
+    levelGrowth: 1.35   // Each level needs this much more than the last
+};
+
+/**
+ * Gets how much EXP a level takes to complete
+ * @param {number} level - Current level (1 = start of a run)
+ * @returns {number} EXP needed to reach level + 1
+ */
+export const getExpToNextLevel = (level) =>
+    Math.round(EXP_SETTINGS.firstLevelExp * EXP_SETTINGS.levelGrowth ** (level - 1));
+
+/**
+ * Gets how far the player is through the current level
+ * @param {Object} gameState - The game state
+ * @returns {number} 0 (just levelled up) to 1
+ */
+export const getLevelProgress = (gameState) => {
+    const { exp, level } = gameState.player;
+    return Math.min(1, exp / getExpToNextLevel(level));
+};
+
+/**
+ * Gives the player EXP, levelling up as many times as it pays for
+ * @param {Object} gameState - The game state
+ * @param {number} amount - EXP earned
+ * @returns {number} Levels gained
+ */
+export const awardExp = (gameState, amount) => {
+    const { player } = gameState;
+    if (!(amount > 0)) return 0;
+
+    player.exp += amount;
+    let levelsGained = 0;
+    while (player.exp >= getExpToNextLevel(player.level)) {
+        player.exp -= getExpToNextLevel(player.level);
+        player.level++;
+        levelsGained++;
+        logger.info('exp', `Level up! Now level ${player.level}`);
+        queuePerkChoice(gameState);
+    }
+
+    if (levelsGained > 0) {
+        showMessage(`Level ${player.level}!`, 2000);
+    }
+    return levelsGained;
+};
@@ -0,0 +1,222 @@
+/**
+ * Horde Flocking Module - Boids-style steering so the horde moves as a mob
+ *
+ * Implements the model in Instruct/HordeFlocking.md. Every zombie steers by
+ * three forces:
+ *   Attraction - towards the player
+ *   Separation - away from neighbours that are too close (stronger the closer they are)
+ *   Cohesion   - towards the average position of its neighbours
+ * Neighbours come from a spatial grid and only a small random sample of them is
+ * looked at, so the cost per zombie stays flat however dense the crowd gets.
+ * Zombies are split into cohorts and only one cohort re-plans per simulation
+ * step; in between, every zombie keeps turning smoothly towards its last plan.
+ *
+ * Flocking only picks a heading (enemy.flockHeading). The chase behaviour
+ * (enemies/enemyBehaviours.js) still walks at the enemy's own speed and
+ * resolves collisions, so contact damage and per-enemy quirks are unchanged.
+ *
+ * Example usage:
+ *   import { createSpatialGrid, updateHordeFlocking, FLOCKING_SETTINGS } from './gameplay/hordeFlocking.js';
+ *
+ *   const grid = createSpatialGrid(zombies);
+ *   updateHordeFlocking(zombies, grid, player.position);
+ *   const neighbours = getNearbyIndices(grid, zombies[0].mesh.position, 0);
+ *
+ *   FLOCKING_SETTINGS.cohesionWeight = 0.6; // Tighter mobs
+ */
+
+import * as THREE from 'three';
+import { logger } from '../utils/logger.js';
+import { getRandom } from '../utils/random.js';
+import { getSimTick } from '../utils/simClock.js';
+
+// Seeded AI stream (see utils/random.js)
+const aiRandom = getRandom('ai');
+
+// Add 'flocking' to logger sections if not already included
+logger.addSection('flocking');
+
+// Tunable flocking parameters
+export const FLOCKING_SETTINGS = {
+    cellSize: 4,             // Spatial grid cell size (world units) - also bounds the collision checks
+    cohortCount: 4,          // Zombies re-plan every cohortCount steps, one cohort per step
+    sampleSize: 5,           // Neighbours sampled per re-plan
+    separationRadius: 1.5,   // Neighbours closer than this push the zombie away
+    attractionWeight: 1.0,   // Pull towards the player
+    separationWeight: 2.0,   // Push away from crowded neighbours
+    cohesionWeight: 0.4,     // Pull towards the local crowd
+    turnRate: 0.25           // Fraction of the way the heading turns towards the plan each step
+};
+
+// Grid cells are keyed by one number instead of an "x,z" string
+const GRID_OFFSET = 32768;
+const cellKey = (gridX, gridZ) => (gridX + GRID_OFFSET) * 65536 + (gridZ + GRID_OFFSET);
+
+/**
+ * Buckets zombies into grid cells by position
+ * @param {Array} zombies - gameState.zombies entries
+ * @param {number} [cellSize=FLOCKING_SETTINGS.cellSize] - Cell size in world units
+ * @returns {Object} Grid { cells: Map<number, Array<number>>, cellSize } holding zombie indices
+ */
+export const createSpatialGrid = (zombies, cellSize = FLOCKING_SETTINGS.cellSize) => {
+    const cells = new Map();
+
+    for (let index = 0; index < zombies.length; index++) {
+        const zombie = zombies[index];
+        if (!zombie || !zombie.mesh || !zombie.mesh.position) continue;
+
+        const key = cellKey(Math.floor(zombie.mesh.position.x / cellSize), Math.floor(zombie.mesh.position.z / cellSize));
+        const cell = cells.get(key);
+        if (cell) {
+            cell.push(index);
+        } else {
+            cells.set(key, [index]);
+        }
+    }
+
+    return { cells, cellSize };
+};
+
+/**
+ * Gets the indices of zombies in the 3x3 cells around a position
+ * @param {Object} grid - Grid from createSpatialGrid
+ * @param {Object} position - Position {x, z}
+ * @param {number} [excludeIndex=-1] - Index to leave out (the zombie asking)
+ * @returns {Array<number>} Zombie indices
+ */
+export const getNearbyIndices = (grid, position, excludeIndex = -1) => {
+    const gridX = Math.floor(position.x / grid.cellSize);
+    const gridZ = Math.floor(position.z / grid.cellSize);
+    const nearby = [];
+
+    for (let x = gridX - 1; x <= gridX + 1; x++) {
+        for (let z = gridZ - 1; z <= gridZ + 1; z++) {
+            const cell = grid.cells.get(cellKey(x, z));
+            if (!cell) continue;
+            for (let i = 0; i < cell.length; i++) {
+                if (cell[i] !== excludeIndex) nearby.push(cell[i]);
+            }
+        }
+    }
+
+    return nearby;
+};
+
+/**
+ * Works out where one zombie wants to head from a random sample of its neighbours
+ * @param {Array} zombies - gameState.zombies entries
+ * @param {number} index - Index of the zombie to plan for
+ * @param {Object} grid - Grid from createSpatialGrid
+ * @param {THREE.Vector3} playerPosition - Player position
+ * @param {Object} settings - Flocking settings
+ * @returns {THREE.Vector3} Unit heading on the XZ plane
+ */
+const planHeading = (zombies, index, grid, playerPosition, settings) => {
+    const position = zombies[index].mesh.position;
+
+    // Attraction
+    const heading = new THREE.Vector3(playerPosition.x - position.x, 0, playerPosition.z - position.z);
+    if (heading.lengthSq() > 0) heading.normalize();
+    heading.multiplyScalar(settings.attractionWeight);
+
+    // Random sample of neighbours (partial Fisher-Yates, no repeats)
+    const nearby = getNearbyIndices(grid, position, index);
+    const sampleSize = Math.min(settings.sampleSize, nearby.length);
+    if (sampleSize === 0) return heading.normalize();
+
+    const separation = new THREE.Vector3();
+    let centerX = 0;
+    let centerZ = 0;
+    let crowded = 0;
+
+    for (let i = 0; i < sampleSize; i++) {
+        const pick = i + Math.floor(aiRandom() * (nearby.length - i));
+        const otherIndex = nearby[pick];
+        nearby[pick] = nearby[i];
+
+        const other = zombies[otherIndex].mesh.position;
+        centerX += other.x;
+        centerZ += other.z;
+
+        // Separation, weighted by how close the neighbour is
+        const dx = position.x - other.x;
+        const dz = position.z - other.z;
+        const distance = Math.sqrt(dx * dx + dz * dz);
+        if (distance < settings.separationRadius) {
+            if (distance > 0.0001) {
+                separation.x += dx / (distance * distance);
+                separation.z += dz / (distance * distance);
+            } else {
+                // Exactly on top of each other - pick a random way out
+                const angle = aiRandom() * Math.PI * 2;
+                separation.x += Math.cos(angle);
+                separation.z += Math.sin(angle);
+            }
+            crowded++;
+        }
+    }
+
+    if (crowded > 0) {
+        heading.addScaledVector(separation.divideScalar(crowded), settings.separationWeight);
+    }
+
+    // Cohesion
+    const toCenter = new THREE.Vector3(centerX / sampleSize - position.x, 0, centerZ / sampleSize - position.z);
+    if (toCenter.lengthSq() > 0.0001) {
+        heading.addScaledVector(toCenter.normalize(), settings.cohesionWeight);
+    }
+
+    // Forces can cancel out - fall back to heading for the player
+    if (heading.lengthSq() < 0.000001) {
+        return new THREE.Vector3(playerPosition.x - position.x, 0, playerPosition.z - position.z).normalize();
+    }
+    return heading.normalize();
+};
+
+/**
+ * Re-plans one cohort's headings and turns every zombie towards its plan
+ * Call once per simulation step, before the zombies move. Sets
+ * enemy.flockHeading (a unit vector) on each enemy mesh; enemies that haven't
+ * been planned for yet have none and head straight for the player.
+ * @param {Array} zombies - gameState.zombies entries
+ * @param {Object} grid - Grid from createSpatialGrid
+ * @param {THREE.Vector3} playerPosition - Player position
+ * @param {Object} [settings=FLOCKING_SETTINGS] - Flocking settings
+ * @returns {number} How many zombies re-planned this step
+ */
+export const updateHordeFlocking = (zombies, grid, playerPosition, settings = FLOCKING_SETTINGS) => {
+    const cohort = getSimTick() % settings.cohortCount;
+    let planned = 0;
+
+    for (let index = 0; index < zombies.length; index++) {
+        const zombie = zombies[index];
+        if (!zombie || !zombie.mesh || !zombie.mesh.position) continue;
+        const enemy = zombie.mesh;
+
+        // Cohorts are dealt out at random the first time a zombie is seen
+        if (enemy.cohort === undefined) {
+            enemy.cohort = Math.floor(aiRandom() * settings.cohortCount);
+        }
+
+        if (enemy.cohort === cohort) {
+            enemy.flockTarget = planHeading(zombies, index, grid, playerPosition, settings);
+            planned++;
+        }
+
+        // Turn smoothly towards the plan every step
+        if (enemy.flockTarget) {
+            if (!enemy.flockHeading) {
+                enemy.flockHeading = enemy.flockTarget.clone();
+            } else {
+                enemy.flockHeading.lerp(enemy.flockTarget, settings.turnRate);
+                if (enemy.flockHeading.lengthSq() < 0.000001) {
+                    enemy.flockHeading.copy(enemy.flockTarget);
+                }
+                enemy.flockHeading.normalize();
+            }
+        }
+    }
+
+    logger.verbose('flocking', `Cohort ${cohort}: re-planned ${planned}/${zombies.length} zombies`);
+    return planned;
+};
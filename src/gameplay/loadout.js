@@ -0,0 +1,68 @@
+/**
+ * Loadout Module - Gives a new run what the player has unlocked between runs
+ *
+ * A run's loadout (see getRunLoadout in metaProgress.js) is put in
+ * gameState.player.loadout when the run starts and applied on its first
+ * simulation step, on top of the fresh gameState:
+ *
+ *   bonusHealth - added to max health and health
+ *   weapon      - carried and in hand from the start
+ *   powerup     - activated at level 1
+ *   perkRerolls - perk choices that can be rerolled this run
+ *
+ * Applying it on the first step rather than at restart means the input replay
+ * can swap in the loadout it recorded first (replays must not pick up whatever
+ * the shop holds now). The colour is cosmetic and only tints the player model.
+ *
+ * Example usage:
+ *   import { useSavedLoadout, applyRunLoadout } from './gameplay/loadout.js';
+ *
+ *   useSavedLoadout(gameState, player);   // Run start (solo only)
+ *   applyRunLoadout(gameState, scene);    // Every simulation step
+ */
+
+import { loadMetaProgress, getRunLoadout } from './metaProgress.js';
+import { addWeapon, equipWeapon } from './weaponInventory.js';
+import { activatePowerup } from './activePowerups.js';
+import { tintPlayer } from './player.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Gives the run the loadout saved in the shop and tints the player to match
+ * @param {Object} gameState - The game state (freshly reset)
+ * @param {THREE.Object3D} player - The player
+ * @returns {Object} The loadout
+ */
+export const useSavedLoadout = (gameState, player) => {
+    const loadout = getRunLoadout(loadMetaProgress());
+    gameState.player.loadout = loadout;
+    tintPlayer(player, loadout.color);
+    return loadout;
+};
+
+/**
+ * Applies the run's loadout, once
+ * @param {Object} gameState - The game state
+ * @param {THREE.Scene} scene - The scene (for powerups that put things in the world)
+ * @returns {boolean} True if it was applied this call
+ */
+export const applyRunLoadout = (gameState, scene) => {
+    const { player } = gameState;
+    if (player.loadoutApplied || !player.loadout) return false;
+    player.loadoutApplied = true;
+
+    const { weapon, powerup, bonusHealth = 0, perkRerolls = 0 } = player.loadout;
+    player.maxHealth += bonusHealth;
+    player.health += bonusHealth;
+    player.perkRerolls = perkRerolls;
+    if (weapon) {
+        addWeapon(gameState, weapon);
+        equipWeapon(gameState, weapon);
+    }
+    if (powerup) {
+        activatePowerup(gameState, powerup, scene);
+    }
+
+    logger.info('meta', `Run loadout: ${weapon || 'default gun'}, ${powerup || 'no powerup'}, +${bonusHealth} health, ${perkRerolls} rerolls`);
+    return true;
+};
@@ -0,0 +1,275 @@
+/**
+ * Meta Progress Module - Coins and permanent unlocks that carry over between runs
+ *
+ * Every finished run turns its score into coins (one per scorePerCoin points),
+ * on top of any coins picked up during the run (see pickups.js).
+ * Coins buy unlocks in the shop on the startup and game over screens: more
+ * starting health, perk rerolls, a powerup at the start of every run, a
+ * starting weapon and cosmetic colours. Some unlocks have several levels,
+ * each costing more than the last. Weapons, the starting powerup and colours
+ * are picked in the loadout from whatever has been bought; getRunLoadout turns
+ * it all into what a new run starts with (applied by loadout.js).
+ *
+ * Progress lives in localStorage as { coins, unlocks: { [id]: level },
+ * loadout: { weapon, powerup, color } }. Like utils/runHistory.js the storage
+ * is passed in (defaulting to localStorage) so Node can use an in-memory one;
+ * without any storage nothing is kept and everything is locked.
+ *
+ * Example usage:
+ *   import { earnCoins, buyUnlock, setLoadout, loadMetaProgress, getRunLoadout } from './gameplay/metaProgress.js';
+ *
+ *   earnCoins(gameState.score);                 // Game over
+ *   buyUnlock('weapon:shotgun');                // Throws if it can't be afforded
+ *   setLoadout('weapon', 'shotgun');
+ *   const loadout = getRunLoadout(loadMetaProgress());
+ */
+
+import { getWeaponDefinitions } from './weaponDefinitions.js';
+import { BOON_TYPES } from './powerupRegistry.js';
+import { logger } from '../utils/logger.js';
+
+// Add 'meta' to logger sections if not already included
+logger.addSection('meta');
+
+// Meta progress settings
+export const META_SETTINGS = {
+    storageKey: 'zombieMetaProgress', // localStorage key
+    scorePerCoin: 10,                 // Score points per coin earned
+    weaponCostPerWave: 75,            // A starting weapon costs this per wave it normally unlocks at
+    healthPerLevel: 20                // Starting max health per Thick Blood level
+};
+
+// Colours the player can wear (cosmetic only)
+export const COSMETIC_COLORS = {
+    crimson: { name: 'Crimson', color: 0xcc2222, cost: 50 },
+    toxic: { name: 'Toxic Green', color: 0x66ff33, cost: 50 },
+    royal: { name: 'Royal Purple', color: 0x8833ff, cost: 75 },
+    gold: { name: 'Gold', color: 0xffcc00, cost: 150 }
+};
+
+/**
+ * Builds the unlock list: fixed upgrades, then one per weapon and colour
+ * @returns {Object} { [id]: { name, description, costs, loadout?, value? } }
+ */
+const buildUnlocks = () => {
+    const unlocks = {
+        baseHealth: {
+            name: 'Thick Blood',
+            description: `+${META_SETTINGS.healthPerLevel} max health at the start of every run`,
+            costs: [100, 250, 500]
+        },
+        perkReroll: {
+            name: 'Second Thoughts',
+            description: 'Reroll one perk choice per run (per level)',
+            costs: [200, 450]
+        },
+        startingPowerup: {
+            name: 'Head Start',
+            description: 'Start every run with the powerup picked in the loadout',
+            costs: [300]
+        }
+    };
+
+    getWeaponDefinitions()
+        .filter(definition => definition.unlockWave > 0)
+        .forEach((definition) => {
+            unlocks[`weapon:${definition.type}`] = {
+                name: `${definition.name} Start`,
+                description: `Carry the ${definition.name} from the first wave`,
+                costs: [definition.unlockWave * META_SETTINGS.weaponCostPerWave],
+                loadout: 'weapon',
+                value: definition.type
+            };
+        });
+
+    Object.entries(COSMETIC_COLORS).forEach(([id, { name, cost }]) => {
+        unlocks[`color:${id}`] = {
+            name: `${name} Look`,
+            description: `Wear ${name.toLowerCase()}`,
+            costs: [cost],
+            loadout: 'color',
+            value: id
+        };
+    });
+
+    return unlocks;
+};
+
+export const META_UNLOCKS = buildUnlocks();
+
+// Loadout slots and what can go in them
+const LOADOUT_SLOTS = ['weapon', 'powerup', 'color'];
+
+/**
+ * Gets the browser's localStorage if there is one
+ * @returns {Storage|null} localStorage, or null (Node, privacy mode)
+ */
+const defaultStorage = () => {
+    try {
+        return globalThis.localStorage || null;
+    } catch {
+        return null; // Access can throw when storage is blocked
+    }
+};
+
+/**
+ * Makes empty progress (a new player)
+ * @returns {Object} { coins, unlocks, loadout }
+ */
+const createProgress = () => ({
+    coins: 0,
+    unlocks: {},
+    loadout: { weapon: null, powerup: null, color: null }
+});
+
+/**
+ * Loads the stored progress, ignoring anything that doesn't make sense
+ * @param {Storage|null} [storage] - Where progress is kept (default localStorage)
+ * @returns {Object} { coins, unlocks, loadout }
+ */
+export const loadMetaProgress = (storage = defaultStorage()) => {
+    const progress = createProgress();
+    const raw = storage ? storage.getItem(META_SETTINGS.storageKey) : null;
+    if (!raw) return progress;
+
+    try {
+        const data = JSON.parse(raw);
+        if (Number.isFinite(data.coins) && data.coins >= 0) progress.coins = Math.floor(data.coins);
+        for (const [id, level] of Object.entries(data.unlocks || {})) {
+            if (META_UNLOCKS[id] && Number.isInteger(level) && level > 0) {
+                progress.unlocks[id] = Math.min(level, META_UNLOCKS[id].costs.length);
+            }
+        }
+        for (const slot of LOADOUT_SLOTS) {
+            const value = data.loadout?.[slot] ?? null;
+            if (value !== null && canEquip(progress, slot, value)) progress.loadout[slot] = value;
+        }
+    } catch (error) {
+        logger.warn('meta', 'Stored meta progress is unreadable, starting over', { error: error.message });
+    }
+    return progress;
+};
+
+/**
+ * Saves progress
+ * @param {Object} progress - { coins, unlocks, loadout }
+ * @param {Storage|null} storage - Where progress is kept
+ */
+const saveMetaProgress = (progress, storage) => {
+    if (!storage) return;
+    storage.setItem(META_SETTINGS.storageKey, JSON.stringify(progress));
+};
+
+/**
+ * Gets how many levels of an unlock have been bought
+ * @param {Object} progress - Meta progress
+ * @param {string} id - Unlock id
+ * @returns {number} Level (0 = not bought)
+ */
+export const getUnlockLevel = (progress, id) => progress.unlocks[id] || 0;
+
+/**
+ * Gets what the next level of an unlock costs
+ * @param {Object} progress - Meta progress
+ * @param {string} id - Unlock id
+ * @returns {number|null} Coins, or null once it is maxed
+ */
+export const getUnlockCost = (progress, id) => META_UNLOCKS[id].costs[getUnlockLevel(progress, id)] ?? null;
+
+/**
+ * Whether something can go in a loadout slot
+ * @param {Object} progress - Meta progress
+ * @param {string} slot - 'weapon', 'powerup' or 'color'
+ * @param {string|null} value - Weapon type, powerup type, colour id, or null for the default
+ * @returns {boolean} True if it has been unlocked
+ */
+export const canEquip = (progress, slot, value) => {
+    if (value === null) return true;
+    if (slot === 'powerup') return getUnlockLevel(progress, 'startingPowerup') > 0 && BOON_TYPES.includes(value);
+    return getUnlockLevel(progress, `${slot}:${value}`) > 0;
+};
+
+/**
+ * Gets the coins a score is worth
+ * @param {number} score - Final score
+ * @returns {number} Coins
+ */
+export const getCoinsForScore = (score) => Math.max(0, Math.floor(score / META_SETTINGS.scorePerCoin));
+
+/**
+ * Banks the coins for a finished run
+ * @param {number} score - Final score
+ * @param {Storage|null} [storage] - Where progress is kept
+ * @returns {number} Coins earned
+ */
+export const earnCoins = (score, storage = defaultStorage()) => addCoins(getCoinsForScore(score), storage);
+
+/**
+ * Banks coins (from the score, or picked up during a run)
+ * @param {number} amount - Coins to add
+ * @param {Storage|null} [storage] - Where progress is kept
+ * @returns {number} Coins added (0 without storage)
+ */
+export const addCoins = (amount, storage = defaultStorage()) => {
+    if (!(amount > 0) || !storage) return 0;
+
+    const progress = loadMetaProgress(storage);
+    progress.coins += Math.floor(amount);
+    saveMetaProgress(progress, storage);
+    logger.info('meta', `Earned ${Math.floor(amount)} coins (${progress.coins} total)`);
+    return Math.floor(amount);
+};
+
+/**
+ * Buys the next level of an unlock
+ * A weapon or colour bought is put straight into the loadout.
+ * @param {string} id - Unlock id
+ * @param {Storage|null} [storage] - Where progress is kept
+ * @returns {Object} The updated progress
+ */
+export const buyUnlock = (id, storage = defaultStorage()) => {
+    const unlock = META_UNLOCKS[id];
+    if (!unlock) throw new Error(`Unknown unlock: ${id}`);
+
+    const progress = loadMetaProgress(storage);
+    const cost = getUnlockCost(progress, id);
+    if (cost === null) throw new Error(`${unlock.name} is already maxed`);
+    if (progress.coins < cost) throw new Error(`${unlock.name} costs ${cost} coins (you have ${progress.coins})`);
+
+    progress.coins -= cost;
+    progress.unlocks[id] = getUnlockLevel(progress, id) + 1;
+    if (unlock.loadout) progress.loadout[unlock.loadout] = unlock.value;
+    saveMetaProgress(progress, storage);
+    logger.info('meta', `Bought ${id} level ${progress.unlocks[id]} for ${cost} coins`);
+    return progress;
+};
+
+/**
+ * Puts something in a loadout slot
+ * @param {string} slot - 'weapon', 'powerup' or 'color'
+ * @param {string|null} value - What to use (null = the default)
+ * @param {Storage|null} [storage] - Where progress is kept
+ * @returns {Object} The updated progress
+ */
+export const setLoadout = (slot, value, storage = defaultStorage()) => {
+    if (!LOADOUT_SLOTS.includes(slot)) throw new Error(`Unknown loadout slot: ${slot}`);
+
+    const progress = loadMetaProgress(storage);
+    if (!canEquip(progress, slot, value)) throw new Error(`${value} is not unlocked`);
+    progress.loadout[slot] = value;
+    saveMetaProgress(progress, storage);
+    return progress;
+};
+
+/**
+ * Works out what a new run starts with
+ * @param {Object} progress - Meta progress
+ * @returns {Object} { weapon, powerup, bonusHealth, perkRerolls, color } (weapon, powerup and color may be null)
+ */
+export const getRunLoadout = (progress) => ({
+    weapon: progress.loadout.weapon,
+    powerup: progress.loadout.powerup,
+    bonusHealth: getUnlockLevel(progress, 'baseHealth') * META_SETTINGS.healthPerLevel,
+    perkRerolls: getUnlockLevel(progress, 'perkReroll'),
+    color: progress.loadout.color ? COSMETIC_COLORS[progress.loadout.color].color : null
+});
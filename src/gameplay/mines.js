@@ -0,0 +1,136 @@
+/**
+ * Mines Module - Proximity mines that blow up when a zombie walks over them
+ *
+ * A mine sits just above the ground, pulses so it can be seen, and explodes
+ * (damaging every zombie in its radius) the moment a zombie comes close. Mines
+ * can be given an arming delay, during which they sit dark and can't go off
+ * (mines the player places - see gameplay/equipment.js - use one so they
+ * aren't set off by the zombie they were dropped in front of). Mines
+ * that are never triggered fizzle out after their lifetime. Live mines are kept
+ * in gameState.mines and each has an update() the step calls; it returns false
+ * once the mine is gone.
+ *
+ * Example usage:
+ *   import { deployMinefield } from './gameplay/mines.js';
+ *
+ *   deployMinefield(scene, gameState, player.position, 2);   // Two rows of mines
+ *   placeMine(scene, gameState, player.position, { armDelay: 1000 });
+ */
+
+import * as THREE from 'three';
+import { createExplosion } from './zombieUtils.js';
+import { playSound } from './audio.js';
+import { getSimTime } from '../utils/simClock.js';
+import { logger } from '../utils/logger.js';
+
+// Add 'mines' to logger sections if not already included
+logger.addSection('mines');
+
+// Mine and minefield settings
+export const MINE_SETTINGS = {
+    damage: 800,            // Explosion damage
+    radius: 3,              // Explosion radius (world units)
+    triggerDistance: 1,     // How close a zombie has to get
+    lifetime: 10000,        // ms before an untriggered mine fizzles out
+    minesPerRow: 10,        // Minefield width
+    mineSpacing: 1.5,       // Space between mines in a row
+    rowSpacing: 1.0,        // Space between rows
+    fieldDistance: -5,      // Where the field starts relative to the player (z)
+    pulseSpeed: 0.1,        // Pulse speed (radians per ms)
+    pulseIntensity: 0.2     // How much the mines grow and shrink
+};
+
+// Shared mine parts (every mine is the same red disc)
+const mineGeometry = new THREE.CylinderGeometry(0.2, 0.2, 0.1, 8);
+const mineMaterial = new THREE.MeshStandardMaterial({
+    color: 0xff0000,
+    emissive: 0xff0000,
+    emissiveIntensity: 0.5
+});
+const unarmedMaterial = new THREE.MeshStandardMaterial({ color: 0x552222, roughness: 0.8 });
+
+/**
+ * Puts one mine on the ground
+ * @param {THREE.Scene} scene - The scene
+ * @param {Object} gameState - The game state
+ * @param {THREE.Vector3} position - Where the mine goes (y is ignored)
+ * @param {Object} [options] - Options
+ * @param {number} [options.armDelay=0] - ms before the mine can go off
+ * @param {number} [options.lifetime=MINE_SETTINGS.lifetime] - ms before it fizzles out if never triggered
+ * @returns {Object} The mine { mesh, position, damage, radius, isActive, createdAt, armedAt, lifetime, update }
+ */
+export const placeMine = (scene, gameState, position, options = {}) => {
+    const { armDelay = 0, lifetime = MINE_SETTINGS.lifetime } = options;
+    const mesh = new THREE.Mesh(mineGeometry, armDelay > 0 ? unarmedMaterial : mineMaterial);
+    mesh.position.set(position.x, 0.05, position.z);
+    scene.add(mesh);
+
+    const mine = {
+        mesh,
+        position: mesh.position.clone(),
+        damage: MINE_SETTINGS.damage,
+        radius: MINE_SETTINGS.radius,
+        isActive: true,
+        createdAt: getSimTime(),
+        armedAt: getSimTime() + armDelay,
+        lifetime
+    };
+
+    const removeMine = () => {
+        mine.isActive = false;
+        scene.remove(mesh);
+        return false;
+    };
+
+    mine.update = () => {
+        if (!mine.isActive) return false;
+
+        if (getSimTime() - mine.createdAt > mine.lifetime) {
+            logger.debug('mines', `Mine expired at (${mesh.position.x.toFixed(2)}, ${mesh.position.z.toFixed(2)})`);
+            return removeMine();
+        }
+        if (getSimTime() < mine.armedAt) return true; // Not armed yet
+        mesh.material = mineMaterial;
+
+        const pulseScale = 1.0 + Math.sin(getSimTime() * MINE_SETTINGS.pulseSpeed) * MINE_SETTINGS.pulseIntensity;
+        mesh.scale.set(pulseScale, 1, pulseScale);
+
+        for (const zombie of gameState.zombies) {
+            if (!zombie || !zombie.mesh) continue;
+            if (mesh.position.distanceTo(zombie.mesh.position) < MINE_SETTINGS.triggerDistance) {
+                logger.info('mines', `Mine triggered at (${mesh.position.x.toFixed(2)}, ${mesh.position.z.toFixed(2)})`);
+                createExplosion(scene, mesh.position, mine.radius, mine.damage, gameState.zombies, gameState.playerObject, gameState, 'player');
+                return removeMine();
+            }
+        }
+        return true;
+    };
+
+    if (!gameState.mines) gameState.mines = [];
+    gameState.mines.push(mine);
+    playSound('minePlace', mesh.position);
+    return mine;
+};
+
+/**
+ * Lays rows of mines across the world X axis behind the given position
+ * @param {THREE.Scene} scene - The scene
+ * @param {Object} gameState - The game state
+ * @param {THREE.Vector3} position - Usually the player's position
+ * @param {number} rows - Number of rows of mines
+ * @returns {Array<Object>} The mines placed
+ */
+export const deployMinefield = (scene, gameState, position, rows) => {
+    const { minesPerRow, mineSpacing, rowSpacing, fieldDistance } = MINE_SETTINGS;
+    const mines = [];
+
+    for (let row = 0; row < rows; row++) {
+        for (let i = 0; i < minesPerRow; i++) {
+            const x = position.x + row * rowSpacing + (i - minesPerRow / 2) * mineSpacing;
+            mines.push(placeMine(scene, gameState, { x, z: position.z + fieldDistance }));
+        }
+    }
+
+    logger.info('mines', `Minefield deployed: ${mines.length} mines in ${rows} rows`);
+    return mines;
+};
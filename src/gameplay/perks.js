@@ -0,0 +1,182 @@
+/**
+ * Perks Module - The permanent upgrades picked on each level-up
+ *
+ * Every level-up (see experience.js) offers a choice of three different perks.
+ * The game pauses until one is picked; level-ups that come in while a choice is
+ * open wait their turn. A perk changes the player's stats in gameState.player
+ * for the rest of the run, and the same perk can be picked again to stack it:
+ *
+ *   damage                 - the base damage of every shot
+ *   fireRateMultiplier     - scales the time between shots (combat.js)
+ *   moveSpeedMultiplier    - scales the player's base speed (gameLoop.js)
+ *   maxHealth              - the cap for healing and the health halo
+ *   pierce                 - extra zombies each shot goes through (combat.js)
+ *   pickupRadiusMultiplier - scales how close pickups have to be (pickups.js)
+ *
+ * Perks taken are listed in player.perks in the order they were picked. A choice
+ * can be rerolled for three new perks while player.perkRerolls (bought in the
+ * shop, see metaProgress.js) lasts. player.perkActions lists both, in order,
+ * and is what the input replay records, so replays pick and reroll the same.
+ *
+ * Example usage:
+ *   import { queuePerkChoice, choosePerk, rerollPerkChoice } from './gameplay/perks.js';
+ *
+ *   queuePerkChoice(gameState);                          // On level-up
+ *   rerollPerkChoice(gameState);                         // None of them appeal
+ *   choosePerk(gameState, gameState.player.perkChoice[0]); // The player clicked one
+ */
+
+import { getRandom } from '../utils/random.js';
+import { setPauseReason } from '../ui/pauseMenu.js';
+import { isReplayPlaying } from '../replay/inputReplay.js';
+import { showMessage } from '../ui/ui.js';
+import { logger } from '../utils/logger.js';
+
+// Add 'perks' to logger sections if not already included
+logger.addSection('perks');
+
+// Seeded so a run (and its replay) is offered the same perks
+const perkRandom = getRandom('perks');
+
+// How many perks a level-up offers
+export const PERK_SETTINGS = {
+    options: 3
+};
+
+export const PERK_REGISTRY = {
+    damage: {
+        name: 'Hollow Points',
+        description: '+20% damage',
+        apply: (player) => { player.damage *= 1.2; }
+    },
+    fireRate: {
+        name: 'Hair Trigger',
+        description: 'Fire 15% faster',
+        apply: (player) => { player.fireRateMultiplier *= 0.85; }
+    },
+    moveSpeed: {
+        name: 'Marathon',
+        description: 'Move 10% faster',
+        apply: (player) => { player.moveSpeedMultiplier += 0.1; }
+    },
+    maxHealth: {
+        name: 'Thick Skin',
+        description: '+25 max health, and heal 25',
+        apply: (player) => {
+            player.maxHealth += 25;
+            player.health = Math.min(player.maxHealth, player.health + 25);
+        }
+    },
+    pierce: {
+        name: 'Armour Piercing',
+        description: 'Shots go through one more zombie',
+        apply: (player) => { player.pierce += 1; }
+    },
+    pickupRadius: {
+        name: 'Long Arms',
+        description: 'Grab pickups from 50% further away',
+        apply: (player) => { player.pickupRadiusMultiplier += 0.5; }
+    }
+};
+
+export const PERK_TYPES = Object.keys(PERK_REGISTRY);
+
+/**
+ * Gets a perk's registry entry
+ * @param {string} type - Perk type
+ * @returns {Object|undefined} The entry, or undefined for an unknown type
+ */
+export const getPerkDefinition = (type) => PERK_REGISTRY[type];
+
+/**
+ * Pauses the game while a perk choice is open
+ * Not in co-op (the room keeps going) or while a replay plays (the replay picks on the next step).
+ * @param {Object} gameState - The game state
+ * @param {boolean} open - Whether a choice is open
+ */
+const holdForChoice = (gameState, open) => {
+    if (gameState.network || isReplayPlaying()) return;
+    setPauseReason('levelUp', open);
+};
+
+/**
+ * Draws options different perks
+ * @returns {Array<string>} Perk types
+ */
+const drawPerks = () => {
+    const pool = [...PERK_TYPES];
+    const choice = [];
+    while (choice.length < PERK_SETTINGS.options && pool.length > 0) {
+        choice.push(pool.splice(Math.floor(perkRandom() * pool.length), 1)[0]);
+    }
+    return choice;
+};
+
+/**
+ * Opens the next perk choice: options different perks in player.perkChoice
+ * @param {Object} gameState - The game state
+ */
+const openPerkChoice = (gameState) => {
+    const { player } = gameState;
+    const choice = drawPerks();
+
+    player.pendingPerks--;
+    player.perkChoice = choice;
+    holdForChoice(gameState, true);
+    logger.info('perks', `Perk choice: ${choice.join(', ')}`);
+};
+
+/**
+ * Queues a perk choice for a level-up, opening it now unless one is already open
+ * @param {Object} gameState - The game state
+ */
+export const queuePerkChoice = (gameState) => {
+    const { player } = gameState;
+    player.pendingPerks = (player.pendingPerks || 0) + 1;
+    if (!player.perkChoice) openPerkChoice(gameState);
+};
+
+/**
+ * Takes one of the perks on offer and moves on to the next queued choice, if any
+ * @param {Object} gameState - The game state
+ * @param {string} type - Perk type (must be on offer)
+ * @returns {Object} The perk's registry entry
+ */
+export const choosePerk = (gameState, type) => {
+    const { player } = gameState;
+    if (!player.perkChoice || !player.perkChoice.includes(type)) {
+        throw new Error(`Perk ${type} is not on offer`);
+    }
+
+    const definition = getPerkDefinition(type);
+    definition.apply(player);
+    player.perks.push(type);
+    player.perkActions.push(type);
+    player.perkChoice = null;
+    showMessage(`${definition.name}!`, 2000);
+    logger.info('perks', `Took ${type} (${player.perks.length} perks)`);
+
+    if (player.pendingPerks > 0) {
+        openPerkChoice(gameState);
+    } else {
+        holdForChoice(gameState, false);
+    }
+    return definition;
+};
+
+/**
+ * Swaps the open choice for a fresh draw, using up one reroll
+ * @param {Object} gameState - The game state
+ * @returns {Array<string>} The new choice
+ */
+export const rerollPerkChoice = (gameState) => {
+    const { player } = gameState;
+    if (!player.perkChoice) throw new Error('No perk choice to reroll');
+    if (!(player.perkRerolls > 0)) throw new Error('No perk rerolls left');
+
+    player.perkRerolls--;
+    player.perkChoice = drawPerks();
+    player.perkActions.push('reroll');
+    logger.info('perks', `Rerolled to ${player.perkChoice.join(', ')} (${player.perkRerolls} rerolls left)`);
+    return player.perkChoice;
+};
@@ -10,14 +10,13 @@
  */
 
 import * as THREE from 'three';
-import { createBullet } from './weapons.js';
 import { damageZombie, isZombieDead } from './zombie.js';
 import { logger } from '../utils/logger.js';
 import { showMessage } from '../ui/ui.js';
-import { playSound } from './audio.js'; // Import audio system
-import { damagePowerup } from './powerupSpawner.js';
-import { createExplosion } from './zombieUtils.js';
-import { shootBullet, initCombatSystem } from './combat.js'; // Added import
+import { damagePowerup, removeOtherPowerups } from './powerupSpawner.js';
+import { activatePowerup } from './activePowerups.js';
+import { getSimTime, simTimeout, addSimTask } from '../utils/simClock.js';
+import { hasDOM } from '../utils/deviceDetection.js';
 
 // Create audio for damage sound
 let damageSound = null;
@@ -127,6 +126,9 @@ const createDamageIndicator = (damage, position, camera) => {
             return;
         }
         
+        // Nothing to draw on when running headless
+        if (!hasDOM()) return;
+        
         // Create a div for the damage indicator
         const indicator = document.createElement('div');
         indicator.textContent = `-${Math.round(damage)}`;
@@ -173,11 +175,11 @@ const createDamageIndicator = (damage, position, camera) => {
         
         document.body.appendChild(indicator);
         
-        // Animate the indicator
+        // Animate the indicator (one step per simulation tick, freezes while paused)
         let opacity = 1;
         let posY = parseFloat(indicator.style.top);
         
-        const animate = () => {
+        addSimTask(() => {
             opacity -= 0.02;
             posY -= 1;
             
@@ -185,13 +187,11 @@ const createDamageIndicator = (damage, position, camera) => {
             indicator.style.top = `${posY}px`;
             
             if (opacity > 0) {
-                requestAnimationFrame(animate);
-            } else {
-                document.body.removeChild(indicator);
+                return true;
             }
-        };
-        
-        animate();
+            document.body.removeChild(indicator);
+            return false;
+        });
     } catch (error) {
         logger.error('Error creating damage indicator:', error);
     }
@@ -336,33 +336,19 @@ export const handleCollisions = (gameState, scene, delta = 1/60) => {
                         powerupPos: [powerup.mesh.position.x.toFixed(2), powerup.mesh.position.y.toFixed(2), powerup.mesh.position.z.toFixed(2)]
                     });
                     
-                    // Explicitly call the exported activatePowerup function
-                    activatePowerup(gameState, powerup.type, 'walk', scene);
-                    
-                    // Emergency direct property assignment (backup approach)
-                    gameState.player.activePowerup = powerup.type;
-                    gameState.player.powerupDuration = 10;
+                    // Start it (or level it up if it is already running) and take it off the map
+                    activatePowerup(gameState, powerup.type, scene);
+                    removeOtherPowerups(scene, gameState, powerup);
+                    scene.remove(powerup.mesh);
+                    powerup.active = false;
                     
-                    // Log player state after activation
-                    logger.info('powerup', `Player powerup state after direct assignment`, {
-                        activePowerup: gameState.player.activePowerup,
-                        powerupDuration: gameState.player.powerupDuration
-                    });
-                    
-                    // Log powerup activation
                     logger.info('powerup', `Player collected powerup: ${powerup.type}`);
-                    
-                    // Show message
-                    showMessage(`${powerup.type} activated!`, 1000);
-                    
-                    // Play powerup pickup sound 
-                    playSound('powerupPickup');
                 }
                 else {
                     // Show a message that powerup needs to be shot first
-                    if (!powerup.lastUnlockMessage || Date.now() - powerup.lastUnlockMessage > 3000) {
+                    if (!powerup.lastUnlockMessage || getSimTime() - powerup.lastUnlockMessage > 3000) {
                         showMessage(`Shoot the ${powerup.type} to unlock it!`, 1500);
-                        powerup.lastUnlockMessage = Date.now();
+                        powerup.lastUnlockMessage = getSimTime();
                     }
                 }
             }
@@ -456,7 +442,7 @@ export const handleCollisions = (gameState, scene, delta = 1/60) => {
                         player.userData.damageEffect = true;
                         
                         // Reset after a short time
-                        setTimeout(() => {
+                        simTimeout(() => {
                             try {
                                 // Restore original materials
                                 if (player.userData.originalMaterials) {
@@ -475,7 +461,7 @@ export const handleCollisions = (gameState, scene, delta = 1/60) => {
                 }
                 
                 // Visual feedback for damage - screen flash
-                if (Math.random() < 0.1) { // Only occasionally to avoid spam
+                if (hasDOM() && Math.random() < 0.1) { // Only occasionally to avoid spam
                     logger.debug(`Player damaged! Health: ${gameState.player.health.toFixed(1)}`);
                     
                     try {
@@ -529,368 +515,6 @@ export const handleCollisions = (gameState, scene, delta = 1/60) => {
     }
 };
 
-/**
- * Activates a powerup effect
- * @param {Object} gameState - The game state object
- * @param {string} powerupType - The type of powerup to activate
- * @param {string} activationMethod - How the powerup was activated ('walk' or 'shoot')
- * @param {THREE.Scene} scene - The scene to add objects to
- */
-export const activatePowerup = (gameState, powerupType, activationMethod = 'walk', scene = null) => {
-logger.debug('powerup', 'Activating powerup', { powerupType, activationMethod });
-    if (!gameState || !powerupType) {
-        logger.error('powerup', 'Failed to activate powerup - invalid parameters', { 
-            hasGameState: !!gameState, 
-            powerupType 
-        });
-        return;
-    }
-    
-    try {
-        // Set the active powerup in the game state
-        if (!gameState.player) {
-            logger.error('powerup', 'Cannot activate powerup - gameState.player is undefined');
-            return;
-        }
-        
-        // Ensure the player object has the required properties
-        if (typeof gameState.player !== 'object') {
-            logger.error('powerup', 'gameState.player is not an object', { 
-                playerType: typeof gameState.player 
-            });
-            return;
-        }
-        
-        // Initialize player powerup properties if they don't exist
-        if (!gameState.player.hasOwnProperty('activePowerup')) {
-            gameState.player.activePowerup = null;
-        }
-        
-        if (!gameState.player.hasOwnProperty('powerupDuration')) {
-            gameState.player.powerupDuration = 0;
-        }
-        
-        // Set the active powerup values
-        gameState.player.activePowerup = powerupType;
-        gameState.player.powerupDuration = 15; // 10 seconds duration
-        
-        // Log powerup activation
-        logger.info('powerup', `Powerup activated successfully`, {
-            type: powerupType,
-            method: activationMethod,
-            duration: gameState.player.powerupDuration
-        });
-        
-        // Special handling for explosion powerup - deploy mines immediately
-        if (powerupType === 'explosion' && scene) {
-            logger.info('powerup', 'N: Explosion powerup detected - deploying mines immediately');
-            // Create a dummy direction vector since we're not using it for mine placement
-            const dummyDirection = new THREE.Vector3(0, 0, 1);
-            // Call applyPowerupEffect to create the minefield
-            applyPowerupEffect(
-                gameState,
-                gameState.playerObject.position.clone(),
-                dummyDirection,
-                scene
-            );
-        }
-        
-        // Play powerup pickup sound
-        playSound('powerupPickup');
-    } catch (error) {
-        logger.error('powerup', 'Error activating powerup:', error);
-    }
-};
-
-/**
- * Applies the active powerup effect to a bullet shot
- * @param {Object} gameState - The game state object
- * @param {THREE.Vector3} position - The position to create bullets at
- * @param {THREE.Vector3} direction - The direction for bullets to travel
- * @param {THREE.Scene} scene - The scene to add bullets to
- */
-export const applyPowerupEffect = (gameState, position, direction, scene) => {
-    if (!gameState || !gameState.player) {
-        return;
-    }
-    logger.info('powerup', 'L: Applying powerup effect ', { powerupType: gameState.player.activePowerup });
-   
-    // Check if there's an active powerup
-    const powerupType = gameState.player.activePowerup;
-    
-    if (!powerupType) {
-        // No active powerup, create a normal bullet
-        const bullet = createBullet(position, direction);
-        gameState.bullets.push(bullet);
-        if (bullet.mesh) {
-            scene.add(bullet.mesh);
-        }
-        return;
-    }
-    
-    switch (powerupType) {
-        case 'rapidFire':
-            // Create a single faster bullet with standard damage
-            const rapidBullet = createBullet(position, direction, 25, 1.5, 0xffa500);
-            gameState.bullets.push(rapidBullet);
-            if (rapidBullet.mesh) {
-                scene.add(rapidBullet.mesh);
-            }
-            
-            logger.debug('Rapid fire bullet fired');
-            break;
-            
-        case 'shotgunBlast':
-            // Create a spread of 8 bullets in a cone (increased from 5 for better spread)
-            const shotgunSpread = Math.PI / 8; // 22.5 degrees
-            const numPellets = 8;
-            
-            for (let i = 0; i < numPellets; i++) {
-                // Calculate angle for this pellet (evenly distributed across the spread)
-                const angle = (i / (numPellets - 1) - 0.5) * 2 * shotgunSpread;
-                
-                // Create direction vector with spread
-                const pelletDir = direction.clone();
-                pelletDir.applyAxisAngle(new THREE.Vector3(0, 1, 0), angle);
-                
-                // Create bullet with reduced damage
-                const pellet = createBullet(position, pelletDir, 15, 1.0, 0x4682b4);
-                gameState.bullets.push(pellet);
-                if (pellet.mesh) {
-                    scene.add(pellet.mesh);
-                }
-            }
-            
-            logger.debug('Shotgun blast fired');
-            break;
-            
-        case 'laserShot':
-            // Create a laser beam (long, thin bullet with high damage)
-            const laserBullet = createBullet(position, direction, 50, 2.0, 0x00ffff);
-            
-            // Make laser longer and thinner
-            if (laserBullet.mesh) {
-                laserBullet.mesh.scale.set(0.05, 0.05, 3.0);
-            }
-            
-            gameState.bullets.push(laserBullet);
-            if (laserBullet.mesh) {
-                scene.add(laserBullet.mesh);
-            }
-            
-            // Add laser light effect
-            const laserLight = new THREE.PointLight(0x00ffff, 1, 5);
-            laserLight.position.copy(position);
-            scene.add(laserLight);
-            
-            // Remove light after a short time
-            setTimeout(() => {
-                scene.remove(laserLight);
-            }, 100);
-            
-            logger.debug('Laser shot fired');
-            break;
-            
-        case 'grenadeLauncher':
-            // No longer implementing grenade launcher here - this is handled in combat.js
-            logger.info('grenadelauncher', 'Redirecting grenade launcher request to combat.js');
-            // Initialize combat system if needed
-            if (scene && !scene.userData.combatSystemInitialized) {
-                initCombatSystem(scene);
-                scene.userData.combatSystemInitialized = true;
-            }
-            // Call shootBullet directly
-            shootBullet(scene, gameState.playerObject, gameState);
-            break;
-            
-        case 'explosion':
-            logger.info('powerup', 'M: Starting explosion powerup minefield deployment');
-            
-            // Create a defensive line of mines in front of the player
-            const MINE_ROWS = 2;
-            const MINES_PER_ROW = 10;
-            const MINE_SPACING = 1.5; // Space between mines
-            const ROW_SPACING = 1.0; // Space between rows
-            const MINE_DISTANCE = -5;
-            
-            logger.debug('powerup', 'Mine configuration', {
-                rows: MINE_ROWS,
-                minesPerRow: MINES_PER_ROW,
-                spacing: MINE_SPACING,
-                rowSpacing: ROW_SPACING,
-                distance: MINE_DISTANCE
-            });
-            
-            // Calculate starting position (always in +Z direction)
-            const startPosition = new THREE.Vector3(
-                gameState.playerObject.position.x,
-                0.05, // Just above ground
-                gameState.playerObject.position.z + MINE_DISTANCE
-            );
-            
-            logger.debug('powerup', 'Starting position for mines', {
-                x: startPosition.x.toFixed(2),
-                y: startPosition.y.toFixed(2),
-                z: startPosition.z.toFixed(2),
-                playerPos: {
-                    x: gameState.playerObject.position.x.toFixed(2),
-                    z: gameState.playerObject.position.z.toFixed(2)
-                }
-            });
-            
-            // Always use world X axis for mine rows
-            const perpDirection = new THREE.Vector3(1, 0, 0);
-            
-            // Initialize mine count for logging
-            let minesCreated = 0;
-            
-            // Create mines in two rows
-            for (let row = 0; row < MINE_ROWS; row++) {
-                const rowOffset = perpDirection.clone().multiplyScalar(row * ROW_SPACING);
-                const rowStart = startPosition.clone().add(rowOffset);
-                
-                logger.debug('powerup', `Creating row ${row + 1}`, {
-                    rowStartX: rowStart.x.toFixed(2),
-                    rowStartZ: rowStart.z.toFixed(2)
-                });
-                
-                for (let i = 0; i < MINES_PER_ROW; i++) {
-                    const mineOffset = perpDirection.clone().multiplyScalar((i - MINES_PER_ROW/2) * MINE_SPACING);
-                    const minePosition = rowStart.clone().add(mineOffset);
-                    
-                    logger.debug('powerup', `Creating mine ${i + 1} in row ${row + 1}`, {
-                        x: minePosition.x.toFixed(2),
-                        z: minePosition.z.toFixed(2)
-                    });
-                    
-                    // Create mine mesh
-                    const mineGeometry = new THREE.CylinderGeometry(0.2, 0.2, 0.1, 8);
-                    const mineMaterial = new THREE.MeshStandardMaterial({
-                        color: 0xff0000,
-                        emissive: 0xff0000,
-                        emissiveIntensity: 0.5
-                    });
-                    const mine = new THREE.Mesh(mineGeometry, mineMaterial);
-                    mine.position.copy(minePosition);
-                    
-                    // Add to scene
-                    scene.add(mine);
-                    minesCreated++;
-                    
-                    // Create mine object with properties
-                    const mineObject = {
-                        mesh: mine,
-                        position: minePosition.clone(),
-                        damage: 800,
-                        radius: 3,
-                        isActive: true,
-                        createdAt: Date.now(),
-                        lifetime: 10000 // 10 seconds lifetime
-                    };
-                    
-                    // Add pulsing effect
-                    let pulseScale = 1.0;
-                    const pulseSpeed = 0.1;
-                    const pulseIntensity = 0.2;
-                    
-                    mineObject.update = () => {
-                        if (!mineObject.isActive) return false;
-                        
-                        // Update lifetime
-                        if (Date.now() - mineObject.createdAt > mineObject.lifetime) {
-                            logger.debug('powerup', 'Mine expired', {
-                                position: {
-                                    x: mine.position.x.toFixed(2),
-                                    z: mine.position.z.toFixed(2)
-                                }
-                            });
-                            mineObject.isActive = false;
-                            scene.remove(mine);
-                            mine.geometry.dispose();
-                            mine.material.dispose();
-                            return false;
-                        }
-                        
-                        // Update pulse effect
-                        pulseScale = 1.0 + Math.sin(Date.now() * pulseSpeed) * pulseIntensity;
-                        mine.scale.set(pulseScale, 1, pulseScale);
-                        
-                        // Check for zombie collisions
-                        for (const zombie of gameState.zombies) {
-                            if (!zombie || !zombie.mesh) continue;
-                            
-                            const distance = mine.position.distanceTo(zombie.mesh.position);
-                            if (distance < 1) { // Mine triggered
-                                logger.info('powerup', 'Mine triggered by zombie', {
-                                    minePos: {
-                                        x: mine.position.x.toFixed(2),
-                                        z: mine.position.z.toFixed(2)
-                                    },
-                                    zombiePos: {
-                                        x: zombie.mesh.position.x.toFixed(2),
-                                        z: zombie.mesh.position.z.toFixed(2)
-                                    },
-                                    distance: distance.toFixed(2)
-                                });
-                                
-                                // Create explosion
-                                createExplosion(
-                                    scene,
-                                    mine.position,
-                                    mineObject.radius,
-                                    mineObject.damage,
-                                    gameState.zombies,
-                                    gameState.playerObject,
-                                    gameState,
-                                    'player'
-                                );
-                                
-                                // Remove mine
-                                mineObject.isActive = false;
-                                scene.remove(mine);
-                                mine.geometry.dispose();
-                                mine.material.dispose();
-                                return false;
-                            }
-                        }
-                        
-                        return true;
-                    };
-                    
-                    // Add to gameState for updating
-                    if (!gameState.mines) {
-                        gameState.mines = [];
-                    }
-                    gameState.mines.push(mineObject);
-                    
-                    // Play mine placement sound
-                    playSound('minePlace', minePosition);
-                }
-            }
-            
-            logger.info('powerup', 'Minefield deployment complete', {
-                totalMines: minesCreated,
-                startPosition: {
-                    x: startPosition.x.toFixed(2),
-                    z: startPosition.z.toFixed(2)
-                }
-            });
-            
-            // Show message to player
-            showMessage('Minefield deployed!', 2000);
-            break;
-            
-        default:
-            // Unknown powerup, create a normal bullet
-            const defaultBullet = createBullet(position, direction);
-            gameState.bullets.push(defaultBullet);
-            if (defaultBullet.mesh) {
-                scene.add(defaultBullet.mesh);
-            }
-            break;
-    }
-};
-
 /**
  * Creates a small hit effect at the given position
  * @param {THREE.Scene} scene - The scene to add the effect to
@@ -912,19 +536,17 @@ const createHitEffect = (scene, position, size = 0.5) => {
     
     // Animate and remove the effect
     let scale = 1;
-    const fadeOut = () => {
+    addSimTask(() => {
         scale -= 0.1;
         effect.scale.set(scale, scale, scale);
         effect.material.opacity = scale;
         
         if (scale > 0) {
-            requestAnimationFrame(fadeOut);
-        } else {
-            scene.remove(effect);
-            effect.geometry.dispose();
-            effect.material.dispose();
+            return true;
         }
-    };
-    
-    fadeOut();
+        scene.remove(effect);
+        effect.geometry.dispose();
+        effect.material.dispose();
+        return false;
+    });
 }; 
\ No newline at end of file
@@ -0,0 +1,308 @@
+/**
+ * Pickups Module - Things dead zombies leave behind for the player to collect
+ *
+ * Each enemy type has a drop table ("drops" in enemies/enemies.json): every
+ * entry is rolled when one dies, and bosses have entries that always drop. The
+ * kinds of pickup are:
+ *
+ *   ammo   - tops up the reserve of every limited-ammo gun by one magazine
+ *            (only dropped while the player carries such a gun - the pistol
+ *            never runs out, so there would be nothing to top up)
+ *   health - heals; the only healing besides Regeneration and the max health
+ *            perk, so packs stay on the ground while the player is unhurt
+ *   coin   - worth coinValue coins for the shop, banked at game over
+ *   equipment - adds equipmentCharges to each grenade and mine slot (see
+ *            gameplay/equipment.js); like health packs, it waits on the ground
+ *            while every slot is full
+ *
+ * Pickups are objects in the world that bob in place so they stand out. They
+ * are collected by walking within pickupRadius, and within magnetRadius they
+ * slide towards the player (both scaled by the pickup radius perk; a
+ * magnetRadius of 0 turns the magnet off). Left alone they blink and then
+ * disappear.
+ *
+ * Drops are rolled on a seeded stream and timed on the simulation clock, so
+ * a seed plus the same inputs drops the same pickups. In co-op the room server
+ * owns zombie deaths and nothing is dropped.
+ *
+ * Example usage:
+ *   import { dropPickups, updatePickups } from './gameplay/pickups.js';
+ *
+ *   dropPickups(scene, gameState, zombie);            // When a zombie dies
+ *   updatePickups(scene, player, gameState, delta);   // Once per simulation step
+ */
+
+import * as THREE from 'three';
+import { getWeaponDefinition } from './weaponDefinitions.js';
+import { addReserveAmmo } from './ammo.js';
+import { EQUIPMENT_TYPES, addCharges, canRefillEquipment } from './equipment.js';
+import { playSound } from './audio.js';
+import { getEnemyDefinition, getEnemyDefinitions, assertValidEnemyDefinitions } from '../enemies/enemyDefinitions.js';
+import { getRandom } from '../utils/random.js';
+import { getSimTime } from '../utils/simClock.js';
+import { logger } from '../utils/logger.js';
+
+// Add 'pickups' to logger sections if not already included
+logger.addSection('pickups');
+
+// Seeded stream for drop rolls - drops are reproducible with ?seed=
+const lootRandom = getRandom('loot');
+
+// Drop and pickup settings
+export const PICKUP_SETTINGS = {
+    ammoMagazines: 1,       // Magazines added to each limited gun's reserve per crate
+    healthAmount: 25,       // Health restored by a health pack
+    coinValue: 5,           // Shop coins per coin picked up
+    equipmentCharges: 1,    // Charges added to each equipment slot per supply bag
+    pickupRadius: 1.2,      // How close the player has to walk (world units)
+    magnetRadius: 3.5,      // Pickups closer than this slide towards the player (0 = no magnet)
+    magnetSpeed: 8,         // How fast they slide (world units per second)
+    scatter: 1.2,           // Spread of a boss's pile of drops (world units)
+    lifetime: 20000,        // ms before an uncollected pickup disappears
+    blinkTime: 3000,        // Blinks for this long before it goes
+    bobHeight: 0.15,        // How far pickups bob up and down
+    bobSpeed: 3             // Bob speed (radians per second)
+};
+
+// Shared crate parts (one geometry and material for every crate)
+const crateGeometry = new THREE.BoxGeometry(0.5, 0.35, 0.35);
+const crateMaterial = new THREE.MeshStandardMaterial({ color: 0x4b5320, roughness: 0.8 });
+const stripeGeometry = new THREE.BoxGeometry(0.52, 0.08, 0.37);
+const stripeMaterial = new THREE.MeshStandardMaterial({ color: 0xffcc33, emissive: 0x664400 });
+
+// Health pack: a white box with a red cross on top
+const packGeometry = new THREE.BoxGeometry(0.45, 0.25, 0.45);
+const packMaterial = new THREE.MeshStandardMaterial({ color: 0xf0f0f0, roughness: 0.6 });
+const crossBarGeometry = new THREE.BoxGeometry(0.3, 0.02, 0.09);
+const crossMaterial = new THREE.MeshStandardMaterial({ color: 0xdd1111, emissive: 0x550000 });
+
+// Coin: a gold disc standing on its edge
+const coinGeometry = new THREE.CylinderGeometry(0.22, 0.22, 0.06, 16);
+const coinMaterial = new THREE.MeshStandardMaterial({ color: 0xffcc00, emissive: 0x664400, metalness: 0.8, roughness: 0.3 });
+
+// Supply bag: a canvas bag with a grenade strapped to it
+const bagGeometry = new THREE.BoxGeometry(0.45, 0.3, 0.3);
+const bagMaterial = new THREE.MeshStandardMaterial({ color: 0x5a4a32, roughness: 0.9 });
+const bagGrenadeGeometry = new THREE.SphereGeometry(0.12, 8, 8);
+const bagGrenadeMaterial = new THREE.MeshStandardMaterial({ color: 0x3a4a2a, emissive: 0x223311 });
+
+/**
+ * Builds the mesh for an ammo crate
+ * @returns {THREE.Group} Crate
+ */
+const createAmmoCrate = () => {
+    const crate = new THREE.Group();
+    crate.add(new THREE.Mesh(crateGeometry, crateMaterial));
+    crate.add(new THREE.Mesh(stripeGeometry, stripeMaterial));
+    return crate;
+};
+
+/**
+ * Builds the mesh for a health pack
+ * @returns {THREE.Group} Health pack
+ */
+const createHealthPack = () => {
+    const pack = new THREE.Group();
+    pack.add(new THREE.Mesh(packGeometry, packMaterial));
+    [0, Math.PI / 2].forEach((angle) => {
+        const bar = new THREE.Mesh(crossBarGeometry, crossMaterial);
+        bar.position.y = 0.135;
+        bar.rotation.y = angle;
+        pack.add(bar);
+    });
+    return pack;
+};
+
+/**
+ * Builds the mesh for a coin
+ * @returns {THREE.Group} Coin
+ */
+const createCoin = () => {
+    const coin = new THREE.Group();
+    const disc = new THREE.Mesh(coinGeometry, coinMaterial);
+    disc.rotation.x = Math.PI / 2; // On its edge, so it shows its face as it spins
+    coin.add(disc);
+    return coin;
+};
+
+/**
+ * Builds the mesh for a supply bag
+ * @returns {THREE.Group} Supply bag
+ */
+const createSupplyBag = () => {
+    const bag = new THREE.Group();
+    bag.add(new THREE.Mesh(bagGeometry, bagMaterial));
+    const grenade = new THREE.Mesh(bagGrenadeGeometry, bagGrenadeMaterial);
+    grenade.position.y = 0.2;
+    bag.add(grenade);
+    return bag;
+};
+
+/**
+ * Gets the guns the player carries that can run out of ammo
+ * @param {Object} gameState - The game state
+ * @returns {Array<string>} Weapon types
+ */
+const getLimitedWeapons = (gameState) => (gameState.player.weapons || [])
+    .filter(type => getWeaponDefinition(type).ammo.reserve !== null);
+
+// Every kind of pickup: its mesh, when it drops, when it can be picked up and what it gives
+const PICKUP_REGISTRY = {
+    ammo: {
+        createMesh: createAmmoCrate,
+        canDrop: (gameState) => getLimitedWeapons(gameState).length > 0,
+        canCollect: () => true,
+        collect: (gameState) => {
+            const added = getLimitedWeapons(gameState).map((type) => {
+                const rounds = getWeaponDefinition(type).ammo.magazine * PICKUP_SETTINGS.ammoMagazines;
+                return `${type} +${addReserveAmmo(gameState, type, rounds)}`;
+            });
+            return `ammo: ${added.join(', ')}`;
+        }
+    },
+    health: {
+        createMesh: createHealthPack,
+        canDrop: () => true,
+        canCollect: (gameState) => gameState.player.health < gameState.player.maxHealth,
+        collect: (gameState) => {
+            const { player } = gameState;
+            const before = player.health;
+            player.health = Math.min(player.maxHealth, player.health + PICKUP_SETTINGS.healthAmount);
+            return `health: +${Math.round(player.health - before)}`;
+        }
+    },
+    coin: {
+        createMesh: createCoin,
+        canDrop: () => true,
+        canCollect: () => true,
+        collect: (gameState) => {
+            gameState.player.coins += PICKUP_SETTINGS.coinValue;
+            return `${PICKUP_SETTINGS.coinValue} coins (${gameState.player.coins} this run)`;
+        }
+    },
+    equipment: {
+        createMesh: createSupplyBag,
+        canDrop: canRefillEquipment,
+        canCollect: canRefillEquipment,
+        collect: (gameState) => {
+            const added = EQUIPMENT_TYPES.map(type => `${type} +${addCharges(gameState, type, PICKUP_SETTINGS.equipmentCharges)}`);
+            return `equipment: ${added.join(', ')}`;
+        }
+    }
+};
+
+export const PICKUP_KINDS = Object.keys(PICKUP_REGISTRY);
+
+// The schema was checked when the enemy definitions loaded - also check their drops are pickups that exist
+assertValidEnemyDefinitions(getEnemyDefinitions(), { pickups: PICKUP_KINDS });
+
+/**
+ * Puts a pickup in the world
+ * @param {THREE.Scene} scene - The scene
+ * @param {Object} gameState - The game state
+ * @param {string} kind - Pickup kind ('ammo', 'health', 'coin' or 'equipment')
+ * @param {THREE.Vector3} position - Where it lands (on the ground)
+ * @returns {Object} The pickup { kind, mesh, createdAt }
+ */
+export const spawnPickup = (scene, gameState, kind, position) => {
+    const definition = PICKUP_REGISTRY[kind];
+    if (!definition) throw new Error(`Unknown pickup kind: ${kind}`);
+    const mesh = definition.createMesh();
+    mesh.position.set(position.x, 0.3, position.z);
+    scene.add(mesh);
+
+    const pickup = { kind, mesh, createdAt: getSimTime() };
+    if (!gameState.pickups) gameState.pickups = [];
+    gameState.pickups.push(pickup);
+    logger.debug('pickups', `Dropped ${kind} at (${position.x.toFixed(1)}, ${position.z.toFixed(1)})`);
+    return pickup;
+};
+
+/**
+ * Rolls a dead zombie's drop table and drops what comes up
+ * Drops after the first are scattered around so a boss's pile can be told apart.
+ * @param {THREE.Scene} scene - The scene
+ * @param {Object} gameState - The game state
+ * @param {Object} zombie - The zombie that died
+ * @returns {Array<Object>} The dropped pickups (empty if nothing dropped)
+ */
+export const dropPickups = (scene, gameState, zombie) => {
+    if (gameState.network || !zombie.mesh) return [];
+    const drops = getEnemyDefinition(zombie.type)?.drops || [];
+
+    const dropped = [];
+    for (const { kind, chance, count } of drops) {
+        if (!PICKUP_REGISTRY[kind].canDrop(gameState)) continue;
+        if (chance < 1 && lootRandom() >= chance) continue; // Guaranteed drops don't use up a roll
+        for (let n = 0; n < count; n++) {
+            const position = zombie.mesh.position.clone();
+            if (dropped.length > 0) {
+                position.x += (lootRandom() - 0.5) * 2 * PICKUP_SETTINGS.scatter;
+                position.z += (lootRandom() - 0.5) * 2 * PICKUP_SETTINGS.scatter;
+            }
+            dropped.push(spawnPickup(scene, gameState, kind, position));
+        }
+    }
+    return dropped;
+};
+
+/**
+ * Removes a pickup from the world
+ * @param {THREE.Scene} scene - The scene
+ * @param {Object} gameState - The game state
+ * @param {number} index - Index in gameState.pickups
+ */
+const removePickup = (scene, gameState, index) => {
+    scene.remove(gameState.pickups[index].mesh);
+    gameState.pickups.splice(index, 1);
+};
+
+/**
+ * Bobs the pickups, pulls in and collects the ones near the player and clears out old ones
+ * @param {THREE.Scene} scene - The scene
+ * @param {THREE.Object3D} player - The player
+ * @param {Object} gameState - The game state
+ * @param {number} delta - Step length (seconds)
+ */
+export const updatePickups = (scene, player, gameState, delta) => {
+    if (!gameState.pickups || gameState.pickups.length === 0) return;
+    const now = getSimTime();
+    const reach = gameState.player.pickupRadiusMultiplier;
+    const pickupRadius = PICKUP_SETTINGS.pickupRadius * reach;
+    const magnetRadius = PICKUP_SETTINGS.magnetRadius * reach;
+
+    for (let i = gameState.pickups.length - 1; i >= 0; i--) {
+        const pickup = gameState.pickups[i];
+        const definition = PICKUP_REGISTRY[pickup.kind];
+        const age = now - pickup.createdAt;
+        if (age > PICKUP_SETTINGS.lifetime) {
+            removePickup(scene, gameState, i);
+            continue;
+        }
+
+        const { position } = pickup.mesh;
+        const dx = player.position.x - position.x;
+        const dz = player.position.z - position.z;
+        const distance = Math.sqrt(dx * dx + dz * dz);
+        if (definition.canCollect(gameState)) {
+            if (distance <= pickupRadius) {
+                const gained = definition.collect(gameState);
+                playSound('powerupPickup');
+                logger.info('pickups', `Picked up ${gained}`);
+                removePickup(scene, gameState, i);
+                continue;
+            }
+            if (distance <= magnetRadius) {
+                const pull = Math.min(distance, PICKUP_SETTINGS.magnetSpeed * delta);
+                position.x += dx / distance * pull;
+                position.z += dz / distance * pull;
+            }
+        }
+
+        position.y = 0.3 + Math.sin(age / 1000 * PICKUP_SETTINGS.bobSpeed) * PICKUP_SETTINGS.bobHeight;
+        pickup.mesh.rotation.y = age / 1000;
+        // Blink when about to disappear
+        const timeLeft = PICKUP_SETTINGS.lifetime - age;
+        pickup.mesh.visible = timeLeft > PICKUP_SETTINGS.blinkTime || Math.floor(timeLeft / 150) % 2 === 0;
+    }
+};
@@ -2,12 +2,14 @@
  * Player Module - Handles player creation and controls
  * 
  * This module contains functions for creating a Minecraft-style low-poly player character,
- * handling player movement based on keyboard input, and creating the player's weapon.
+ * handling player movement based on keyboard input, and creating the player's weapon
+ * models (one per gun in weapons.json, swapped in by showEquippedWeapon).
  */
 
 import * as THREE from 'three';
 import { logger } from '../utils/logger.js';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { getWeaponDefinition } from './weaponDefinitions.js';
 
 /**
  * Creates a Minecraft-style low-poly player character
@@ -66,6 +68,8 @@ export const createPlayer = () => {
                     });
                     
                     player.add(model);
+                    player.userData.bodyModel = model;
+                    tintPlayer(player, player.userData.tint ?? null); // A shop colour picked while it loaded
                     
                     // Store model loaded status in userData for other functions to reference
                     player.userData.heroModelLoaded = true;
@@ -198,6 +202,11 @@ export const createPlayer = () => {
  * @param {THREE.Group} player - The player group to add geometry to
  */
 function createDefaultPlayerGeometry(player) {
+    // Everything goes in one group so tintPlayer can find it
+    const model = new THREE.Group();
+    player.add(model);
+    player.userData.bodyModel = model;
+
     // Head (cube)
     const headGeometry = new THREE.BoxGeometry(0.5, 0.5, 0.5);
     const headMaterial = new THREE.MeshStandardMaterial({
@@ -208,7 +217,7 @@ function createDefaultPlayerGeometry(player) {
     const head = new THREE.Mesh(headGeometry, headMaterial);
     head.position.y = 1.5; // Top of character at y=2
     head.castShadow = true;
-    player.add(head);
+    model.add(head);
     
     // Body (rectangular prism)
     const bodyGeometry = new THREE.BoxGeometry(0.5, 0.75, 0.25);
@@ -220,7 +229,7 @@ function createDefaultPlayerGeometry(player) {
     const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
     body.position.y = 0.75; // Center of body
     body.castShadow = true;
-    player.add(body);
+    model.add(body);
 
     // Left Arm
     const armGeometry = new THREE.BoxGeometry(0.25, 0.75, 0.25);
@@ -232,13 +241,13 @@ function createDefaultPlayerGeometry(player) {
     const leftArm = new THREE.Mesh(armGeometry, armMaterial);
     leftArm.position.set(-0.375, 0.75, 0); // Left side of body
     leftArm.castShadow = true;
-    player.add(leftArm);
+    model.add(leftArm);
 
     // Right Arm (weapon arm)
     const rightArm = new THREE.Mesh(armGeometry, armMaterial);
     rightArm.position.set(0.375, 0.75, 0); // Right side of body
     rightArm.castShadow = true;
-    player.add(rightArm);
+    model.add(rightArm);
 
     // Left Leg
     const legGeometry = new THREE.BoxGeometry(0.25, 0.5, 0.25);
@@ -250,42 +259,86 @@ function createDefaultPlayerGeometry(player) {
     const leftLeg = new THREE.Mesh(legGeometry, legMaterial);
     leftLeg.position.set(-0.125, 0.25, 0); // Bottom left
     leftLeg.castShadow = true;
-    player.add(leftLeg);
+    model.add(leftLeg);
 
     // Right Leg
     const rightLeg = new THREE.Mesh(legGeometry, legMaterial);
     rightLeg.position.set(0.125, 0.25, 0); // Bottom right
     rightLeg.castShadow = true;
-    player.add(rightLeg);
+    model.add(rightLeg);
+
+    tintPlayer(player, player.userData.tint ?? null);
 }
 
 /**
- * Creates a weapon for the player
+ * Tints the player's body with a shop colour (cosmetic)
+ * The colour is kept in userData.tint and applied again if the model is still loading.
+ * @param {THREE.Object3D} player - The player
+ * @param {number|null} color - Hex colour, or null for the normal look
+ */
+export const tintPlayer = (player, color) => {
+    player.userData.tint = color;
+    const model = player.userData.bodyModel;
+    if (!model) return;
+
+    model.traverse((node) => {
+        if (!node.isMesh || !node.material) return;
+        const materials = Array.isArray(node.material) ? node.material : [node.material];
+        materials.forEach((material) => {
+            if (!material.emissive) return;
+            // Remember the untinted glow the first time round
+            if (!material.userData.untinted) {
+                material.userData.untinted = { emissive: material.emissive.clone(), intensity: material.emissiveIntensity };
+            }
+            const { emissive, intensity } = material.userData.untinted;
+            if (color === null) {
+                material.emissive.copy(emissive);
+                material.emissiveIntensity = intensity;
+            } else {
+                material.emissive.setHex(color);
+                material.emissiveIntensity = 0.5;
+            }
+        });
+    });
+};
+
+/**
+ * Creates the model of one of the player's weapons
+ * Built from the "model" block of the weapon's entry in weapons.json.
+ * @param {string} [type='pistol'] - Weapon type
  * @returns {THREE.Group} The weapon object
  */
-export const createPlayerWeapon = () => {
+export const createPlayerWeapon = (type = 'pistol') => {
+    const definition = getWeaponDefinition(type);
+    if (!definition) throw new Error(`Unknown weapon type: ${type}`);
+    const model = definition.model;
     const weapon = new THREE.Group();
     
     // Create a more visible gun
-    const gunGeometry = new THREE.BoxGeometry(0.15, 0.15, 0.8);
+    const gunGeometry = new THREE.BoxGeometry(model.width, model.width, model.length);
     const gunMaterial = new THREE.MeshStandardMaterial({ 
-        color: 0x333333, 
+        color: model.color, 
         metalness: 0.9, 
         roughness: 0.1 
     });
     const gun = new THREE.Mesh(gunGeometry, gunMaterial);
-    gun.position.z = 0.4; // Extend forward (positive Z now that we've fixed the orientation)
+    gun.position.z = model.length / 2; // Extend forward (positive Z now that we've fixed the orientation)
+    weapon.add(gun);
     
-    // Add a barrel
-    const barrelGeometry = new THREE.CylinderGeometry(0.05, 0.05, 0.9, 16);
+    // Add the barrels, side by side, starting just behind the middle of the gun
+    const barrelGeometry = new THREE.CylinderGeometry(model.barrelRadius, model.barrelRadius, model.barrelLength, 16);
     const barrelMaterial = new THREE.MeshStandardMaterial({ 
         color: 0x555555, 
         metalness: 0.9, 
         roughness: 0.1 
     });
-    const barrel = new THREE.Mesh(barrelGeometry, barrelMaterial);
-    barrel.rotation.x = Math.PI / 2; // Rotate to point forward
-    barrel.position.z = 0.7; // Position at the front of the gun (positive Z now)
+    for (let i = 0; i < model.barrels; i++) {
+        const barrel = new THREE.Mesh(barrelGeometry, barrelMaterial);
+        barrel.rotation.x = Math.PI / 2; // Rotate to point forward
+        barrel.position.x = (i - (model.barrels - 1) / 2) * model.barrelRadius * 2.2;
+        barrel.position.z = 0.25 + model.barrelLength / 2;
+        weapon.add(barrel);
+    }
     
     // Add a handle
     const handleGeometry = new THREE.BoxGeometry(0.1, 0.3, 0.1);
@@ -296,6 +349,7 @@ export const createPlayerWeapon = () => {
     });
     const handle = new THREE.Mesh(handleGeometry, handleMaterial);
     handle.position.y = -0.2;
+    weapon.add(handle);
     
     // Add sight
     const sightGeometry = new THREE.BoxGeometry(0.05, 0.05, 0.05);
@@ -305,42 +359,62 @@ export const createPlayerWeapon = () => {
         emissiveIntensity: 0.5
     });
     const sight = new THREE.Mesh(sightGeometry, sightMaterial);
-    sight.position.y = 0.1;
+    sight.position.y = model.width / 2 + 0.025;
     sight.position.z = 0.2; // Positive Z now
-    
-    // Add parts to weapon
-    weapon.add(gun);
-    weapon.add(barrel);
-    weapon.add(handle);
     weapon.add(sight);
     
+    // Shoulder stock behind the grip
+    if (model.stock) {
+        const stock = new THREE.Mesh(new THREE.BoxGeometry(model.width, model.width * 1.6, 0.35), handleMaterial);
+        stock.position.set(0, -0.05, -0.15);
+        weapon.add(stock);
+    }
+    
+    // Magazine under the body, in front of the grip
+    if (model.magazine) {
+        const magazineMaterial = new THREE.MeshStandardMaterial({ color: 0x222222, metalness: 0.6, roughness: 0.4 });
+        const magazine = new THREE.Mesh(new THREE.BoxGeometry(model.width * 0.6, 0.3, 0.12), magazineMaterial);
+        magazine.position.set(0, -0.2, model.length * 0.6);
+        weapon.add(magazine);
+    }
+    
     // Position the weapon to the right side of the player
     weapon.position.set(0.6, 1.0, 0.2);
+    weapon.userData.weaponType = type;
     
     return weapon;
 };
 
 /**
- * Handles player movement based on keyboard input or joystick on mobile
- * @param {THREE.Group} player - The player object
- * @param {Object} keys - Object containing the state of keyboard keys
- * @param {number} baseSpeed - Base movement speed
- * @param {Object} mouse - Mouse position for aiming
- * @param {number} delta - Time delta between frames for frame-rate independent movement
+ * Puts a weapon's model in the player's hand in place of the current one
+ * Models are built once per weapon type and kept for the next switch.
+ * @param {THREE.Object3D} player - The player object
+ * @param {string} type - Weapon type
  */
-export const handlePlayerMovement = (player, keys, baseSpeed, mouse, delta = 1/60) => {
-    
-    // Use the baseSpeed parameter instead of hardcoded values
-    // Apply slight modifiers for different directions
-    const forwardSpeed = baseSpeed * 1.45;
-    const backwardSpeed = baseSpeed * 0.95;
-    const sideSpeed = (5*forwardSpeed + 3*backwardSpeed) / 8;
-    
+export const showEquippedWeapon = (player, type) => {
+    if (player.userData.weaponModelType === type) return;
+    const models = player.userData.weaponModels || (player.userData.weaponModels = {});
+    if (player.userData.weaponModel) {
+        player.remove(player.userData.weaponModel);
+    }
+    const model = models[type] || (models[type] = createPlayerWeapon(type));
+    player.add(model);
+    player.userData.weaponModel = model;
+    player.userData.weaponModelType = type;
+    logger.debug('weapons', `Player model now holds the ${type}`);
+};
 
+/**
+ * Reads the movement input: the left stick on touch devices, WASD / arrows otherwise
+ * @param {Object} keys - Object containing the state of keyboard keys
+ * @param {boolean} [reversed=false] - Flip the input (the Backwards curse)
+ * @returns {Object} { x, z } - -1 to 1 each; negative z is forward (north)
+ */
+export const getMoveInput = (keys, reversed = false) => {
     // Check if joystick data is available in gameState for mobile devices
-    const joystickData = window.gameState?.controls?.leftJoystickData;
-    const isMobile = window.gameState?.controls?.isMobileDevice;
-    const isTouch = window.gameState?.controls?.isTouchDevice;
+    const joystickData = globalThis.gameState?.controls?.leftJoystickData;
+    const isMobile = globalThis.gameState?.controls?.isMobileDevice;
+    const isTouch = globalThis.gameState?.controls?.isTouchDevice;
     
     // Use joystick input on mobile/touch devices, keyboard input on desktop
     let moveX, moveZ;
@@ -358,9 +432,9 @@ export const handlePlayerMovement = (player, keys, baseSpeed, mouse, delta = 1/6
         
         // Log joystick movement occasionally
         const currentTime = Date.now();
-        if (!handlePlayerMovement.lastJoystickLogTime || currentTime - handlePlayerMovement.lastJoystickLogTime > 2000) {
+        if (!getMoveInput.lastJoystickLogTime || currentTime - getMoveInput.lastJoystickLogTime > 2000) {
             logger.debug('joystick', `Mobile movement applied: x=${moveX.toFixed(2)}, z=${moveZ.toFixed(2)}`);
-            handlePlayerMovement.lastJoystickLogTime = currentTime;
+            getMoveInput.lastJoystickLogTime = currentTime;
         }
     } else {
         // Use keyboard for movement on desktop
@@ -368,7 +442,47 @@ export const handlePlayerMovement = (player, keys, baseSpeed, mouse, delta = 1/6
         moveZ = ((keys['w'] || keys['arrowup']) ? -1 : 0) + ((keys['s'] || keys['arrowdown']) ? 1 : 0);
     }
     
+    if (reversed) {
+        moveX = -moveX;
+        moveZ = -moveZ;
+    }
+    
+    return { x: moveX, z: moveZ };
+};
+
+/**
+ * Whether the player would stand inside an environment obstacle at a spot
+ * @param {number} x - X position
+ * @param {number} z - Z position
+ * @returns {boolean} True if an obstacle is in the way
+ */
+export const isBlockedByObstacle = (x, z) => (globalThis.gameState?.environmentObjects || []).some((object) => {
+    if (!object || !object.isObstacle) return false;
+    const dx = x - object.position.x;
+    const dz = z - object.position.z;
+    return Math.sqrt(dx * dx + dz * dz) < (object.boundingRadius || 2.5) + 0.5; // 0.5 is player radius
+});
+
+/**
+ * Handles player movement based on keyboard input or joystick on mobile
+ * @param {THREE.Group} player - The player object
+ * @param {Object} keys - Object containing the state of keyboard keys
+ * @param {number} baseSpeed - Base movement speed
+ * @param {Object} mouse - Mouse position for aiming
+ * @param {number} delta - Time delta between frames for frame-rate independent movement
+ * @param {boolean} reversed - Flip the input (the Backwards curse)
+ */
+export const handlePlayerMovement = (player, keys, baseSpeed, mouse, delta = 1/60, reversed = false) => {
+    
+    // Use the baseSpeed parameter instead of hardcoded values
+    // Apply slight modifiers for different directions
+    const forwardSpeed = baseSpeed * 1.45;
+    const backwardSpeed = baseSpeed * 0.95;
+    const sideSpeed = (5*forwardSpeed + 3*backwardSpeed) / 8;
     
+
+    // Which way the player wants to go (keyboard or left stick)
+    const { x: moveX, z: moveZ } = getMoveInput(keys, reversed);
     
     // Log player speed values occasionally to avoid console spam
     // Use a static variable to track last log time
@@ -400,8 +514,8 @@ export const handlePlayerMovement = (player, keys, baseSpeed, mouse, delta = 1/6
     
     // Check collision with environment objects before applying movement
     let canMove = true;
-    if (window.gameState && window.gameState.environmentObjects) {
-        for (const object of window.gameState.environmentObjects) {
+    if (globalThis.gameState && globalThis.gameState.environmentObjects) {
+        for (const object of globalThis.gameState.environmentObjects) {
             if (object && object.isObstacle) {
                 const dx = newX - object.position.x;
                 const dz = newZ - object.position.z;
@@ -473,9 +587,9 @@ export const handlePlayerMovement = (player, keys, baseSpeed, mouse, delta = 1/6
  */
 export const aimPlayerWithMouse = (player, mouse, camera) => {
     // Check if using mobile joystick controls
-    const joystickData = window.gameState?.controls?.rightJoystickData;
-    const isMobile = window.gameState?.controls?.isMobileDevice;
-    const isTouch = window.gameState?.controls?.isTouchDevice;
+    const joystickData = globalThis.gameState?.controls?.rightJoystickData;
+    const isMobile = globalThis.gameState?.controls?.isMobileDevice;
+    const isTouch = globalThis.gameState?.controls?.isTouchDevice;
     
     if ((isMobile || isTouch) && joystickData && (Math.abs(joystickData.x) > 0.1 || Math.abs(joystickData.y) > 0.1)) {
         // Use right joystick for aiming on mobile
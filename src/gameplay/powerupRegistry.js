@@ -0,0 +1,308 @@
+/**
+ * Powerup Registry - Everything a powerup is, in one entry per type
+ *
+ * Each entry declares the powerup's name, the one-line description shown over
+ * it on offer, colours (the health ring around the pickup, the HUD line and
+ * the timer ring under the player), the mesh it sits on, how much shooting
+ * unlocks it, how long it lasts and how far it can be upgraded, plus the hooks
+ * that make it do something:
+ *
+ *   onActivate(context, level)  - once, each time it is collected
+ *   onFire(fireMode, level)     - returns the fire mode a shot should use
+ *   onMove(movement, level)     - returns the { speed, reversed } the player moves with
+ *   onHit(context, level)       - a player bullet hit a zombie
+ *   onTick(context, level)      - every simulation step while it runs
+ *   onDamage(context, level)    - the player is about to take context.damage;
+ *                                 returns how much of it gets through
+ *   onExpire(context, level)    - once, when its timer runs out
+ *
+ * Hooks are optional. context is { gameState, scene, powerup } (powerup is the
+ * running entry, free for the hook to keep its own state on) plus
+ * { bullet, zombie } for onHit, { delta } for onTick and { damage } for
+ * onDamage. An entry can also have createEffect, a mesh shown on the player
+ * while it runs, and hudText(powerup), extra detail for its HUD line. Several powerups run at once,
+ * and their hooks are applied in registry order, so the same set of powerups
+ * always fires the same way. Collecting a running powerup again raises its
+ * level (up to maxLevel) and starts its timer over. Running powerups live in
+ * activePowerups.js.
+ *
+ * Entries marked cursed are the bad choices a powerup offer can include
+ * (see powerupSpawner.js). Once shot they run just like the others.
+ *
+ * Example usage:
+ *   import { getPowerupDefinition, POWERUP_TYPES } from './gameplay/powerupRegistry.js';
+ *
+ *   const definition = getPowerupDefinition('laserShot');
+ *   const mesh = definition.createMesh(position);
+ */
+
+import {
+    createRapidFirePowerup, createShotgunBlastPowerup, createExplosionPowerup, createLaserShotPowerup, createGrenadeLauncherPowerup,
+    createShieldPowerup, createRegenPowerup, createSpeedBoostPowerup, createTimeSlowPowerup, createCursedPowerup,
+    createShieldBubble, createRegenAura, createTimeSlowField
+} from './powerups2.js';
+import { deployMinefield } from './mines.js';
+import { spawnEnemy } from './entitySpawners.js';
+import { getWaveModifiers } from './waveDirector.js';
+
+// Shared tuning for every powerup
+export const POWERUP_SETTINGS = {
+    extraSecondsPerLevel: 5,    // Each level past the first lasts this much longer
+    shieldPerLevel: 50,         // Damage a fresh shield soaks up, per level
+    timeSlowFactor: 0.4,        // How fast zombies inside the slow-motion field move
+    timeSlowRadius: 8,          // Field radius at level 1 (world units)
+    timeSlowRadiusPerLevel: 2   // Extra radius per level after the first
+};
+
+/**
+ * Gets the Slow Motion field radius at a level
+ * @param {number} level - Powerup level
+ * @returns {number} Radius (world units)
+ */
+export const getTimeSlowRadius = (level) =>
+    POWERUP_SETTINGS.timeSlowRadius + (level - 1) * POWERUP_SETTINGS.timeSlowRadiusPerLevel;
+
+export const POWERUP_REGISTRY = {
+    rapidFire: {
+        name: 'Rapid Fire',
+        description: 'Fire 3x faster without using ammo',
+        color: 0xffa500,        // Orange
+        innerColor: 0xffcc00,
+        createMesh: createRapidFirePowerup,
+        unlockHealth: 240,      // Easiest to unlock
+        duration: 15,
+        maxLevel: 3,
+        // Keeps the equipped gun, fires it 3x / 4x / 5x as fast from a bottomless magazine
+        onFire: (mode, level) => ({ ...mode, fireRate: mode.fireRate / (2 + level), ammoPerShot: 0 })
+    },
+    shotgunBlast: {
+        name: 'Shotgun Blast',
+        description: 'Every shot is a wide spray of pellets',
+        color: 0x4682b4,        // Steel blue
+        innerColor: 0x87ceeb,
+        createMesh: createShotgunBlastPowerup,
+        unlockHealth: 300,
+        duration: 15,
+        maxLevel: 3,
+        // Seven more (then 11, 15) slower, weaker pellets in a wide cone
+        onFire: (mode, level) => ({
+            ...mode,
+            pellets: mode.pellets + 3 + 4 * level,
+            spread: Math.max(mode.spread, Math.PI / 4),
+            damageMultiplier: mode.damageMultiplier * 0.6,
+            speed: mode.speed * 0.625,
+            ammoPerShot: 0
+        })
+    },
+    explosion: {
+        name: 'Explosion',
+        description: 'Lays a minefield behind you',
+        color: 0xff0000,        // Red
+        innerColor: 0xff6666,
+        createMesh: createExplosionPowerup,
+        unlockHealth: 450,      // Hardest to unlock
+        duration: 15,
+        maxLevel: 3,
+        // Lays one more row of mines than its level
+        onActivate: ({ gameState, scene }, level) => {
+            if (!scene || !gameState.playerObject) return;
+            deployMinefield(scene, gameState, gameState.playerObject.position, level + 1);
+        }
+    },
+    laserShot: {
+        name: 'Laser Shot',
+        description: 'Laser beams that pierce zombies',
+        color: 0x00ffff,        // Cyan
+        innerColor: 0x99ffff,
+        createMesh: createLaserShotPowerup,
+        unlockHealth: 360,
+        duration: 15,
+        maxLevel: 3,
+        onFire: (mode) => ({
+            ...mode,
+            projectile: 'laser',
+            damageMultiplier: mode.damageMultiplier * 2.75,
+            speed: mode.speed * 1.25,
+            color: 0x00ff00,
+            ammoPerShot: 0
+        }),
+        // Beams carry on through as many zombies as the powerup's level
+        onHit: ({ bullet, zombie }, level) => {
+            if (!bullet.isLaser) return;
+            bullet.pierced = bullet.pierced || [];
+            if (bullet.pierced.length < level) {
+                bullet.pierced.push(zombie);
+                bullet.toRemove = false;
+            }
+        }
+    },
+    grenadeLauncher: {
+        name: 'Grenade Launcher',
+        description: 'Fire exploding grenades',
+        color: 0x228b22,        // Forest green
+        innerColor: 0x32cd32,
+        createMesh: createGrenadeLauncherPowerup,
+        unlockHealth: 390,
+        duration: 15,
+        maxLevel: 3,
+        // Slow, hard-hitting grenades that cycle faster with each level
+        onFire: (mode, level) => ({
+            ...mode,
+            projectile: 'grenade',
+            fireRate: mode.fireRate * (4 - level),
+            damageMultiplier: mode.damageMultiplier * 1.875,
+            speed: mode.speed * 0.375,
+            color: 0x9b111e,
+            ammoPerShot: 0
+        })
+    },
+    shield: {
+        name: 'Shield',
+        description: 'A bubble that soaks up 50 damage',
+        color: 0x1e90ff,        // Dodger blue
+        innerColor: 0x87cefa,
+        createMesh: createShieldPowerup,
+        createEffect: createShieldBubble,
+        unlockHealth: 300,
+        duration: 15,
+        maxLevel: 3,
+        // Every pickup tops the bubble up to 50 / 100 / 150 points
+        onActivate: ({ powerup }, level) => {
+            powerup.shield = POWERUP_SETTINGS.shieldPerLevel * level;
+        },
+        // Soaks up hits until its points are gone, then pops. In co-op the server
+        // owns player health, so the shield is only for show there.
+        onDamage: ({ gameState, damage, powerup }) => {
+            if (gameState.network) return damage;
+            const absorbed = Math.min(powerup.shield, damage);
+            powerup.shield -= absorbed;
+            if (powerup.shield <= 0) powerup.remaining = 0;
+            return damage - absorbed;
+        },
+        hudText: (powerup) => `${Math.ceil(powerup.shield)} HP`
+    },
+    regen: {
+        name: 'Regeneration',
+        description: 'Heal 4 health every second',
+        color: 0x00ff7f,        // Spring green
+        innerColor: 0x98fb98,
+        createMesh: createRegenPowerup,
+        createEffect: createRegenAura,
+        unlockHealth: 330,
+        duration: 15,
+        maxLevel: 3,
+        // 4 / 6 / 8 health a second, never past full
+        onTick: ({ gameState, delta }, level) => {
+            if (gameState.network || gameState.player.health <= 0) return;
+            const { player } = gameState;
+            player.health = Math.min(player.maxHealth, player.health + (2 + 2 * level) * delta);
+        }
+    },
+    speedBoost: {
+        name: 'Speed Boost',
+        description: 'Run 40% faster',
+        color: 0xffd700,        // Gold
+        innerColor: 0xffec8b,
+        createMesh: createSpeedBoostPowerup,
+        unlockHealth: 270,
+        duration: 15,
+        maxLevel: 3,
+        // 40% / 60% / 80% faster
+        onMove: (movement, level) => ({ ...movement, speed: movement.speed * (1.2 + 0.2 * level) })
+    },
+    timeSlow: {
+        name: 'Slow Motion',
+        description: 'Zombies near you slow to a crawl',
+        color: 0xc0c0ff,        // Pale lavender
+        innerColor: 0xe6e6ff,
+        createMesh: createTimeSlowPowerup,
+        createEffect: () => createTimeSlowField(getTimeSlowRadius),
+        unlockHealth: 420,
+        duration: 12,
+        maxLevel: 3,
+        // Zombies inside the field run their update on a slowed clock (see zombie.js)
+        onTick: ({ gameState }, level) => {
+            if (!gameState.playerObject) return;
+            const radiusSq = getTimeSlowRadius(level) ** 2;
+            const center = gameState.playerObject.position;
+            for (const zombie of gameState.zombies) {
+                if (!zombie?.mesh) continue;
+                const inField = zombie.mesh.position.distanceToSquared(center) <= radiusSq;
+                zombie.timeScale = inField ? POWERUP_SETTINGS.timeSlowFactor : 1;
+            }
+        },
+        onExpire: ({ gameState }) => {
+            gameState.zombies.forEach(zombie => {
+                if (zombie) zombie.timeScale = 1;
+            });
+        }
+    },
+
+    // Curses - offered now and then in place of a powerup
+    sluggish: {
+        name: 'Sluggish',
+        description: 'You move 40% slower',
+        cursed: true,
+        color: 0x8b5a2b,        // Mud brown
+        innerColor: 0xa0785a,
+        createMesh: (position) => createCursedPowerup(position, 'sluggish', 0x8b5a2b),
+        unlockHealth: 200,
+        duration: 12,
+        maxLevel: 3,
+        // 40% / 50% / 60% slower
+        onMove: (movement, level) => ({ ...movement, speed: movement.speed * (0.7 - 0.1 * level) })
+    },
+    reversedControls: {
+        name: 'Backwards',
+        description: 'Your movement controls are reversed',
+        cursed: true,
+        color: 0x9400d3,        // Violet
+        innerColor: 0xc77dff,
+        createMesh: (position) => createCursedPowerup(position, 'reversedControls', 0x9400d3),
+        unlockHealth: 200,
+        duration: 10,
+        maxLevel: 3,
+        onMove: (movement) => ({ ...movement, reversed: !movement.reversed })
+    },
+    horde: {
+        name: 'Horde',
+        description: 'Extra zombies keep coming',
+        cursed: true,
+        color: 0x556b2f,        // Rotten green
+        innerColor: 0x7f9a4a,
+        createMesh: (position) => createCursedPowerup(position, 'horde', 0x556b2f),
+        unlockHealth: 200,
+        duration: 15,
+        maxLevel: 3,
+        // One extra zombie every 2s / 1s / 0.67s (the co-op room server does its own spawning)
+        onTick: ({ gameState, scene, delta, powerup }, level) => {
+            if (gameState.network || !gameState.playerObject) return;
+            powerup.spawnTimer = (powerup.spawnTimer || 0) + delta;
+            if (powerup.spawnTimer >= 2 / level) {
+                powerup.spawnTimer = 0;
+                spawnEnemy(gameState.playerObject.position, scene, gameState, getWaveModifiers(gameState.wave));
+            }
+        }
+    }
+};
+
+// Every powerup type, in registry order, and the good and cursed ones on their own (offer rolls index into these)
+export const POWERUP_TYPES = Object.keys(POWERUP_REGISTRY);
+export const BOON_TYPES = POWERUP_TYPES.filter(type => !POWERUP_REGISTRY[type].cursed);
+export const CURSE_TYPES = POWERUP_TYPES.filter(type => POWERUP_REGISTRY[type].cursed);
+
+/**
+ * Gets a powerup's registry entry
+ * @param {string} type - Powerup type
+ * @returns {Object|undefined} The entry, or undefined for an unknown type
+ */
+export const getPowerupDefinition = (type) => POWERUP_REGISTRY[type];
+
+/**
+ * Gets how long a powerup lasts at a level
+ * @param {string} type - Powerup type
+ * @param {number} level - Level (1 = just collected)
+ * @returns {number} Seconds
+ */
+export const getPowerupDuration = (type, level) =>
+    POWERUP_REGISTRY[type].duration + (level - 1) * POWERUP_SETTINGS.extraSecondsPerLevel;
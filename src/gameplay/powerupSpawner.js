@@ -2,10 +2,11 @@
  * Powerup Spawner Module - Handles spawning of powerups in the game
  * 
  * This module contains functions for spawning powerups behind the player,
- * just out of view. It ensures powerups spawn in pairs to create strategic
- * gameplay choices between different powerup types. When one powerup is
- * collected, all others will disappear, encouraging team coordination in
- * multiplayer.
+ * just out of view. Powerups are offered as a draft: a row of 1, 2 or 3
+ * pedestals, and some options may be curses (bad choices such as slower
+ * movement or more zombies). A label over each pedestal says what it is and
+ * what it does. When one powerup is collected, all others will disappear,
+ * encouraging team coordination in multiplayer.
  * 
  * Powerups now have health that must be depleted (by shooting them) before
  * they can be collected. A visual ring indicator shows the unlock progress.
@@ -28,27 +29,30 @@
  */
 
 import * as THREE from 'three';
-import { createRapidFirePowerup, createShotgunBlastPowerup, createExplosionPowerup, createLaserShotPowerup, createGrenadeLauncherPowerup } from './powerups2.js';
+import { BOON_TYPES, CURSE_TYPES, getPowerupDefinition } from './powerupRegistry.js';
 import { logger } from '../utils/logger.js';
 import { playSound } from './audio.js';
 import { showMessage } from '../ui/ui.js';
-import { activatePowerup } from '../gameplay/physics.js';
+import { activatePowerup, getPowerupLevel } from './activePowerups.js';
+import { getRandom } from '../utils/random.js';
+import { getSimTime, addSimTask } from '../utils/simClock.js';
+import { hasDOM } from '../utils/deviceDetection.js';
+
+// Seeded stream for powerup/portal spawn decisions (portal particles stay cosmetic)
+const powerupRandom = getRandom('powerup');
 
 // Constants for powerup spawning
 const POWERUP_MIN_DISTANCE = 10; // Minimum distance from player
 const POWERUP_MAX_DISTANCE = 20; // Maximum distance from player
 const POWERUP_SPAWN_CHANCE_PER_SECOND = 0.04; // 30% chance per second to spawn a powerup
-const POWERUP_TYPES = ['rapidFire', 'shotgunBlast', 'explosion', 'laserShot', 'grenadeLauncher'];
 const MIN_TIME_BETWEEN_POWERUPS = 1500; // Minimum time between powerup spawns (10 seconds)
 
-// Constants for powerup health
-const DEFAULT_POWERUP_HEALTH = 100; // Default health for powerups
-const POWERUP_HEALTH_BY_TYPE = {
-    'rapidFire': 80*3,        // Easier to unlock
-    'shotgunBlast': 100*3,
-    'explosion': 150*3,       // Harder to unlock
-    'laserShot': 120*3,
-    'grenadeLauncher': 130*3
+// What each powerup offer looks like
+export const POWERUP_OFFER_SETTINGS = {
+    minOptions: 1,          // Fewest pedestals in an offer
+    maxOptions: 3,          // Most pedestals in an offer
+    curseChance: 0.25,      // Chance each option is a curse instead of a powerup
+    optionSpacing: 8        // Distance between pedestals (world units)
 };
 
 // Constants for exit portal spawning
@@ -117,7 +121,7 @@ export const shouldSpawnPowerup = (gameState, currentTime) => {
     });
     
     // Random chance to spawn based on time passed
-    return Math.random() < spawnProbability;
+    return powerupRandom() < spawnProbability;
 };
 
 /**
@@ -168,27 +172,8 @@ export const getPositionBehindPlayer = (player, zDistance, isRightSide = false)
  * @returns {Object} The health ring object
  */
 const createHealthRing = (powerupMesh, powerupType, maxHealth) => {
-    // Determine color based on powerup type
-    let ringColor;
-    switch (powerupType) {
-        case 'rapidFire':
-            ringColor = 0xffa500; // Orange
-            break;
-        case 'shotgunBlast':
-            ringColor = 0x4682b4; // Steel blue
-            break;
-        case 'explosion':
-            ringColor = 0xff0000; // Red
-            break;
-        case 'laserShot':
-            ringColor = 0x00ffff; // Cyan
-            break;
-        case 'grenadeLauncher':
-            ringColor = 0x228b22; // Forest green
-            break;
-        default:
-            ringColor = 0xffffff; // White default
-    }
+    // Ring in the powerup's own colour
+    const ringColor = getPowerupDefinition(powerupType).color;
     
     // Create an empty ring geometry initially (0 angle)
     const ringGeometry = new THREE.RingGeometry(0.8, 1.0, 32, 1, 0, 0.001);
@@ -230,6 +215,43 @@ const createHealthRing = (powerupMesh, powerupType, maxHealth) => {
     };
 };
 
+/**
+ * Creates the floating label that says what an offered powerup is before it is shot
+ * @param {string} powerupType - The type of powerup
+ * @param {Object} gameState - The current game state (a running powerup is offered as a level up)
+ * @returns {THREE.Sprite|null} The label, or null without a DOM (headless runs)
+ */
+const createOptionLabel = (powerupType, gameState) => {
+    if (!hasDOM()) return null;
+    const definition = getPowerupDefinition(powerupType);
+    const level = getPowerupLevel(gameState, powerupType);
+    const title = level > 0 && level < definition.maxLevel ? `${definition.name} - level ${level + 1}` : definition.name;
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = 512;
+    canvas.height = 160;
+    const context = canvas.getContext('2d');
+    context.fillStyle = definition.cursed ? 'rgba(60, 0, 0, 0.75)' : 'rgba(0, 0, 0, 0.6)';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.textAlign = 'center';
+    
+    context.font = 'bold 44px Arial';
+    context.fillStyle = definition.cursed ? '#ff4444' : `#${definition.color.toString(16).padStart(6, '0')}`;
+    context.fillText(definition.cursed ? `CURSED: ${title}` : title, 256, 60);
+    
+    context.font = '30px Arial';
+    context.fillStyle = 'white';
+    context.fillText(definition.description, 256, 120, 496);
+    
+    const label = new THREE.Sprite(new THREE.SpriteMaterial({
+        map: new THREE.CanvasTexture(canvas),
+        transparent: true
+    }));
+    label.scale.set(4, 1.25, 1);
+    label.position.y = 2.4;
+    return label;
+};
+
 /**
  * Creates a powerup of specified type
  * @param {THREE.Scene} scene - The Three.js scene
@@ -239,44 +261,35 @@ const createHealthRing = (powerupMesh, powerupType, maxHealth) => {
  * @returns {Object} The created powerup object
  */
 export const createPowerup = (scene, position, gameState, powerupType) => {
-    // Create the powerup based on type
-    let powerupMesh;
-    switch (powerupType) {
-        case 'rapidFire':
-            powerupMesh = createRapidFirePowerup(position);
-            break;
-        case 'shotgunBlast':
-            powerupMesh = createShotgunBlastPowerup(position);
-            break;
-        case 'explosion':
-            powerupMesh = createExplosionPowerup(position);
-            break;
-        case 'laserShot':
-            powerupMesh = createLaserShotPowerup(position);
-            break;
-        case 'grenadeLauncher':
-            powerupMesh = createGrenadeLauncherPowerup(position);
-            break;
-        default:
-            powerupMesh = createRapidFirePowerup(position);
+    // Build the powerup's mesh from its registry entry
+    const definition = getPowerupDefinition(powerupType);
+    if (!definition) {
+        throw new Error(`Unknown powerup type: ${powerupType}`);
     }
+    const powerupMesh = definition.createMesh(position);
     
     // Add to scene
     scene.add(powerupMesh);
     
     // Set health based on powerup type
-    const maxHealth = POWERUP_HEALTH_BY_TYPE[powerupType];
+    const maxHealth = definition.unlockHealth;
     
     // Create health ring indicator
     const healthRing = createHealthRing(powerupMesh, powerupType, maxHealth);
     
+    // Say what it does, so the choice can be read before committing to it
+    const label = createOptionLabel(powerupType, gameState);
+    if (label) {
+        powerupMesh.add(label);
+    }
+    
     // Create powerup object for tracking
     const powerup = {
         mesh: powerupMesh,
         type: powerupType,
         active: true,
-        createdAt: Date.now(),
-        spawnGroup: gameState.currentPowerupGroup || Date.now(), // Group identifier
+        createdAt: getSimTime(),
+        spawnGroup: gameState.currentPowerupGroup || ++gameState.powerupGroupCount, // Group identifier
         health: maxHealth,
         maxHealth: maxHealth,
         healthRing: healthRing,
@@ -311,7 +324,7 @@ export const damagePowerup = (powerup, damage, gameState, scene) => {
     powerup.health -= damage;
     
     // Track last hit time for visual effects
-    powerup.lastHitTime = Date.now();
+    powerup.lastHitTime = getSimTime();
     
     // Prevent negative health
     if (powerup.health < 0) powerup.health = 0;
@@ -333,18 +346,8 @@ export const damagePowerup = (powerup, damage, gameState, scene) => {
             // Activate the powerup
             logger.info('powerup', `Z: Auto-activating powerup type/unlock/active: ${powerup.type},${powerup.unlocked},${powerup.active}`);
             
-            // Activate the powerup
-            activatePowerup(gameState, powerup.type, 'unlock', scene);
-            
-            // Direct property assignment as backup
-            gameState.player.activePowerup = powerup.type;
-            gameState.player.powerupDuration = 15;
-            
-            // Play powerup pickup sound
-            playSound('powerupPickup');
-            
-            // Show message
-            showMessage(`${powerup.type} activated!`, 2000);
+            // Start it, or level it up if it is already running
+            activatePowerup(gameState, powerup.type, scene);
             
             // Remove all other powerups from the same spawn group
             removeOtherPowerups(scene, gameState, powerup);
@@ -371,23 +374,23 @@ export const damagePowerup = (powerup, damage, gameState, scene) => {
             
             powerup.mesh.add(pulse);
             
-            // Animate the pulse
+            // Animate the pulse (one step per simulation tick)
             let scale = 1.0;
-            const animatePulse = () => {
+            addSimTask(() => {
                 scale += 0.05;
                 pulse.scale.set(scale, scale, 1);
                 pulse.material.opacity = 1 - (scale - 1) / 1.5;
                 
                 if (scale < 2.5 && powerup.mesh) {
-                    requestAnimationFrame(animatePulse);
-                } else if (powerup.mesh) {
+                    return true;
+                }
+                if (powerup.mesh) {
                     powerup.mesh.remove(pulse);
                     pulse.geometry.dispose();
                     pulse.material.dispose();
                 }
-            };
-            
-            animatePulse();
+                return false;
+            });
         }
         
         logger.info('powerup', `A: Powerup unlocked ${powerup.type}`);
@@ -397,63 +400,60 @@ export const damagePowerup = (powerup, damage, gameState, scene) => {
 };
 
 /**
- * Spawns a pair of different powerups behind the player, to the left and right sides
+ * Rolls the types for one powerup offer
+ * Each option is a curse with curseChance, otherwise a good powerup; no type is offered twice.
+ * @returns {Array<string>} 1 to maxOptions powerup types
+ */
+const rollOfferTypes = () => {
+    const { minOptions, maxOptions, curseChance } = POWERUP_OFFER_SETTINGS;
+    const optionCount = minOptions + Math.floor(powerupRandom() * (maxOptions - minOptions + 1));
+    const pools = { boons: [...BOON_TYPES], curses: [...CURSE_TYPES] };
+    const types = [];
+    
+    for (let i = 0; i < optionCount; i++) {
+        const cursed = powerupRandom() < curseChance && pools.curses.length > 0;
+        const pool = cursed || pools.boons.length === 0 ? pools.curses : pools.boons;
+        if (pool.length === 0) break;
+        types.push(pool.splice(Math.floor(powerupRandom() * pool.length), 1)[0]);
+    }
+    return types;
+};
+
+/**
+ * Spawns a powerup offer behind the player: 1-3 pedestals in a row, some of them maybe cursed
+ * Shooting one takes it and the rest of the offer disappears.
  * @param {THREE.Scene} scene - The Three.js scene
  * @param {Object} gameState - The current game state
  * @param {THREE.Object3D} player - The player object
+ * @returns {Array<Object>} The offered powerups
  */
 export const spawnPowerupBehindPlayer = (scene, gameState, player) => {
     // Update last spawn time
-    gameState.lastPowerupSpawnTime = Date.now();
+    gameState.lastPowerupSpawnTime = getSimTime();
     
-    // Create a unique group ID for this spawn event
-    const spawnGroupId = Date.now();
+    // Number the offer from the run's counter - the wall clock would give two offers
+    // spawned in the same millisecond the same group
+    const spawnGroupId = ++gameState.powerupGroupCount;
     gameState.currentPowerupGroup = spawnGroupId;
     
-    // Get two different random powerup types
-    const availableTypes = [...POWERUP_TYPES];
-    
-    // First powerup type
-    const firstTypeIndex = Math.floor(Math.random() * availableTypes.length);
-    const firstType = availableTypes[firstTypeIndex];
-    availableTypes.splice(firstTypeIndex, 1); // Remove this type from available options
+    const types = rollOfferTypes();
     
-    // Second powerup type - now guaranteed to be different since we removed the first type
-    const secondTypeIndex = Math.floor(Math.random() * availableTypes.length);
-    const secondType = availableTypes[secondTypeIndex];
+    // Calculate a single random distance so the whole offer stands on the same Z plane
+    const zDistance = POWERUP_MIN_DISTANCE + powerupRandom() * (POWERUP_MAX_DISTANCE - POWERUP_MIN_DISTANCE);
     
-    // Log the selected types for debugging
-    logger.debug('powerup', 'Selected powerup types', { 
-        firstType, 
-        secondType,
-        availableTypes: availableTypes.length
+    // Centre the row of pedestals on the player
+    const offer = types.map((type, index) => {
+        const xOffset = (index - (types.length - 1) / 2) * POWERUP_OFFER_SETTINGS.optionSpacing;
+        const position = new THREE.Vector3(player.position.x + xOffset, 0, player.position.z + zDistance);
+        return createPowerup(scene, position, gameState, type);
     });
     
-    // Calculate a single random distance for both powerups to ensure they're on the same Z plane
-    const zDistance = POWERUP_MIN_DISTANCE + Math.random() * (POWERUP_MAX_DISTANCE - POWERUP_MIN_DISTANCE);
-    
-    // Get positions behind player on the left and right sides (using the same Z distance)
-    const leftPosition = getPositionBehindPlayer(
-        player, 
-        zDistance,
-        false // Left side
-    );
-    
-    const rightPosition = getPositionBehindPlayer(
-        player, 
-        zDistance,
-        true // Right side
-    );
-    
-    // Create powerups
-    createPowerup(scene, leftPosition, gameState, firstType);
-    createPowerup(scene, rightPosition, gameState, secondType);
-    
-    logger.info('powerup', `Spawned powerup pair`, { 
-        types: [firstType, secondType], 
+    logger.info('powerup', `Spawned powerup offer`, { 
+        types, 
         zDistance: zDistance.toFixed(2), 
         groupId: spawnGroupId 
     });
+    return offer;
 };
 
 /**
@@ -495,9 +495,9 @@ export const removeOtherPowerups = (scene, gameState, collectedPowerup) => {
             powerup.mesh.material.transparent = true;
             let opacity = 1.0;
             
-            // Use a separate function for the fade effect
-            const fadeOut = () => {
-                if (!powerup.mesh || !scene.children.includes(powerup.mesh)) return;
+            // Fade out over a few simulation ticks
+            addSimTask(() => {
+                if (!powerup.mesh || !scene.children.includes(powerup.mesh)) return false;
                 
                 opacity -= 0.1;
                 powerup.mesh.material.opacity = opacity;
@@ -505,7 +505,7 @@ export const removeOtherPowerups = (scene, gameState, collectedPowerup) => {
                 
                 if (opacity > 0) {
                     // Continue fading
-                    requestAnimationFrame(fadeOut);
+                    return true;
                 } else {
                     // Complete removal
                     scene.remove(powerup.mesh);
@@ -520,11 +520,9 @@ export const removeOtherPowerups = (scene, gameState, collectedPowerup) => {
                         type: powerup.type,
                         groupId
                     });
+                    return false;
                 }
-            };
-            
-            // Start the fade out effect
-            fadeOut();
+            });
         } else {
             // If no mesh or material, remove immediately
             if (powerup.mesh) {
@@ -552,7 +550,7 @@ export const removeOtherPowerups = (scene, gameState, collectedPowerup) => {
  * @param {number} maxAge - Maximum age in milliseconds before removal
  */
 export const cleanupOldPowerups = (scene, gameState, maxAge = 30000) => {
-    const currentTime = Date.now();
+    const currentTime = getSimTime();
     let removedCount = 0;
     
     for (let i = gameState.powerups.length - 1; i >= 0; i--) {
@@ -594,6 +592,9 @@ export const cleanupOldPowerups = (scene, gameState, maxAge = 30000) => {
  * @returns {boolean} Whether a portal should spawn
  */
 export const shouldSpawnExitPortal = (gameState, currentTime) => {
+    // Portals navigate the browser to another site - nothing to do when headless
+    if (!hasDOM()) return false;
+    
     const activePortalsCount = cleanupOldPortals(gameState, currentTime);
     
     // Don't spawn if we've spawned recently
@@ -625,7 +626,7 @@ export const shouldSpawnExitPortal = (gameState, currentTime) => {
     });
     
     // Random chance to spawn based on time passed
-    const shouldSpawn = Math.random() < spawnProbability;
+    const shouldSpawn = powerupRandom() < spawnProbability;
     
     // Only spawn if the random check passed AND there are fewer than the max allowed portals
     if (shouldSpawn && activePortalsCount < 2) {
@@ -821,15 +822,13 @@ export const createExitPortal = (scene, position, gameState) => {
     label.rotation.x = 0; // No x rotation for vertical orientation
     
     // Add subtle animation to the label
-    const labelAnimation = () => {
-        label.position.y = 2.5 + Math.sin(Date.now() * 0.001) * 0.1; // Less dramatic bobbing
-        label.rotation.y = Math.sin(Date.now() * 0.0005) * 0.05; // Gentle swaying
+    addSimTask((delta, simTime) => {
+        label.position.y = 2.5 + Math.sin(simTime * 0.001) * 0.1; // Less dramatic bobbing
+        label.rotation.y = Math.sin(simTime * 0.0005) * 0.05; // Gentle swaying
         
-        if (portal && portal.active) {
-            requestAnimationFrame(labelAnimation);
-        }
-    };
-    requestAnimationFrame(labelAnimation);
+        // Keep animating while the portal is alive
+        return !!(portal && portal.active);
+    });
     
     portalGroup.add(label);
     
@@ -881,7 +880,7 @@ export const createExitPortal = (scene, position, gameState) => {
         particlesGeometry: portalParticles,
         box: collisionBox,
         active: true,
-        createdAt: Date.now(),
+        createdAt: getSimTime(),
         scene: scene // Store reference to scene for cleanup
     };
     
@@ -892,7 +891,7 @@ export const createExitPortal = (scene, position, gameState) => {
     
     // Add to gameState
     gameState.portals.push(portal);
-    gameState.lastPortalSpawnTime = Date.now();
+    gameState.lastPortalSpawnTime = getSimTime();
     
     // Play portal creation sound
     playSound('powerupPickup'); // Use existing sound for now
@@ -914,13 +913,13 @@ export const createExitPortal = (scene, position, gameState) => {
  */
 export const spawnExitPortalBehindPlayer = (scene, gameState, player) => {
     // Update last spawn time
-    gameState.lastPortalSpawnTime = Date.now();
+    gameState.lastPortalSpawnTime = getSimTime();
     
     // Calculate a random distance
-    const zDistance = PORTAL_MIN_DISTANCE + Math.random() * (PORTAL_MAX_DISTANCE - PORTAL_MIN_DISTANCE);
+    const zDistance = PORTAL_MIN_DISTANCE + powerupRandom() * (PORTAL_MAX_DISTANCE - PORTAL_MIN_DISTANCE);
     
     // Determine if portal should be on left or right side
-    const isRightSide = Math.random() > 0.5;
+    const isRightSide = powerupRandom() > 0.5;
     
     // Get position behind player
     const portalPosition = getPositionBehindPlayer(
@@ -1005,7 +1004,7 @@ export const updatePortals = (portals, elapsedTime, scene) => {
 export const checkPortalCollision = (playerPosition, player, portals, gameState) => {
     if (!portals || portals.length === 0 || !player) return false;
     
-    const currentTime = Date.now();
+    const currentTime = getSimTime();
     
     for (const portal of portals) {
         if (!portal.active || !portal.group) continue;
@@ -445,6 +445,282 @@ export const createGrenadeLauncherPowerup = (position) => {
     return powerup;
 };
 
+/**
+ * Creates a Shield powerup
+ * - Effect: Bubble around the player that soaks up damage
+ */
+export const createShieldPowerup = (position) => {
+    const powerup = new THREE.Group();
+    
+    // Add pedestal
+    const pedestal = createPedestal();
+    powerup.add(pedestal);
+
+    // Kite shield: a flattened disc with a raised boss in the middle
+    const shieldMaterial = new THREE.MeshStandardMaterial({
+        color: 0x1e90ff, // Dodger blue for protection
+        emissive: 0x1e90ff,
+        emissiveIntensity: 0.5,
+        metalness: 0.6,
+        roughness: 0.3
+    });
+    const shieldFace = new THREE.Mesh(new THREE.CylinderGeometry(0.35, 0.35, 0.08, 16), shieldMaterial);
+    shieldFace.rotation.x = Math.PI / 2; // Stand it up
+    shieldFace.position.y = 0.45 + PEDESTAL_HEIGHT;
+    shieldFace.castShadow = true;
+    powerup.add(shieldFace);
+
+    const boss = new THREE.Mesh(new THREE.SphereGeometry(0.1, 12, 12), new THREE.MeshStandardMaterial({
+        color: 0xdddddd,
+        metalness: 0.9,
+        roughness: 0.2
+    }));
+    boss.position.set(0, 0.45 + PEDESTAL_HEIGHT, 0.05);
+    powerup.add(boss);
+
+    // Blue halo
+    const halo = createHalo(0x1e90ff, 0.8);
+    powerup.add(halo);
+
+    powerup.position.set(position.x, 0, position.z);
+    powerup.userData.type = 'shield';
+    return powerup;
+};
+
+/**
+ * Creates a Regeneration powerup
+ * - Effect: Heals the player over time
+ */
+export const createRegenPowerup = (position) => {
+    const powerup = new THREE.Group();
+    
+    // Add pedestal
+    const pedestal = createPedestal();
+    powerup.add(pedestal);
+
+    // Medical cross made of two bars
+    const crossMaterial = new THREE.MeshStandardMaterial({
+        color: 0x00ff7f, // Spring green for healing
+        emissive: 0x00ff7f,
+        emissiveIntensity: 0.6,
+        roughness: 0.4
+    });
+    const verticalBar = new THREE.Mesh(new THREE.BoxGeometry(0.2, 0.6, 0.2), crossMaterial);
+    verticalBar.position.y = 0.45 + PEDESTAL_HEIGHT;
+    verticalBar.castShadow = true;
+    powerup.add(verticalBar);
+
+    const horizontalBar = new THREE.Mesh(new THREE.BoxGeometry(0.6, 0.2, 0.2), crossMaterial);
+    horizontalBar.position.y = 0.45 + PEDESTAL_HEIGHT;
+    horizontalBar.castShadow = true;
+    powerup.add(horizontalBar);
+
+    // Green halo
+    const halo = createHalo(0x00ff7f, 0.8);
+    powerup.add(halo);
+
+    powerup.position.set(position.x, 0, position.z);
+    powerup.userData.type = 'regen';
+    return powerup;
+};
+
+/**
+ * Creates a Speed Boost powerup
+ * - Effect: The player runs faster
+ */
+export const createSpeedBoostPowerup = (position) => {
+    const powerup = new THREE.Group();
+    
+    // Add pedestal
+    const pedestal = createPedestal();
+    powerup.add(pedestal);
+
+    // Two stacked chevrons pointing forward
+    const chevronMaterial = new THREE.MeshStandardMaterial({
+        color: 0xffd700, // Gold for speed
+        emissive: 0xffd700,
+        emissiveIntensity: 0.6,
+        roughness: 0.4
+    });
+    const chevronGeometry = new THREE.ConeGeometry(0.25, 0.3, 3);
+    [0, 0.25].forEach((offset) => {
+        const chevron = new THREE.Mesh(chevronGeometry, chevronMaterial);
+        chevron.rotation.z = -Math.PI / 2; // Point along +X
+        chevron.position.set(offset - 0.12, 0.4 + PEDESTAL_HEIGHT, 0);
+        chevron.castShadow = true;
+        powerup.add(chevron);
+    });
+
+    // Gold halo
+    const halo = createHalo(0xffd700, 0.8);
+    powerup.add(halo);
+
+    powerup.position.set(position.x, 0, position.z);
+    powerup.userData.type = 'speedBoost';
+    return powerup;
+};
+
+/**
+ * Creates a Slow Motion powerup
+ * - Effect: Zombies close to the player move in slow motion
+ */
+export const createTimeSlowPowerup = (position) => {
+    const powerup = new THREE.Group();
+    
+    // Add pedestal
+    const pedestal = createPedestal();
+    powerup.add(pedestal);
+
+    // Hourglass: two cones tip to tip between two caps
+    const glassMaterial = new THREE.MeshStandardMaterial({
+        color: 0xc0c0ff, // Pale lavender for frozen time
+        emissive: 0xc0c0ff,
+        emissiveIntensity: 0.5,
+        transparent: true,
+        opacity: 0.85
+    });
+    const bulbGeometry = new THREE.ConeGeometry(0.2, 0.3, 16);
+    const topBulb = new THREE.Mesh(bulbGeometry, glassMaterial);
+    topBulb.rotation.x = Math.PI; // Tip down
+    topBulb.position.y = 0.6 + PEDESTAL_HEIGHT;
+    powerup.add(topBulb);
+
+    const bottomBulb = new THREE.Mesh(bulbGeometry, glassMaterial);
+    bottomBulb.position.y = 0.3 + PEDESTAL_HEIGHT;
+    powerup.add(bottomBulb);
+
+    const capMaterial = new THREE.MeshStandardMaterial({ color: 0x8b5a2b, roughness: 0.8 });
+    const capGeometry = new THREE.CylinderGeometry(0.24, 0.24, 0.05, 16);
+    [0.13, 0.77].forEach((y) => {
+        const cap = new THREE.Mesh(capGeometry, capMaterial);
+        cap.position.y = y + PEDESTAL_HEIGHT;
+        cap.castShadow = true;
+        powerup.add(cap);
+    });
+
+    // Lavender halo
+    const halo = createHalo(0xc0c0ff, 0.8);
+    powerup.add(halo);
+
+    powerup.position.set(position.x, 0, position.z);
+    powerup.userData.type = 'timeSlow';
+    return powerup;
+};
+
+/**
+ * Creates the shield bubble shown around the player while Shield runs
+ * userData.update(level, time) makes it shimmer.
+ */
+export const createShieldBubble = () => {
+    const bubble = new THREE.Mesh(
+        new THREE.SphereGeometry(1.2, 24, 16),
+        new THREE.MeshBasicMaterial({
+            color: 0x1e90ff,
+            transparent: true,
+            opacity: 0.25,
+            depthWrite: false
+        })
+    );
+    bubble.position.y = 0.9;
+    bubble.userData.update = (level, time) => {
+        bubble.material.opacity = 0.2 + 0.05 * level + Math.sin(time * 4) * 0.05;
+    };
+    return bubble;
+};
+
+/**
+ * Creates the green aura shown under the player while Regeneration runs
+ */
+export const createRegenAura = () => {
+    const aura = new THREE.Mesh(
+        new THREE.RingGeometry(0.6, 1.0, 32),
+        new THREE.MeshBasicMaterial({
+            color: 0x00ff7f,
+            transparent: true,
+            opacity: 0.5,
+            side: THREE.DoubleSide
+        })
+    );
+    aura.rotation.x = Math.PI / 2; // Lay flat on ground
+    aura.position.y = 0.06; // Just above the timer ring
+    aura.userData.update = (level, time) => {
+        const pulse = 1 + ((time * 1.5) % 1) * 0.5; // Rings keep washing outwards
+        aura.scale.set(pulse, pulse, 1);
+        aura.material.opacity = 0.6 * (1.5 - pulse) * 2;
+    };
+    return aura;
+};
+
+/**
+ * Creates the slow-motion dome that marks the Slow Motion radius
+ * @param {Function} getRadius - Gets the field radius for a level
+ */
+export const createTimeSlowField = (getRadius) => {
+    const field = new THREE.Mesh(
+        new THREE.SphereGeometry(1, 32, 16, 0, Math.PI * 2, 0, Math.PI / 2), // Unit dome, scaled to the radius
+        new THREE.MeshBasicMaterial({
+            color: 0xc0c0ff,
+            transparent: true,
+            opacity: 0.08,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        })
+    );
+    field.userData.update = (level) => {
+        const radius = getRadius(level);
+        field.scale.set(radius, radius * 0.4, radius);
+    };
+    return field;
+};
+
+/**
+ * Creates a cursed powerup (one of the bad choices in a powerup offer)
+ * - Effect: set by the curse's registry entry; every curse shares this dark skull
+ * @param {THREE.Vector3} position - Where it stands
+ * @param {string} type - Curse type (kept in userData like the other powerups)
+ * @param {number} color - The curse's colour
+ */
+export const createCursedPowerup = (position, type, color) => {
+    const powerup = new THREE.Group();
+    
+    // Add pedestal
+    const pedestal = createPedestal();
+    powerup.add(pedestal);
+
+    // Skull (dark, glowing faintly in the curse's colour)
+    const skullMaterial = new THREE.MeshStandardMaterial({
+        color: 0x222222,
+        emissive: color,
+        emissiveIntensity: 0.4,
+        roughness: 0.7
+    });
+    const skull = new THREE.Mesh(new THREE.SphereGeometry(0.3, 12, 12), skullMaterial);
+    skull.position.y = 0.4 + PEDESTAL_HEIGHT;
+    skull.castShadow = true;
+    powerup.add(skull);
+
+    const jaw = new THREE.Mesh(new THREE.BoxGeometry(0.3, 0.15, 0.25), skullMaterial);
+    jaw.position.set(0, 0.15 + PEDESTAL_HEIGHT, 0.08);
+    jaw.castShadow = true;
+    powerup.add(jaw);
+
+    // Glowing eye sockets
+    const eyeMaterial = new THREE.MeshBasicMaterial({ color });
+    [-0.1, 0.1].forEach((x) => {
+        const eye = new THREE.Mesh(new THREE.SphereGeometry(0.06, 8, 8), eyeMaterial);
+        eye.position.set(x, 0.42 + PEDESTAL_HEIGHT, 0.26);
+        powerup.add(eye);
+    });
+
+    // Halo in the curse's colour
+    const halo = createHalo(color, 0.8);
+    powerup.add(halo);
+
+    powerup.position.set(position.x, 0, position.z);
+    powerup.userData.type = type;
+    return powerup;
+};
+
 /**
  * Animate powerups
  */
@@ -0,0 +1,239 @@
+/**
+ * Wave Director Module - Runs the solo game as a series of escalating waves
+ *
+ * Each wave has a start, a spawn budget and an end: enemies trickle in until
+ * the budget is spent, and the wave is over once every enemy (including any
+ * summoned minions) is dead. An intermission follows before the next wave.
+ * Later waves spawn more enemies with more health and speed, and mix in
+ * tougher enemy types. Every fifth wave is a boss wave that brings in one of
+ * the boss enemies (Zombie King, Necrofiend, Plague Titan, Rot Behemoth).
+ *
+ * Wave progress lives in gameState.wave so the HUD and game over screen can
+ * read it. In co-op the room server spawns enemies and this module is unused.
+ *
+ * Example usage:
+ *   import { updateWaves, getWaveConfig } from './gameplay/waveDirector.js';
+ *
+ *   // Once per simulation step (solo only)
+ *   updateWaves(scene, player, gameState, getSimTime());
+ *
+ *   // Inspect the escalation curve
+ *   console.log(getWaveConfig(10)); // { budget, healthMultiplier, bossType, ... }
+ */
+
+import { spawnEnemy, spawnEnemyAt } from './entitySpawners.js';
+import { playSound } from './audio.js';
+import { logger } from '../utils/logger.js';
+import { getRandom } from '../utils/random.js';
+
+// Add 'waves' to logger sections if not already included
+logger.addSection('waves');
+
+// Seeded stream for boss placement - waves are reproducible with ?seed=
+const waveRandom = getRandom('waves');
+
+// Pacing and escalation settings
+export const WAVE_SETTINGS = {
+    firstWaveDelay: 2000,        // ms before wave 1 starts
+    intermissionDuration: 8000,  // ms break between waves
+    baseBudget: 30,              // Enemies in wave 1
+    budgetGrowth: 15,            // Extra enemies per wave
+    batchSize: 5,                // Enemies per spawn tick (ticks every gameState.enemySpawnRate ms)
+    healthGrowth: 0.1,           // +10% enemy health per wave
+    speedGrowth: 0.03,           // +3% enemy speed per wave...
+    maxSpeedMultiplier: 1.5,     // ...capped at +50%
+    bossEvery: 5,                // Every Nth wave is a boss wave
+    bossWaveBudgetFactor: 0.6,   // Boss waves bring fewer regular enemies
+    bossSpawnDistance: 25        // Bosses appear this far in front of the player
+};
+
+// Bosses cycle in this order (wave 5, 10, 15, 20, then again with an extra boss)
+export const BOSS_TYPES = ['zombieKing', 'necrofiend', 'plagueTitan', 'rotBehemoth'];
+
+// Spawn weights per enemy type: available from `fromWave`, gaining `growth` each wave after
+// Bosses only join the regular mix after their own boss wave has introduced them
+const WAVE_COMPOSITION = {
+    zombie:         { fromWave: 1,  weight: 45,   growth: 0 },
+    exploder:       { fromWave: 1,  weight: 6,    growth: 1 },
+    skittercrab:    { fromWave: 2,  weight: 2,    growth: 0.5 },
+    skeletonArcher: { fromWave: 3,  weight: 4,    growth: 0.5 },
+    zombieKing:     { fromWave: 6,  weight: 1,    growth: 0.25 },
+    necrofiend:     { fromWave: 11, weight: 0.5,  growth: 0.2 },
+    plagueTitan:    { fromWave: 16, weight: 0.05, growth: 0.02 },
+    rotBehemoth:    { fromWave: 21, weight: 0.1,  growth: 0.05 }
+};
+
+/**
+ * Gets the relative spawn chance of every enemy type for a wave
+ * @param {number} waveNumber - Wave number (1-based)
+ * @returns {Object} Map of enemy type -> spawn weight (0 = not spawned yet)
+ */
+export const getWaveComposition = (waveNumber) => {
+    const chances = {};
+    for (const [type, entry] of Object.entries(WAVE_COMPOSITION)) {
+        chances[type] = waveNumber >= entry.fromWave
+            ? entry.weight + entry.growth * (waveNumber - entry.fromWave)
+            : 0;
+    }
+    return chances;
+};
+
+/**
+ * Works out the size, difficulty and bosses of a wave
+ * @param {number} waveNumber - Wave number (1-based)
+ * @returns {Object} { number, budget, healthMultiplier, speedMultiplier, chances, isBossWave, bossType, bossCount }
+ */
+export const getWaveConfig = (waveNumber) => {
+    const isBossWave = waveNumber % WAVE_SETTINGS.bossEvery === 0;
+    const baseBudget = WAVE_SETTINGS.baseBudget + WAVE_SETTINGS.budgetGrowth * (waveNumber - 1);
+
+    // Each full trip through the boss list adds another boss
+    const bossIndex = waveNumber / WAVE_SETTINGS.bossEvery - 1;
+
+    return {
+        number: waveNumber,
+        budget: Math.round(isBossWave ? baseBudget * WAVE_SETTINGS.bossWaveBudgetFactor : baseBudget),
+        healthMultiplier: 1 + WAVE_SETTINGS.healthGrowth * (waveNumber - 1),
+        speedMultiplier: Math.min(WAVE_SETTINGS.maxSpeedMultiplier, 1 + WAVE_SETTINGS.speedGrowth * (waveNumber - 1)),
+        chances: getWaveComposition(waveNumber),
+        isBossWave,
+        bossType: isBossWave ? BOSS_TYPES[bossIndex % BOSS_TYPES.length] : null,
+        bossCount: isBossWave ? 1 + Math.floor(bossIndex / BOSS_TYPES.length) : 0
+    };
+};
+
+/**
+ * Spawns the boss(es) for a boss wave in front of the player
+ * @param {Object} config - Wave config from getWaveConfig
+ * @param {THREE.Scene} scene - The Three.js scene
+ * @param {THREE.Object3D} player - The player object
+ * @param {Object} gameState - The game state object
+ */
+const spawnBosses = (config, scene, player, gameState) => {
+    const modifiers = {
+        healthMultiplier: config.healthMultiplier,
+        speedMultiplier: config.speedMultiplier
+    };
+
+    for (let i = 0; i < config.bossCount; i++) {
+        // Same "front" as regular spawns (+Z), spread over a 120 degree arc
+        const theta = (waveRandom() - 0.5) * (2 * Math.PI / 3);
+        const position = {
+            x: player.position.x + WAVE_SETTINGS.bossSpawnDistance * Math.sin(theta),
+            z: player.position.z + WAVE_SETTINGS.bossSpawnDistance * Math.cos(theta)
+        };
+        spawnEnemyAt(config.bossType, position, scene, gameState, modifiers);
+    }
+
+    logger.info('waves', `Boss wave ${config.number}: ${config.bossCount} x ${config.bossType}`);
+};
+
+/**
+ * Starts a wave - sets up its budget and spawns any bosses
+ * @param {number} waveNumber - Wave to start
+ * @param {THREE.Scene} scene - The Three.js scene
+ * @param {THREE.Object3D} player - The player object
+ * @param {Object} gameState - The game state object
+ * @param {number} currentTime - Current simulation time in ms
+ */
+const startWave = (waveNumber, scene, player, gameState, currentTime) => {
+    const config = getWaveConfig(waveNumber);
+
+    Object.assign(gameState.wave, {
+        number: waveNumber,
+        phase: 'active',
+        startTime: currentTime,
+        nextWaveTime: null,
+        budget: config.budget,
+        spawned: 0,
+        isBossWave: config.isBossWave,
+        bossType: config.bossType,
+        config
+    });
+
+    // First batch arrives on the next spawn tick
+    gameState.lastEnemySpawnTime = currentTime;
+
+    if (config.isBossWave) {
+        spawnBosses(config, scene, player, gameState);
+        playSound('zombie-growl', player.position);
+    }
+
+    logger.info('waves', `Wave ${waveNumber} started (${config.budget} enemies, health x${config.healthMultiplier.toFixed(2)}, speed x${config.speedMultiplier.toFixed(2)})`);
+};
+
+/**
+ * Ends the current wave and schedules the next one
+ * @param {Object} gameState - The game state object
+ * @param {number} currentTime - Current simulation time in ms
+ */
+const endWave = (gameState, currentTime) => {
+    const wave = gameState.wave;
+    wave.phase = 'intermission';
+    wave.nextWaveTime = currentTime + WAVE_SETTINGS.intermissionDuration;
+    gameState.stats.wavesCleared = wave.number;
+
+    logger.info('waves', `Wave ${wave.number} cleared after ${((currentTime - wave.startTime) / 1000).toFixed(1)}s`);
+};
+
+/**
+ * Gets the spawn modifiers for enemies joining the current wave
+ * @param {Object} wave - gameState.wave
+ * @returns {Object} { chances, healthMultiplier, speedMultiplier } for spawnEnemy ({} before wave 1)
+ */
+export const getWaveModifiers = (wave) => {
+    if (!wave.config) return {};
+    const { chances, healthMultiplier, speedMultiplier } = wave.config;
+    return { chances, healthMultiplier, speedMultiplier };
+};
+
+/**
+ * Advances the wave director by one simulation step
+ * Starts waves when intermissions end, spawns from the wave budget and ends
+ * the wave once its budget is spent and no enemies are left.
+ * @param {THREE.Scene} scene - The Three.js scene
+ * @param {THREE.Object3D} player - The player object
+ * @param {Object} gameState - The game state object
+ * @param {number} currentTime - Current simulation time in ms
+ */
+export const updateWaves = (scene, player, gameState, currentTime) => {
+    const wave = gameState.wave;
+
+    // Intermission (or the lead-in before wave 1)
+    if (wave.phase === 'intermission') {
+        if (wave.nextWaveTime === null) {
+            wave.nextWaveTime = currentTime + WAVE_SETTINGS.firstWaveDelay;
+        }
+        if (currentTime >= wave.nextWaveTime) {
+            startWave(wave.number + 1, scene, player, gameState, currentTime);
+        }
+        return;
+    }
+
+    // Spawn the next batch from the budget - much more frequently for a horde
+    if (wave.spawned < wave.budget && currentTime - gameState.lastEnemySpawnTime > gameState.enemySpawnRate) {
+        if (gameState.zombies.length < gameState.maxZombies) {
+            const spawnCount = Math.min(
+                WAVE_SETTINGS.batchSize,
+                wave.budget - wave.spawned,
+                gameState.maxZombies - gameState.zombies.length
+            );
+            const modifiers = getWaveModifiers(wave);
+
+            for (let i = 0; i < spawnCount; i++) {
+                if (spawnEnemy(player.position, scene, gameState, modifiers)) {
+                    wave.spawned++;
+                }
+            }
+
+            gameState.lastEnemySpawnTime = currentTime;
+        } else {
+            logger.debug('spawn', 'Max zombies reached, not spawning more');
+        }
+    }
+
+    // The wave is over once everything it brought (and summoned) is dead
+    if (wave.spawned >= wave.budget && gameState.zombies.length === 0) {
+        endWave(gameState, currentTime);
+    }
+};
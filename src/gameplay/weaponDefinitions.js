@@ -0,0 +1,197 @@
+/**
+ * Weapon Definitions Module - Loads and validates the guns in weapons.json
+ *
+ * Like the enemies, the player's guns are data: how fast they fire, how hard
+ * they hit, how many pellets they throw and how wide, what they shoot, their
+ * magazine and reload, the wave they are unlocked on and what the gun in the
+ * player's hand looks like. combat.js fires whatever weaponInventory.js says is
+ * equipped, and player.js builds the model from the "model" block.
+ *
+ * Definition format (keyed by weapon type in weapons.json, in slot order):
+ *   {
+ *     "name": "Shotgun",              // Shown on the HUD
+ *     "fireRate": 650,                // ms between shots
+ *     "damageMultiplier": 0.6,        // Per pellet, times gameState.player.damage
+ *     "pellets": 8,                   // Projectiles per shot
+ *     "spread": 0.785,                // Total spread angle in radians (0 = dead straight)
+ *     "projectile": "bullet",         // One of PROJECTILE_TYPES
+ *     "speed": 0.5,                   // Projectile speed (varied by up to +15% per shot)
+ *     "color": "#ff9955",             // Projectile colour
+ *     "ammo": {
+ *       "magazine": 6,                // Rounds in a full magazine
+ *       "reserve": 36                 // Spare rounds at the start of a run (null = unlimited)
+ *     },
+ *     "ammoPerShot": 1,               // Optional rounds used per shot (default 1, 0 = never runs dry)
+ *     "reloadTime": 1800,             // ms to reload
+ *     "unlockWave": 4,                // Added to the inventory when this wave starts (0 = from the start)
+ *     "model": {                      // Gun in the player's hand
+ *       "length": 0.9, "width": 0.16, // Body
+ *       "barrelLength": 1.0, "barrelRadius": 0.05, "barrels": 2,
+ *       "color": "#5a3a1a",
+ *       "stock": true,                // Optional shoulder stock (default false)
+ *       "magazine": false             // Optional magazine under the body (default false)
+ *     }
+ *   }
+ *
+ * As with enemies.json, a bad file throws an Error listing every problem.
+ *
+ * Example usage:
+ *   import { getWeaponDefinition, getWeaponDefinitions } from './gameplay/weaponDefinitions.js';
+ *
+ *   const shotgun = getWeaponDefinition('shotgun');
+ *   console.log(shotgun.pellets, shotgun.fireRate);
+ */
+
+import weaponData from './weapons.json' with { type: 'json' };
+import { logger } from '../utils/logger.js';
+
+// Add 'weapons' to logger sections if not already included
+logger.addSection('weapons');
+
+// What a weapon can shoot (combat.js has a firing function for each)
+export const PROJECTILE_TYPES = ['bullet', 'laser', 'grenade'];
+
+// Allowed keys at each level
+const DEFINITION_KEYS = ['name', 'fireRate', 'damageMultiplier', 'pellets', 'spread', 'projectile', 'speed', 'color',
+    'ammo', 'ammoPerShot', 'reloadTime', 'unlockWave', 'model'];
+const AMMO_KEYS = ['magazine', 'reserve'];
+const MODEL_KEYS = ['length', 'width', 'barrelLength', 'barrelRadius', 'barrels', 'color', 'stock', 'magazine'];
+
+/**
+ * Whether a value is a plain object (not null, not an array)
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Whether a value is a positive finite number
+ * @param {*} value - Value to check
+ * @returns {boolean} True for numbers above 0
+ */
+const isPositive = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+/**
+ * Whether a value is a colour string like "#ff9955"
+ * @param {*} value - Value to check
+ * @returns {boolean} True for #rrggbb strings
+ */
+const isColor = (value) => typeof value === 'string' && /^#[0-9a-fA-F]{6}$/.test(value);
+
+/**
+ * Copies a definition and fills in the optional fields
+ * @param {string} type - Weapon type (key in weapons.json)
+ * @param {Object} entry - Raw definition
+ * @returns {Object} Definition with type and defaults
+ */
+const normalizeDefinition = (type, entry) => {
+    if (!isObject(entry)) return { type, invalid: entry };
+    const definition = { type, ammoPerShot: 1, ...entry };
+    if (isObject(entry.model)) {
+        definition.model = { stock: false, magazine: false, ...entry.model };
+    }
+    return definition;
+};
+
+/**
+ * Checks a list of normalized weapon definitions
+ * @param {Array<Object>} definitions - Definitions (see normalizeDefinition)
+ * @returns {Array<string>} Problems found (empty when everything is valid)
+ */
+export const validateWeaponDefinitions = (definitions) => {
+    const problems = [];
+    const check = (condition, path, message, value) => {
+        if (!condition) problems.push(`${path} ${message} (got ${value === undefined ? 'nothing' : JSON.stringify(value)})`);
+        return condition;
+    };
+    const checkKeys = (object, allowed, path) => {
+        Object.keys(object)
+            .filter(key => !allowed.includes(key))
+            .forEach(key => problems.push(`${path}.${key} is not a known field (expected one of: ${allowed.join(', ')})`));
+    };
+
+    if (!Array.isArray(definitions) || definitions.length === 0) {
+        return ['weapon definitions must contain at least one weapon'];
+    }
+
+    for (const definition of definitions) {
+        const { type } = definition;
+        if (!check(!('invalid' in definition), type, 'must be an object', definition.invalid)) continue;
+
+        checkKeys(definition, ['type', ...DEFINITION_KEYS], type);
+        check(typeof definition.name === 'string' && definition.name.length > 0, `${type}.name`, 'must be a non-empty string', definition.name);
+        check(isPositive(definition.fireRate), `${type}.fireRate`, 'must be a positive number of ms', definition.fireRate);
+        check(isPositive(definition.damageMultiplier), `${type}.damageMultiplier`, 'must be a positive number', definition.damageMultiplier);
+        check(Number.isInteger(definition.pellets) && definition.pellets > 0, `${type}.pellets`, 'must be a whole number above 0', definition.pellets);
+        check(typeof definition.spread === 'number' && definition.spread >= 0 && definition.spread < Math.PI, `${type}.spread`,
+            'must be an angle from 0 to PI', definition.spread);
+        check(PROJECTILE_TYPES.includes(definition.projectile), `${type}.projectile`, `must be one of: ${PROJECTILE_TYPES.join(', ')}`, definition.projectile);
+        check(isPositive(definition.speed), `${type}.speed`, 'must be a positive number', definition.speed);
+        check(isColor(definition.color), `${type}.color`, 'must be a colour like "#ff9955"', definition.color);
+        check(Number.isInteger(definition.ammoPerShot) && definition.ammoPerShot >= 0, `${type}.ammoPerShot`,
+            'must be a whole number >= 0', definition.ammoPerShot);
+        check(isPositive(definition.reloadTime), `${type}.reloadTime`, 'must be a positive number of ms', definition.reloadTime);
+        check(Number.isInteger(definition.unlockWave) && definition.unlockWave >= 0, `${type}.unlockWave`, 'must be a whole number >= 0', definition.unlockWave);
+
+        const { ammo } = definition;
+        if (check(isObject(ammo), `${type}.ammo`, 'must be an object', ammo)) {
+            checkKeys(ammo, AMMO_KEYS, `${type}.ammo`);
+            check(Number.isInteger(ammo.magazine) && ammo.magazine > 0, `${type}.ammo.magazine`, 'must be a whole number above 0', ammo.magazine);
+            check(ammo.reserve === null || (Number.isInteger(ammo.reserve) && ammo.reserve >= 0), `${type}.ammo.reserve`,
+                'must be a whole number >= 0 or null', ammo.reserve);
+        }
+
+        const { model } = definition;
+        if (check(isObject(model), `${type}.model`, 'must be an object', model)) {
+            checkKeys(model, MODEL_KEYS, `${type}.model`);
+            ['length', 'width', 'barrelLength', 'barrelRadius'].forEach(key =>
+                check(isPositive(model[key]), `${type}.model.${key}`, 'must be a positive number', model[key]));
+            check(Number.isInteger(model.barrels) && model.barrels > 0, `${type}.model.barrels`, 'must be a whole number above 0', model.barrels);
+            check(isColor(model.color), `${type}.model.color`, 'must be a colour like "#333333"', model.color);
+            check(typeof model.stock === 'boolean', `${type}.model.stock`, 'must be true or false', model.stock);
+            check(typeof model.magazine === 'boolean', `${type}.model.magazine`, 'must be true or false', model.magazine);
+        }
+    }
+
+    if (problems.length === 0 && !definitions.some(definition => definition.unlockWave === 0)) {
+        problems.push('at least one weapon needs unlockWave 0, or runs start unarmed');
+    }
+    return problems;
+};
+
+/**
+ * Turns raw weapons.json-style data into validated definitions
+ * @param {Object} data - Map of weapon type -> raw definition
+ * @param {string} [source='weapons.json'] - Where the data came from (for error messages)
+ * @returns {Array<Object>} Definitions in file order, with defaults filled in
+ */
+export const loadWeaponDefinitions = (data, source = 'weapons.json') => {
+    if (!isObject(data)) {
+        throw new Error(`Invalid weapon definitions in ${source}:\n  - expected an object keyed by weapon type`);
+    }
+    const definitions = Object.entries(data).map(([type, entry]) => normalizeDefinition(type, entry));
+    const problems = validateWeaponDefinitions(definitions);
+    if (problems.length > 0) {
+        throw new Error(`Invalid weapon definitions in ${source}:\n  - ${problems.join('\n  - ')}`);
+    }
+    return definitions;
+};
+
+// Built-in definitions - validated as soon as anything imports this module
+const definitions = loadWeaponDefinitions(weaponData);
+const definitionsByType = new Map(definitions.map(definition => [definition.type, definition]));
+
+logger.debug('weapons', `Loaded ${definitions.length} weapon definitions`);
+
+/**
+ * Gets every weapon definition, in slot order
+ * @returns {Array<Object>} Definitions
+ */
+export const getWeaponDefinitions = () => definitions;
+
+/**
+ * Gets the definition for one weapon type
+ * @param {string} type - Weapon type ('pistol', 'shotgun', ...)
+ * @returns {Object|undefined} The definition, or undefined for an unknown type
+ */
+export const getWeaponDefinition = (type) => definitionsByType.get(type);
@@ -0,0 +1,120 @@
+/**
+ * Weapon Inventory Module - The guns the player is carrying and which one is out
+ *
+ * Guns are permanent for the run: the player starts with the weapons whose
+ * unlockWave is 0 and picks up the rest as the waves reach them. The carried
+ * guns live in gameState.player.weapons (in weapons.json order) and the one in
+ * hand in gameState.player.weapon. Number keys pick a slot (slot N is the Nth
+ * gun in weapons.json, so a key always means the same gun), the mouse wheel
+ * and the mobile button cycle through what is carried.
+ *
+ * Switching only changes gameState.player.weapon - the replay recorder picks
+ * it up from there, combat.js fires it and the game loop swaps the model.
+ *
+ * Example usage:
+ *   import { unlockWeapons, equipWeaponSlot, cycleWeapon, getEquippedWeapon } from './gameplay/weaponInventory.js';
+ *
+ *   unlockWeapons(gameState);          // Once per simulation step
+ *   equipWeaponSlot(gameState, 3);     // Key '3' - the shotgun, if carried
+ *   cycleWeapon(gameState, 1);         // Mouse wheel down
+ *   console.log(getEquippedWeapon(gameState).name);
+ */
+
+import { getWeaponDefinitions, getWeaponDefinition } from './weaponDefinitions.js';
+import { getSimTime } from '../utils/simClock.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Gets the weapons a run starts with
+ * @returns {Array<string>} Weapon types with unlockWave 0
+ */
+export const getStartingWeapons = () => getWeaponDefinitions()
+    .filter(definition => definition.unlockWave === 0)
+    .map(definition => definition.type);
+
+/**
+ * Gets the definition of the gun in the player's hand
+ * Falls back to the first starting weapon if nothing valid is equipped.
+ * @param {Object} gameState - The game state
+ * @returns {Object} Weapon definition
+ */
+export const getEquippedWeapon = (gameState) =>
+    getWeaponDefinition(gameState.player.weapon) || getWeaponDefinition(getStartingWeapons()[0]);
+
+/**
+ * Whether the player is carrying a weapon
+ * @param {Object} gameState - The game state
+ * @param {string} type - Weapon type
+ * @returns {boolean} True if it is in the inventory
+ */
+export const hasWeapon = (gameState, type) => (gameState.player.weapons || []).includes(type);
+
+/**
+ * Puts a weapon in the player's hand
+ * @param {Object} gameState - The game state
+ * @param {string} type - Weapon type (must be carried)
+ * @returns {boolean} True if the weapon changed
+ */
+export const equipWeapon = (gameState, type) => {
+    if (!hasWeapon(gameState, type) || gameState.player.weapon === type) return false;
+    gameState.player.weapon = type;
+    logger.debug('weapons', `Equipped ${type}`);
+    return true;
+};
+
+/**
+ * Equips the weapon for a number key
+ * @param {Object} gameState - The game state
+ * @param {number} slot - Slot number, 1 for the first gun in weapons.json
+ * @returns {boolean} True if the weapon changed
+ */
+export const equipWeaponSlot = (gameState, slot) => {
+    const definition = getWeaponDefinitions()[slot - 1];
+    return definition ? equipWeapon(gameState, definition.type) : false;
+};
+
+/**
+ * Equips the next (or previous) carried weapon, wrapping around
+ * @param {Object} gameState - The game state
+ * @param {number} direction - 1 for the next weapon, -1 for the previous one
+ * @returns {boolean} True if the weapon changed
+ */
+export const cycleWeapon = (gameState, direction) => {
+    const carried = gameState.player.weapons || [];
+    if (carried.length < 2) return false;
+    const index = carried.indexOf(gameState.player.weapon);
+    const next = carried[(index + Math.sign(direction) + carried.length) % carried.length];
+    return equipWeapon(gameState, next);
+};
+
+/**
+ * Adds a weapon to the inventory (kept in weapons.json order)
+ * @param {Object} gameState - The game state
+ * @param {string} type - Weapon type
+ * @returns {boolean} True if it was new
+ */
+export const addWeapon = (gameState, type) => {
+    if (!getWeaponDefinition(type)) throw new Error(`Unknown weapon type: ${type}`);
+    if (hasWeapon(gameState, type)) return false;
+
+    const carried = [...(gameState.player.weapons || []), type];
+    const order = getWeaponDefinitions().map(definition => definition.type);
+    gameState.player.weapons = carried.sort((a, b) => order.indexOf(a) - order.indexOf(b));
+    gameState.player.weaponUnlock = { type, time: getSimTime() }; // For the HUD notice
+    logger.info('weapons', `Picked up ${type}`);
+    return true;
+};
+
+/**
+ * Hands out every weapon the current wave has reached
+ * Call once per simulation step.
+ * @param {Object} gameState - The game state
+ * @returns {Array<string>} Weapons added this step
+ */
+export const unlockWeapons = (gameState) => {
+    const wave = gameState.wave ? gameState.wave.number : 0;
+    return getWeaponDefinitions()
+        .filter(definition => definition.unlockWave <= wave && !hasWeapon(gameState, definition.type))
+        .map(definition => definition.type)
+        .filter(type => addWeapon(gameState, type));
+};
@@ -10,9 +10,14 @@ import { checkCollision, pushAway } from './physics.js'; // Import physics helpe
 import { playSound } from './audio.js'; // Import audio system
 import { logger } from '../utils/logger.js'; // Import logger for debugging
 import { damagePlayer, damageZombie, isZombieDead, createExplosion } from './zombieUtils.js'; // Import zombie utilities
+import { getRandom, shuffle } from '../utils/random.js'; // Seeded randomness
+import { createSpatialGrid, getNearbyIndices, updateHordeFlocking } from './hordeFlocking.js'; // Horde steering
 
-// Check if we're in development mode
-const isDev = window.NODE_ENV !== 'production';
+// Seeded AI stream shared with the enemy update() jitter
+const aiRandom = getRandom('ai');
+
+// Check if we're in development mode (globalThis so this also loads headless in Node)
+const isDev = globalThis.NODE_ENV !== 'production';
 
 /**
  * Updates the positions of all zombies to chase the player with extended enemy behaviors
@@ -84,51 +89,18 @@ export const updateZombies = (zombies, playerPosition, delta = 1/60, baseSpeed)
         }
     });
     
-    // Create spatial partitioning for zombies
-    const gridSize = 5;
-    const grid = {};
-    
-    // Add zombies to spatial grid
-    zombies.forEach((zombie, index) => {
-        if (!zombie || !zombie.mesh || !zombie.mesh.position) return;
-        
-        const gridX = Math.floor(zombie.mesh.position.x / gridSize);
-        const gridZ = Math.floor(zombie.mesh.position.z / gridSize);
-        const key = `${gridX},${gridZ}`;
-        
-        if (!grid[key]) {
-            grid[key] = [];
-        }
-        
-        grid[key].push(index);
-    });
+    // Bucket zombies into a spatial grid (shared by flocking and collision checks)
+    const grid = createSpatialGrid(zombies);
     
     // Get nearby zombies from spatial grid
-    const getNearbyZombies = (position, excludeIndex) => {
-        const gridX = Math.floor(position.x / gridSize);
-        const gridZ = Math.floor(position.z / gridSize);
-        const nearby = [];
-        
-        // Check 3x3 grid cells around the zombie
-        for (let x = gridX - 1; x <= gridX + 1; x++) {
-            for (let z = gridZ - 1; z <= gridZ + 1; z++) {
-                const key = `${x},${z}`;
-                if (grid[key]) {
-                    grid[key].forEach(index => {
-                        if (index !== excludeIndex) {
-                            nearby.push(index);
-                        }
-                    });
-                }
-            }
-        }
-        
-        return nearby;
-    };
+    const getNearbyZombies = (position, excludeIndex) => getNearbyIndices(grid, position, excludeIndex);
+    
+    // Steer the horde as a flock - sets each enemy's flockHeading for the chase behaviour
+    updateHordeFlocking(zombies, grid, playerPosition);
     
     // Create a random but stable update order to prevent bias
     const updateOrder = Array.from({ length: zombies.length }, (_, i) => i);
-    updateOrder.sort(() => Math.random() - 0.5);
+    shuffle(aiRandom, updateOrder);
     
     // Dev-mode logging: Check if zombie meshes have update methods
     if (isDev) {
@@ -217,17 +189,17 @@ export const updateZombies = (zombies, playerPosition, delta = 1/60, baseSpeed)
             // Prepare game state and context object to pass to the update method
             const updateContext = {
                 playerPosition,
-                delta,
+                delta: delta * (zombie.timeScale ?? 1), // Slowed inside a Slow Motion field
                 collisionSettings: {
                     COLLISION_DISTANCE,
                     DAMAGE_DISTANCE,
                     DAMAGE_PER_SECOND,
                     ZOMBIE_COLLISION_DISTANCE
                 },
-                environmentObjects: window.gameState?.environmentObjects || [],
+                environmentObjects: globalThis.gameState?.environmentObjects || [],
                 nearbyZombies: nearbyZombies.map(idx => zombies[idx]),
                 zombieSizes,
-                gameState: zombie.gameState || window.gameState,
+                gameState: zombie.gameState || globalThis.gameState,
                 checkCollision,
                 pushAway,
                 damagePlayer
@@ -22,17 +22,32 @@
 import * as THREE from 'three';
 import { playSound } from './audio.js';
 import { logger } from '../utils/logger.js';
+import { getSimTime, simTimeout, clearSimTimeout, addSimTask } from '../utils/simClock.js';
 import { processDismemberment } from './dismemberment.js';
+import { flashEnemy } from '../rendering/instancedEnemies.js';
+import { dropPickups } from './pickups.js';
+import { applyDamageHooks } from './activePowerups.js';
+import { awardExp } from './experience.js';
+import { isInvulnerable } from './dash.js';
 
 /**
  * Damages the player and handles related effects
+ * Nothing gets through while dashing; otherwise running powerups (a Shield, say) get to soak up the hit first.
  * @param {Object} gameState - The game state object containing player data
  * @param {number} damageAmount - Amount of damage to apply
+ * @param {string} [cause] - What hurt the player ('Zombie', 'Plague Titan poison', ...) - the last one is the cause of death
  */
-export const damagePlayer = (gameState, damageAmount) => {
+export const damagePlayer = (gameState, damageAmount, cause) => {
     if (!gameState || !gameState.player) return;
+    if (isInvulnerable(gameState)) return; // Dashing
+    
+    damageAmount = applyDamageHooks(gameState, damageAmount);
+    if (damageAmount <= 0) return;
     
     gameState.player.health -= damageAmount;
+    if (cause) {
+        gameState.player.lastDamageCause = cause;
+    }
     
     if (gameState.player.health < 0) {
         gameState.player.health = 0;
@@ -54,7 +69,7 @@ export const damagePlayer = (gameState, damageAmount) => {
             glowHalo.scale.set(1.3, 1.3, 1);
             
             // Reset after a short time
-            setTimeout(() => {
+            simTimeout(() => {
                 if (glowHalo.scale) {
                     glowHalo.scale.set(originalScale, originalScale, 1);
                 }
@@ -78,6 +93,7 @@ export const damageZombie = (zombie, damage, scene) => {
     logger.debug('zombiedamage','78: Zombie health before',zombie.health);
     zombie.health -= damage;
     logger.debug('zombiedamage','80: Zombie health after',zombie.health);
+    flashEnemy(zombie.mesh); // Hit tint (instanced enemies)
     // Debug logging with error handling
     try {
         logger.debug(`Zombie ${zombie.type} took ${damage.toFixed(1)} damage, health: ${zombie.health.toFixed(1)}/${zombie.dismemberment?.maxHealth || 'unknown'}`);
@@ -160,6 +176,47 @@ export const initExplosionSystem = (scene) => {
     logger.info('explosion', `158: Initialized explosion system with ${MAX_EXPLOSIONS} reusable explosions`);
 };
 
+/**
+ * Puts every pooled explosion back to unused (new run)
+ * Their fade-out tasks are dropped with the sim clock, so they would otherwise stay lit.
+ */
+export const resetExplosionSystem = () => {
+    explosionPool.forEach((explosion) => {
+        explosion.visible = false;
+        explosion.scale.set(0.1, 0.1, 0.1);
+    });
+    explosionLightPool.forEach((light) => {
+        light.visible = false;
+        light.intensity = 0;
+    });
+    activeExplosions.clear();
+};
+
+/**
+ * Adds a kill's points to the score and logs it for the run summary
+ * The leaderboard server replays this log to check the score (see leaderboard/runSummary.js).
+ * @param {Object} gameState - The game state object
+ * @param {number} points - Points for the kill
+ * @param {string} source - What was killed ('zombie', 'exploderBlast', ...)
+ */
+export const awardKill = (gameState, points, source) => {
+    gameState.score += points;
+    if (!gameState.stats) {
+        logger.warn('zombiedeath', 'gameState.stats is missing, cannot count the kill.');
+        return;
+    }
+
+    gameState.stats.zombiesKilled = (gameState.stats.zombiesKilled || 0) + 1;
+    if (gameState.stats.scoreEvents) {
+        gameState.stats.scoreEvents.push({
+            t: Math.round(getSimTime() - gameState.stats.startTime),
+            points,
+            source,
+            wave: gameState.wave ? gameState.wave.number : 0
+        });
+    }
+};
+
 /**
  * Handles the logic when a zombie dies
  * @param {Object} zombie - The zombie object that died
@@ -173,18 +230,13 @@ export const handleZombieDeath = (zombie, scene, gameState, zombiesArray) => {
     zombie.isDead = true; // Mark as dead to prevent double processing
     logger.info('zombiedeath', `Handling death for zombie ${zombie.id || 'unknown'} type ${zombie.type}`);
 
-    // Award points based on the zombie's points property
+    // Award points based on the zombie's points property, and count the kill
     const pointsAwarded = zombie.points || 10; // Use zombie.points, fallback to 10
-    gameState.score += pointsAwarded;
+    awardKill(gameState, pointsAwarded, zombie.type);
     logger.debug('zombiedeath', `Awarded ${pointsAwarded} points for killing zombie. Score: ${gameState.score}`);
 
-    // Increment kill counter
-    if (gameState.stats) {
-        gameState.stats.zombiesKilled = (gameState.stats.zombiesKilled || 0) + 1;
-        logger.debug('zombiedeath', `Incremented kill count. Total kills: ${gameState.stats.zombiesKilled}`);
-    } else {
-        logger.warn('zombiedeath', 'gameState.stats is missing, cannot increment kill count.');
-    }
+    // EXP for the kill (may level the player up)
+    awardExp(gameState, zombie.mesh?.exp ?? 0);
 
     // Check for exploder specific logic - needs access to createExplosion
     // This might need adjustment if createExplosion isn't available directly.
@@ -206,6 +258,9 @@ export const handleZombieDeath = (zombie, scene, gameState, zombiesArray) => {
          logger.debug('zombiedeath', 'Exploder zombie died but was already exploding or disarmed.');
     }
     
+    // Roll the enemy type's drop table (bosses always leave loot)
+    dropPickups(scene, gameState, zombie);
+
     // Remove zombie mesh from scene
     if (zombie.mesh) {
         scene.remove(zombie.mesh);
@@ -327,7 +382,7 @@ export const createExplosion = (scene, position, radius, damage, zombies = [], p
         explosion.visible = true;
         
         // Track when this explosion started
-        activeExplosions.set(explosion, Date.now());
+        activeExplosions.set(explosion, getSimTime());
         
         // Reset light properties
         light.position.copy(position);
@@ -353,7 +408,7 @@ export const createExplosion = (scene, position, radius, damage, zombies = [], p
                 logger.info('explosion',`257: Player in explosion radius (dist: ${playerDistance.toFixed(2)} < ${radius}), dealing ${playerDamage} damage`);
                 try {
                     if (gameState && typeof damagePlayer === 'function') {
-                        damagePlayer(gameState, playerDamage);
+                        damagePlayer(gameState, playerDamage, 'Explosion');
                     }
                 } catch (playerDamageError) {
                     logger.error('explosion','263: Failed to damage player:', playerDamageError);
@@ -427,10 +482,12 @@ export const createExplosion = (scene, position, radius, damage, zombies = [], p
         const expandSpeed = 0.15;
         const fadeSpeed = 0.05;
         const maxScale = radius / 2; // Scale to match the radius
-        let animationFrameId = null; // Store the request ID
+        let animationCancelled = false; // Set by the backup cleanup timer
 
-        // Animation function using requestAnimationFrame for better performance
+        // Animation step, run once per simulation tick
         const animateExplosion = () => { // Renamed for clarity
+            if (animationCancelled) return false;
+            
             // Increase scale
             scale += expandSpeed;
             const currentScale = Math.min(scale, maxScale);
@@ -451,23 +508,25 @@ export const createExplosion = (scene, position, radius, damage, zombies = [], p
             
             // Continue animation until fully faded
             if (opacity > 0) {
-                animationFrameId = requestAnimationFrame(animateExplosion);
-            } else {
-                // When animation is complete, just hide the objects
-                if (explosion) explosion.visible = false;
-                if (light) light.visible = false;
-                // Remove from active list
-                 if (explosion) activeExplosions.delete(explosion);
-                 logger.debug('explosion', 'Explosion animation finished, hiding objects.');
+                return true;
             }
+            
+            // When animation is complete, just hide the objects
+            if (explosion) explosion.visible = false;
+            if (light) light.visible = false;
+            // Remove from active list
+             if (explosion) activeExplosions.delete(explosion);
+             logger.debug('explosion', 'Explosion animation finished, hiding objects.');
+            clearSimTimeout(cleanupTimeoutId);
+            return false;
         };
         
-        // Start the animation
-        animationFrameId = requestAnimationFrame(animateExplosion);
+        // Start the animation (runs on simulation ticks so it pauses with the game)
+        addSimTask(animateExplosion);
         
         // Backup cleanup - force hide after 3 seconds
-        const cleanupTimeoutId = setTimeout(() => {
-            cancelAnimationFrame(animationFrameId); // Stop animation if running
+        const cleanupTimeoutId = simTimeout(() => {
+            animationCancelled = true; // Stop animation if running
             if (explosion && explosion.visible) {
                 explosion.visible = false;
                 logger.debug('explosion', 'Forcing explosion hide after timeout.');
@@ -479,9 +538,6 @@ export const createExplosion = (scene, position, radius, damage, zombies = [], p
             if (explosion) activeExplosions.delete(explosion);
         }, 3000);
         
-        // Store timeout ID for potential cancellation if animation finishes first? (Optional)
-        // explosion.userData.cleanupTimeoutId = cleanupTimeoutId; 
-
         // Return the explosion mesh for backwards compatibility
         return explosion;
         
@@ -0,0 +1,146 @@
+/**
+ * Headless Module - Runs the game simulation in Node without a DOM or WebGL
+ *
+ * Builds a bare THREE.Scene (no renderer, no camera) and a model-less player,
+ * resets the shared gameState, and advances the same stepSimulation used by the
+ * browser game loop. Used by the test suite (npm test) and handy for balance
+ * experiments and bots.
+ *
+ * Example usage:
+ *   import { createHeadlessGame } from './src/headless.js';
+ *
+ *   const game = createHeadlessGame({ seed: 'test', spawning: false });
+ *   const zombie = game.spawnZombie('zombie', { x: 0, z: 5 });
+ *   game.player.rotation.y = 0;       // Face +Z
+ *   game.gameState.mouseDown = true;  // Hold the trigger
+ *   game.runFor(1);                   // Simulate one second
+ *   game.frame(1 / 30);               // One browser frame (honours pauses)
+ *   console.log(game.gameState.score, zombie.health);
+ */
+
+import * as THREE from 'three';
+import { gameState, resetGameState } from './gameState.js';
+import { stepSimulation, runFrameSteps, resetFrameTime, FIXED_TIMESTEP } from './gameLoop.js';
+import { spawnEnemyAt } from './gameplay/entitySpawners.js';
+import { setSeed } from './utils/random.js';
+import { resetSimClock, getSimTime } from './utils/simClock.js';
+import { startRecording, stopPlayback } from './replay/inputReplay.js';
+import { clearKillCamSnapshots } from './rendering/killCam.js';
+import { clearPauseReasons } from './ui/pauseMenu.js';
+import { logger } from './utils/logger.js';
+
+// Add 'headless' to logger sections if not already included
+logger.addSection('headless');
+
+// Spawn settings as configured in gameState.js, restored for every new game
+const DEFAULT_SPAWN_SETTINGS = {
+    enemySpawnRate: gameState.enemySpawnRate,
+    powerupSpawnRate: gameState.powerupSpawnRate,
+    maxZombies: gameState.maxZombies
+};
+
+/**
+ * Creates a fresh headless game
+ * Only one game can be live at a time - gameState is shared module state
+ * @param {Object} options - Options
+ * @param {string|number} [options.seed='headless'] - Seed for all gameplay randomness
+ * @param {boolean} [options.spawning=true] - Whether enemies and powerups spawn on their own
+ * @param {Object|null} [options.loadout=null] - Run loadout from the shop (see gameplay/loadout.js), applied on the first step
+ * @returns {Object} { scene, player, gameState, step, runFor, frame, runUntil, spawnZombie, getTime }
+ */
+export const createHeadlessGame = (options = {}) => {
+    const { seed = 'headless', spawning = true, loadout = null } = options;
+
+    // Fresh clock, seed and state so runs are reproducible
+    resetSimClock();
+    setSeed(seed);
+    stopPlayback(gameState);
+    clearKillCamSnapshots();
+    clearPauseReasons();
+    resetFrameTime();
+    resetGameState();
+    Object.assign(gameState, DEFAULT_SPAWN_SETTINGS);
+    gameState.player.loadout = loadout;
+    startRecording(); // Like a browser run - inputs can be replayed with startPlayback
+
+    const scene = new THREE.Scene();
+
+    // The player is a plain group - no model to load, shots come from its position
+    const player = new THREE.Group();
+    player.name = 'headlessPlayer';
+    scene.add(player);
+    gameState.playerObject = player;
+
+    if (!spawning) {
+        gameState.enemySpawnRate = Infinity;
+        gameState.powerupSpawnRate = Infinity;
+        gameState.lastPowerupSpawnTime = Infinity; // Never "due" for a guaranteed spawn
+    }
+
+    /**
+     * Advances the simulation by a number of fixed steps
+     * Stops early once the game is over
+     * @param {number} count - Number of steps (1/60 s each)
+     * @returns {number} Steps actually taken
+     */
+    const step = (count = 1) => {
+        let taken = 0;
+        while (taken < count && !gameState.gameOver) {
+            stepSimulation(scene, null, player, FIXED_TIMESTEP);
+            taken++;
+        }
+        return taken;
+    };
+
+    /**
+     * Advances the simulation by an amount of simulated time
+     * @param {number} seconds - Simulated seconds
+     * @returns {number} Steps actually taken
+     */
+    const runFor = (seconds) => step(Math.round(seconds / FIXED_TIMESTEP));
+
+    /**
+     * Advances the game like one rendered frame in the browser
+     * Unlike step and runFor, nothing runs while the simulation is paused.
+     * @param {number} seconds - Real time the frame took
+     * @returns {number} Steps actually taken
+     */
+    const frame = (seconds) => runFrameSteps(scene, null, player, seconds);
+
+    /**
+     * Steps until a condition holds (or a time limit is hit)
+     * @param {Function} condition - Checked after every step
+     * @param {number} maxSeconds - Give up after this much simulated time
+     * @returns {boolean} Whether the condition was met
+     */
+    const runUntil = (condition, maxSeconds = 60) => {
+        const maxSteps = Math.round(maxSeconds / FIXED_TIMESTEP);
+        for (let i = 0; i < maxSteps; i++) {
+            if (condition()) return true;
+            if (step(1) === 0) break; // Game over
+        }
+        return condition();
+    };
+
+    /**
+     * Spawns a specific enemy at a position (bypasses the random spawner)
+     * @param {string} type - Enemy type ('zombie', 'exploder', 'skeletonArcher', ...)
+     * @param {Object} position - { x, z }
+     * @returns {Object|null} The enemy object added to gameState.zombies
+     */
+    const spawnZombie = (type, position) => spawnEnemyAt(type, position, scene, gameState);
+
+    logger.info('headless', `Headless game created with seed ${seed}`);
+
+    return {
+        scene,
+        player,
+        gameState,
+        step,
+        runFor,
+        frame,
+        runUntil,
+        spawnZombie,
+        getTime: getSimTime
+    };
+};
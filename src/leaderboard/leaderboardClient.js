@@ -0,0 +1,101 @@
+/**
+ * Leaderboard Client Module - Submits finished runs to the leaderboard server
+ *
+ * At the start of every run the game asks the server (server.js, under
+ * /api/leaderboard) for a session; at game over the run summary is signed with
+ * the session's key and submitted. The leaderboard is optional: with no server
+ * (vite dev, static hosting), a slow one, or a browser without Web Crypto,
+ * every call resolves to null and the game carries on with the local high
+ * scores only.
+ *
+ * Example usage:
+ *   import { startLeaderboardSession, submitRun } from './leaderboard/leaderboardClient.js';
+ *
+ *   startLeaderboardSession();        // New run (fire and forget)
+ *   const result = await submitRun(summary);
+ *   if (result && result.ok) console.log(result.ranks.daily.rank);
+ */
+
+import { signRunSummary } from './runSummary.js';
+import { logger } from '../utils/logger.js';
+
+// Add 'leaderboard' to logger sections if not already included
+logger.addSection('leaderboard');
+
+// Leaderboard client settings
+export const LEADERBOARD_SETTINGS = {
+    baseUrl: '/api/leaderboard', // Same server that serves the game
+    timeout: 3000                // ms before a request counts as the server being unavailable
+};
+
+// Session for the current run (a promise, so game over can wait for a slow start)
+let sessionRequest = null;
+
+/**
+ * Sends a request to the leaderboard server
+ * @param {string} route - Route under the base URL ('/sessions', ...)
+ * @param {Object} [body] - JSON body (makes it a POST)
+ * @returns {Promise<Object|null>} { status, data }, or null if the server couldn't be reached
+ */
+const request = async (route, body) => {
+    if (typeof fetch !== 'function') return null;
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), LEADERBOARD_SETTINGS.timeout);
+    try {
+        const response = await fetch(`${LEADERBOARD_SETTINGS.baseUrl}${route}`, {
+            method: body ? 'POST' : 'GET',
+            headers: body ? { 'Content-Type': 'application/json' } : {},
+            body: body ? JSON.stringify(body) : undefined,
+            signal: controller.signal
+        });
+        // Static hosts answer with a 404 page or index.html - only JSON comes from the leaderboard
+        const isJson = (response.headers.get('content-type') || '').includes('application/json');
+        if (!isJson) return null;
+        return { status: response.status, data: await response.json() };
+    } catch (error) {
+        logger.debug('leaderboard', `Leaderboard unavailable: ${error.message}`);
+        return null;
+    } finally {
+        clearTimeout(timer);
+    }
+};
+
+/**
+ * Opens a leaderboard session for the run that is starting
+ * @returns {Promise<Object|null>} { sessionId, key }, or null without a server
+ */
+export const startLeaderboardSession = () => {
+    sessionRequest = request('/sessions', {}).then(result =>
+        result && result.status === 200 ? result.data : null
+    );
+    return sessionRequest;
+};
+
+/**
+ * Signs and submits the summary of the finished run
+ * @param {Object} summary - From createRunSummary
+ * @returns {Promise<Object|null>} The server's answer ({ ok, ranks } or { ok: false, error, problems }),
+ *   or null if there is no leaderboard to submit to
+ */
+export const submitRun = async (summary) => {
+    const session = sessionRequest ? await sessionRequest : null;
+    sessionRequest = null; // One submission per session
+    if (!session) return null;
+
+    let signature;
+    try {
+        signature = await signRunSummary(summary, session.key);
+    } catch (error) {
+        logger.warn('leaderboard', error.message);
+        return null;
+    }
+
+    const result = await request('/runs', { sessionId: session.sessionId, summary, signature });
+    if (!result) return null;
+    if (!result.data.ok) {
+        logger.warn('leaderboard', `Run not accepted: ${result.data.error}`, result.data.problems);
+    }
+    return result.data;
+};
+
@@ -0,0 +1,174 @@
+/**
+ * Leaderboard Routes Module - REST API for the self-hosted leaderboard
+ *
+ * Mounted by server.js under /api/leaderboard:
+ *   POST /sessions                  -> { sessionId, key }           (at the start of every run)
+ *   POST /runs { sessionId, summary, signature }
+ *                                   -> { ok, ranks: { all, daily, weekly } } | 400 { ok: false, error, problems }
+ *   GET  /top?period=all|daily|weekly&limit=10 -> { period, runs }
+ *   GET  /rank/:name?period=all     -> { period, name, rank, of, run } | 404
+ *
+ * A session is good for one submission. The run summary has to be signed with
+ * its key (see runSummary.js), can't be longer than the time since the session
+ * started, and has to pass the score-event replay.
+ *
+ * Sessions are kept in memory, so there can only be so many open at once
+ * (503 when full) and each IP can only start so many a minute (429).
+ *
+ * Example usage:
+ *   import { createLeaderboardRouter } from './src/leaderboard/leaderboardRoutes.js';
+ *   import { createLeaderboardStore } from './src/leaderboard/leaderboardStore.js';
+ *
+ *   app.use('/api/leaderboard', createLeaderboardRouter({ store: createLeaderboardStore({ file }) }));
+ */
+
+import express from 'express';
+import crypto from 'crypto';
+import { checkRunSummary, signRunSummary } from './runSummary.js';
+import { LEADERBOARD_PERIODS } from './leaderboardStore.js';
+import { logger } from '../utils/logger.js';
+
+// Add 'leaderboard' to logger sections if not already included
+logger.addSection('leaderboard');
+
+const DEFAULT_SESSION_TTL = 6 * 60 * 60 * 1000; // A session outlives any real run
+const DURATION_SLACK_MS = 5000;                 // Clock and network differences
+const MAX_LIMIT = 100;                          // Most rows one /top request returns
+const DEFAULT_MAX_SESSIONS = 10000;             // Open sessions the server keeps at once
+const DEFAULT_SESSIONS_PER_MINUTE = 20;         // Sessions one IP may start a minute (a run takes longer than 3s)
+const RATE_WINDOW_MS = 60 * 1000;
+
+/**
+ * Compares two hex signatures in constant time
+ * @param {string} a - A signature
+ * @param {string} b - Another signature
+ * @returns {boolean} True if they match
+ */
+const signaturesMatch = (a, b) => {
+    if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+    return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+};
+
+/**
+ * Reads the period query parameter
+ * @param {Object} req - Express request
+ * @returns {string|null} The period, or null if it isn't one
+ */
+const readPeriod = (req) => {
+    const period = req.query.period || 'all';
+    return LEADERBOARD_PERIODS.includes(period) ? period : null;
+};
+
+/**
+ * Creates the leaderboard router
+ * @param {Object} options - Options
+ * @param {Object} options.store - Store from createLeaderboardStore
+ * @param {number} [options.sessionTtl] - How long a session stays open (ms)
+ * @param {number} [options.maxSessions] - Most sessions open at once
+ * @param {number} [options.sessionsPerMinute] - Most sessions one IP may start a minute
+ * @param {Function} [options.now] - Clock (ms since epoch), for tests
+ * @returns {express.Router} The router
+ */
+export const createLeaderboardRouter = ({
+    store,
+    sessionTtl = DEFAULT_SESSION_TTL,
+    maxSessions = DEFAULT_MAX_SESSIONS,
+    sessionsPerMinute = DEFAULT_SESSIONS_PER_MINUTE,
+    now = Date.now
+}) => {
+    const router = express.Router();
+    const sessions = new Map(); // sessionId -> { key, startedAt }
+    const sessionStarts = new Map(); // IP -> { windowStart, count } for the current minute
+
+    router.use(express.json({ limit: '1mb' })); // Long runs have long event logs
+
+    // Drops sessions nobody submitted with
+    const dropExpiredSessions = () => {
+        const cutoff = now() - sessionTtl;
+        for (const [sessionId, session] of sessions) {
+            if (session.startedAt < cutoff) sessions.delete(sessionId);
+        }
+    };
+
+    /**
+     * Counts a session start against an IP's allowance for the minute
+     * @param {string} ip - Client IP
+     * @returns {boolean} True if the IP is still within sessionsPerMinute
+     */
+    const takeSessionStart = (ip) => {
+        const time = now();
+        for (const [address, window] of sessionStarts) {
+            if (time - window.windowStart >= RATE_WINDOW_MS) sessionStarts.delete(address);
+        }
+        const window = sessionStarts.get(ip) || { windowStart: time, count: 0 };
+        window.count++;
+        sessionStarts.set(ip, window);
+        return window.count <= sessionsPerMinute;
+    };
+
+    router.post('/sessions', (req, res) => {
+        if (!takeSessionStart(req.ip)) {
+            return res.status(429).json({ error: 'Too many runs started from here, try again in a minute' });
+        }
+        dropExpiredSessions();
+        if (sessions.size >= maxSessions) {
+            logger.warn('leaderboard', `Refused a session: ${sessions.size} already open`);
+            return res.status(503).json({ error: 'Too many runs in progress, try again later' });
+        }
+        const sessionId = crypto.randomUUID();
+        const key = crypto.randomBytes(32).toString('hex');
+        sessions.set(sessionId, { key, startedAt: now() });
+        res.json({ sessionId, key });
+    });
+
+    router.post('/runs', async (req, res) => {
+        const { sessionId, summary, signature } = req.body || {};
+        const session = sessions.get(sessionId);
+        if (!session || now() - session.startedAt > sessionTtl) {
+            return res.status(400).json({ ok: false, error: 'Unknown or expired session' });
+        }
+
+        // Checked before the session is used up, so a garbled request can be retried
+        if (!summary || !signaturesMatch(signature, await signRunSummary(summary, session.key))) {
+            return res.status(400).json({ ok: false, error: 'Signature does not match the run summary' });
+        }
+        sessions.delete(sessionId);
+
+        const problems = checkRunSummary(summary, { maxDurationMs: now() - session.startedAt + DURATION_SLACK_MS });
+        if (problems.length > 0) {
+            logger.warn('leaderboard', `Rejected run from ${summary.name}: ${problems.join('; ')}`);
+            return res.status(400).json({ ok: false, error: 'Run failed the sanity checks', problems });
+        }
+
+        const run = store.addRun(summary);
+        const ranks = {};
+        for (const period of LEADERBOARD_PERIODS) {
+            const placing = store.getRank(run.name, period);
+            ranks[period] = placing && { rank: placing.rank, of: placing.of, best: placing.run.score };
+        }
+        res.json({ ok: true, ranks });
+    });
+
+    router.get('/top', (req, res) => {
+        const period = readPeriod(req);
+        if (!period) {
+            return res.status(400).json({ error: `period must be one of ${LEADERBOARD_PERIODS.join(', ')}` });
+        }
+        const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(req.query.limit, 10) || 10));
+        res.json({ period, runs: store.getTop(period, limit) });
+    });
+
+    router.get('/rank/:name', (req, res) => {
+        const period = readPeriod(req);
+        if (!period) {
+            return res.status(400).json({ error: `period must be one of ${LEADERBOARD_PERIODS.join(', ')}` });
+        }
+        const placing = store.getRank(req.params.name, period);
+        if (!placing) {
+            return res.status(404).json({ error: `${req.params.name} has no runs in this period` });
+        }
+        res.json({ period, name: req.params.name, ...placing });
+    });
+
+    return router;
+};
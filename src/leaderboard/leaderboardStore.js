@@ -0,0 +1,143 @@
+/**
+ * Leaderboard Store Module - Keeps accepted runs in a JSON file on the server
+ *
+ * Every accepted run is appended to a list that is written back to disk
+ * (through a temporary file, so a crash mid-write can't truncate it). Tables
+ * rank each player by their best run in the period: all time, today, or this
+ * week (periods start at midnight UTC, weeks on Monday). The score-event log
+ * is checked before a run gets here and is not stored.
+ *
+ * Example usage:
+ *   import { createLeaderboardStore } from './src/leaderboard/leaderboardStore.js';
+ *
+ *   const store = createLeaderboardStore({ file: 'data/leaderboard.json' });
+ *   store.addRun({ name: 'Ash', score: 420, durationMs: 95000, kills: 40, wave: 4, seed: 'abc', cause: 'Zombie' });
+ *   store.getTop('weekly', 10);   // [{ rank: 1, name: 'Ash', score: 420, ... }]
+ *   store.getRank('Ash', 'daily'); // { rank: 1, of: 1, run }
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+
+// Add 'leaderboard' to logger sections if not already included
+logger.addSection('leaderboard');
+
+export const LEADERBOARD_PERIODS = ['all', 'daily', 'weekly'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Gets when a period started
+ * @param {string} period - 'all', 'daily' or 'weekly'
+ * @param {number} now - Current time (ms since epoch)
+ * @returns {number} Start of the period (ms since epoch)
+ */
+export const getPeriodStart = (period, now) => {
+    if (!LEADERBOARD_PERIODS.includes(period)) {
+        throw new Error(`Unknown leaderboard period: ${period} (expected ${LEADERBOARD_PERIODS.join(', ')})`);
+    }
+    if (period === 'all') return 0;
+
+    const midnight = Math.floor(now / DAY_MS) * DAY_MS;
+    if (period === 'daily') return midnight;
+
+    const daysSinceMonday = (new Date(midnight).getUTCDay() + 6) % 7;
+    return midnight - daysSinceMonday * DAY_MS;
+};
+
+/**
+ * Orders runs best first - higher score, then the quicker one
+ * @param {Object} a - A run
+ * @param {Object} b - Another run
+ * @returns {number} Sort order
+ */
+const byScore = (a, b) => (b.score - a.score) || (a.durationMs - b.durationMs) || (a.submittedAt - b.submittedAt);
+
+/**
+ * Creates a leaderboard stored in a JSON file
+ * @param {Object} [options] - Options
+ * @param {string|null} [options.file] - File to keep runs in (null = memory only)
+ * @param {Function} [options.now] - Clock (ms since epoch), for tests
+ * @returns {Object} { addRun, getTop, getRank, getRuns }
+ */
+export const createLeaderboardStore = ({ file = null, now = Date.now } = {}) => {
+    let runs = [];
+
+    if (file && fs.existsSync(file)) {
+        try {
+            runs = JSON.parse(fs.readFileSync(file, 'utf8'));
+            logger.info('leaderboard', `Loaded ${runs.length} runs from ${file}`);
+        } catch (error) {
+            throw new Error(`Leaderboard file ${file} is unreadable: ${error.message}`);
+        }
+    }
+
+    // Writes the runs to the file
+    const save = () => {
+        if (!file) return;
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const temporary = `${file}.tmp`;
+        fs.writeFileSync(temporary, JSON.stringify(runs));
+        fs.renameSync(temporary, file);
+    };
+
+    /**
+     * Ranks players by their best run in a period
+     * @param {string} period - 'all', 'daily' or 'weekly'
+     * @returns {Array<Object>} Best run per player, best first
+     */
+    const rankPlayers = (period) => {
+        const since = getPeriodStart(period, now());
+        const best = new Map();
+        for (const run of runs) {
+            if (run.submittedAt < since) continue;
+            const current = best.get(run.name);
+            if (!current || byScore(run, current) < 0) best.set(run.name, run);
+        }
+        return Array.from(best.values()).sort(byScore);
+    };
+
+    return {
+        /**
+         * Stores an accepted run
+         * @param {Object} run - { name, score, durationMs, kills, wave, seed, cause }
+         * @returns {Object} The stored run
+         */
+        addRun: ({ name, score, durationMs, kills, wave, seed, cause }) => {
+            const stored = { name, score, durationMs, kills, wave, seed, cause, submittedAt: now() };
+            runs.push(stored);
+            save();
+            logger.info('leaderboard', `Stored run for ${name}: ${score} points`);
+            return stored;
+        },
+
+        /**
+         * Gets the top players of a period
+         * @param {string} [period='all'] - 'all', 'daily' or 'weekly'
+         * @param {number} [count=10] - How many
+         * @returns {Array<Object>} Runs with their rank, best first
+         */
+        getTop: (period = 'all', count = 10) => {
+            return rankPlayers(period).slice(0, count).map((run, index) => ({ rank: index + 1, ...run }));
+        },
+
+        /**
+         * Looks up a player's place in a period
+         * @param {string} name - Player name
+         * @param {string} [period='all'] - 'all', 'daily' or 'weekly'
+         * @returns {Object|null} { rank, of, run }, or null if they have no run in the period
+         */
+        getRank: (name, period = 'all') => {
+            const ranked = rankPlayers(period);
+            const index = ranked.findIndex(run => run.name === name);
+            return index === -1 ? null : { rank: index + 1, of: ranked.length, run: ranked[index] };
+        },
+
+        /**
+         * Gets every stored run
+         * @returns {Array<Object>} Runs, oldest first
+         */
+        getRuns: () => runs.slice()
+    };
+};
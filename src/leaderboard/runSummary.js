@@ -0,0 +1,266 @@
+/**
+ * Run Summary Module - What a finished run sends to the leaderboard, and how it is checked
+ *
+ * Shared by the game and the leaderboard server. The game builds a summary of
+ * the run - seed, duration, kills, wave and the score-event log (one
+ * { t, points, source, wave } entry per kill, recorded by awardKill) - and signs
+ * it with the key the server handed out when the run started. The server checks
+ * the signature, then replays the log: every kill has to be worth what that
+ * enemy is worth and come from an enemy its wave could have spawned (bosses no
+ * more often than the boss waves and the wave mix bring them in), on a wave the
+ * run could have reached by then. The events have to add up to the score and
+ * fit inside the run, and kills can't come faster than the game can produce them.
+ *
+ * The key lives in the browser, so the signature only proves the summary came
+ * from a run the server saw start and wasn't changed on the way; the replay
+ * checks are what catch made-up scores.
+ *
+ * Example usage:
+ *   import { createRunSummary, signRunSummary, checkRunSummary } from './leaderboard/runSummary.js';
+ *
+ *   // Game
+ *   const summary = createRunSummary(gameState, { name, seed: getSeed() });
+ *   const signature = await signRunSummary(summary, session.key);
+ *
+ *   // Server
+ *   const problems = checkRunSummary(summary, { maxDurationMs });
+ */
+
+import { getEnemyDefinitions } from '../enemies/enemyDefinitions.js';
+import { getWaveComposition, getWaveConfig, WAVE_SETTINGS, BOSS_TYPES } from '../gameplay/waveDirector.js';
+
+// Limits a submitted run has to stay within
+export const RUN_RULES = {
+    maxNameLength: 32,
+    maxSeedLength: 64,
+    maxKillsPerSecond: 10,       // Over the whole run
+    maxKillsPerWindow: 60,       // In any one-second window (explosions clear crowds at once)
+    fallbackPoints: 10,          // What a kill is worth when the enemy has no points of its own
+    exploderBlastPoints: 25,     // An exploder that reaches the player
+    bossMixSlack: 5              // Bosses from the wave mix may be killed this many times their spawn share
+};
+
+/**
+ * Whether a finished run can go to the leaderboard
+ * Co-op scores belong to the room, and a run that arrived through a portal
+ * with a score (?score=) can't add up to its events, so neither is sent.
+ * @param {Object} gameState - The game state
+ * @returns {boolean} True if the run should be submitted
+ */
+export const isSubmittableRun = (gameState) => !gameState.network && !gameState.startingScore;
+
+/**
+ * Builds the summary of a finished run from the game state
+ * @param {Object} gameState - The game state (after handleGameOver)
+ * @param {Object} options - { name, seed }
+ * @returns {Object} Run summary
+ */
+export const createRunSummary = (gameState, { name, seed }) => ({
+    name,
+    seed: seed === null || seed === undefined ? '' : String(seed),
+    score: gameState.score,
+    durationMs: Math.round(gameState.stats.timePlayedMs),
+    kills: gameState.stats.zombiesKilled,
+    wave: gameState.wave ? gameState.wave.number : 0,
+    cause: gameState.stats.causeOfDeath || 'Unknown',
+    events: gameState.stats.scoreEvents.map(({ t, points, source, wave }) => ({ t, points, source, wave }))
+});
+
+/**
+ * Turns a value into JSON with object keys sorted, so both ends sign the same bytes
+ * @param {*} value - Any JSON value
+ * @returns {string} Canonical JSON
+ */
+export const canonicalJson = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value !== null && typeof value === 'object') {
+        const entries = Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value);
+};
+
+/**
+ * Signs a run summary (HMAC-SHA256, hex)
+ * Uses Web Crypto, which browsers only offer on https or localhost.
+ * @param {Object} summary - Run summary
+ * @param {string} key - Session key from the server
+ * @returns {Promise<string>} Signature
+ */
+export const signRunSummary = async (summary, key) => {
+    const subtle = globalThis.crypto && globalThis.crypto.subtle;
+    if (!subtle) {
+        throw new Error('Signing runs needs Web Crypto (https or localhost)');
+    }
+
+    const encoder = new TextEncoder();
+    const cryptoKey = await subtle.importKey('raw', encoder.encode(key), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    const signature = await subtle.sign('HMAC', cryptoKey, encoder.encode(canonicalJson(summary)));
+    return Array.from(new Uint8Array(signature), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * What a kill of each source can be worth
+ * @returns {Map<string, Set<number>>} Source -> allowed points
+ */
+const getAllowedPoints = () => {
+    const allowed = new Map(getEnemyDefinitions().map(definition =>
+        [definition.type, new Set([definition.stats.points, RUN_RULES.fallbackPoints])]
+    ));
+    allowed.set('exploderBlast', new Set([RUN_RULES.exploderBlastPoints]));
+    return allowed;
+};
+
+/**
+ * Earliest a wave can start, in ms into the run
+ * Every wave before it ends in an intermission, however fast it was cleared.
+ * @param {number} waveNumber - Wave number
+ * @returns {number} ms after the run started
+ */
+const getEarliestWaveTime = (waveNumber) => (waveNumber < 1 ? 0 :
+    WAVE_SETTINGS.firstWaveDelay + (waveNumber - 1) * WAVE_SETTINGS.intermissionDuration);
+
+/**
+ * Most kills of a boss type a run can have made by the end of a wave
+ * The boss waves so far bring in bossCount each, and once the wave mix has the
+ * type (getWaveComposition) each wave may add its share of the wave's budget,
+ * with bossMixSlack to spare for luck and the Horde curse.
+ * @param {string} type - Boss type
+ * @param {number} waveNumber - Wave number (1-based)
+ * @returns {number} Most kills allowed so far
+ */
+const getBossAllowance = (type, waveNumber) => {
+    let allowed = 0;
+    for (let number = 1; number <= waveNumber; number++) {
+        const config = getWaveConfig(number);
+        if (config.bossType === type) allowed += config.bossCount;
+
+        const chance = config.chances[type] || 0;
+        if (chance > 0) {
+            const totalChance = Object.values(config.chances).reduce((sum, value) => sum + value, 0);
+            allowed += Math.ceil(config.budget * (chance / totalChance) * RUN_RULES.bossMixSlack);
+        }
+    }
+    return allowed;
+};
+
+/**
+ * Checks a kill's source against what its wave could have spawned
+ * Regular enemies have to be in the wave's mix; bosses are counted against
+ * getBossAllowance.
+ * @param {Object} event - Score event { source, wave }
+ * @param {Map<string, number>} bossKills - Boss kills so far by type (updated)
+ * @returns {string|null} The problem, or null if the kill could have happened
+ */
+const checkEventSource = (event, bossKills) => {
+    if (event.source === 'exploderBlast') return null; // An exploder, which every wave has
+    const wave = Math.max(1, event.wave); // The lead-in before wave 1 spawns wave 1's mix
+
+    if (!BOSS_TYPES.includes(event.source)) {
+        return getWaveComposition(wave)[event.source] > 0 ? null : `a ${event.source} can't be met by wave ${wave}`;
+    }
+
+    const killed = (bossKills.get(event.source) || 0) + 1;
+    const allowed = getBossAllowance(event.source, wave);
+    if (killed > allowed) {
+        return allowed === 0
+            ? `a ${event.source} can't be met by wave ${wave}`
+            : `more ${event.source} kills than the ${allowed} waves up to ${wave} could bring in`;
+    }
+    bossKills.set(event.source, killed);
+    return null;
+};
+
+/**
+ * Checks that a run summary is well formed and could have been played
+ * @param {Object} summary - Run summary from a client
+ * @param {Object} [options] - Options
+ * @param {number} [options.maxDurationMs] - Longest the run can have lasted (time since its session started)
+ * @returns {Array<string>} Problems found (empty = plausible)
+ */
+export const checkRunSummary = (summary, { maxDurationMs = Infinity } = {}) => {
+    if (!summary || typeof summary !== 'object') return ['summary is missing'];
+
+    const problems = [];
+    const { name, seed, score, durationMs, kills, wave, events } = summary;
+
+    if (typeof name !== 'string' || name.trim().length === 0 || name.length > RUN_RULES.maxNameLength) {
+        problems.push(`name must be 1-${RUN_RULES.maxNameLength} characters`);
+    }
+    if (typeof seed !== 'string' || seed.length > RUN_RULES.maxSeedLength) {
+        problems.push(`seed must be a string of at most ${RUN_RULES.maxSeedLength} characters`);
+    }
+    if (!Number.isFinite(durationMs) || durationMs <= 0) {
+        problems.push('durationMs must be a positive number');
+    } else if (durationMs > maxDurationMs) {
+        problems.push(`durationMs ${durationMs} is longer than the run's session (${Math.round(maxDurationMs)} ms)`);
+    }
+    if (!Number.isInteger(wave) || wave < 0) problems.push('wave must be a whole number >= 0');
+    if (!Number.isFinite(score) || score < 0) problems.push('score must be a number >= 0');
+    if (!Number.isInteger(kills) || kills < 0) problems.push('kills must be a whole number >= 0');
+    if (!Array.isArray(events)) problems.push('events must be a list');
+    if (problems.length > 0) return problems;
+
+    // Replay the score-event log
+    const allowedPoints = getAllowedPoints();
+    const bossKills = new Map();
+    let total = 0;
+    let lastTime = 0;
+    let lastWave = 0;
+    for (const [index, event] of events.entries()) {
+        const allowed = event && allowedPoints.get(event.source);
+        if (!allowed) {
+            problems.push(`event ${index}: unknown source ${event && event.source}`);
+            break;
+        }
+        if (!allowed.has(event.points)) {
+            problems.push(`event ${index}: a ${event.source} is not worth ${event.points} points`);
+            break;
+        }
+        if (!Number.isFinite(event.t) || event.t < lastTime || event.t > durationMs) {
+            problems.push(`event ${index}: time ${event.t} is out of order or outside the run`);
+            break;
+        }
+        if (!Number.isInteger(event.wave) || event.wave < lastWave || event.wave > wave) {
+            problems.push(`event ${index}: wave ${event.wave} is out of order or past the run's wave`);
+            break;
+        }
+        if (event.t < getEarliestWaveTime(event.wave)) {
+            problems.push(`event ${index}: wave ${event.wave} can't have started by ${event.t} ms`);
+            break;
+        }
+        const sourceProblem = checkEventSource(event, bossKills);
+        if (sourceProblem) {
+            problems.push(`event ${index}: ${sourceProblem}`);
+            break;
+        }
+        total += event.points;
+        lastTime = event.t;
+        lastWave = event.wave;
+    }
+    if (problems.length > 0) return problems;
+
+    if (Math.abs(total - score) > 1e-6) {
+        problems.push(`score ${score} doesn't match the events (${total})`);
+    }
+    if (events.length !== kills) {
+        problems.push(`kills ${kills} doesn't match the events (${events.length})`);
+    }
+
+    // Kill rate, overall and in the busiest second
+    if (kills / Math.max(1, durationMs / 1000) > RUN_RULES.maxKillsPerSecond) {
+        problems.push(`${kills} kills in ${Math.round(durationMs / 1000)} s is faster than the game allows`);
+    }
+    let windowStart = 0;
+    for (let i = 0; i < events.length; i++) {
+        while (events[i].t - events[windowStart].t >= 1000) windowStart++;
+        if (i - windowStart + 1 > RUN_RULES.maxKillsPerWindow) {
+            problems.push(`more than ${RUN_RULES.maxKillsPerWindow} kills within one second at ${events[i].t} ms`);
+            break;
+        }
+    }
+
+    return problems;
+};
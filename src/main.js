@@ -18,6 +18,16 @@ const PORTAL_SCORE = urlParams.get('score');
 const PORTAL_HEALTH = urlParams.get('health');
 const PORTAL_REFERER_RAW = urlParams.get('ref');
 
+// Random seed (?seed=abc reproduces the same horde, terrain and powerups)
+const SEED_PARAM = urlParams.get('seed');
+
+// Enemy rendering (?instancing=off draws every enemy from its own meshes)
+const INSTANCING_PARAM = urlParams.get('instancing');
+
+// Co-op room parameters (?room=name joins a shared room, ?server=url overrides the host)
+const COOP_ROOM_ID = urlParams.get('room');
+const COOP_SERVER_URL = urlParams.get('server');
+
 // Ensure the referrer URL has a protocol prefix
 let PORTAL_REFERER = null;
 if (PORTAL_REFERER_RAW) {
@@ -35,15 +45,17 @@ import * as THREE from 'three';
 
 import { gameState } from './gameState.js';
 import { initializeGame } from './gameSetup.js';
-import { animate } from './gameLoop.js';
+import { animate, stepSimulation } from './gameLoop.js';
 import { initMenuSystem, addSubMenu } from './ui/menu.js';
+import { initPauseMenu } from './ui/pauseMenu.js';
+import { markPersistent, restartGame } from './gameReset.js';
 import { createControlsMenu } from './ui/controlsMenu.js';
 import { createSoundSettingsUI } from './ui/soundSettings.js';
 import { logger } from './utils/logger.js';
 import { debugWebGL, fixWebGLContext, monitorRenderingPerformance, createFallbackCanvas } from './debug.js';
 import { checkAudioFiles, suggestAudioFix } from './utils/audioChecker.js';
-import { spawnEnvironmentObjects, spawnEnemy } from './gameplay/entitySpawners.js';
-import { setupEventListeners } from './eventHandlers.js';
+import { spawnEnvironmentObjects } from './gameplay/entitySpawners.js';
+import { setupEventListeners, switchWeapon } from './eventHandlers.js';
 import { isMobileDevice, isTouchDevice, getDeviceInfo } from './utils/deviceDetection.js';
 import { setupDismemberment, updateParticleEffects } from './gameplay/dismemberment.js';
 import { shouldSpawnPowerup, spawnPowerupBehindPlayer, cleanupOldPowerups, 
@@ -54,6 +66,17 @@ import { shootBullet, handleCombatCollisions, initCombatSystem } from './gamepla
 import { playSound } from './gameplay/audio.js';
 import { manageProceduralGround } from './rendering/environment.js';
 import { initExplosionSystem } from './gameplay/zombieUtils.js';
+import { connectToRoom } from './multiplayer/networkClient.js';
+import { setSeed } from './utils/random.js';
+import { setInstancingEnabled } from './rendering/instancedEnemies.js';
+import { createHighScoreTable, fillHighScoreTable, openRunHistory } from './ui/highScores.js';
+import { startLeaderboardSession } from './leaderboard/leaderboardClient.js';
+import { startRecording } from './replay/inputReplay.js';
+import { initReplayControls } from './ui/replayControls.js';
+import { initKillCam } from './rendering/killCam.js';
+import { cycleWeapon } from './gameplay/weaponInventory.js';
+import { useSavedLoadout } from './gameplay/loadout.js';
+import { createShopPanel } from './ui/shop.js';
 
 // Get device information
 const deviceInfo = getDeviceInfo();
@@ -182,10 +205,32 @@ function createStartupScreen() {
             });
         };
 
+        // Last player's name from the previous session
+        input.value = localStorage.getItem('playerName') || '';
+
+        // Best runs for the name being typed
+        const highScores = createHighScoreTable(input.value.trim());
+        input.addEventListener('input', () => fillHighScoreTable(highScores, input.value.trim()));
+
+        const historyLink = document.createElement('button');
+        historyLink.type = 'button'; // Not a submit
+        historyLink.textContent = 'Run history';
+        Object.assign(historyLink.style, {
+            background: 'none',
+            border: 'none',
+            color: '#aaa',
+            textDecoration: 'underline',
+            cursor: 'pointer'
+        });
+        historyLink.addEventListener('click', () => openRunHistory(input.value.trim()));
+
+        // Coins from earlier runs and what the first run starts with
+        const shopPanel = createShopPanel();
+
         // Add controls info
         const controlsInfo = document.createElement('div');
         controlsInfo.innerHTML = `
-            <p>WASD: Move | Mouse: Aim | Left Click: Shoot</p>
+            <p>WASD: Move | Mouse: Aim | Left Click: Shoot | Shift: Dash | G: Grenade | F: Mine</p>
         `;
         Object.assign(controlsInfo.style, {
             color: '#aaa',
@@ -202,6 +247,9 @@ function createStartupScreen() {
         // Assemble startup screen
         startupContainer.appendChild(title);
         startupContainer.appendChild(form);
+        startupContainer.appendChild(highScores);
+        startupContainer.appendChild(historyLink);
+        startupContainer.appendChild(shopPanel);
         startupContainer.appendChild(controlsInfo);
         document.body.appendChild(startupContainer);
 
@@ -232,6 +280,44 @@ function createStartupScreen() {
 // Initialize game components but don't start animation loop yet
 let gameComponents = null;
 
+/**
+ * Creates a round on-screen button for touch devices
+ * @param {string} id - Element id
+ * @param {string} label - Button text
+ * @param {Object} position - CSS position, e.g. { right: '30px', bottom: '200px' }
+ * @param {Function} onPress - Called when the button is touched
+ * @param {Function} [onRelease] - Called when the touch ends
+ * @returns {HTMLButtonElement} The button (already on the page)
+ */
+function createMobileButton(id, label, position, onPress, onRelease = () => {}) {
+    const button = document.createElement('button');
+    button.id = id;
+    button.textContent = label;
+    Object.assign(button.style, {
+        position: 'fixed',
+        ...position,
+        width: '64px',
+        height: '64px',
+        borderRadius: '50%',
+        border: '2px solid rgba(255, 255, 255, 0.7)',
+        backgroundColor: 'rgba(0, 0, 0, 0.4)',
+        color: 'white',
+        fontSize: '0.7rem',
+        zIndex: '1000'
+    });
+    button.addEventListener('touchstart', (event) => {
+        event.preventDefault(); // No synthetic click or mousedown (that would fire the gun)
+        event.stopPropagation();
+        onPress();
+    }, { passive: false });
+    button.addEventListener('touchend', (event) => {
+        event.preventDefault();
+        onRelease();
+    }, { passive: false });
+    document.body.appendChild(button);
+    return button;
+}
+
 /**
  * Creates and initializes joystick controls for mobile devices
  */
@@ -296,10 +382,27 @@ function setupMobileControls() {
     // Set up joystick event handlers
     setupJoystickEventHandlers(leftJoystick, rightJoystick);
     
+    // Weapon, dash and equipment buttons above the aim stick (all but SWAP go through the held keys so replays see them)
+    const buttonBottom = deviceInfo.orientation === 'landscape' ? 200 : 250;
+    createMobileButton('weaponSwitchButton', 'SWAP', { right: '110px', bottom: `${buttonBottom}px` },
+        () => switchWeapon((state) => cycleWeapon(state, 1)));
+    createMobileButton('reloadButton', 'RELOAD', { right: '30px', bottom: `${buttonBottom}px` },
+        () => { gameState.keys.r = true; },
+        () => { gameState.keys.r = false; });
+    createMobileButton('dashButton', 'DASH', { right: '190px', bottom: `${buttonBottom}px` },
+        () => { gameState.keys.shift = true; },
+        () => { gameState.keys.shift = false; });
+    createMobileButton('grenadeButton', 'GRENADE', { right: '30px', bottom: `${buttonBottom + 70}px` },
+        () => { gameState.keys.g = true; },
+        () => { gameState.keys.g = false; });
+    createMobileButton('mineButton', 'MINE', { right: '110px', bottom: `${buttonBottom + 70}px` },
+        () => { gameState.keys.f = true; },
+        () => { gameState.keys.f = false; });
+    
     // Add mobile controls info
     const mobileControlsInfo = document.createElement('div');
     mobileControlsInfo.innerHTML = `
-        <p>Left stick: Move | Right stick: Aim</p>
+        <p>Left stick: Move | Right stick: Aim | SWAP: Next weapon | RELOAD: Reload | DASH: Dash | GRENADE: Hold to aim, let go to throw | MINE: Place a mine</p>
     `;
     Object.assign(mobileControlsInfo.style, {
         position: 'fixed',
@@ -600,6 +703,14 @@ async function startGame() {
    // Refresh logger URL parameters to ensure correct debug sections are loaded
    logger.parseURLParameters();
    
+   // Seed all gameplay randomness before anything is generated
+   setSeed(SEED_PARAM);
+   
+   // Pick the enemy rendering path before any enemy is built
+   if (INSTANCING_PARAM === 'off') {
+       setInstancingEnabled(false);
+   }
+   
    // Initialize game
    gameComponents = initializeGame(gameState);
    const { scene, camera, renderer, player, clock, audioListener, powerupTimer, innerCircle } = gameComponents;
@@ -610,6 +721,10 @@ async function startGame() {
    // Initialize explosion system with reusable effects
    initExplosionSystem(scene);
    
+   // Everything in the scene so far lives for the whole page; the rest is cleared on restart
+   markPersistent(scene);
+   gameState.restartGame = () => restartGame({ scene, player, seed: SEED_PARAM });
+   
    setupEventListeners(player, scene, camera, renderer);
     
    // Log portal arrival data (moved check to top of file)
@@ -626,6 +741,7 @@ async function startGame() {
        // Set player score if provided
        if (PORTAL_SCORE && !isNaN(parseInt(PORTAL_SCORE))) {
            gameState.score = parseInt(PORTAL_SCORE);
+           gameState.startingScore = gameState.score; // Shown, but not paid out as coins
        }
        
        // Log portal arrival
@@ -685,6 +801,9 @@ async function startGame() {
        // Example: We could add more menus here
        // addSubMenu('display', 'Display Options', createDisplayOptionsMenu());
        
+       // Pause overlay (Esc / P) - offers the sub-menus above
+       initPauseMenu();
+       
        logger.info('Menu system initialized successfully');
    } catch (error) {
        logger.error('Failed to initialize menu system:', error);
@@ -726,11 +845,19 @@ async function startGame() {
    // Spawn initial environment objects
    spawnEnvironmentObjects(scene, gameState);
 
-   // Spawn initial zombies
-   for (let i = 0; i < gameState.initialSpawnCount; i++) {
-       spawnEnemy(player.position, scene, gameState);
+   // Join a co-op room if requested - the server then owns zombies and scoring
+   if (COOP_ROOM_ID) {
+       try {
+           await connectToRoom({ roomId: COOP_ROOM_ID, serverUrl: COOP_SERVER_URL, seed: SEED_PARAM, scene, gameState });
+           displayWelcomeMessage(`Joined co-op room "${gameState.network.roomId}"`);
+       } catch (error) {
+           logger.warn('multiplayer', `Could not join room ${COOP_ROOM_ID}, playing solo`, { error: error.message });
+           gameState.network = null;
+       }
    }
 
+   // Solo enemies arrive in waves from the wave director (gameLoop.js) - rooms spawn their own
+
    if (DEBUG_MODE) {
        // Start performance monitoring in debug mode
        let stopMonitoring;
@@ -748,6 +875,25 @@ async function startGame() {
    gameState.showCountdown = true;
    gameState.countdownFunc = displayCountdown;
 
+   // Open a leaderboard session for the first run (co-op rooms keep their own score)
+   if (!gameState.network) {
+       startLeaderboardSession();
+   }
+
+   // The game over screen plays the last seconds of the run from an orbiting camera
+   initKillCam({ scene, camera, renderer, player });
+
+   // Record solo runs for replays (co-op zombies come from the server, so those can't be played back)
+   if (!gameState.network) {
+       initReplayControls({
+           gameState,
+           restart: (seed) => restartGame({ scene, player, seed }),
+           step: () => stepSimulation(scene, camera, player)
+       });
+       startRecording();
+       useSavedLoadout(gameState, player);
+   }
+
    // Start animation loop (after user interaction, which helps with AudioContext)
    animate(scene, camera, renderer, player, clock, powerupTimer, innerCircle);
 }
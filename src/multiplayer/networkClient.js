@@ -0,0 +1,357 @@
+/**
+ * Network Client Module - Browser side of co-op rooms
+ *
+ * Connects to the room server (server.js), streams the local player's position
+ * and shots, and mirrors the authoritative room state into the scene:
+ * - Remote players are rendered with the same createPlayer model as the local hero
+ * - Server-owned zombies are rendered with the regular enemy create functions,
+ *   but are NOT added to gameState.zombies, so local AI/collisions never touch them
+ * - Score, kills, the wave number (which unlocks guns) and local player health
+ *   follow the server (dashes and heals are sent to it, as it decides when the
+ *   player can be hurt and by how much they heal)
+ * - The local run ends when the room's game is over, or if the connection to
+ *   the room is lost (a room can't be rejoined mid-run)
+ *
+ * Example usage:
+ *   import { connectToRoom, updateNetwork, sendShots } from './multiplayer/networkClient.js';
+ *
+ *   await connectToRoom({ roomId: 'myroom', scene, gameState });
+ *   // Each frame:
+ *   updateNetwork(gameState, player, delta);
+ *   // After shootBullet() added new bullets:
+ *   sendShots(gameState, newBullets);
+ *   // After startDash() started a dash:
+ *   sendDash(gameState);
+ */
+
+import * as THREE from 'three';
+import { io } from 'socket.io-client';
+import { logger } from '../utils/logger.js';
+import { createPlayer } from '../gameplay/player.js';
+import { createBullet, updateBullets } from '../gameplay/weapons.js';
+import { createEnemy } from '../enemies/enemyindex.js';
+
+// Add 'multiplayer' to logger sections if not already included
+logger.addSection('multiplayer');
+
+const STATE_SEND_INTERVAL = 50; // ms between playerState messages (20/s)
+const INTERPOLATION_SPEED = 12; // Higher = snappier remote movement
+const CONNECT_TIMEOUT = 5000; // ms to wait for the room join acknowledgement
+
+/**
+ * Creates the mesh for a remote player (createPlayer model plus a name tag)
+ * @param {Object} remote - Remote player record from a snapshot
+ * @returns {THREE.Group} The remote player mesh
+ */
+const createRemotePlayerMesh = (remote) => {
+    const mesh = createPlayer();
+    mesh.position.set(remote.x, 0, remote.z);
+
+    // Floating name tag so players can tell each other apart
+    const canvas = document.createElement('canvas');
+    canvas.width = 256;
+    canvas.height = 64;
+    const context = canvas.getContext('2d');
+    context.font = 'bold 32px Arial';
+    context.fillStyle = 'white';
+    context.textAlign = 'center';
+    context.fillText(remote.name, 128, 42);
+
+    const nameTag = new THREE.Sprite(new THREE.SpriteMaterial({
+        map: new THREE.CanvasTexture(canvas),
+        transparent: true
+    }));
+    nameTag.scale.set(2, 0.5, 1);
+    nameTag.position.y = 2.8;
+    mesh.add(nameTag);
+
+    return mesh;
+};
+
+/**
+ * Removes a mesh from the scene and frees its GPU resources
+ * @param {THREE.Scene} scene - The scene
+ * @param {THREE.Object3D} mesh - The mesh to remove
+ */
+const disposeMesh = (scene, mesh) => {
+    scene.remove(mesh);
+    mesh.traverse((node) => {
+        if (node.geometry) node.geometry.dispose();
+        if (node.material && node.material.map) node.material.map.dispose();
+    });
+};
+
+/**
+ * Ends the local run, once
+ * @param {Object} gameState - The game state
+ * @param {string} [cause] - Shown as what ended the run, if not the last hit taken
+ */
+const endRun = (gameState, cause) => {
+    if (gameState.gameOver || typeof gameState.handleGameOver !== 'function') return;
+    if (cause) gameState.player.lastDamageCause = cause;
+    gameState.handleGameOver();
+};
+
+/**
+ * Reconciles remote players and zombies with a server snapshot
+ * @param {Object} network - The network state (gameState.network)
+ * @param {Object} snapshot - Snapshot from room.getSnapshot()
+ */
+const applySnapshot = (network, snapshot) => {
+    const { scene, gameState } = network;
+
+    // Players
+    const seenPlayers = new Set();
+    for (const remote of snapshot.players) {
+        seenPlayers.add(remote.id);
+
+        // Local player: the server owns health (dash invulnerability included) and score
+        // Heals not yet sent stay on top, so the next playerState message passes them on
+        if (remote.id === network.playerId) {
+            const unsentHeal = Math.max(0, gameState.player.health - network.lastHealth);
+            gameState.player.maxHealth = Math.max(gameState.player.maxHealth, remote.maxHealth || 0);
+            gameState.player.health = Math.min(gameState.player.maxHealth, remote.health + unsentHeal);
+            network.lastHealth = remote.health;
+            if (remote.health <= 0) endRun(gameState);
+            continue;
+        }
+
+        let entry = network.remotePlayers.get(remote.id);
+        if (!entry) {
+            entry = { mesh: createRemotePlayerMesh(remote), target: remote };
+            scene.add(entry.mesh);
+            network.remotePlayers.set(remote.id, entry);
+            logger.info('multiplayer', `Remote player ${remote.name} appeared`);
+        }
+        entry.target = remote;
+        entry.mesh.visible = remote.alive;
+    }
+    for (const [id, entry] of network.remotePlayers) {
+        if (!seenPlayers.has(id)) {
+            disposeMesh(scene, entry.mesh);
+            network.remotePlayers.delete(id);
+        }
+    }
+
+    // Zombies
+    const seenZombies = new Set();
+    for (const remote of snapshot.zombies) {
+        seenZombies.add(remote.id);
+
+        let entry = network.zombies.get(remote.id);
+        if (!entry) {
+            // Unknown types (server newer than client) render as regular zombies
+            const mesh = createEnemy(remote.type, { x: remote.x, z: remote.z }, gameState.baseSpeed) ||
+                createEnemy('zombie', { x: remote.x, z: remote.z }, gameState.baseSpeed);
+            mesh.type = remote.type;
+            scene.add(mesh);
+            entry = { mesh, target: remote };
+            network.zombies.set(remote.id, entry);
+        }
+        entry.target = remote;
+    }
+    for (const [id, entry] of network.zombies) {
+        if (!seenZombies.has(id)) {
+            scene.remove(entry.mesh); // Same as handleZombieDeath - enemy models may share geometry
+            network.zombies.delete(id);
+        }
+    }
+
+    // Shared room score, and the room's wave so weapons unlock (unlockWeapons in gameLoop.js)
+    gameState.score = snapshot.score;
+    if (Number.isInteger(snapshot.wave) && gameState.wave) {
+        gameState.wave.number = snapshot.wave;
+        gameState.wave.phase = 'active';
+    }
+};
+
+/**
+ * Connects to a co-op room and starts mirroring its state
+ * @param {Object} options - { roomId, serverUrl, seed, scene, gameState }
+ *   seed only applies if this client creates the room
+ * @returns {Promise<Object>} Resolves with the network state once the room is joined
+ */
+export const connectToRoom = ({ roomId, serverUrl, seed, scene, gameState }) => {
+    const socket = io(serverUrl || window.location.origin, { transports: ['websocket', 'polling'] });
+
+    const network = {
+        socket,
+        scene,
+        gameState,
+        roomId,
+        playerId: null,
+        connected: false,
+        remotePlayers: new Map(), // playerId -> { mesh, target }
+        zombies: new Map(), // zombieId -> { mesh, target }
+        remoteBullets: [], // Cosmetic tracers for other players' shots
+        lastStateSent: 0,
+        lastHealth: gameState.player.health // Local health the room knows about (anything above is a heal to send)
+    };
+    gameState.network = network;
+
+    socket.on('snapshot', (snapshot) => applySnapshot(network, snapshot));
+
+    socket.on('zombieKilled', (event) => {
+        const entry = network.zombies.get(event.id);
+        if (entry) {
+            scene.remove(entry.mesh);
+            network.zombies.delete(event.id);
+        }
+        if (event.killerId === network.playerId) {
+            gameState.stats.zombiesKilled++;
+        }
+    });
+
+    socket.on('playerShot', (event) => {
+        if (event.playerId === network.playerId) return;
+
+        // Draw a tracer for a teammate's shot (no damage - the server resolved it)
+        const bullet = createBullet(
+            new THREE.Vector3(event.x, 0.5, event.z), // Same bullet height as shootBullet
+            new THREE.Vector3(event.dirX, 0, event.dirZ),
+            0,
+            0.5,
+            event.color
+        );
+        if (bullet.mesh) scene.add(bullet.mesh);
+        network.remoteBullets.push(bullet);
+    });
+
+    socket.on('playerJoined', (event) => logger.info('multiplayer', `${event.name} joined the room`));
+    socket.on('playerLeft', (event) => logger.info('multiplayer', `${event.name} left the room`));
+    socket.on('playerDied', (event) => logger.info('multiplayer', `${event.name} died with ${event.kills} kills`));
+
+    socket.on('gameOver', (event) => {
+        gameState.score = event.score;
+        endRun(gameState);
+    });
+
+    socket.on('disconnect', (reason) => {
+        network.connected = false;
+        logger.warn('multiplayer', `Disconnected from room server (${reason})`);
+
+        // Nothing would spawn or score any more, so a lost room ends the run (not when we hung up ourselves)
+        if (network.playerId && reason !== 'io client disconnect') {
+            endRun(gameState, 'Lost connection to the room');
+        }
+    });
+
+    return new Promise((resolve, reject) => {
+        const timeout = setTimeout(() => reject(new Error('Timed out joining room')), CONNECT_TIMEOUT);
+
+        socket.on('connect', () => {
+            socket.emit('joinRoom', { roomId, name: gameState.player.name, seed }, (response) => {
+                clearTimeout(timeout);
+                if (!response || !response.ok) {
+                    socket.disconnect();
+                    reject(new Error(response ? response.error : 'Join failed'));
+                    return;
+                }
+
+                network.playerId = response.playerId;
+                network.roomId = response.roomId;
+                network.connected = true;
+
+                // Start where the server placed us
+                const me = response.snapshot.players.find(p => p.id === response.playerId);
+                if (me && gameState.playerObject) {
+                    gameState.playerObject.position.x = me.x;
+                    gameState.playerObject.position.z = me.z;
+                }
+
+                applySnapshot(network, response.snapshot);
+                logger.info('multiplayer', `Joined room ${network.roomId} as ${network.playerId}`);
+                resolve(network);
+            });
+        });
+
+        socket.on('connect_error', (error) => {
+            clearTimeout(timeout);
+            socket.disconnect();
+            reject(error);
+        });
+    });
+};
+
+/**
+ * Sends newly fired bullets to the server so it can resolve hits
+ * @param {Object} gameState - The game state (uses gameState.network)
+ * @param {Array} bullets - Bullets created by shootBullet this frame
+ */
+export const sendShots = (gameState, bullets) => {
+    const network = gameState.network;
+    if (!network || !network.connected) return;
+
+    for (const bullet of bullets) {
+        network.socket.emit('shoot', {
+            x: bullet.position.x,
+            z: bullet.position.z,
+            dirX: bullet.direction.x,
+            dirZ: bullet.direction.z,
+            damage: bullet.damage,
+            speed: bullet.speed,
+            weapon: gameState.player.weapon, // The room holds each gun to its own fire rate and damage
+            color: bullet.mesh ? bullet.mesh.material.color.getHex() : undefined
+        });
+    }
+};
+
+/**
+ * Tells the server the local player started a dash, so it holds off damage too
+ * @param {Object} gameState - The game state (uses gameState.network)
+ */
+export const sendDash = (gameState) => {
+    const network = gameState.network;
+    if (!network || !network.connected) return;
+    network.socket.emit('dash');
+};
+
+/**
+ * Per-frame network update: sends the local player state and smooths remote entities
+ * @param {Object} gameState - The game state (uses gameState.network)
+ * @param {THREE.Object3D} player - The local player object
+ * @param {number} delta - Seconds since last frame
+ */
+export const updateNetwork = (gameState, player, delta) => {
+    const network = gameState.network;
+    if (!network || !network.connected) return;
+
+    // Throttled position/aim updates, and whatever healed the player locally since the last one
+    const now = Date.now();
+    if (now - network.lastStateSent > STATE_SEND_INTERVAL) {
+        network.socket.emit('playerState', {
+            x: player.position.x,
+            z: player.position.z,
+            rotation: player.rotation.y
+        });
+        const healed = gameState.player.health - network.lastHealth;
+        if (healed > 0) {
+            network.socket.emit('heal', { amount: healed, maxHealth: gameState.player.maxHealth });
+        }
+        network.lastHealth = gameState.player.health;
+        network.lastStateSent = now;
+    }
+
+    // Ease remote entities toward their latest snapshot position
+    const alpha = Math.min(1, delta * INTERPOLATION_SPEED);
+    for (const entry of network.remotePlayers.values()) {
+        entry.mesh.position.x += (entry.target.x - entry.mesh.position.x) * alpha;
+        entry.mesh.position.z += (entry.target.z - entry.mesh.position.z) * alpha;
+        entry.mesh.rotation.y = entry.target.rotation;
+    }
+    for (const entry of network.zombies.values()) {
+        entry.mesh.position.x += (entry.target.x - entry.mesh.position.x) * alpha;
+        entry.mesh.position.z += (entry.target.z - entry.mesh.position.z) * alpha;
+        entry.mesh.rotation.y = entry.target.rotation;
+    }
+
+    // Move teammates' tracers and drop the ones that are done
+    updateBullets(network.remoteBullets, delta);
+    for (let i = network.remoteBullets.length - 1; i >= 0; i--) {
+        const bullet = network.remoteBullets[i];
+        if (bullet.toRemove) {
+            if (bullet.mesh) network.scene.remove(bullet.mesh);
+            network.remoteBullets.splice(i, 1);
+        }
+    }
+};
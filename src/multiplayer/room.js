@@ -0,0 +1,609 @@
+/**
+ * Room Module - Headless authoritative co-op game room
+ *
+ * A room owns everything that has to agree between players: the zombie list,
+ * enemy spawning, bullet hits, player health and the shared score. It has no
+ * Three.js or DOM dependencies, so it runs the same in Node (server.js) and in
+ * local scripts that drive a room with simulated clients.
+ *
+ * Clients only send their own position/aim, the shots they fire, when they
+ * dash and what they healed (health packs, Regeneration, perks); the room decides what those shots hit, keeps dashing players from
+ * being hurt for the dash's invulnerability window and broadcasts the results
+ * as events. It doesn't take those reports on trust: players can only move
+ * and fire as fast as the game lets them (see ROOM_DEFAULTS).
+ *
+ * Example usage:
+ *   import { createRoom } from './multiplayer/room.js';
+ *
+ *   const room = createRoom('lobby');
+ *   room.addPlayer('socket-1', 'Alice');
+ *   room.handlePlayerState('socket-1', { x: 0, z: 0, rotation: 0 });
+ *   room.handleShot('socket-1', { x: 0, z: 0, dirX: 0, dirZ: -1, damage: 40, weapon: 'pistol' });
+ *   room.handleDash('socket-1');       // Can't be hurt for a moment
+ *   room.handleHeal('socket-1', { amount: 25, maxHealth: 100 }); // Picked up a health pack
+ *   room.tick(1 / 20);                 // Advance the simulation 50ms
+ *   const snapshot = room.getSnapshot(); // Send to clients
+ *   const events = room.drainEvents();   // zombieKilled, playerDied, ...
+ */
+
+import { logger } from '../utils/logger.js';
+import { createRandom } from '../utils/random.js';
+import { getEnemyDefinitions } from '../enemies/enemyDefinitions.js';
+import { getWeaponDefinition } from '../gameplay/weaponDefinitions.js';
+
+// Add 'multiplayer' to logger sections if not already included
+logger.addSection('multiplayer');
+
+/**
+ * Default room tuning - mirrors the single player values in gameState.js
+ * where there is an equivalent, scaled down a little for network payload size
+ */
+export const ROOM_DEFAULTS = {
+    maxPlayers: 4,
+    maxZombies: 300,
+    initialSpawnCount: 40,
+    enemySpawnRate: 250, // ms between spawn batches (gameState.enemySpawnRate)
+    spawnBatchSize: 5, // Enemies per batch (same as gameLoop.js)
+    spawnMinDistance: 15, // Same as spawnEnemy in entitySpawners.js
+    spawnJitter: 10,
+    baseSpeed: 0.07, // gameState.baseSpeed
+    playerMaxHealth: 100,
+    maxPlayerHealth: 300, // Most max health a client may claim (perks and the shop raise it)
+    healPerSecond: 10, // Reported heals refill at this rate (Regeneration tops out at 8/s)...
+    healBurst: 100, // ...with this much at once (a health pack is 25, a Thick Skin perk 25)
+    zombieHitRadius: 0.6, // Bullet vs zombie hit sphere radius
+    bulletSpeed: 0.5, // Fallback when a shot doesn't include a speed
+    bulletMaxDistance: 50, // Same as createBullet in weapons.js
+    maxShotDamage: 200, // Clamp for client supplied damage, times the weapon's damageMultiplier (player damage starts at 40)
+    maxShotOffset: 3, // How far a shot may start from the server's player position
+    shotRateAllowance: 5, // Shots may come this many times faster than the weapon's fireRate (Rapid Fire, Hair Trigger)
+    shotBurst: 16, // Shots on top of one volley that may arrive at once (Scatter pellets, messages bunched in transit)
+    maxMoveSpeed: 15, // World units per second a reported position may move (walking is about 6, perks and boosts add)
+    moveBurst: 6, // Most a single report may move the player, enough for a dash (DASH_SETTINGS.distance)
+    collisionDistance: 1.0, // collisionSettings.COLLISION_DISTANCE in zombie.js
+    damageDistance: 1.2, // collisionSettings.DAMAGE_DISTANCE
+    damagePerSecond: 20, // collisionSettings.DAMAGE_PER_SECOND
+    dashInvulnerability: 300, // ms a dash keeps the player from harm (DASH_SETTINGS.invulnerability)
+    dashCooldown: 1200, // ms between dashes (DASH_SETTINGS.cooldown) - faster reports are ignored
+    waveDuration: 40000 // ms per wave number - rooms spawn without breaks, but guns unlock by wave (weapons.json)
+};
+
+/**
+ * Server-side enemy stats - the numbers the room needs from each enemy definition
+ * (stats and spawn weight from enemies/enemies.json, shared with the solo game)
+ */
+export const SERVER_ENEMY_STATS = Object.fromEntries(getEnemyDefinitions().map(definition => [definition.type, {
+    chance: definition.spawn.weight,
+    health: definition.stats.health,
+    speedMultiplier: definition.stats.speedMultiplier,
+    speedVariation: definition.spawn.speedVariation,
+    points: definition.stats.points
+}]));
+
+/**
+ * Rounds a number for snapshots - two decimals is plenty for positions
+ * @param {number} value - The value to round
+ * @returns {number} The rounded value
+ */
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Tests whether a 2D segment passes within radius of a point (XZ plane)
+ * Same idea as rayIntersectsSphere in combat.js but without Three.js vectors
+ * @returns {boolean} True if the segment hits the circle
+ */
+const segmentHitsCircle = (x1, z1, x2, z2, cx, cz, radius) => {
+    const dx = x2 - x1;
+    const dz = z2 - z1;
+    const lengthSq = dx * dx + dz * dz;
+
+    // Project the circle center onto the segment and clamp to its ends
+    let t = lengthSq > 0 ? ((cx - x1) * dx + (cz - z1) * dz) / lengthSq : 0;
+    t = Math.max(0, Math.min(1, t));
+
+    const px = x1 + dx * t - cx;
+    const pz = z1 + dz * t - cz;
+    return px * px + pz * pz <= radius * radius;
+};
+
+/**
+ * Creates a new authoritative game room
+ * @param {string} id - Room identifier (clients join by this id)
+ * @param {Object} options - Overrides for ROOM_DEFAULTS plus an optional seed or random() source
+ * @returns {Object} The room API
+ */
+export const createRoom = (id, options = {}) => {
+    const config = { ...ROOM_DEFAULTS, ...options };
+    // Seeded so a room can be replayed (same seed + same inputs = same horde)
+    const seed = options.seed !== undefined ? options.seed : `${id}:${Date.now()}`;
+    const random = options.random || createRandom(seed);
+
+    const players = new Map(); // playerId -> player record
+    const zombies = new Map(); // zombieId -> zombie record
+    let bullets = [];
+    let events = [];
+
+    let nextZombieId = 1;
+    let nextBulletId = 1;
+    let time = 0; // Simulation time in ms
+    let lastSpawnTime = 0;
+    let score = 0;
+    let gameOver = false;
+
+    /**
+     * Queues an event for the transport layer to broadcast
+     * @param {string} type - Event name (sent as the socket event name)
+     * @param {Object} payload - Event data
+     */
+    const emit = (type, payload) => {
+        events.push({ type, payload });
+    };
+
+    /**
+     * Picks an enemy type by weighted chance (same scheme as selectEnemyType)
+     * @returns {string} The enemy type
+     */
+    const selectEnemyType = () => {
+        const types = Object.keys(SERVER_ENEMY_STATS);
+        const totalChance = types.reduce((sum, type) => sum + SERVER_ENEMY_STATS[type].chance, 0);
+        let roll = random() * totalChance;
+
+        for (const type of types) {
+            roll -= SERVER_ENEMY_STATS[type].chance;
+            if (roll <= 0) return type;
+        }
+        return types[0];
+    };
+
+    /**
+     * Gets all players that are still alive
+     * @returns {Array} Alive player records
+     */
+    const getAlivePlayers = () => Array.from(players.values()).filter(player => player.alive);
+
+    /**
+     * Spawns one enemy in front of a random living player
+     * Front is -Z, matching spawnEnemy in entitySpawners.js
+     * @param {string} [type] - Force a specific enemy type
+     * @returns {Object|null} The zombie record or null if nothing was spawned
+     */
+    const spawnZombie = (type) => {
+        const alivePlayers = getAlivePlayers();
+        if (alivePlayers.length === 0 || zombies.size >= config.maxZombies) return null;
+
+        const target = alivePlayers[Math.floor(random() * alivePlayers.length)];
+        const enemyType = type && SERVER_ENEMY_STATS[type] ? type : selectEnemyType();
+        const stats = SERVER_ENEMY_STATS[enemyType];
+
+        // Spread spawns across a 120 degree arc in front of the player
+        const theta = Math.PI + (random() - 0.5) * (2 * Math.PI / 3);
+        const distance = config.spawnMinDistance + random() * config.spawnJitter;
+        const speed = config.baseSpeed * stats.speedMultiplier +
+            (random() * stats.speedVariation - stats.speedVariation / 2);
+
+        const zombie = {
+            id: nextZombieId++,
+            type: enemyType,
+            x: target.x + distance * Math.sin(theta),
+            z: target.z + distance * Math.cos(theta),
+            rotation: 0,
+            health: stats.health,
+            fullHealth: stats.health,
+            speed,
+            points: stats.points
+        };
+
+        zombies.set(zombie.id, zombie);
+        emit('zombieSpawned', { id: zombie.id, type: zombie.type, x: round2(zombie.x), z: round2(zombie.z) });
+        return zombie;
+    };
+
+    /**
+     * Removes a dead zombie and credits the shooter
+     * @param {Object} zombie - The zombie record
+     * @param {string|null} killerId - The player that landed the final hit
+     */
+    const killZombie = (zombie, killerId) => {
+        zombies.delete(zombie.id);
+        score += zombie.points;
+
+        const killer = killerId ? players.get(killerId) : null;
+        if (killer) {
+            killer.score += zombie.points;
+            killer.kills++;
+        }
+
+        emit('zombieKilled', {
+            id: zombie.id,
+            type: zombie.type,
+            killerId,
+            points: zombie.points,
+            x: round2(zombie.x),
+            z: round2(zombie.z)
+        });
+    };
+
+    /**
+     * Moves zombies towards the nearest living player and applies contact damage
+     * @param {number} delta - Seconds since last tick
+     */
+    const updateZombies = (delta) => {
+        const alivePlayers = getAlivePlayers();
+        if (alivePlayers.length === 0) return;
+
+        for (const zombie of zombies.values()) {
+            // Find the nearest living player
+            let target = null;
+            let nearestDistance = Infinity;
+            for (const player of alivePlayers) {
+                const dx = player.x - zombie.x;
+                const dz = player.z - zombie.z;
+                const distance = Math.sqrt(dx * dx + dz * dz);
+                if (distance < nearestDistance) {
+                    nearestDistance = distance;
+                    target = player;
+                }
+            }
+            if (!target) continue;
+
+            const dirX = (target.x - zombie.x) / (nearestDistance || 1);
+            const dirZ = (target.z - zombie.z) / (nearestDistance || 1);
+            const moveDistance = zombie.speed * delta * 60; // Same scaling as baseZombie.update
+
+            zombie.x += dirX * moveDistance;
+            zombie.z += dirZ * moveDistance;
+            zombie.rotation = Math.atan2(dirX, dirZ);
+
+            // Keep zombies out of the player and damage them while touching
+            const distanceAfterMove = Math.max(0, nearestDistance - moveDistance);
+            if (distanceAfterMove < config.collisionDistance) {
+                zombie.x = target.x - dirX * config.collisionDistance;
+                zombie.z = target.z - dirZ * config.collisionDistance;
+            }
+            if (distanceAfterMove < config.damageDistance) {
+                damagePlayer(target, config.damagePerSecond * delta);
+            }
+        }
+    };
+
+    /**
+     * Applies damage to a player and handles their death
+     * @param {Object} player - The player record
+     * @param {number} amount - Damage amount
+     */
+    const damagePlayer = (player, amount) => {
+        if (!player.alive || time < player.invulnerableUntil) return;
+
+        player.health = Math.max(0, player.health - amount);
+        if (player.health === 0) {
+            player.alive = false;
+            logger.info('multiplayer', `Player ${player.name} died in room ${id}`);
+            emit('playerDied', { id: player.id, name: player.name, score: player.score, kills: player.kills });
+
+            // Room is over once nobody is left standing
+            if (getAlivePlayers().length === 0 && !gameOver) {
+                gameOver = true;
+                emit('gameOver', { score, time });
+            }
+        }
+    };
+
+    /**
+     * Advances bullets and resolves hits against zombies
+     * @param {number} delta - Seconds since last tick
+     */
+    const updateBullets = (delta) => {
+        const remaining = [];
+
+        for (const bullet of bullets) {
+            const step = bullet.speed * delta * 60;
+            const nextX = bullet.x + bullet.dirX * step;
+            const nextZ = bullet.z + bullet.dirZ * step;
+            bullet.distance += step;
+
+            // Find the closest zombie along this tick's path
+            let hitZombie = null;
+            let hitDistanceSq = Infinity;
+            for (const zombie of zombies.values()) {
+                if (segmentHitsCircle(bullet.x, bullet.z, nextX, nextZ, zombie.x, zombie.z, config.zombieHitRadius)) {
+                    const dx = zombie.x - bullet.x;
+                    const dz = zombie.z - bullet.z;
+                    const distanceSq = dx * dx + dz * dz;
+                    if (distanceSq < hitDistanceSq) {
+                        hitDistanceSq = distanceSq;
+                        hitZombie = zombie;
+                    }
+                }
+            }
+
+            if (hitZombie) {
+                hitZombie.health -= bullet.damage;
+                if (hitZombie.health <= 0) {
+                    killZombie(hitZombie, bullet.ownerId);
+                }
+                continue; // Bullet is consumed by the hit
+            }
+
+            bullet.x = nextX;
+            bullet.z = nextZ;
+            if (bullet.distance < config.bulletMaxDistance) {
+                remaining.push(bullet);
+            }
+        }
+
+        bullets = remaining;
+    };
+
+    /**
+     * Adds a player to the room
+     * @param {string} playerId - Unique id (socket id on the server)
+     * @param {string} name - Display name
+     * @returns {Object|null} The player record, or null if the room is full
+     */
+    const addPlayer = (playerId, name = 'Survivor') => {
+        if (players.size >= config.maxPlayers) {
+            logger.warn('multiplayer', `Room ${id} is full, rejecting ${name}`);
+            return null;
+        }
+
+        const player = {
+            id: playerId,
+            name: String(name).slice(0, 24),
+            // Spread players out slightly so they don't spawn inside each other
+            x: (players.size % 2 === 0 ? 1 : -1) * Math.ceil(players.size / 2) * 2,
+            z: 0,
+            rotation: 0,
+            health: config.playerMaxHealth,
+            maxHealth: config.playerMaxHealth,
+            healAllowance: config.healBurst, // Health the next heal reports may restore
+            lastHealTime: time,
+            alive: true,
+            score: 0,
+            kills: 0,
+            lastDashTime: -Infinity,
+            invulnerableUntil: -Infinity,
+            lastStateTime: time,
+            moveAllowance: config.moveBurst, // Distance the next reports may cover (refills at maxMoveSpeed)
+            lastShotTime: -Infinity,
+            shotAllowance: 0 // Shots the player may still fire right now (refills with the weapon's fireRate)
+        };
+        players.set(playerId, player);
+
+        // The first player to join kicks off the initial horde
+        if (players.size === 1 && zombies.size === 0) {
+            for (let i = 0; i < config.initialSpawnCount; i++) {
+                spawnZombie();
+            }
+        }
+
+        emit('playerJoined', { id: player.id, name: player.name, x: player.x, z: player.z });
+        logger.info('multiplayer', `Player ${player.name} joined room ${id} (${players.size}/${config.maxPlayers})`);
+        return player;
+    };
+
+    /**
+     * Removes a player from the room
+     * @param {string} playerId - The player id
+     */
+    const removePlayer = (playerId) => {
+        const player = players.get(playerId);
+        if (!player) return;
+
+        players.delete(playerId);
+        emit('playerLeft', { id: playerId, name: player.name });
+        logger.info('multiplayer', `Player ${player.name} left room ${id}`);
+    };
+
+    /**
+     * Applies a client's reported position and aim
+     * A report can't move the player further than they could have got since the
+     * last one (maxMoveSpeed, with moveBurst to spare for a dash); the room
+     * keeps them that far along the way instead.
+     * @param {string} playerId - The player id
+     * @param {Object} state - { x, z, rotation }
+     */
+    const handlePlayerState = (playerId, state) => {
+        const player = players.get(playerId);
+        if (!player || !player.alive || !state) return;
+
+        const dx = (Number.isFinite(state.x) ? state.x : player.x) - player.x;
+        const dz = (Number.isFinite(state.z) ? state.z : player.z) - player.z;
+        const distance = Math.sqrt(dx * dx + dz * dz);
+        player.moveAllowance = Math.min(config.moveBurst,
+            player.moveAllowance + config.maxMoveSpeed * (time - player.lastStateTime) / 1000);
+        player.lastStateTime = time;
+
+        const scale = distance > player.moveAllowance ? player.moveAllowance / distance : 1;
+        player.x += dx * scale;
+        player.z += dz * scale;
+        player.moveAllowance -= distance * scale;
+        if (Number.isFinite(state.rotation)) player.rotation = state.rotation;
+    };
+
+    /**
+     * Starts a client's dash: no damage for dashInvulnerability ms
+     * @param {string} playerId - The player id
+     * @returns {boolean} True if the dash was accepted (alive and off cooldown)
+     */
+    const handleDash = (playerId) => {
+        const player = players.get(playerId);
+        if (!player || !player.alive || time - player.lastDashTime < config.dashCooldown) return false;
+
+        player.lastDashTime = time;
+        player.invulnerableUntil = time + config.dashInvulnerability;
+        return true;
+    };
+
+    /**
+     * Applies health a client restored locally
+     * Heals are capped by the player's max health and by how fast the game can heal.
+     * @param {string} playerId - The player id
+     * @param {Object} heal - { amount, maxHealth } - maxHealth can only go up, to maxPlayerHealth
+     * @returns {number} Health actually restored
+     */
+    const handleHeal = (playerId, heal) => {
+        const player = players.get(playerId);
+        if (!player || !player.alive || !heal) return 0;
+
+        if (Number.isFinite(heal.maxHealth)) {
+            player.maxHealth = Math.min(config.maxPlayerHealth, Math.max(player.maxHealth, heal.maxHealth));
+        }
+        player.healAllowance = Math.min(config.healBurst,
+            player.healAllowance + config.healPerSecond * (time - player.lastHealTime) / 1000);
+        player.lastHealTime = time;
+
+        const amount = Math.min(Math.max(0, Number(heal.amount) || 0), player.healAllowance,
+            player.maxHealth - player.health);
+        player.health += amount;
+        player.healAllowance -= amount;
+        return amount;
+    };
+
+    /**
+     * Registers a shot fired by a client
+     * The room simulates the bullet itself so every client sees the same hits.
+     * Each weapon can only fire so fast (its fireRate and pellets, with some
+     * headroom for powerups and perks) and hit so hard; faster shots are dropped.
+     * @param {string} playerId - The shooter
+     * @param {Object} shot - { x, z, dirX, dirZ, damage, speed, weapon } - weapon defaults to the pistol
+     * @returns {boolean} True if the shot was accepted
+     */
+    const handleShot = (playerId, shot) => {
+        const player = players.get(playerId);
+        if (!player || !player.alive || !shot) return false;
+
+        const weapon = getWeaponDefinition(shot.weapon === undefined ? 'pistol' : shot.weapon);
+        if (!weapon) return false;
+
+        const length = Math.sqrt((shot.dirX || 0) ** 2 + (shot.dirZ || 0) ** 2);
+        if (!length || !Number.isFinite(length)) return false;
+
+        // Reject shots that start too far from where the server thinks the player is
+        const originX = Number.isFinite(shot.x) ? shot.x : player.x;
+        const originZ = Number.isFinite(shot.z) ? shot.z : player.z;
+        if (Math.hypot(originX - player.x, originZ - player.z) > config.maxShotOffset) {
+            logger.debug('multiplayer', `Rejected shot from ${player.name}: origin too far from player`);
+            return false;
+        }
+
+        // Refill the player's shots for the time since their last one, then spend one
+        const refill = (time - player.lastShotTime) * weapon.pellets * config.shotRateAllowance / weapon.fireRate;
+        player.shotAllowance = Math.min(weapon.pellets + config.shotBurst, player.shotAllowance + refill);
+        player.lastShotTime = time;
+        if (player.shotAllowance < 1) {
+            logger.debug('multiplayer', `Rejected shot from ${player.name}: faster than the ${weapon.name} fires`);
+            return false;
+        }
+        player.shotAllowance--;
+
+        const bullet = {
+            id: nextBulletId++,
+            ownerId: playerId,
+            x: originX,
+            z: originZ,
+            dirX: shot.dirX / length,
+            dirZ: shot.dirZ / length,
+            damage: Math.min(config.maxShotDamage * weapon.damageMultiplier, Math.max(0, Number(shot.damage) || 0)),
+            speed: Number.isFinite(shot.speed) && shot.speed > 0 ? shot.speed : config.bulletSpeed,
+            distance: 0
+        };
+        bullets.push(bullet);
+
+        // Other clients draw the tracer; the shooter already drew it locally
+        emit('playerShot', {
+            playerId,
+            x: round2(bullet.x),
+            z: round2(bullet.z),
+            dirX: round2(bullet.dirX),
+            dirZ: round2(bullet.dirZ),
+            color: shot.color
+        });
+        return true;
+    };
+
+    /**
+     * Advances the room simulation
+     * @param {number} delta - Seconds since the last tick
+     */
+    const tick = (delta) => {
+        if (gameOver || players.size === 0) return;
+
+        time += delta * 1000;
+
+        // Spawn batches of enemies on the same cadence as the single player loop
+        if (time - lastSpawnTime > config.enemySpawnRate) {
+            const spawnCount = Math.min(config.spawnBatchSize, config.maxZombies - zombies.size);
+            for (let i = 0; i < spawnCount; i++) {
+                spawnZombie();
+            }
+            lastSpawnTime = time;
+        }
+
+        updateBullets(delta);
+        updateZombies(delta);
+    };
+
+    /**
+     * Builds the state snapshot sent to every client
+     * @returns {Object} Serializable room state
+     */
+    const getSnapshot = () => ({
+        roomId: id,
+        seed,
+        time: Math.round(time),
+        wave: 1 + Math.floor(time / config.waveDuration),
+        score,
+        gameOver,
+        players: Array.from(players.values()).map(player => ({
+            id: player.id,
+            name: player.name,
+            x: round2(player.x),
+            z: round2(player.z),
+            rotation: round2(player.rotation),
+            health: round2(player.health),
+            maxHealth: player.maxHealth,
+            alive: player.alive,
+            score: player.score,
+            kills: player.kills
+        })),
+        zombies: Array.from(zombies.values()).map(zombie => ({
+            id: zombie.id,
+            type: zombie.type,
+            x: round2(zombie.x),
+            z: round2(zombie.z),
+            rotation: round2(zombie.rotation),
+            health: zombie.health
+        }))
+    });
+
+    /**
+     * Returns and clears the queued events
+     * @returns {Array} Events as { type, payload }
+     */
+    const drainEvents = () => {
+        const drained = events;
+        events = [];
+        return drained;
+    };
+
+    return {
+        id,
+        seed,
+        config,
+        players,
+        zombies,
+        addPlayer,
+        removePlayer,
+        handlePlayerState,
+        handleShot,
+        handleDash,
+        handleHeal,
+        spawnZombie,
+        tick,
+        getSnapshot,
+        drainEvents,
+        isEmpty: () => players.size === 0,
+        isGameOver: () => gameOver,
+        getScore: () => score
+    };
+};
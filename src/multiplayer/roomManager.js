@@ -0,0 +1,211 @@
+/**
+ * Room Manager Module - Connects socket.io clients to authoritative rooms
+ *
+ * Owns the map of live rooms, routes client messages into them, ticks every
+ * room on a fixed interval and broadcasts the resulting events and snapshots.
+ * Used by server.js, and can be attached to any socket.io server for local
+ * testing with simulated clients (see simulateClients.js).
+ *
+ * Client -> server messages:
+ *   joinRoom { roomId, name, seed }, ack({ ok, playerId, roomId, snapshot } | { ok: false, error })
+ *   playerState { x, z, rotation }
+ *   shoot { x, z, dirX, dirZ, damage, speed, weapon, color }
+ *   dash (no payload - the room times the invulnerability itself)
+ *   heal { amount, maxHealth }
+ *
+ * Server -> client messages:
+ *   snapshot (see room.getSnapshot), plus every room event by name
+ *   (zombieSpawned, zombieKilled, playerShot, playerJoined, playerLeft, playerDied, gameOver)
+ *
+ * Example usage:
+ *   import { Server } from 'socket.io';
+ *   import { attachRoomServer } from './src/multiplayer/roomManager.js';
+ *
+ *   const io = new Server(httpServer);
+ *   const roomServer = attachRoomServer(io, { tickRate: 20 });
+ *   // Later: roomServer.stop();
+ */
+
+import { createRoom } from './room.js';
+import { logger } from '../utils/logger.js';
+
+// Add 'multiplayer' to logger sections if not already included
+logger.addSection('multiplayer');
+
+const DEFAULT_TICK_RATE = 20; // Simulation ticks per second
+const DEFAULT_SNAPSHOT_RATE = 10; // Snapshots per second sent to clients
+
+/**
+ * Cleans up a requested room id so it is safe to use as a socket.io room name
+ * @param {string} roomId - Raw room id from the client
+ * @returns {string} Sanitized room id
+ */
+const sanitizeRoomId = (roomId) => {
+    const cleaned = String(roomId || 'lobby').toLowerCase().replace(/[^a-z0-9_-]/g, '').slice(0, 32);
+    return cleaned || 'lobby';
+};
+
+/**
+ * Treats anything but an object as an empty payload
+ * socket.io hands over whatever the client sent (null, numbers, strings...),
+ * and one bad message must not throw and take the server down.
+ * @param {*} payload - Message payload from a client
+ * @returns {Object} The payload, or {} if it wasn't an object
+ */
+const readPayload = (payload) => (payload && typeof payload === 'object' ? payload : {});
+
+/**
+ * Attaches room handling to a socket.io server
+ * @param {import('socket.io').Server} io - The socket.io server
+ * @param {Object} options - { tickRate, snapshotRate, roomOptions }
+ * @returns {Object} { rooms, getRoom, tickRooms, stop }
+ */
+export const attachRoomServer = (io, options = {}) => {
+    const tickRate = options.tickRate || DEFAULT_TICK_RATE;
+    const snapshotRate = options.snapshotRate || DEFAULT_SNAPSHOT_RATE;
+    const roomOptions = options.roomOptions || {};
+
+    const rooms = new Map(); // roomId -> room
+    const socketRooms = new Map(); // socketId -> roomId
+
+    /**
+     * Gets an existing room or creates a new one
+     * @param {string} roomId - Sanitized room id
+     * @param {string|number} [seed] - Seed for a new room (ignored if the room exists)
+     * @returns {Object} The room
+     */
+    const getOrCreateRoom = (roomId, seed) => {
+        if (!rooms.has(roomId)) {
+            const options = seed !== undefined && seed !== null && seed !== '' ? { ...roomOptions, seed } : roomOptions;
+            rooms.set(roomId, createRoom(roomId, options));
+            logger.info('multiplayer', `Created room ${roomId}`);
+        }
+        return rooms.get(roomId);
+    };
+
+    /**
+     * Removes a socket from whichever room it is in
+     * @param {import('socket.io').Socket} socket - The client socket
+     */
+    const leaveCurrentRoom = (socket) => {
+        const roomId = socketRooms.get(socket.id);
+        if (!roomId) return;
+
+        const room = rooms.get(roomId);
+        if (room) {
+            room.removePlayer(socket.id);
+            flushEvents(room);
+
+            // Drop empty rooms so a fresh game starts next time
+            if (room.isEmpty()) {
+                rooms.delete(roomId);
+                logger.info('multiplayer', `Closed empty room ${roomId}`);
+            }
+        }
+
+        socket.leave(roomId);
+        socketRooms.delete(socket.id);
+    };
+
+    /**
+     * Broadcasts a room's queued events to everyone in it
+     * @param {Object} room - The room
+     */
+    const flushEvents = (room) => {
+        for (const event of room.drainEvents()) {
+            io.to(room.id).emit(event.type, event.payload);
+        }
+    };
+
+    io.on('connection', (socket) => {
+        logger.debug('multiplayer', `Client connected: ${socket.id}`);
+
+        socket.on('joinRoom', (payload, ack) => {
+            const request = readPayload(payload);
+            const respond = typeof ack === 'function' ? ack : () => {};
+
+            // A socket can only be in one room at a time
+            leaveCurrentRoom(socket);
+
+            const roomId = sanitizeRoomId(request.roomId);
+            const room = getOrCreateRoom(roomId, request.seed);
+
+            if (room.isGameOver()) {
+                respond({ ok: false, error: 'Game in this room is already over' });
+                return;
+            }
+
+            const player = room.addPlayer(socket.id, request.name);
+            if (!player) {
+                respond({ ok: false, error: 'Room is full' });
+                return;
+            }
+
+            socket.join(roomId);
+            socketRooms.set(socket.id, roomId);
+            flushEvents(room);
+
+            respond({ ok: true, playerId: socket.id, roomId, snapshot: room.getSnapshot() });
+        });
+
+        socket.on('playerState', (state) => {
+            const room = rooms.get(socketRooms.get(socket.id));
+            if (room) room.handlePlayerState(socket.id, readPayload(state));
+        });
+
+        socket.on('shoot', (shot) => {
+            const room = rooms.get(socketRooms.get(socket.id));
+            if (room) room.handleShot(socket.id, readPayload(shot));
+        });
+
+        socket.on('dash', () => {
+            const room = rooms.get(socketRooms.get(socket.id));
+            if (room) room.handleDash(socket.id);
+        });
+
+        socket.on('heal', (heal) => {
+            const room = rooms.get(socketRooms.get(socket.id));
+            if (room) room.handleHeal(socket.id, readPayload(heal));
+        });
+
+        socket.on('leaveRoom', () => leaveCurrentRoom(socket));
+
+        socket.on('disconnect', () => {
+            logger.debug('multiplayer', `Client disconnected: ${socket.id}`);
+            leaveCurrentRoom(socket);
+        });
+    });
+
+    /**
+     * Ticks every room once and broadcasts the results
+     * Exposed so scripts can drive rooms manually
+     * @param {number} delta - Seconds to advance
+     * @param {boolean} sendSnapshots - Whether to send snapshots this tick
+     */
+    const tickRooms = (delta, sendSnapshots = true) => {
+        for (const room of rooms.values()) {
+            room.tick(delta);
+            flushEvents(room);
+            if (sendSnapshots) {
+                io.to(room.id).emit('snapshot', room.getSnapshot());
+            }
+        }
+    };
+
+    // Fixed-rate simulation loop, snapshots on every Nth tick
+    const ticksPerSnapshot = Math.max(1, Math.round(tickRate / snapshotRate));
+    let tickCount = 0;
+    const interval = setInterval(() => {
+        tickCount++;
+        tickRooms(1 / tickRate, tickCount % ticksPerSnapshot === 0);
+    }, 1000 / tickRate);
+
+    logger.info('multiplayer', `Room server attached (${tickRate} ticks/s, ${snapshotRate} snapshots/s)`);
+
+    return {
+        rooms,
+        getRoom: (roomId) => rooms.get(sanitizeRoomId(roomId)),
+        tickRooms,
+        stop: () => clearInterval(interval)
+    };
+};
@@ -0,0 +1,176 @@
+/**
+ * Simulated Clients - Headless bots for exercising co-op rooms from Node
+ *
+ * Connects several socket.io clients to one room, walks them around, shoots at
+ * the nearest server zombie and prints a summary of what the room reported.
+ * Without --url it starts its own in-process room server on a free port, so
+ * nothing else needs to be running.
+ *
+ * Example usage:
+ *   npm run simulate-clients                         # 3 bots, 10 seconds, local server
+ *   node src/multiplayer/simulateClients.js --clients 4 --seconds 20 --room test
+ *   node src/multiplayer/simulateClients.js --url http://localhost:3000
+ */
+
+import http from 'http';
+import { Server } from 'socket.io';
+import { io as connect } from 'socket.io-client';
+import { attachRoomServer } from './roomManager.js';
+
+/**
+ * Reads a --flag value from the command line
+ * @param {string} name - Flag name without dashes
+ * @param {string|number} fallback - Default value
+ * @returns {string|number} The flag value
+ */
+const readArg = (name, fallback) => {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+};
+
+const CLIENT_COUNT = Number(readArg('clients', 3));
+const DURATION_SECONDS = Number(readArg('seconds', 10));
+const ROOM_ID = String(readArg('room', 'simulation'));
+const SERVER_URL = readArg('url', null);
+
+/**
+ * Starts an in-process room server on a random free port
+ * @returns {Promise<Object>} { url, close }
+ */
+const startLocalServer = () => new Promise((resolve) => {
+    const httpServer = http.createServer();
+    const ioServer = new Server(httpServer);
+    const roomServer = attachRoomServer(ioServer);
+
+    httpServer.listen(0, () => {
+        const { port } = httpServer.address();
+        resolve({
+            url: `http://localhost:${port}`,
+            close: () => new Promise((done) => {
+                roomServer.stop();
+                ioServer.close(() => done());
+            })
+        });
+    });
+});
+
+/**
+ * Creates one simulated player
+ * @param {string} url - Server URL
+ * @param {number} index - Bot number (used for its name and walking pattern)
+ * @returns {Promise<Object>} The bot state once it has joined the room
+ */
+const createBot = (url, index) => new Promise((resolve, reject) => {
+    const socket = connect(url, { transports: ['websocket'], forceNew: true });
+    const bot = {
+        socket,
+        name: `Bot${index + 1}`,
+        playerId: null,
+        x: 0,
+        z: 0,
+        angle: (index / CLIENT_COUNT) * Math.PI * 2,
+        snapshot: null,
+        kills: 0,
+        shots: 0,
+        died: false
+    };
+
+    socket.on('snapshot', (snapshot) => { bot.snapshot = snapshot; });
+    socket.on('zombieKilled', (event) => {
+        if (event.killerId === bot.playerId) bot.kills++;
+    });
+    socket.on('playerDied', (event) => {
+        if (event.id === bot.playerId) bot.died = true;
+    });
+
+    socket.on('connect', () => {
+        socket.emit('joinRoom', { roomId: ROOM_ID, name: bot.name }, (response) => {
+            if (!response.ok) {
+                reject(new Error(`${bot.name} could not join: ${response.error}`));
+                return;
+            }
+            bot.playerId = response.playerId;
+            bot.snapshot = response.snapshot;
+            const me = response.snapshot.players.find(p => p.id === bot.playerId);
+            bot.x = me.x;
+            bot.z = me.z;
+            resolve(bot);
+        });
+    });
+    socket.on('connect_error', reject);
+});
+
+/**
+ * Moves a bot, reports its state and fires at the nearest zombie
+ * @param {Object} bot - The bot state
+ * @param {number} delta - Seconds since last step
+ */
+const stepBot = (bot, delta) => {
+    if (bot.died) return;
+
+    // Back away slowly while circling, like a player kiting the horde
+    bot.angle += delta;
+    bot.x += Math.cos(bot.angle) * 0.05;
+    bot.z += 0.03;
+    bot.socket.emit('playerState', { x: bot.x, z: bot.z, rotation: bot.angle });
+
+    // Aim at the nearest zombie from the latest snapshot
+    const zombies = bot.snapshot ? bot.snapshot.zombies : [];
+    let nearest = null;
+    let nearestDistance = Infinity;
+    for (const zombie of zombies) {
+        const distance = Math.hypot(zombie.x - bot.x, zombie.z - bot.z);
+        if (distance < nearestDistance) {
+            nearestDistance = distance;
+            nearest = zombie;
+        }
+    }
+
+    if (nearest && nearestDistance < 40) {
+        bot.socket.emit('shoot', {
+            x: bot.x,
+            z: bot.z,
+            dirX: nearest.x - bot.x,
+            dirZ: nearest.z - bot.z,
+            damage: 40, // gameState.player.damage
+            speed: 0.5,
+            weapon: 'pistol' // Bots step at the pistol's fire rate
+        });
+        bot.shots++;
+    }
+};
+
+/**
+ * Runs the simulation and prints a summary
+ */
+const run = async () => {
+    const localServer = SERVER_URL ? null : await startLocalServer();
+    const url = SERVER_URL || localServer.url;
+    console.log(`Simulating ${CLIENT_COUNT} clients in room "${ROOM_ID}" on ${url} for ${DURATION_SECONDS}s`);
+
+    const bots = [];
+    for (let i = 0; i < CLIENT_COUNT; i++) {
+        bots.push(await createBot(url, i));
+    }
+
+    // Step bots at 10Hz (same as the player's shot cooldown order of magnitude)
+    const stepInterval = setInterval(() => bots.forEach(bot => stepBot(bot, 0.1)), 100);
+    await new Promise((resolve) => setTimeout(resolve, DURATION_SECONDS * 1000));
+    clearInterval(stepInterval);
+
+    // Summary from the last snapshot any bot received
+    const snapshot = bots[0].snapshot;
+    console.log(`Room score: ${snapshot.score}, zombies alive: ${snapshot.zombies.length}, game over: ${snapshot.gameOver}`);
+    for (const bot of bots) {
+        const record = snapshot.players.find(p => p.id === bot.playerId);
+        console.log(`  ${bot.name}: shots ${bot.shots}, kills ${bot.kills}, health ${record ? record.health : 'left'}, died ${bot.died}`);
+    }
+
+    bots.forEach(bot => bot.socket.disconnect());
+    if (localServer) await localServer.close();
+};
+
+run().catch((error) => {
+    console.error('Simulation failed:', error);
+    process.exit(1);
+});
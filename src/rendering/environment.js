@@ -12,6 +12,8 @@
 
 import * as THREE from 'three';
 import { logger } from '../utils/logger.js';
+import { createTileRandom } from '../utils/random.js';
+import { hasDOM } from '../utils/deviceDetection.js';
 
 /**
  * Creates a simple building with windows
@@ -309,45 +311,50 @@ export const createDeadTree = (position) => {
  * @returns {THREE.Mesh} The ground mesh with texture
  */
 export const createGroundTile = (position, tileSize = 100) => {
-    // Create a repeating texture pattern
-    const textureSize = 10;
-    const canvas = document.createElement('canvas');
-    canvas.width = 256;
-    canvas.height = 256;
-    const context = canvas.getContext('2d');
-    
-    // Fill with base color
-    context.fillStyle = '#3a6e3a'; // Dark green base
-    context.fillRect(0, 0, canvas.width, canvas.height);
-    
-    // Add some texture variation
-    for (let i = 0; i < 1000; i++) {
-        const x = Math.random() * canvas.width;
-        const y = Math.random() * canvas.height;
-        const radius = Math.random() * 3 + 1;
-        const brightness = Math.random() * 20 - 10;
+    // Headless runs (no DOM) have no canvas, so they get an untextured tile
+    let texture = null;
+    if (hasDOM()) {
+        // Create a repeating texture pattern
+        const textureSize = 10;
+        const canvas = document.createElement('canvas');
+        canvas.width = 256;
+        canvas.height = 256;
+        const context = canvas.getContext('2d');
+    
+        // Fill with base color
+        context.fillStyle = '#3a6e3a'; // Dark green base
+        context.fillRect(0, 0, canvas.width, canvas.height);
+    
+        // Add some texture variation
+        for (let i = 0; i < 1000; i++) {
+            const x = Math.random() * canvas.width;
+            const y = Math.random() * canvas.height;
+            const radius = Math.random() * 3 + 1;
+            const brightness = Math.random() * 20 - 10;
         
-        // Create a slightly different shade of green
-        const green = Math.floor(110 + brightness);
-        const red = Math.floor(58 + brightness * 0.7);
-        const blue = Math.floor(58 + brightness * 0.5);
+            // Create a slightly different shade of green
+            const green = Math.floor(110 + brightness);
+            const red = Math.floor(58 + brightness * 0.7);
+            const blue = Math.floor(58 + brightness * 0.5);
         
-        context.fillStyle = `rgb(${red}, ${green}, ${blue})`;
-        context.beginPath();
-        context.arc(x, y, radius, 0, Math.PI * 2);
-        context.fill();
-    }
+            context.fillStyle = `rgb(${red}, ${green}, ${blue})`;
+            context.beginPath();
+            context.arc(x, y, radius, 0, Math.PI * 2);
+            context.fill();
+        }
     
-    // Create texture from canvas
-    const texture = new THREE.CanvasTexture(canvas);
-    texture.wrapS = THREE.RepeatWrapping;
-    texture.wrapT = THREE.RepeatWrapping;
-    texture.repeat.set(tileSize / textureSize, tileSize / textureSize);
+        // Create texture from canvas
+        texture = new THREE.CanvasTexture(canvas);
+        texture.wrapS = THREE.RepeatWrapping;
+        texture.wrapT = THREE.RepeatWrapping;
+        texture.repeat.set(tileSize / textureSize, tileSize / textureSize);
+    }
     
     // Create ground with texture
     const groundGeometry = new THREE.PlaneGeometry(tileSize, tileSize);
     const groundMaterial = new THREE.MeshStandardMaterial({
         map: texture,
+        color: texture ? 0xffffff : 0x3a6e3a, // Base grass color when untextured
         roughness: 0.9,
         metalness: 0.1
     });
@@ -481,10 +488,13 @@ export const manageProceduralGround = (scene, playerPosition, worldData) => {
  * @param {number} tileSize - Size of the ground tile
  */
 function addEnvironmentToTile(scene, tilePosition, tileSize) {
+    // Seed from the tile position so the same tile always gets the same layout
+    const tileRandom = createTileRandom('terrain', tilePosition.x, tilePosition.z);
+    
     // Define object counts
-    const numBuildings = Math.floor(Math.random() * 3); // 0-2 buildings
-    const numRocks = Math.floor(Math.random() * 6) + 2; // 2-7 rocks
-    const numTrees = Math.floor(Math.random() * 5) + 1; // 1-5 trees
+    const numBuildings = Math.floor(tileRandom() * 3); // 0-2 buildings
+    const numRocks = Math.floor(tileRandom() * 6) + 2; // 2-7 rocks
+    const numTrees = Math.floor(tileRandom() * 5) + 1; // 1-5 trees
     
     // Calculate bounds within the tile (with some margin from edges)
     const margin = 5;
@@ -496,14 +506,14 @@ function addEnvironmentToTile(scene, tilePosition, tileSize) {
     // Add buildings
     for (let i = 0; i < numBuildings; i++) {
         const position = {
-            x: minX + Math.random() * (maxX - minX),
-            z: minZ + Math.random() * (maxZ - minZ)
+            x: minX + tileRandom() * (maxX - minX),
+            z: minZ + tileRandom() * (maxZ - minZ)
         };
         
         // Vary building size
-        const width = 4 + Math.random() * 4; // 4-8
-        const height = 6 + Math.random() * 6; // 6-12
-        const depth = 4 + Math.random() * 4; // 4-8
+        const width = 4 + tileRandom() * 4; // 4-8
+        const height = 6 + tileRandom() * 6; // 6-12
+        const depth = 4 + tileRandom() * 4; // 4-8
         
         const building = createBuilding(position, width, height, depth);
         scene.add(building);
@@ -512,12 +522,12 @@ function addEnvironmentToTile(scene, tilePosition, tileSize) {
     // Add rocks
     for (let i = 0; i < numRocks; i++) {
         const position = {
-            x: minX + Math.random() * (maxX - minX),
-            z: minZ + Math.random() * (maxZ - minZ)
+            x: minX + tileRandom() * (maxX - minX),
+            z: minZ + tileRandom() * (maxZ - minZ)
         };
         
         // Vary rock size
-        const size = 0.5 + Math.random() * 1.5; // 0.5-2.0
+        const size = 0.5 + tileRandom() * 1.5; // 0.5-2.0
         
         const rock = createRock(position, size);
         scene.add(rock);
@@ -526,8 +536,8 @@ function addEnvironmentToTile(scene, tilePosition, tileSize) {
     // Add trees
     for (let i = 0; i < numTrees; i++) {
         const position = {
-            x: minX + Math.random() * (maxX - minX),
-            z: minZ + Math.random() * (maxZ - minZ)
+            x: minX + tileRandom() * (maxX - minX),
+            z: minZ + tileRandom() * (maxZ - minZ)
         };
         
         const tree = createDeadTree(position);
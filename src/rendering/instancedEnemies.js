@@ -0,0 +1,267 @@
+/**
+ * Instanced Enemies Module - Draws common enemies with shared InstancedMeshes
+ *
+ * A basic zombie is a Group of ten Meshes, so a 500-zombie horde is 5000 draw
+ * calls. Enemy types marked "instanced" in enemies.json skip building their own
+ * geometry: each part of the type's fallback geometry (head, eyes, arms, ...)
+ * becomes one InstancedMesh per scene, and every enemy of that type is one
+ * instance in it. The enemy itself stays an empty Group, so the AI, collisions
+ * and hit tests (which only use its position) work exactly as before.
+ *
+ * Enemies take a slot in their type's batch when added to a scene and give it
+ * back when removed (kills, scene.clear()). Once per rendered frame,
+ * updateInstancedEnemies writes each enemy's transform into the shared
+ * buffers - after the interpolation in gameLoop.js has placed it - along with a
+ * per-instance tint while the enemy is flashing from a hit.
+ *
+ * The individual-mesh path is still there: set INSTANCING_SETTINGS.enabled to
+ * false (or open the game with ?instancing=off) and new enemies build their own
+ * meshes, without the hit tint.
+ *
+ * Example usage:
+ *   import { useInstancedRendering, updateInstancedEnemies, flashEnemy } from './rendering/instancedEnemies.js';
+ *
+ *   useInstancedRendering(enemy, 'zombie', buildZombieGeometry); // Done by the enemy factory
+ *   scene.add(enemy);
+ *
+ *   flashEnemy(enemy);              // Tint it red for a moment after a hit
+ *   updateInstancedEnemies(scene);  // Every frame, before renderer.render
+ */
+
+import * as THREE from 'three';
+import { logger } from '../utils/logger.js';
+import { getSimTime } from '../utils/simClock.js';
+
+// Add 'instancing' to logger sections if not already included
+logger.addSection('instancing');
+
+// Instancing settings
+export const INSTANCING_SETTINGS = {
+    enabled: true,          // Instanced enemy types use the shared meshes (false = one Group of Meshes each)
+    initialCapacity: 256,   // Instances per batch before its buffers are grown (doubled)
+    hitFlashDuration: 120   // How long a hit tints an enemy (ms of simulation time)
+};
+
+// Per-instance tints (multiplied with the material colour, so > 1 brightens)
+const NO_TINT = new THREE.Color(1, 1, 1);
+const HIT_TINT = new THREE.Color(2.5, 0.5, 0.5);
+
+// Part templates per enemy type, built once from the fallback geometry
+const templates = new Map();
+
+// Batches per scene, then per enemy type: { type, parts, enemies, meshes, capacity }
+const sceneBatches = new WeakMap();
+
+// Scratch matrix for composing instance transforms
+const instanceMatrix = new THREE.Matrix4();
+
+/**
+ * Turns on the instanced path for enemies created from now on
+ * @param {boolean} enabled - False to build every enemy from individual meshes
+ */
+export const setInstancingEnabled = (enabled) => {
+    INSTANCING_SETTINGS.enabled = enabled;
+    logger.info('instancing', `Instanced enemy rendering ${enabled ? 'enabled' : 'disabled'}`);
+};
+
+/**
+ * Whether new instanced-type enemies will use the shared meshes
+ * @returns {boolean} True when instancing is on
+ */
+export const isInstancingEnabled = () => INSTANCING_SETTINGS.enabled;
+
+/**
+ * Gets the parts (geometry, material and local transform) of a type's geometry
+ * @param {string} type - Enemy type
+ * @param {Function} buildGeometry - The type's fallback geometry builder
+ * @returns {Array<Object>} Parts { geometry, material, matrix, castShadow, receiveShadow }
+ */
+const getTemplate = (type, buildGeometry) => {
+    let parts = templates.get(type);
+    if (parts) return parts;
+
+    // Build one enemy's worth of meshes and keep their pieces
+    const group = new THREE.Group();
+    buildGeometry(group);
+    group.updateMatrixWorld(true);
+
+    parts = [];
+    group.traverse((node) => {
+        if (!node.isMesh) return;
+        parts.push({
+            geometry: node.geometry,
+            material: node.material,
+            matrix: node.matrixWorld.clone(),
+            castShadow: node.castShadow,
+            receiveShadow: node.receiveShadow
+        });
+    });
+
+    templates.set(type, parts);
+    logger.debug('instancing', `Built ${type} template with ${parts.length} parts`);
+    return parts;
+};
+
+/**
+ * Gets (or starts) the batch for an enemy type in a scene
+ * @param {THREE.Object3D} scene - Scene the enemies are in
+ * @param {string} type - Enemy type
+ * @param {Array<Object>} parts - Parts from getTemplate
+ * @returns {Object} The batch
+ */
+const getBatch = (scene, type, parts) => {
+    let batches = sceneBatches.get(scene);
+    if (!batches) {
+        batches = new Map();
+        sceneBatches.set(scene, batches);
+    }
+
+    let batch = batches.get(type);
+    if (!batch) {
+        // The meshes are only made on the first sync, so headless games never allocate them
+        batch = { type, parts, enemies: [], meshes: [], capacity: 0 };
+        batches.set(type, batch);
+    }
+    return batch;
+};
+
+/**
+ * Gets the batch for an enemy type in a scene, if it has one
+ * @param {THREE.Object3D} scene - The scene
+ * @param {string} type - Enemy type
+ * @returns {Object|undefined} Batch { type, enemies, meshes, capacity }
+ */
+export const getInstancedBatch = (scene, type) => {
+    const batches = sceneBatches.get(scene);
+    return batches ? batches.get(type) : undefined;
+};
+
+/**
+ * Gives an enemy's slot back, moving the last enemy into the gap
+ * @param {THREE.Object3D} enemy - The enemy
+ */
+const releaseSlot = (enemy) => {
+    const batch = enemy.userData.instanceBatch;
+    if (!batch) return;
+
+    const index = enemy.userData.instanceIndex;
+    const last = batch.enemies.pop();
+    if (last !== enemy) {
+        batch.enemies[index] = last;
+        last.userData.instanceIndex = index;
+    }
+
+    enemy.userData.instanceBatch = null;
+    enemy.userData.instanceIndex = -1;
+};
+
+/**
+ * Makes an enemy draw as an instance of its type instead of building meshes
+ * The enemy takes a slot whenever it is added to a scene and frees it when removed.
+ * @param {THREE.Group} enemy - The enemy group (left without children)
+ * @param {string} type - Enemy type
+ * @param {Function} buildGeometry - The type's fallback geometry builder
+ */
+export const useInstancedRendering = (enemy, type, buildGeometry) => {
+    const parts = getTemplate(type, buildGeometry);
+    enemy.userData.instancedType = type;
+    enemy.userData.instanceBatch = null;
+    enemy.userData.instanceIndex = -1;
+
+    enemy.addEventListener('added', () => {
+        releaseSlot(enemy);
+        const batch = getBatch(enemy.parent, type, parts);
+        enemy.userData.instanceBatch = batch;
+        enemy.userData.instanceIndex = batch.enemies.length;
+        batch.enemies.push(enemy);
+    });
+    enemy.addEventListener('removed', () => releaseSlot(enemy));
+};
+
+/**
+ * Tints an enemy for a moment to show it was hit
+ * Only instanced enemies have a tint; for the others this does nothing.
+ * @param {THREE.Object3D} enemy - The enemy (zombie.mesh)
+ */
+export const flashEnemy = (enemy) => {
+    if (!enemy || !enemy.userData || !enemy.userData.instancedType) return;
+    enemy.userData.hitFlashUntil = getSimTime() + INSTANCING_SETTINGS.hitFlashDuration;
+};
+
+/**
+ * Replaces a batch's InstancedMeshes with bigger ones
+ * @param {THREE.Object3D} scene - Scene the batch draws in
+ * @param {Object} batch - The batch
+ * @param {number} capacity - New instance capacity
+ */
+const growBatch = (scene, batch, capacity) => {
+    for (const mesh of batch.meshes) {
+        scene.remove(mesh);
+        mesh.dispose(); // Frees the instance buffers - geometry and materials are shared
+    }
+
+    batch.meshes = batch.parts.map((part) => {
+        const mesh = new THREE.InstancedMesh(part.geometry, part.material, capacity);
+        mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        mesh.setColorAt(0, NO_TINT); // Creates the colour buffer
+        mesh.castShadow = part.castShadow;
+        mesh.receiveShadow = part.receiveShadow;
+        mesh.frustumCulled = false; // The horde is spread over the whole map
+        mesh.name = `instanced-${batch.type}`;
+        return mesh;
+    });
+    batch.capacity = capacity;
+
+    logger.debug('instancing', `${batch.type} batch now holds up to ${capacity} enemies`);
+};
+
+/**
+ * Writes every instanced enemy's transform and tint into the shared buffers
+ * Call once per rendered frame, after enemies have been moved (and interpolated)
+ * and before rendering.
+ * @param {THREE.Scene} scene - The scene being rendered
+ * @returns {number} How many instances were written
+ */
+export const updateInstancedEnemies = (scene) => {
+    const batches = sceneBatches.get(scene);
+    if (!batches) return 0;
+
+    const now = getSimTime();
+    let written = 0;
+
+    for (const batch of batches.values()) {
+        const { enemies } = batch;
+
+        if (enemies.length > batch.capacity) {
+            let capacity = Math.max(batch.capacity, INSTANCING_SETTINGS.initialCapacity);
+            while (capacity < enemies.length) capacity *= 2;
+            growBatch(scene, batch, capacity);
+        }
+
+        for (let i = 0; i < enemies.length; i++) {
+            const enemy = enemies[i];
+            enemy.updateWorldMatrix(false, false);
+            const tint = enemy.userData.hitFlashUntil > now ? HIT_TINT : NO_TINT;
+
+            for (let p = 0; p < batch.parts.length; p++) {
+                const mesh = batch.meshes[p];
+                instanceMatrix.multiplyMatrices(enemy.matrixWorld, batch.parts[p].matrix);
+                mesh.setMatrixAt(i, instanceMatrix);
+                mesh.setColorAt(i, tint);
+            }
+        }
+
+        for (const mesh of batch.meshes) {
+            mesh.count = enemies.length;
+            mesh.instanceMatrix.needsUpdate = true;
+            mesh.instanceColor.needsUpdate = true;
+            // Put the meshes (back) in the scene - scene.clear() takes them out too
+            if (mesh.parent !== scene) scene.add(mesh);
+        }
+
+        written += enemies.length;
+    }
+
+    logger.verbose('instancing', `Synced ${written} instanced enemies`);
+    return written;
+};
@@ -0,0 +1,455 @@
+/**
+ * Kill-Cam Module - Replays the last seconds of a run behind the game over screen
+ *
+ * Every other simulation step the game loop hands the world to
+ * captureKillCamSnapshot: the player's position and facing, each enemy (with
+ * an id that stays the same for as long as it lives) and every bullet, arrow
+ * and grenade. Only the last KILLCAM_SETTINGS.seconds are kept.
+ *
+ * At game over startKillCam plays those snapshots back in the game scene: the
+ * live enemies and bullets are taken out, stand-ins built by the enemy factory
+ * (so they look the same, instanced or not) and small spheres for the
+ * projectiles take their places, and the camera slowly circles the player,
+ * closing in as the end comes and dropping into slow motion for the final
+ * blows. The clip loops until the next run. recordKillCamClip plays it once
+ * more from the start while a MediaRecorder captures the canvas, which gives
+ * a WebM file to share.
+ *
+ * Example usage:
+ *   import { initKillCam, captureKillCamSnapshot, startKillCam, saveKillCamClip } from './rendering/killCam.js';
+ *
+ *   initKillCam({ scene, camera, renderer, player });  // Once, in main.js
+ *   captureKillCamSnapshot(gameState, player);          // Every simulation step
+ *   startKillCam(gameState);                            // Game over
+ *   await saveKillCamClip();                            // Downloads the clip as .webm
+ */
+
+import * as THREE from 'three';
+import { createEnemy } from '../enemies/enemyFactory.js';
+import { updateInstancedEnemies } from './instancedEnemies.js';
+import { getSimTime, getSimTick } from '../utils/simClock.js';
+import { logger } from '../utils/logger.js';
+
+// Add 'killcam' to logger sections if not already included
+logger.addSection('killcam');
+
+// Kill-cam settings
+export const KILLCAM_SETTINGS = {
+    seconds: 10,             // How much of the end of the run is kept
+    captureEvery: 2,         // Simulation steps between snapshots (2 = 30 a second)
+    slowMotionSeconds: 2,    // The last part of the clip plays in slow motion...
+    slowMotionScale: 0.35,   // ...at this speed
+    endHold: 1.5,            // Seconds on the final frame before the clip starts over
+    orbitSpeed: 0.3,         // Radians a second the camera circles the player
+    orbitRadius: [14, 6],    // Camera distance from the player at the start and the end
+    orbitHeight: [10, 3.5],  // Camera height at the start and the end
+    clipFrameRate: 30        // Frame rate of the exported WebM
+};
+
+// Formats tried for the exported clip, best first
+const CLIP_MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+// Recent snapshots, oldest first
+let snapshots = [];
+
+// Ids for enemies, so a stand-in follows the same enemy from snapshot to snapshot
+const enemyIds = new WeakMap();
+let nextEnemyId = 1;
+
+// What the kill-cam draws with (set by initKillCam) and the clip being played
+let view = null;
+let playing = null;
+
+// Shared by the projectile stand-ins
+const projectileGeometry = new THREE.SphereGeometry(0.12, 8, 8);
+
+/**
+ * Gets (or hands out) an enemy's id
+ * @param {THREE.Object3D} mesh - The enemy
+ * @returns {number} Id
+ */
+const getEnemyId = (mesh) => {
+    if (!enemyIds.has(mesh)) enemyIds.set(mesh, nextEnemyId++);
+    return enemyIds.get(mesh);
+};
+
+/**
+ * Records where everything is
+ * Call at the end of every simulation step; only every captureEvery-th step is
+ * kept, plus the step the run ended on.
+ * @param {Object} gameState - The game state
+ * @param {THREE.Object3D} player - The player
+ */
+export const captureKillCamSnapshot = (gameState, player) => {
+    if (getSimTick() % KILLCAM_SETTINGS.captureEvery !== 0 && !gameState.gameOver) return;
+
+    const t = getSimTime();
+    snapshots.push({
+        t,
+        player: [player.position.x, player.position.z, player.rotation.y],
+        enemies: gameState.zombies
+            .filter(zombie => zombie.mesh)
+            .map(zombie => [
+                getEnemyId(zombie.mesh),
+                zombie.type,
+                zombie.mesh.position.x,
+                zombie.mesh.position.z,
+                zombie.mesh.rotation.y
+            ]),
+        projectiles: gameState.bullets
+            .filter(bullet => bullet.mesh)
+            .map(bullet => [
+                bullet.mesh.position.x,
+                bullet.mesh.position.y,
+                bullet.mesh.position.z,
+                bullet.mesh.material && bullet.mesh.material.color ? bullet.mesh.material.color.getHex() : 0xffff00
+            ])
+    });
+
+    // Drop what has fallen out of the window
+    const oldest = t - KILLCAM_SETTINGS.seconds * 1000;
+    while (snapshots.length > 0 && snapshots[0].t < oldest) {
+        snapshots.shift();
+    }
+};
+
+/**
+ * Forgets the snapshots (new run)
+ */
+export const clearKillCamSnapshots = () => {
+    snapshots = [];
+};
+
+/**
+ * Gets the snapshots the kill-cam would play
+ * @returns {Object} { snapshots, duration } - duration in ms of simulation time
+ */
+export const getKillCamClip = () => ({
+    snapshots: snapshots.slice(),
+    duration: snapshots.length > 1 ? snapshots[snapshots.length - 1].t - snapshots[0].t : 0
+});
+
+/**
+ * How long a clip takes to play, with its slow-motion ending
+ * @param {number} duration - Clip length in ms of simulation time
+ * @returns {number} Seconds of real time
+ */
+export const getClipPlayLength = (duration) => {
+    const slow = Math.min(duration, KILLCAM_SETTINGS.slowMotionSeconds * 1000);
+    return (duration - slow) / 1000 + slow / 1000 / KILLCAM_SETTINGS.slowMotionScale;
+};
+
+/**
+ * Maps real time since the clip started to a point in the clip
+ * @param {number} elapsed - Seconds since the clip started
+ * @param {number} duration - Clip length in ms of simulation time
+ * @returns {number} ms into the clip
+ */
+export const getClipTime = (elapsed, duration) => {
+    const slow = Math.min(duration, KILLCAM_SETTINGS.slowMotionSeconds * 1000);
+    const normalPart = (duration - slow) / 1000;
+    if (elapsed <= normalPart) return elapsed * 1000;
+    const slowElapsed = (elapsed - normalPart) * KILLCAM_SETTINGS.slowMotionScale;
+    return Math.min(duration, (normalPart + slowElapsed) * 1000);
+};
+
+/**
+ * Where the orbiting camera is
+ * @param {number} elapsed - Seconds since the clip started
+ * @param {number} progress - How far through the clip (0-1)
+ * @param {Object} target - The player's position {x, z}
+ * @returns {Object} Camera position {x, y, z}
+ */
+export const getOrbitPosition = (elapsed, progress, target) => {
+    const [startRadius, endRadius] = KILLCAM_SETTINGS.orbitRadius;
+    const [startHeight, endHeight] = KILLCAM_SETTINGS.orbitHeight;
+    const radius = startRadius + (endRadius - startRadius) * progress;
+    const angle = elapsed * KILLCAM_SETTINGS.orbitSpeed; // 0 = behind the player, where the game camera sits
+    return {
+        x: target.x + Math.sin(angle) * radius,
+        y: startHeight + (endHeight - startHeight) * progress,
+        z: target.z + Math.cos(angle) * radius
+    };
+};
+
+/**
+ * Tells the kill-cam what to draw with
+ * @param {Object} options - The game's view
+ * @param {THREE.Scene} options.scene - The game scene
+ * @param {THREE.Camera} options.camera - The game camera
+ * @param {THREE.WebGLRenderer} options.renderer - The renderer (its canvas is recorded)
+ * @param {THREE.Object3D} options.player - The player
+ */
+export const initKillCam = ({ scene, camera, renderer, player }) => {
+    view = { scene, camera, renderer, player };
+};
+
+/**
+ * Gets the stand-in for an enemy, building it the first time
+ * @param {number} id - Enemy id
+ * @param {string} type - Enemy type
+ * @returns {THREE.Object3D|null} Stand-in, or null for an unknown type
+ */
+const getStandIn = (id, type) => {
+    if (!playing.standIns.has(id)) {
+        playing.standIns.set(id, createEnemy(type, { x: 0, z: 0 }, 0));
+    }
+    return playing.standIns.get(id);
+};
+
+/**
+ * Puts everything where it was in one snapshot
+ * @param {Object} snapshot - Snapshot
+ */
+const showSnapshot = (snapshot) => {
+    const { scene, player } = view;
+
+    [player.position.x, player.position.z, player.rotation.y] = snapshot.player;
+
+    // Enemies: stand-ins are only in the scene while their enemy is alive
+    const present = new Set();
+    for (const [id, type, x, z, rotation] of snapshot.enemies) {
+        const standIn = getStandIn(id, type);
+        if (!standIn) continue;
+        standIn.position.x = x;
+        standIn.position.z = z;
+        standIn.rotation.y = rotation;
+        if (standIn.parent !== scene) scene.add(standIn);
+        present.add(id);
+    }
+    for (const [id, standIn] of playing.standIns) {
+        if (standIn && !present.has(id) && standIn.parent === scene) scene.remove(standIn);
+    }
+
+    // Projectiles from a pool of spheres
+    snapshot.projectiles.forEach(([x, y, z, color], index) => {
+        if (index >= playing.projectiles.length) {
+            const mesh = new THREE.Mesh(projectileGeometry, new THREE.MeshBasicMaterial());
+            scene.add(mesh);
+            playing.projectiles.push(mesh);
+        }
+        const mesh = playing.projectiles[index];
+        mesh.position.set(x, y, z);
+        mesh.material.color.setHex(color);
+        mesh.visible = true;
+    });
+    for (let i = snapshot.projectiles.length; i < playing.projectiles.length; i++) {
+        playing.projectiles[i].visible = false;
+    }
+};
+
+/**
+ * Plays the clip from the start
+ */
+const restartClip = () => {
+    playing.startedAt = performance.now();
+    playing.index = 0;
+};
+
+/**
+ * Moves the kill-cam on by one rendered frame
+ * The game loop keeps rendering the scene after game over; this only moves things.
+ * @param {number} now - Frame time from requestAnimationFrame (ms)
+ */
+const updateKillCam = (now) => {
+    if (!playing) return;
+    playing.frame = requestAnimationFrame(updateKillCam);
+
+    const { clip } = playing;
+    const playLength = getClipPlayLength(clip.duration);
+    let elapsed = (now - playing.startedAt) / 1000;
+    if (elapsed > playLength + KILLCAM_SETTINGS.endHold) {
+        if (playing.onClipEnd) playing.onClipEnd();
+        restartClip();
+        elapsed = 0;
+    }
+
+    // Latest snapshot at or before this point in the clip
+    const clipTime = clip.snapshots[0].t + getClipTime(Math.max(0, elapsed), clip.duration);
+    while (playing.index + 1 < clip.snapshots.length && clip.snapshots[playing.index + 1].t <= clipTime) {
+        playing.index++;
+    }
+    const snapshot = clip.snapshots[playing.index];
+    showSnapshot(snapshot);
+
+    const [x, z] = snapshot.player;
+    const progress = Math.min(1, elapsed / playLength);
+    const position = getOrbitPosition(Math.min(elapsed, playLength), progress, { x, z });
+    view.camera.position.set(position.x, position.y, position.z);
+    view.camera.lookAt(x, 1, z);
+
+    updateInstancedEnemies(view.scene);
+};
+
+/**
+ * Starts looping the end of the run (game over)
+ * @param {Object} gameState - The game state (its live enemies and bullets are hidden meanwhile)
+ * @returns {boolean} True if there was a clip to play
+ */
+export const startKillCam = (gameState) => {
+    const clip = getKillCamClip();
+    if (!view || !gameState.gameOver || clip.duration <= 0) return false;
+    stopKillCam();
+
+    const { scene, camera, player } = view;
+
+    // Take the live enemies out of the scene and hide the live bullets
+    const hiddenEnemies = gameState.zombies
+        .map(zombie => zombie.mesh)
+        .filter(mesh => mesh && mesh.parent === scene);
+    hiddenEnemies.forEach(mesh => scene.remove(mesh));
+    const hiddenBullets = gameState.bullets
+        .map(bullet => bullet.mesh)
+        .filter(mesh => mesh && mesh.visible);
+    hiddenBullets.forEach((mesh) => { mesh.visible = false; });
+
+    // Small label so the moving scene isn't mistaken for the game going on
+    const label = document.createElement('div');
+    label.textContent = 'KILL-CAM';
+    Object.assign(label.style, {
+        position: 'absolute',
+        top: '20px',
+        left: '50%',
+        transform: 'translateX(-50%)',
+        color: 'white',
+        fontFamily: 'Arial, sans-serif',
+        fontSize: '20px',
+        fontWeight: 'bold',
+        letterSpacing: '4px',
+        textShadow: '2px 2px 4px #000000',
+        pointerEvents: 'none'
+    });
+    document.body.appendChild(label);
+
+    playing = {
+        clip,
+        standIns: new Map(),
+        projectiles: [],
+        hiddenEnemies,
+        hiddenBullets,
+        label,
+        // Put back when the kill-cam stops
+        playerPose: [player.position.x, player.position.z, player.rotation.y],
+        cameraPosition: camera.position.clone(),
+        cameraQuaternion: camera.quaternion.clone(),
+        onClipEnd: null,
+        recording: null,
+        startedAt: 0,
+        index: 0,
+        frame: 0
+    };
+    restartClip();
+    playing.frame = requestAnimationFrame(updateKillCam);
+
+    logger.info('killcam', `Kill-cam playing ${clip.snapshots.length} snapshots (${(clip.duration / 1000).toFixed(1)}s)`);
+    return true;
+};
+
+/**
+ * Stops the kill-cam and puts the scene back as the run left it
+ */
+export const stopKillCam = () => {
+    if (!playing) return;
+    const { scene, camera, player } = view;
+    const stopped = playing;
+    playing = null;
+    cancelAnimationFrame(stopped.frame);
+
+    if (stopped.recording) {
+        stopped.recording.cancelled = true;
+        stopped.recording.recorder.stop();
+    }
+
+    for (const standIn of stopped.standIns.values()) {
+        if (!standIn) continue;
+        scene.remove(standIn);
+        // Instanced stand-ins have no meshes of their own; the others built theirs
+        standIn.traverse((node) => {
+            if (node.geometry) node.geometry.dispose();
+        });
+    }
+    stopped.projectiles.forEach((mesh) => {
+        scene.remove(mesh);
+        mesh.material.dispose();
+    });
+
+    stopped.hiddenEnemies.forEach(mesh => scene.add(mesh));
+    stopped.hiddenBullets.forEach((mesh) => { mesh.visible = true; });
+    [player.position.x, player.position.z, player.rotation.y] = stopped.playerPose;
+    camera.position.copy(stopped.cameraPosition);
+    camera.quaternion.copy(stopped.cameraQuaternion);
+    stopped.label.remove();
+
+    logger.debug('killcam', 'Kill-cam stopped');
+};
+
+/**
+ * Whether this browser can record the clip
+ * @returns {boolean} True if MediaRecorder can make a WebM from the canvas
+ */
+export const canRecordKillCam = () => typeof MediaRecorder !== 'undefined' &&
+    view !== null && typeof view.renderer.domElement.captureStream === 'function' &&
+    CLIP_MIME_TYPES.some(type => MediaRecorder.isTypeSupported(type));
+
+/**
+ * Plays the clip once from the start and records it
+ * @returns {Promise<Blob>} The WebM video; rejects if it can't be recorded or the kill-cam stops first
+ */
+export const recordKillCamClip = () => new Promise((resolve, reject) => {
+    if (!playing) {
+        reject(new Error('The kill-cam is not playing'));
+        return;
+    }
+    if (playing.recording) {
+        reject(new Error('The clip is already being recorded'));
+        return;
+    }
+    if (!canRecordKillCam()) {
+        reject(new Error('This browser cannot record video'));
+        return;
+    }
+
+    const mimeType = CLIP_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+    const stream = view.renderer.domElement.captureStream(KILLCAM_SETTINGS.clipFrameRate);
+    const recorder = new MediaRecorder(stream, { mimeType });
+    const recording = { recorder, cancelled: false };
+    const chunks = [];
+
+    recorder.addEventListener('dataavailable', (event) => {
+        if (event.data.size > 0) chunks.push(event.data);
+    });
+    recorder.addEventListener('stop', () => {
+        stream.getTracks().forEach(track => track.stop());
+        if (recording.cancelled) {
+            reject(new Error('The kill-cam stopped before the clip was recorded'));
+        } else {
+            logger.info('killcam', `Recorded kill-cam clip (${chunks.length} chunks)`);
+            resolve(new Blob(chunks, { type: 'video/webm' }));
+        }
+    });
+
+    // One pass of the clip, then stop
+    const clipOwner = playing;
+    clipOwner.recording = recording;
+    clipOwner.onClipEnd = () => {
+        clipOwner.onClipEnd = null;
+        clipOwner.recording = null;
+        recorder.stop();
+    };
+    restartClip();
+    recorder.start();
+});
+
+/**
+ * Records the clip and downloads it
+ * @returns {Promise<void>} Resolves once the file has been handed to the browser
+ */
+export const saveKillCamClip = async () => {
+    const blob = await recordKillCamClip();
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `zombie-death-${new Date().toISOString().slice(0, 10)}.webm`;
+    link.click();
+    URL.revokeObjectURL(url);
+};
@@ -4,6 +4,7 @@
 
 import * as THREE from 'three';
 import { createBuilding, createRock, createTexturedGround, createDeadTree } from './environment.js';
+import { getRandom, createTileRandom } from '../utils/random.js';
 
 const CHUNK_SIZE = 50; // Size of each terrain chunk
 const VIEW_DISTANCE = 3; // Chunks visible in each direction
@@ -45,12 +46,13 @@ export class World {
         ground.position.set(chunkX * CHUNK_SIZE, 0, chunkZ * CHUNK_SIZE);
         chunk.add(ground);
 
-        // Add random obstacles
+        // Add random obstacles (seeded per chunk so revisits look the same)
+        const chunkRandom = createTileRandom('chunk', chunkX, chunkZ);
         for (let i = 0; i < 5; i++) {
-            const x = chunkX * CHUNK_SIZE + (Math.random() - 0.5) * CHUNK_SIZE;
-            const z = chunkZ * CHUNK_SIZE + (Math.random() - 0.5) * CHUNK_SIZE;
-            const rand = Math.random();
-            if (rand < 0.3) chunk.add(createRock({ x, z }, Math.random() + 0.5));
+            const x = chunkX * CHUNK_SIZE + (chunkRandom() - 0.5) * CHUNK_SIZE;
+            const z = chunkZ * CHUNK_SIZE + (chunkRandom() - 0.5) * CHUNK_SIZE;
+            const rand = chunkRandom();
+            if (rand < 0.3) chunk.add(createRock({ x, z }, chunkRandom() + 0.5));
             else if (rand < 0.6) chunk.add(createDeadTree({ x, z }));
             else chunk.add(createBuilding({ x, z }, 4, 6, 4));
         }
@@ -96,8 +98,9 @@ export class World {
         let spawnPos = { x: 0, z: 0 };
         if (existingPlayers.length > 0) {
             const nearest = existingPlayers[0];
-            spawnPos.x = nearest.position.x + (Math.random() > 0.5 ? SPAWN_DISTANCE : -SPAWN_DISTANCE);
-            spawnPos.z = nearest.position.z + (Math.random() - 0.5) * 10;
+            const spawnRandom = getRandom('spawn');
+            spawnPos.x = nearest.position.x + (spawnRandom() > 0.5 ? SPAWN_DISTANCE : -SPAWN_DISTANCE);
+            spawnPos.z = nearest.position.z + (spawnRandom() - 0.5) * 10;
         }
 
         const playerMesh = new THREE.Mesh(
@@ -137,7 +140,7 @@ export class World {
         }), { x: 0, z: 0 });
 
         const spawnZ = avgPos.z + 50; // Spawn ahead of players
-        const spawnX = avgPos.x + (Math.random() - 0.5) * CHUNK_SIZE;
+        const spawnX = avgPos.x + (getRandom('spawn')() - 0.5) * CHUNK_SIZE;
         const zombie = createbaseZombie({ x: spawnX, z: spawnZ });
         this.zombies.push(zombie);
         this.scene.add(zombie);
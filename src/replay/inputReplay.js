@@ -0,0 +1,330 @@
+/**
+ * Input Replay Module - Records a run's inputs and plays them back exactly
+ *
+ * Gameplay randomness is seeded (utils/random.js) and time only moves in fixed
+ * simulation steps (utils/simClock.js), so a run is fully described by its
+ * seed plus the input of every step. The game loop calls applyReplayInput
+ * before the player moves and recordReplayInput after the player has aimed:
+ * while recording, the held keys, the trigger, both joystick vectors, the
+ * resulting aim, the gun in hand and the perks taken (and rerolled) are compared with the previous step and
+ * only changes are stored. The aim is stored as the angle the player ended up facing rather
+ * than the mouse position, because the mouse ray depends on the camera, which
+ * follows the interpolated (frame-rate dependent) player.
+ *
+ * A replay is started on a freshly restarted run with the recorded seed. Each
+ * step then takes its input from the replay instead of the keyboard, mouse
+ * and joysticks, and reproduces the recorded run tick for tick. seekReplay
+ * jumps to any tick by restarting and stepping forward without rendering.
+ *
+ * Example usage:
+ *   import { startRecording, finishRecording, startPlayback, seekReplay } from './replay/inputReplay.js';
+ *
+ *   startRecording();                      // Run start (restartGame does this)
+ *   const replay = finishRecording(gameState); // Game over
+ *   downloadReplay(replay);
+ *
+ *   restartGame({ scene, player, seed: replay.seed });
+ *   startPlayback(replay, gameState);
+ *   seekReplay(600, { restart, step });    // Jump to 10 s in
+ */
+
+import { getSeed } from '../utils/random.js';
+import { choosePerk, rerollPerkChoice } from '../gameplay/perks.js';
+import { logger } from '../utils/logger.js';
+
+// Add 'replay' to logger sections if not already included
+logger.addSection('replay');
+
+// Marks replay files so any other JSON is rejected on load
+const REPLAY_FORMAT = 'zombie-replay';
+const REPLAY_VERSION = 1;
+
+// The run being recorded and the replay being played (at most one of each)
+let recording = null;
+let playback = null;
+
+/**
+ * Reads the current input from the game state
+ * @param {Object} gameState - The game state
+ * @param {THREE.Object3D} player - The player (for the aim)
+ * @returns {Object} { keys, mouseDown, left, right, aim, weapon, perks }
+ */
+const readInput = (gameState, player) => {
+    const controls = gameState.controls || {};
+    const left = controls.leftJoystickData;
+    const right = controls.rightJoystickData;
+    return {
+        keys: Object.keys(gameState.keys).filter(key => gameState.keys[key]).sort(),
+        mouseDown: Boolean(gameState.mouseDown),
+        left: left ? [left.x, left.y] : [0, 0],
+        right: right ? [right.x, right.y] : [0, 0],
+        aim: player.rotation.y,
+        weapon: gameState.player.weapon,
+        perks: gameState.player.perkActions.slice() // Old replays only list perks, which is the same without rerolls
+    };
+};
+
+/**
+ * Compares two input fields
+ * @param {*} a - A value (array or primitive)
+ * @param {*} b - Another value
+ * @returns {boolean} True if equal
+ */
+const sameValue = (a, b) => Array.isArray(a)
+    ? a.length === b.length && a.every((value, index) => value === b[index])
+    : a === b;
+
+/**
+ * Starts recording a new run (any earlier recording is dropped)
+ * The starting state is taken on the run's first step.
+ */
+export const startRecording = () => {
+    if (playback) return; // Playing a replay back, not a new run
+    recording = {
+        format: REPLAY_FORMAT,
+        version: REPLAY_VERSION,
+        seed: getSeed(),
+        createdAt: new Date().toISOString(),
+        ticks: 0,
+        start: null,
+        frames: [],
+        result: null, // Set by finishRecording
+        last: null    // Input of the previous step (dropped from the saved replay)
+    };
+    logger.debug('replay', `Recording run with seed ${recording.seed}`);
+};
+
+/**
+ * Whether a run is being recorded
+ * @returns {boolean} True while recording
+ */
+export const isRecording = () => recording !== null;
+
+/**
+ * Whether a replay is playing
+ * @returns {boolean} True during playback
+ */
+export const isReplayPlaying = () => playback !== null;
+
+/**
+ * Feeds the replay's input into the game state for this step
+ * Call at the start of every simulation step, before the player moves.
+ * @param {Object} gameState - The game state
+ * @param {THREE.Object3D} player - The player
+ * @returns {number|null} The aim to use this step, or null when no replay is playing (aim with the mouse)
+ */
+export const applyReplayInput = (gameState, player) => {
+    if (recording && recording.ticks === 0 && !recording.start) {
+        const controls = gameState.controls || {};
+        recording.start = {
+            x: player.position.x,
+            z: player.position.z,
+            rotation: player.rotation.y,
+            health: gameState.player.health,
+            score: gameState.score,
+            touch: Boolean(controls.isMobileDevice || controls.isTouchDevice),
+            loadout: gameState.player.loadout // Not applied until after this (see gameplay/loadout.js)
+        };
+    }
+
+    if (!playback) return null;
+    const { replay, input } = playback;
+
+    if (playback.tick === 0) {
+        // Same starting state as the recorded run
+        player.position.x = replay.start.x;
+        player.position.z = replay.start.z;
+        player.rotation.y = replay.start.rotation;
+        gameState.player.health = replay.start.health;
+        gameState.score = replay.start.score;
+        gameState.player.loadout = replay.start.loadout ?? null; // The shop may hold something else by now
+    }
+
+    // Apply this tick's changes
+    while (playback.frameIndex < replay.frames.length && replay.frames[playback.frameIndex].t === playback.tick) {
+        const frame = replay.frames[playback.frameIndex];
+        for (const field of Object.keys(frame)) {
+            if (field !== 't') input[field] = frame[field];
+        }
+        playback.frameIndex++;
+    }
+
+    // Past the end the player lets go of everything
+    const ended = playback.tick >= replay.ticks;
+    gameState.keys = ended ? {} : Object.fromEntries(input.keys.map(key => [key, true]));
+    gameState.mouseDown = ended ? false : input.mouseDown;
+    if (input.weapon) {
+        gameState.player.weapon = input.weapon; // Replays from before weapon switching never change gun
+    }
+    // Perks picked (and rerolls used) while the game was paused for a level-up
+    const perkActions = input.perks || [];
+    while (gameState.player.perkChoice && gameState.player.perkActions.length < perkActions.length) {
+        const action = perkActions[gameState.player.perkActions.length];
+        if (action === 'reroll') {
+            rerollPerkChoice(gameState);
+        } else {
+            choosePerk(gameState, action);
+        }
+    }
+    gameState.controls = {
+        leftJoystickData: { x: ended ? 0 : input.left[0], y: ended ? 0 : input.left[1] },
+        rightJoystickData: { x: ended ? 0 : input.right[0], y: ended ? 0 : input.right[1] },
+        isMobileDevice: false,
+        isTouchDevice: replay.start.touch
+    };
+
+    playback.tick++;
+    return input.aim;
+};
+
+/**
+ * Records this step's input
+ * Call every simulation step, after the player has moved and aimed.
+ * @param {Object} gameState - The game state
+ * @param {THREE.Object3D} player - The player
+ */
+export const recordReplayInput = (gameState, player) => {
+    if (!recording || recording.result || playback) return;
+
+    const input = readInput(gameState, player);
+    const changes = {};
+    for (const field of Object.keys(input)) {
+        if (!recording.last || !sameValue(input[field], recording.last[field])) {
+            changes[field] = input[field];
+        }
+    }
+    if (Object.keys(changes).length > 0) {
+        recording.frames.push({ t: recording.ticks, ...changes });
+    }
+
+    recording.last = input;
+    recording.ticks++;
+};
+
+/**
+ * Gets the current run's replay - so far, or the whole run once it has finished
+ * @returns {Object|null} Replay, or null if nothing has been recorded
+ */
+export const getRecordedReplay = () => {
+    if (!recording || !recording.start) return null;
+    const { format, version, seed, createdAt, ticks, start, frames, result } = recording;
+    return { format, version, seed, createdAt, ticks, start, frames: frames.slice(), result };
+};
+
+/**
+ * Stops recording at game over
+ * The replay stays available from getRecordedReplay until the next run starts.
+ * @param {Object} gameState - The game state
+ * @returns {Object|null} The finished replay, or null if nothing was recorded
+ */
+export const finishRecording = (gameState) => {
+    if (!recording || recording.result) return getRecordedReplay();
+    // What the run ended with, shown when it is played back
+    recording.result = {
+        score: gameState.score,
+        kills: gameState.stats.zombiesKilled,
+        wave: gameState.wave ? gameState.wave.number : 0
+    };
+    const replay = getRecordedReplay();
+    if (replay) {
+        logger.info('replay', `Recorded ${replay.ticks} ticks in ${replay.frames.length} input changes`);
+    }
+    return replay;
+};
+
+/**
+ * Turns a replay into JSON for a file
+ * @param {Object} replay - Replay
+ * @returns {string} JSON text
+ */
+export const serializeReplay = (replay) => JSON.stringify(replay);
+
+/**
+ * Reads a replay file
+ * @param {string} json - Text from serializeReplay
+ * @returns {Object} Replay
+ */
+export const parseReplay = (json) => {
+    let replay;
+    try {
+        replay = JSON.parse(json);
+    } catch (error) {
+        throw new Error(`Replay could not be loaded: not valid JSON (${error.message})`);
+    }
+
+    if (!replay || replay.format !== REPLAY_FORMAT) {
+        throw new Error('Replay could not be loaded: not a replay file');
+    }
+    if (replay.version !== REPLAY_VERSION) {
+        throw new Error(`Replay could not be loaded: version ${replay.version} (this game plays version ${REPLAY_VERSION})`);
+    }
+    if (!Number.isInteger(replay.ticks) || !replay.start || !Array.isArray(replay.frames)) {
+        throw new Error('Replay could not be loaded: missing ticks, start or frames');
+    }
+    return replay;
+};
+
+/**
+ * Starts playing a replay from its first tick
+ * The run has to have just been (re)started with the replay's seed.
+ * @param {Object} replay - Replay to play
+ * @param {Object} gameState - The game state (its joystick controls are handed back by stopPlayback)
+ */
+export const startPlayback = (replay, gameState) => {
+    recording = null;
+    playback = {
+        replay,
+        tick: 0,
+        frameIndex: 0,
+        liveControls: gameState.controls,
+        // Nothing held until the first frame says otherwise
+        input: { keys: [], mouseDown: false, left: [0, 0], right: [0, 0], aim: replay.start.rotation }
+    };
+    logger.info('replay', `Playing replay (seed ${replay.seed}, ${replay.ticks} ticks)`);
+};
+
+/**
+ * Stops playing the replay and hands the controls back to the player
+ * @param {Object} gameState - The game state
+ */
+export const stopPlayback = (gameState) => {
+    if (!playback) return;
+    gameState.controls = playback.liveControls;
+    gameState.keys = {};
+    gameState.mouseDown = false;
+    playback = null;
+    logger.info('replay', 'Replay stopped');
+};
+
+/**
+ * Gets where the replay is
+ * @returns {Object|null} { tick, ticks, replay }, or null without a replay
+ */
+export const getPlaybackPosition = () => playback
+    ? { tick: playback.tick, ticks: playback.replay.ticks, replay: playback.replay }
+    : null;
+
+/**
+ * Jumps the replay to a tick
+ * Going back restarts the run; the steps are run without rendering, so long jumps take a moment.
+ * @param {number} targetTick - Tick to go to
+ * @param {Object} hooks - Hooks into the game
+ * @param {Function} hooks.restart - Restarts the run with a seed: (seed) => void
+ * @param {Function} hooks.step - Runs one simulation step: () => void
+ * @param {Function} [hooks.isOver] - Whether the run has ended: () => boolean
+ * @returns {number} The tick the replay is at
+ */
+export const seekReplay = (targetTick, { restart, step, isOver = () => false }) => {
+    if (!playback) return 0;
+    const { replay } = playback;
+
+    if (targetTick < playback.tick) {
+        restart(replay.seed); // Stops the playback along with the old run
+        startPlayback(replay, globalThis.gameState);
+    }
+
+    while (playback && playback.tick < targetTick && !isOver()) {
+        step();
+    }
+    return playback ? playback.tick : 0;
+};
@@ -34,6 +34,12 @@ export function createControlsMenu() {
         <div style="margin-top: 10px;">WASD: Move (slower when moving south)</div>
         <div>Mouse: Aim weapon</div>
         <div>Hold Left Mouse Button: Continuous fire</div>
+        <div>1-5 / Mouse Wheel: Switch weapon</div>
+        <div>R: Reload</div>
+        <div>Shift: Dash (can't be hurt for a moment)</div>
+        <div>G: Grenade (hold to aim, let go to throw)</div>
+        <div>F: Place a mine</div>
+        <div>Esc / P: Pause</div>
     `;
     
     // Apply styling
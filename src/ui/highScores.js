@@ -0,0 +1,323 @@
+/**
+ * High Scores Module - High-score tables and the run history view
+ *
+ * Draws what utils/runHistory.js has recorded: a table of a player's best
+ * runs (for the game over and startup screens) and a full-screen history view
+ * with a chart of every run's score in the order they were played, the best
+ * score so far as a second line, and buttons to export the history to a JSON
+ * file or import one.
+ *
+ * Example usage:
+ *   import { createHighScoreTable, openRunHistory } from './ui/highScores.js';
+ *
+ *   const table = createHighScoreTable('Ash', { highlight: lastRun });
+ *   gameOverDiv.appendChild(table);
+ *   openRunHistory('Ash');
+ */
+
+import { getTopRuns, getRunHistory, exportRuns, importRuns, RUN_HISTORY_SETTINGS } from '../utils/runHistory.js';
+import { logger } from '../utils/logger.js';
+
+// Add 'history' to logger sections if not already included
+logger.addSection('history');
+
+// The open history view, if any
+let historyElement = null;
+
+/**
+ * Formats a run's time survived as "3m 05s"
+ * @param {number} timeMs - Time survived (ms)
+ * @returns {string} Formatted time
+ */
+const formatTime = (timeMs) => {
+    const totalSeconds = Math.floor(timeMs / 1000);
+    const seconds = totalSeconds % 60;
+    return `${Math.floor(totalSeconds / 60)}m ${seconds.toString().padStart(2, '0')}s`;
+};
+
+/**
+ * Makes a table cell
+ * @param {string} tag - 'td' or 'th'
+ * @param {string|number} text - Cell text (set as text, so names can't inject markup)
+ * @returns {HTMLElement} The cell
+ */
+const createCell = (tag, text) => {
+    const cell = document.createElement(tag);
+    cell.textContent = text;
+    cell.style.padding = '2px 8px';
+    return cell;
+};
+
+/**
+ * Fills a table with a player's best runs
+ * @param {HTMLTableElement} table - Table to (re)fill
+ * @param {string} name - Player name (empty = the best runs of anyone)
+ * @param {Object} [options] - Options
+ * @param {Object} [options.highlight] - A run to highlight (the one just played)
+ * @param {number} [options.count] - Rows to show
+ */
+export const fillHighScoreTable = (table, name, { highlight = null, count = RUN_HISTORY_SETTINGS.topCount } = {}) => {
+    table.replaceChildren();
+    const runs = getTopRuns(name, count);
+
+    if (runs.length === 0) {
+        const row = table.insertRow();
+        const cell = createCell('td', name ? `No runs yet for ${name}` : 'No runs yet');
+        cell.colSpan = 6;
+        row.appendChild(cell);
+        return;
+    }
+
+    const header = table.insertRow();
+    ['#', 'Score', 'Wave', 'Time', 'Killed by', 'Date'].forEach(heading => header.appendChild(createCell('th', heading)));
+
+    runs.forEach((run, index) => {
+        const row = table.insertRow();
+        [
+            index + 1,
+            run.score,
+            run.wave || '-',
+            formatTime(run.timeMs),
+            run.cause,
+            new Date(run.date).toLocaleDateString()
+        ].forEach(value => row.appendChild(createCell('td', value)));
+
+        // Seed in the tooltip, so a good run can be replayed with ?seed=
+        row.title = run.seed ? `Seed: ${run.seed}` : '';
+        if (highlight && run.date === highlight.date && run.score === highlight.score) {
+            row.style.color = '#ffdd44';
+            row.style.fontWeight = 'bold';
+        }
+    });
+};
+
+/**
+ * Creates a high-score table for a player
+ * @param {string} name - Player name
+ * @param {Object} [options] - Options for fillHighScoreTable
+ * @returns {HTMLTableElement} The table
+ */
+export const createHighScoreTable = (name, options = {}) => {
+    const table = document.createElement('table');
+    Object.assign(table.style, {
+        margin: '10px auto',
+        color: 'white',
+        fontSize: '14px',
+        fontWeight: 'normal',
+        textShadow: 'none',
+        borderCollapse: 'collapse'
+    });
+    fillHighScoreTable(table, name, options);
+    return table;
+};
+
+/**
+ * Describes the leaderboard server's answer to a submitted run
+ * @param {Object|null} result - From submitRun (null = no leaderboard)
+ * @returns {string} Text for the game over screen
+ */
+export const describeLeaderboardResult = (result) => {
+    if (!result) return 'Leaderboard offline - run saved on this device';
+    if (!result.ok) return `Leaderboard didn't accept this run: ${result.error}`;
+
+    const { all, daily, weekly } = result.ranks;
+    const parts = [['today', daily], ['this week', weekly], ['all time', all]]
+        .filter(([, placing]) => placing)
+        .map(([label, placing]) => `#${placing.rank} of ${placing.of} ${label}`);
+    return `Leaderboard: ${parts.join(' | ')}`;
+};
+
+/**
+ * Draws the score of each run and the best score so far
+ * @param {HTMLCanvasElement} canvas - Canvas to draw on
+ * @param {Array<Object>} runs - Runs, oldest first
+ */
+const drawHistoryChart = (canvas, runs) => {
+    const context = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const padding = 40;
+    context.clearRect(0, 0, width, height);
+
+    context.fillStyle = '#aaaaaa';
+    context.font = '12px Arial';
+    if (runs.length === 0) {
+        context.fillText('No runs recorded yet', padding, height / 2);
+        return;
+    }
+
+    const maxScore = Math.max(1, ...runs.map(run => run.score));
+    const x = (index) => padding + (runs.length === 1 ? 0 : index * (width - padding * 2) / (runs.length - 1));
+    const y = (score) => height - padding - score * (height - padding * 2) / maxScore;
+
+    // Axes and labels
+    context.strokeStyle = '#666666';
+    context.beginPath();
+    context.moveTo(padding, padding);
+    context.lineTo(padding, height - padding);
+    context.lineTo(width - padding, height - padding);
+    context.stroke();
+    context.fillText(String(maxScore), 4, padding + 4);
+    context.fillText('0', 4, height - padding + 4);
+    context.fillText(`Run 1 - ${runs.length}`, width / 2 - 30, height - 12);
+
+    /**
+     * Draws a line through one value per run
+     * @param {Array<number>} values - Value per run
+     * @param {string} color - Line colour
+     */
+    const drawLine = (values, color) => {
+        context.strokeStyle = color;
+        context.fillStyle = color;
+        context.beginPath();
+        values.forEach((value, index) => {
+            if (index === 0) context.moveTo(x(index), y(value));
+            else context.lineTo(x(index), y(value));
+        });
+        context.stroke();
+        values.forEach((value, index) => context.fillRect(x(index) - 2, y(value) - 2, 4, 4));
+    };
+
+    let best = 0;
+    drawLine(runs.map(run => (best = Math.max(best, run.score))), '#ffdd44');
+    drawLine(runs.map(run => run.score), '#ff5050');
+
+    // Legend
+    context.fillStyle = '#ff5050';
+    context.fillText('Score', width - padding - 90, 16);
+    context.fillStyle = '#ffdd44';
+    context.fillText('Best', width - padding - 40, 16);
+};
+
+/**
+ * Makes one of the history view's buttons
+ * @param {string} label - Button text
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLButtonElement} The button
+ */
+const createHistoryButton = (label, onClick) => {
+    const button = document.createElement('button');
+    button.textContent = label;
+    Object.assign(button.style, {
+        margin: '0 6px',
+        padding: '8px 16px',
+        fontSize: '16px',
+        color: 'white',
+        backgroundColor: 'rgba(80, 80, 80, 0.9)',
+        border: 'none',
+        borderRadius: '5px',
+        cursor: 'pointer'
+    });
+    button.addEventListener('click', (event) => {
+        event.stopPropagation(); // Don't fire the gun
+        onClick();
+    });
+    return button;
+};
+
+/**
+ * Saves the whole run history to a JSON file
+ */
+const downloadRunHistory = () => {
+    const blob = new Blob([exportRuns()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `zombie-runs-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+/**
+ * Closes the run history view
+ */
+export const closeRunHistory = () => {
+    if (!historyElement) return;
+    historyElement.remove();
+    historyElement = null;
+};
+
+/**
+ * Opens the run history view for a player
+ * @param {string} [name] - Player name (empty = every player's runs)
+ */
+export const openRunHistory = (name) => {
+    closeRunHistory();
+
+    historyElement = document.createElement('div');
+    historyElement.id = 'run-history';
+    Object.assign(historyElement.style, {
+        position: 'absolute',
+        top: '0',
+        left: '0',
+        width: '100%',
+        height: '100%',
+        display: 'flex',
+        flexDirection: 'column',
+        alignItems: 'center',
+        justifyContent: 'center',
+        backgroundColor: 'rgba(0, 0, 0, 0.85)',
+        color: 'white',
+        fontFamily: 'Arial, sans-serif',
+        zIndex: '1100' // Over the game over and startup screens
+    });
+    // Keep clicks in the view away from the trigger and the screens underneath
+    historyElement.addEventListener('mousedown', (event) => event.stopPropagation());
+    historyElement.addEventListener('click', (event) => event.stopPropagation());
+
+    const title = document.createElement('h2');
+    historyElement.appendChild(title);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = 600;
+    canvas.height = 260;
+    canvas.style.maxWidth = '90%';
+    canvas.style.backgroundColor = 'rgba(30, 30, 30, 0.9)';
+    historyElement.appendChild(canvas);
+
+    const table = createHighScoreTable(name);
+    const status = document.createElement('div');
+    status.style.margin = '8px';
+    status.style.minHeight = '20px';
+
+    // Redraws everything (after an import)
+    const refresh = () => {
+        const runs = getRunHistory(name);
+        title.textContent = `${name || 'All players'} - ${runs.length} run${runs.length === 1 ? '' : 's'}`;
+        drawHistoryChart(canvas, runs);
+        fillHighScoreTable(table, name);
+    };
+
+    // Hidden file picker for imports
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = 'application/json,.json';
+    fileInput.style.display = 'none';
+    fileInput.addEventListener('change', async () => {
+        const [file] = fileInput.files;
+        if (!file) return;
+        try {
+            const added = importRuns(await file.text());
+            status.textContent = `Imported ${added} new run${added === 1 ? '' : 's'}`;
+            status.style.color = '#88ff88';
+            refresh();
+        } catch (error) {
+            logger.warn('history', error.message);
+            status.textContent = error.message;
+            status.style.color = '#ff8888';
+        }
+        fileInput.value = ''; // Same file can be picked again
+    });
+
+    const buttons = document.createElement('div');
+    buttons.appendChild(createHistoryButton('Export', downloadRunHistory));
+    buttons.appendChild(createHistoryButton('Import', () => fileInput.click()));
+    buttons.appendChild(createHistoryButton('Close', closeRunHistory));
+
+    historyElement.appendChild(table);
+    historyElement.appendChild(status);
+    historyElement.appendChild(buttons);
+    historyElement.appendChild(fileInput);
+    document.body.appendChild(historyElement);
+
+    refresh();
+};
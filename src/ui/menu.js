@@ -14,6 +14,9 @@
  * // Add a sub-menu from another module
  * import { createControlsMenu } from './ui/controlsMenu.js';
  * addSubMenu('controls', 'Controls', createControlsMenu());
+ * 
+ * // Find out when menus open and close (the pause menu pauses the game)
+ * onMenuVisibilityChange((anyOpen) => console.log(anyOpen ? 'menu open' : 'menus closed'));
  */
 
 // Store references to menu elements
@@ -25,6 +28,9 @@ const menuSystem = {
     isMenuOpen: false
 };
 
+// Callbacks told whether any menu is open after every change
+const visibilityListeners = [];
+
 /**
  * Initializes the menu system
  * @returns {HTMLElement} The main menu container
@@ -241,6 +247,37 @@ function updateMenuList() {
     });
     
     menuSystem.menuList.appendChild(ul);
+    
+    // Every visibility change ends up here, so this is where listeners hear about it
+    notifyVisibilityListeners();
+}
+
+/**
+ * Tells the visibility listeners whether any menu is open
+ */
+function notifyVisibilityListeners() {
+    const anyOpen = isAnyMenuOpen();
+    visibilityListeners.forEach(listener => listener(anyOpen));
+}
+
+/**
+ * Registers a callback for menus opening and closing
+ * @param {Function} listener - Called with true while the menu list or any sub-menu is open
+ */
+export function onMenuVisibilityChange(listener) {
+    visibilityListeners.push(listener);
+}
+
+/**
+ * Whether the menu list or any sub-menu is showing
+ * @returns {boolean} True if a menu is open
+ */
+export function isAnyMenuOpen() {
+    if (menuSystem.isMenuOpen) return true;
+    for (const subMenu of menuSystem.subMenus.values()) {
+        if (subMenu.visible) return true;
+    }
+    return false;
 }
 
 /**
@@ -326,6 +363,8 @@ function toggleMainMenu() {
         
         // Update menu list for next time it's opened
         updateMenuList();
+    } else {
+        notifyVisibilityListeners();
     }
 }
 
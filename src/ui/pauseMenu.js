@@ -0,0 +1,244 @@
+/**
+ * Pause Menu Module - Pauses the simulation and shows the pause overlay
+ *
+ * The game is paused while anything asks for it: the pause overlay (Esc or P),
+ * an open gear menu or settings panel, or the tab being hidden. Each of these
+ * is a pause reason, and the simulation clock (utils/simClock.js) stays paused
+ * until every reason is gone - so closing the sound settings doesn't resume a
+ * game that is also sitting on the pause overlay. While paused the game loop
+ * banks no time, so no steps run, no sim timers fire and the wave director's
+ * spawn clock doesn't move; the scene keeps rendering.
+ *
+ * The overlay offers Resume, Settings and Controls (the sub-menus registered
+ * with menu.js) and Quit, which ends the run on the game over screen. Other
+ * modules can add their own entries with addPauseMenuButton.
+ * Switching tabs or leaving the window opens the overlay, so the game waits
+ * for the player to come back and click Resume.
+ *
+ * Example usage:
+ *   import { initPauseMenu, togglePauseMenu, setPauseReason } from './ui/pauseMenu.js';
+ *
+ *   initPauseMenu();                    // After the sub-menus are added
+ *   togglePauseMenu();                  // Esc / P
+ *   setPauseReason('cutscene', true);   // Any other reason to hold the game
+ */
+
+import { gameState, handleGameOver } from '../gameState.js';
+import { setSimPaused } from '../utils/simClock.js';
+import { onMenuVisibilityChange, setSubMenuVisibility, getSubMenu } from './menu.js';
+import { logger } from '../utils/logger.js';
+
+// Add 'pause' to logger sections if not already included
+logger.addSection('pause');
+
+// Everything currently holding the game paused
+const pauseReasons = new Set();
+
+// The overlay element (created by initPauseMenu)
+let overlayElement = null;
+
+// Quit stays the last button; status shows what went wrong with an added button's action
+let quitButton = null;
+let statusElement = null;
+
+/**
+ * Adds or removes a reason for the game to be paused
+ * The simulation runs again once no reasons are left.
+ * @param {string} reason - What is pausing the game ('pauseMenu', 'menu', ...)
+ * @param {boolean} active - True to hold the game, false to let go
+ */
+export const setPauseReason = (reason, active) => {
+    const wasPaused = pauseReasons.size > 0;
+    if (active) {
+        pauseReasons.add(reason);
+    } else {
+        pauseReasons.delete(reason);
+    }
+
+    const paused = pauseReasons.size > 0;
+    setSimPaused(paused);
+    if (paused === wasPaused) return;
+
+    // Held keys and the trigger would stay stuck down - their keyup happens while paused (or in another tab)
+    gameState.keys = {};
+    gameState.mouseDown = false;
+    // Forget equipment keys too, or a grenade being aimed would be thrown on resume as if G was let go
+    gameState.player.equipmentKeys = {};
+
+    logger.info('pause', paused ? `Game paused (${reason})` : 'Game resumed');
+};
+
+/**
+ * Whether something is pausing the game
+ * @param {string} [reason] - Only check this reason
+ * @returns {boolean} True if paused (for that reason)
+ */
+export const isGamePaused = (reason) => reason ? pauseReasons.has(reason) : pauseReasons.size > 0;
+
+/**
+ * Drops every pause reason (new run)
+ */
+export const clearPauseReasons = () => {
+    pauseReasons.clear();
+    setSimPaused(false);
+    if (overlayElement) overlayElement.style.display = 'none';
+};
+
+/**
+ * Whether the run is far enough along to be paused
+ * Not before the countdown ends, and not after game over.
+ * @returns {boolean} True if pausing makes sense right now
+ */
+const canPause = () => !gameState.gameOver && !gameState.pausedForCountdown && !gameState.showCountdown &&
+    !(gameState.preCountdownFrames > 0);
+
+/**
+ * Shows the pause overlay and pauses the game
+ */
+export const openPauseMenu = () => {
+    if (!overlayElement || !canPause() || isGamePaused('pauseMenu')) return;
+    overlayElement.style.display = 'flex';
+    setPauseReason('pauseMenu', true);
+};
+
+/**
+ * Hides the pause overlay (and any settings opened from it) and resumes
+ */
+export const resumeGame = () => {
+    if (!overlayElement) return;
+    overlayElement.style.display = 'none';
+    statusElement.textContent = '';
+    setSubMenuVisibility('sound', false);
+    setSubMenuVisibility('controls', false);
+    setPauseReason('pauseMenu', false);
+};
+
+/**
+ * Opens or closes the pause overlay (Esc / P)
+ */
+export const togglePauseMenu = () => {
+    if (isGamePaused('pauseMenu')) {
+        resumeGame();
+    } else {
+        openPauseMenu();
+    }
+};
+
+/**
+ * Makes one of the overlay's buttons
+ * @param {string} label - Button text
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLButtonElement} The button
+ */
+const createPauseButton = (label, onClick) => {
+    const button = document.createElement('button');
+    button.textContent = label;
+    Object.assign(button.style, {
+        width: '200px',
+        padding: '10px',
+        margin: '6px 0',
+        fontSize: '18px',
+        color: 'white',
+        backgroundColor: 'rgba(80, 80, 80, 0.8)',
+        border: 'none',
+        borderRadius: '5px',
+        cursor: 'pointer'
+    });
+    button.addEventListener('mouseover', () => { button.style.backgroundColor = 'rgba(100, 150, 200, 0.8)'; });
+    button.addEventListener('mouseout', () => { button.style.backgroundColor = 'rgba(80, 80, 80, 0.8)'; });
+    button.addEventListener('click', (event) => {
+        event.stopPropagation(); // Don't fire the gun
+        onClick();
+    });
+    return button;
+};
+
+/**
+ * Adds a button to the pause overlay, above Quit
+ * If the action throws (or its promise rejects), the error is shown on the overlay.
+ * @param {string} label - Button text
+ * @param {Function} onClick - Action, may be async
+ * @returns {HTMLButtonElement} The button
+ */
+export const addPauseMenuButton = (label, onClick) => {
+    if (!overlayElement) throw new Error('Pause menu is not initialized');
+    const button = createPauseButton(label, async () => {
+        statusElement.textContent = '';
+        try {
+            await onClick();
+        } catch (error) {
+            logger.warn('pause', `${label} failed: ${error.message}`);
+            statusElement.textContent = error.message;
+        }
+    });
+    overlayElement.insertBefore(button, quitButton);
+    return button;
+};
+
+/**
+ * Creates the pause overlay and hooks up the automatic pauses
+ * Call once, after the sub-menus have been added to the menu system.
+ * @returns {HTMLElement} The overlay element
+ */
+export const initPauseMenu = () => {
+    if (overlayElement) return overlayElement;
+
+    overlayElement = document.createElement('div');
+    overlayElement.id = 'pause-menu';
+    Object.assign(overlayElement.style, {
+        position: 'absolute',
+        top: '0',
+        left: '0',
+        width: '100%',
+        height: '100%',
+        display: 'none', // Shown as a flex column when paused
+        flexDirection: 'column',
+        alignItems: 'center',
+        justifyContent: 'center',
+        backgroundColor: 'rgba(0, 0, 0, 0.5)',
+        color: 'white',
+        fontFamily: 'Arial, sans-serif',
+        zIndex: '90' // Under the settings panels (100) so they open on top
+    });
+
+    const title = document.createElement('h1');
+    title.textContent = 'Paused';
+    title.style.textShadow = '2px 2px 4px #000000';
+    overlayElement.appendChild(title);
+
+    overlayElement.appendChild(createPauseButton('Resume', resumeGame));
+    if (getSubMenu('sound')) {
+        overlayElement.appendChild(createPauseButton('Settings', () => setSubMenuVisibility('sound', true)));
+    }
+    if (getSubMenu('controls')) {
+        overlayElement.appendChild(createPauseButton('Controls', () => setSubMenuVisibility('controls', true)));
+    }
+    quitButton = createPauseButton('Quit', () => {
+        resumeGame();
+        clearPauseReasons();
+        gameState.player.lastDamageCause = 'Quit'; // Cause of death in the run history
+        handleGameOver();
+    });
+    overlayElement.appendChild(quitButton);
+
+    statusElement = document.createElement('div');
+    Object.assign(statusElement.style, { minHeight: '20px', marginTop: '8px', color: '#ff8888' });
+    overlayElement.appendChild(statusElement);
+
+    // Keep mouse presses on the overlay away from the trigger
+    overlayElement.addEventListener('mousedown', (event) => event.stopPropagation());
+
+    document.body.appendChild(overlayElement);
+
+    // The gear menu and the settings panels hold the game while they are open
+    onMenuVisibilityChange((anyOpen) => setPauseReason('menu', anyOpen));
+
+    // Leaving the tab or the window brings up the overlay
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) openPauseMenu();
+    });
+    window.addEventListener('blur', openPauseMenu);
+
+    logger.debug('pause', 'Pause menu initialized');
+    return overlayElement;
+};
@@ -0,0 +1,153 @@
+/**
+ * Perk Choice Module - The level-up overlay where the player picks a perk
+ *
+ * Draws whatever choice gameState.player.perkChoice holds (see
+ * gameplay/perks.js): one card per perk with its name and what it does.
+ * Clicking or tapping a card takes that perk; with rerolls left (bought in the
+ * shop) a Reroll button swaps the cards for new ones. The overlay is rebuilt from the
+ * game state every frame it changes, so restarts and replays need no special
+ * handling - no choice open, no overlay.
+ *
+ * Example usage:
+ *   import { updatePerkChoice } from './ui/perkChoice.js';
+ *
+ *   updatePerkChoice(gameState);   // Every rendered frame
+ */
+
+import { choosePerk, rerollPerkChoice, getPerkDefinition } from '../gameplay/perks.js';
+import { isReplayPlaying } from '../replay/inputReplay.js';
+import { logger } from '../utils/logger.js';
+
+// The overlay element (created on the first level-up)
+let overlayElement = null;
+let cardsElement = null;
+let rerollButton = null;
+
+/**
+ * Makes one perk card
+ * @param {Object} gameState - The game state
+ * @param {string} type - Perk type
+ * @param {number} index - Position in the choice (shown as its number)
+ * @returns {HTMLButtonElement} The card
+ */
+const createPerkCard = (gameState, type, index) => {
+    const { name, description } = getPerkDefinition(type);
+    const card = document.createElement('button');
+    Object.assign(card.style, {
+        width: '180px',
+        minHeight: '110px',
+        margin: '0 10px',
+        padding: '12px',
+        color: 'white',
+        backgroundColor: 'rgba(60, 40, 90, 0.9)',
+        border: '2px solid #b388ff',
+        borderRadius: '8px',
+        cursor: 'pointer',
+        fontFamily: 'Arial, sans-serif'
+    });
+
+    const title = document.createElement('div');
+    title.textContent = `${index + 1}. ${name}`;
+    Object.assign(title.style, { fontSize: '18px', fontWeight: 'bold', marginBottom: '8px' });
+    card.appendChild(title);
+
+    const text = document.createElement('div');
+    text.textContent = description;
+    text.style.fontSize = '14px';
+    card.appendChild(text);
+
+    card.addEventListener('mouseover', () => { card.style.backgroundColor = 'rgba(100, 70, 150, 0.9)'; });
+    card.addEventListener('mouseout', () => { card.style.backgroundColor = 'rgba(60, 40, 90, 0.9)'; });
+    card.addEventListener('click', (event) => {
+        event.stopPropagation(); // Don't fire the gun
+        if (isReplayPlaying() || !gameState.player.perkChoice) return;
+        choosePerk(gameState, type);
+    });
+    return card;
+};
+
+/**
+ * Creates the (hidden) overlay
+ * @param {Object} gameState - The game state
+ * @returns {HTMLElement} The overlay element
+ */
+const createOverlay = (gameState) => {
+    overlayElement = document.createElement('div');
+    overlayElement.id = 'perk-choice';
+    Object.assign(overlayElement.style, {
+        position: 'absolute',
+        top: '0',
+        left: '0',
+        width: '100%',
+        height: '100%',
+        display: 'none', // Shown as a flex column while a choice is open
+        flexDirection: 'column',
+        alignItems: 'center',
+        justifyContent: 'center',
+        backgroundColor: 'rgba(0, 0, 0, 0.5)',
+        color: 'white',
+        fontFamily: 'Arial, sans-serif',
+        zIndex: '85' // Under the pause overlay (90)
+    });
+
+    const title = document.createElement('h1');
+    title.id = 'perk-choice-title';
+    title.style.textShadow = '2px 2px 4px #000000';
+    overlayElement.appendChild(title);
+
+    cardsElement = document.createElement('div');
+    Object.assign(cardsElement.style, { display: 'flex', flexWrap: 'wrap', justifyContent: 'center' });
+    overlayElement.appendChild(cardsElement);
+
+    rerollButton = document.createElement('button');
+    Object.assign(rerollButton.style, {
+        marginTop: '20px',
+        padding: '8px 20px',
+        color: 'white',
+        backgroundColor: '#aa8800',
+        border: 'none',
+        borderRadius: '5px',
+        cursor: 'pointer',
+        fontSize: '16px'
+    });
+    rerollButton.addEventListener('click', (event) => {
+        event.stopPropagation();
+        if (isReplayPlaying() || !gameState.player.perkChoice) return;
+        rerollPerkChoice(gameState);
+    });
+    overlayElement.appendChild(rerollButton);
+
+    // Keep mouse presses on the overlay away from the trigger
+    overlayElement.addEventListener('mousedown', (event) => event.stopPropagation());
+
+    document.body.appendChild(overlayElement);
+    return overlayElement;
+};
+
+/**
+ * Shows the open perk choice, or hides the overlay when there is none
+ * @param {Object} gameState - The game state
+ */
+export const updatePerkChoice = (gameState) => {
+    const choice = gameState.player.perkChoice;
+    if (!choice) {
+        if (overlayElement && overlayElement.style.display !== 'none') {
+            overlayElement.style.display = 'none';
+            overlayElement.dataset.choice = '';
+        }
+        return;
+    }
+
+    if (!overlayElement) createOverlay(gameState);
+    const { perkRerolls } = gameState.player;
+    const key = `${choice.join(',')}/${perkRerolls}`;
+    if (overlayElement.dataset.choice === key) return;
+
+    overlayElement.dataset.choice = key;
+    overlayElement.querySelector('#perk-choice-title').textContent = `Level ${gameState.player.level}! Pick a perk`;
+    cardsElement.replaceChildren(...choice.map((type, index) => createPerkCard(gameState, type, index)));
+    rerollButton.textContent = `Reroll (${perkRerolls} left)`;
+    rerollButton.style.display = perkRerolls > 0 ? 'block' : 'none';
+    overlayElement.style.display = 'flex';
+    logger.debug('perks', `Showing perk choice ${key}`);
+};
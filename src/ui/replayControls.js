@@ -0,0 +1,305 @@
+/**
+ * Replay Controls Module - Watching, loading and saving replays in the browser
+ *
+ * Runs are recorded by replay/inputReplay.js. This module adds the parts a
+ * player sees: a bar along the bottom of the screen while a replay plays, with
+ * play/pause, 1x/2x/4x speed, a slider to scrub through the run and an exit
+ * button; the Load Replay and Download Replay entries in the pause menu; and
+ * the file save/load itself. Pausing goes through the pause menu's reasons,
+ * fast-forward through the simulation clock's time scale (the game loop runs
+ * at most five steps a frame, so 4x is as fast as a 60 Hz screen keeps up).
+ *
+ * Example usage:
+ *   import { initReplayControls, playReplay, downloadReplay } from './ui/replayControls.js';
+ *
+ *   initReplayControls({
+ *       gameState,
+ *       restart: (seed) => restartGame({ scene, player, seed }),
+ *       step: () => stepSimulation(scene, camera, player)
+ *   });
+ *   playReplay(replay);   // e.g. from the game over screen
+ */
+
+import {
+    startPlayback, stopPlayback, getPlaybackPosition, seekReplay,
+    getRecordedReplay, serializeReplay, parseReplay
+} from '../replay/inputReplay.js';
+import { setPauseReason, isGamePaused, addPauseMenuButton, resumeGame } from './pauseMenu.js';
+import { setTimeScale } from '../utils/simClock.js';
+import { logger } from '../utils/logger.js';
+
+// Speeds offered on the bar
+const REPLAY_SPEEDS = [1, 2, 4];
+
+// Hooks into the game (set by initReplayControls)
+let hooks = null;
+
+// The bar and its parts (created by initReplayControls)
+let bar = null;
+
+/**
+ * Formats a tick count as m:ss
+ * @param {number} ticks - Simulation ticks (60 a second)
+ * @returns {string} Time
+ */
+const formatTicks = (ticks) => {
+    const seconds = Math.floor(ticks / 60);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Saves a replay to a JSON file
+ * @param {Object} replay - Replay (from finishRecording or getRecordedReplay)
+ */
+export const downloadReplay = (replay) => {
+    const blob = new Blob([serializeReplay(replay)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `zombie-replay-${replay.seed}-${replay.createdAt.slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+/**
+ * Asks the player for a replay file
+ * @returns {Promise<Object|null>} The replay, or null if no file was picked; rejects if the file isn't a replay
+ */
+const chooseReplayFile = () => new Promise((resolve, reject) => {
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = 'application/json,.json';
+    fileInput.addEventListener('change', async () => {
+        const [file] = fileInput.files;
+        if (!file) {
+            resolve(null);
+            return;
+        }
+        try {
+            resolve(parseReplay(await file.text()));
+        } catch (error) {
+            logger.warn('replay', error.message);
+            reject(error);
+        }
+    });
+    fileInput.click();
+});
+
+/**
+ * Sets the playback speed and marks the chosen speed button
+ * @param {number} speed - Time scale
+ */
+const setReplaySpeed = (speed) => {
+    bar.speed = speed;
+    setTimeScale(speed);
+    bar.speedButtons.forEach((button) => {
+        button.style.backgroundColor = Number(button.dataset.speed) === speed
+            ? 'rgba(100, 150, 200, 0.9)'
+            : 'rgba(80, 80, 80, 0.9)';
+    });
+};
+
+/**
+ * Holds or lets go of the replay
+ * @param {boolean} paused - True to hold it
+ */
+const setReplayPaused = (paused) => {
+    setPauseReason('replay', paused);
+    bar.playButton.textContent = paused ? 'Play' : 'Pause';
+};
+
+/**
+ * Jumps the replay to a tick
+ * Restarting the run (to go back) resets the clock and the pause reasons, so
+ * the chosen speed and pause are put back afterwards.
+ * @param {number} tick - Tick to go to
+ */
+const seekTo = (tick) => {
+    const paused = isGamePaused('replay');
+    seekReplay(tick, {
+        restart: hooks.restart,
+        step: hooks.step,
+        isOver: () => hooks.gameState.gameOver
+    });
+    setReplaySpeed(bar.speed);
+    setReplayPaused(paused);
+};
+
+/**
+ * Hides the bar and puts the game back to normal speed
+ */
+const hideBar = () => {
+    if (!bar || bar.element.style.display === 'none') return;
+    bar.element.style.display = 'none';
+    setTimeScale(1);
+    setPauseReason('replay', false);
+};
+
+/**
+ * Keeps the bar in step with the replay; hides it once the replay is over
+ */
+const updateBar = () => {
+    const position = getPlaybackPosition();
+    if (!position) {
+        hideBar();
+        return;
+    }
+
+    if (!bar.dragging) {
+        bar.slider.max = String(position.ticks);
+        bar.slider.value = String(Math.min(position.tick, position.ticks));
+    }
+    const shown = bar.dragging ? Number(bar.slider.value) : position.tick;
+    bar.timeLabel.textContent = `${formatTicks(Math.min(shown, position.ticks))} / ${formatTicks(position.ticks)}`;
+
+    requestAnimationFrame(updateBar);
+};
+
+/**
+ * Shows the bar for the replay that just started
+ */
+const showBar = () => {
+    const { replay } = getPlaybackPosition();
+    const result = replay.result;
+    bar.title.textContent = result
+        ? `Replay - score ${result.score}, ${result.kills} kills`
+        : `Replay - seed ${replay.seed}`;
+    bar.element.style.display = 'flex';
+    setReplaySpeed(1);
+    setReplayPaused(false);
+    requestAnimationFrame(updateBar);
+};
+
+/**
+ * Plays a replay from the start, in place of the current run
+ * @param {Object} replay - Replay to watch
+ */
+export const playReplay = (replay) => {
+    if (!hooks) throw new Error('Replay controls are not initialized');
+    hooks.restart(replay.seed);
+    startPlayback(replay, hooks.gameState);
+    showBar();
+};
+
+/**
+ * Leaves the replay for a new run of the player's own
+ */
+const exitReplay = () => {
+    stopPlayback(hooks.gameState);
+    hideBar();
+    hooks.gameState.restartGame();
+};
+
+/**
+ * Makes one of the bar's buttons
+ * @param {string} label - Button text
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLButtonElement} The button
+ */
+const createBarButton = (label, onClick) => {
+    const button = document.createElement('button');
+    button.textContent = label;
+    Object.assign(button.style, {
+        margin: '0 4px',
+        padding: '6px 12px',
+        fontSize: '14px',
+        color: 'white',
+        backgroundColor: 'rgba(80, 80, 80, 0.9)',
+        border: 'none',
+        borderRadius: '5px',
+        cursor: 'pointer'
+    });
+    button.addEventListener('click', (event) => {
+        event.stopPropagation(); // Don't fire the gun
+        onClick();
+    });
+    return button;
+};
+
+/**
+ * Creates the replay bar and adds the replay entries to the pause menu
+ * Call once, after initPauseMenu.
+ * @param {Object} options - Hooks into the game
+ * @param {Object} options.gameState - The game state
+ * @param {Function} options.restart - Starts a fresh run with a given seed: (seed) => void
+ * @param {Function} options.step - Runs one simulation step without rendering: () => void
+ */
+export const initReplayControls = ({ gameState, restart, step }) => {
+    hooks = { gameState, restart, step };
+    if (bar) return;
+
+    // For the game over screen (gameState.js can't import this module - it would be a cycle through the pause menu)
+    gameState.playReplay = playReplay;
+    gameState.downloadReplay = downloadReplay;
+
+    const element = document.createElement('div');
+    element.id = 'replay-controls';
+    Object.assign(element.style, {
+        position: 'absolute',
+        bottom: '20px',
+        left: '50%',
+        transform: 'translateX(-50%)',
+        display: 'none', // Shown as a flex row during playback
+        alignItems: 'center',
+        padding: '8px 12px',
+        borderRadius: '8px',
+        backgroundColor: 'rgba(0, 0, 0, 0.7)',
+        color: 'white',
+        fontFamily: 'Arial, sans-serif',
+        fontSize: '14px',
+        zIndex: '95' // Over the pause overlay, under the settings panels
+    });
+    // Keep clicks on the bar away from the trigger
+    element.addEventListener('mousedown', (event) => event.stopPropagation());
+
+    const title = document.createElement('span');
+    title.style.marginRight = '8px';
+
+    const playButton = createBarButton('Pause', () => setReplayPaused(!isGamePaused('replay')));
+    const speedButtons = REPLAY_SPEEDS.map((speed) => {
+        const button = createBarButton(`${speed}x`, () => setReplaySpeed(speed));
+        button.dataset.speed = String(speed);
+        return button;
+    });
+
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.min = '0';
+    slider.style.width = '240px';
+    slider.style.margin = '0 8px';
+    slider.addEventListener('input', () => { bar.dragging = true; });
+    slider.addEventListener('change', () => {
+        bar.dragging = false;
+        seekTo(Number(slider.value));
+    });
+
+    const timeLabel = document.createElement('span');
+    timeLabel.style.minWidth = '90px';
+
+    element.appendChild(title);
+    element.appendChild(playButton);
+    speedButtons.forEach(button => element.appendChild(button));
+    element.appendChild(slider);
+    element.appendChild(timeLabel);
+    element.appendChild(createBarButton('Exit', exitReplay));
+    document.body.appendChild(element);
+
+    bar = { element, title, playButton, speedButtons, slider, timeLabel, speed: 1, dragging: false };
+
+    // Pause menu entries
+    addPauseMenuButton('Load Replay', async () => {
+        const replay = await chooseReplayFile();
+        if (!replay) return;
+        resumeGame();
+        playReplay(replay);
+    });
+    addPauseMenuButton('Download Replay', () => {
+        const position = getPlaybackPosition();
+        const replay = position ? position.replay : getRecordedReplay();
+        if (!replay) throw new Error('Nothing has been recorded yet');
+        downloadReplay(replay);
+    });
+
+    logger.debug('replay', 'Replay controls initialized');
+};
+
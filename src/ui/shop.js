@@ -0,0 +1,218 @@
+/**
+ * Shop Module - Spend coins on unlocks and pick the loadout for the next run
+ *
+ * The shop panel lists every unlock from gameplay/metaProgress.js with its
+ * level and the price of the next one, and a Use button for weapons and
+ * colours already bought (click again to go back to the default). Once Head
+ * Start is owned a drop-down picks the starting powerup. Everything is saved
+ * straight away; restartGame reads it for the next run.
+ *
+ * The panel sits on the startup screen, and openShop shows it full-screen
+ * from the game over screen (returning players never see the startup screen).
+ *
+ * Example usage:
+ *   import { createShopPanel, openShop } from './ui/shop.js';
+ *
+ *   startupContainer.appendChild(createShopPanel());
+ *   openShop();   // The game over screen's SHOP button
+ */
+
+import {
+    META_UNLOCKS, loadMetaProgress, buyUnlock, setLoadout,
+    getUnlockLevel, getUnlockCost, canEquip
+} from '../gameplay/metaProgress.js';
+import { BOON_TYPES, getPowerupDefinition } from '../gameplay/powerupRegistry.js';
+import { logger } from '../utils/logger.js';
+
+// The open full-screen shop, if any
+let shopElement = null;
+
+/**
+ * Makes a small shop button
+ * @param {string} label - Button text
+ * @param {Function} onClick - Click handler
+ * @param {boolean} [enabled=true] - Whether it can be clicked
+ * @returns {HTMLButtonElement} The button
+ */
+const createShopButton = (label, onClick, enabled = true) => {
+    const button = document.createElement('button');
+    button.type = 'button'; // Not a submit on the startup form
+    button.textContent = label;
+    button.disabled = !enabled;
+    Object.assign(button.style, {
+        marginLeft: '6px',
+        padding: '3px 10px',
+        color: 'white',
+        backgroundColor: enabled ? '#aa8800' : '#444',
+        border: 'none',
+        borderRadius: '4px',
+        cursor: enabled ? 'pointer' : 'default'
+    });
+    button.addEventListener('click', onClick);
+    return button;
+};
+
+/**
+ * Makes the row for one unlock
+ * @param {Object} progress - Meta progress
+ * @param {string} id - Unlock id
+ * @param {Function} act - Runs a shop action and redraws: (action) => void
+ * @returns {HTMLElement} The row
+ */
+const createUnlockRow = (progress, id, act) => {
+    const unlock = META_UNLOCKS[id];
+    const level = getUnlockLevel(progress, id);
+    const cost = getUnlockCost(progress, id);
+
+    const row = document.createElement('div');
+    Object.assign(row.style, { display: 'flex', alignItems: 'center', justifyContent: 'space-between', margin: '4px 0' });
+
+    const text = document.createElement('div');
+    const levels = unlock.costs.length > 1 ? ` (${level}/${unlock.costs.length})` : '';
+    text.innerHTML = `<b></b><br><span style="font-size: 12px; color: #bbb"></span>`;
+    text.querySelector('b').textContent = `${unlock.name}${levels}`;
+    text.querySelector('span').textContent = unlock.description;
+    row.appendChild(text);
+
+    const buttons = document.createElement('div');
+    buttons.style.whiteSpace = 'nowrap';
+    if (cost !== null) {
+        buttons.appendChild(createShopButton(`Buy ${cost}`, () => act(() => buyUnlock(id)), progress.coins >= cost));
+    }
+    if (unlock.loadout && level > 0) {
+        const inUse = progress.loadout[unlock.loadout] === unlock.value;
+        buttons.appendChild(createShopButton(inUse ? 'In use' : 'Use',
+            () => act(() => setLoadout(unlock.loadout, inUse ? null : unlock.value))));
+    }
+    row.appendChild(buttons);
+    return row;
+};
+
+/**
+ * Makes the starting powerup drop-down
+ * @param {Object} progress - Meta progress
+ * @param {Function} act - Runs a shop action and redraws
+ * @returns {HTMLElement} The row
+ */
+const createPowerupPicker = (progress, act) => {
+    const row = document.createElement('label');
+    row.textContent = 'Starting powerup: ';
+    row.style.display = 'block';
+    row.style.margin = '8px 0';
+
+    const select = document.createElement('select');
+    [null, ...BOON_TYPES].forEach((type) => {
+        const option = document.createElement('option');
+        option.value = type || '';
+        option.textContent = type ? getPowerupDefinition(type).name : 'None';
+        option.selected = progress.loadout.powerup === type;
+        select.appendChild(option);
+    });
+    select.addEventListener('change', () => act(() => setLoadout('powerup', select.value || null)));
+    row.appendChild(select);
+    return row;
+};
+
+/**
+ * Creates the shop panel (coins, unlocks and loadout)
+ * @returns {HTMLElement} The panel, which redraws itself after every purchase
+ */
+export const createShopPanel = () => {
+    const panel = document.createElement('div');
+    panel.id = 'shop-panel';
+    Object.assign(panel.style, {
+        width: '420px',
+        maxWidth: '90%',
+        maxHeight: '40vh',
+        overflowY: 'auto',
+        marginTop: '1rem',
+        padding: '1rem',
+        color: 'white',
+        backgroundColor: 'rgba(20, 20, 20, 0.7)',
+        borderRadius: '10px',
+        fontFamily: 'Arial, sans-serif',
+        fontSize: '14px'
+    });
+
+    let status = '';
+    const render = () => {
+        const progress = loadMetaProgress();
+        panel.replaceChildren();
+
+        const title = document.createElement('h3');
+        title.textContent = `Shop - ${progress.coins} coins`;
+        Object.assign(title.style, { margin: '0 0 8px', color: '#ffcc33' });
+        panel.appendChild(title);
+
+        if (status) {
+            const message = document.createElement('div');
+            message.textContent = status;
+            message.style.color = '#ff8888';
+            panel.appendChild(message);
+        }
+
+        Object.keys(META_UNLOCKS).forEach(id => panel.appendChild(createUnlockRow(progress, id, act)));
+        if (canEquip(progress, 'powerup', BOON_TYPES[0])) {
+            panel.appendChild(createPowerupPicker(progress, act));
+        }
+    };
+
+    // Runs a purchase or loadout change, showing why if it was refused
+    const act = (action) => {
+        try {
+            action();
+            status = '';
+        } catch (error) {
+            logger.warn('meta', error.message);
+            status = error.message;
+        }
+        render();
+    };
+
+    render();
+    return panel;
+};
+
+/**
+ * Closes the full-screen shop
+ */
+export const closeShop = () => {
+    if (!shopElement) return;
+    shopElement.remove();
+    shopElement = null;
+};
+
+/**
+ * Opens the shop full-screen (over the game over screen)
+ */
+export const openShop = () => {
+    closeShop();
+
+    shopElement = document.createElement('div');
+    shopElement.id = 'shop';
+    Object.assign(shopElement.style, {
+        position: 'absolute',
+        top: '0',
+        left: '0',
+        width: '100%',
+        height: '100%',
+        display: 'flex',
+        flexDirection: 'column',
+        alignItems: 'center',
+        justifyContent: 'center',
+        backgroundColor: 'rgba(0, 0, 0, 0.85)',
+        zIndex: '1100' // Over the game over screen, like the run history
+    });
+    // Keep clicks in the shop away from the trigger and the screen underneath
+    shopElement.addEventListener('mousedown', (event) => event.stopPropagation());
+    shopElement.addEventListener('click', (event) => event.stopPropagation());
+
+    const panel = createShopPanel();
+    panel.style.maxHeight = '70vh';
+    shopElement.appendChild(panel);
+
+    const closeButton = createShopButton('Close', closeShop);
+    Object.assign(closeButton.style, { marginTop: '12px', padding: '8px 24px', backgroundColor: '#666' });
+    shopElement.appendChild(closeButton);
+    document.body.appendChild(shopElement);
+};
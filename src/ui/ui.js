@@ -10,6 +10,19 @@
  * showMessage("Game Over!", 3000);
  */
 
+import { getSimTime } from '../utils/simClock.js';
+import { getWeaponDefinitions, getWeaponDefinition } from '../gameplay/weaponDefinitions.js';
+import { getEquippedWeapon } from '../gameplay/weaponInventory.js';
+import { getAmmo, getReloadProgress } from '../gameplay/ammo.js';
+import { getActivePowerups } from '../gameplay/activePowerups.js';
+import { getPowerupDefinition } from '../gameplay/powerupRegistry.js';
+import { getLevelProgress, getExpToNextLevel } from '../gameplay/experience.js';
+import { getDashReadiness } from '../gameplay/dash.js';
+import { EQUIPMENT_TYPES, getEquipmentDefinition, getCharges } from '../gameplay/equipment.js';
+
+// How long the "new weapon" notice stays up (ms of game time)
+const WEAPON_UNLOCK_NOTICE_TIME = 4000;
+
 /**
  * Initializes the UI elements
  * Called once at the start of the game
@@ -41,11 +54,67 @@ export const initUI = (gameState) => {
         scoreElement.style.marginBottom = '10px';
         uiContainer.appendChild(scoreElement);
         
+        // Create level display and XP bar (EXP towards the next level)
+        const levelElement = document.createElement('div');
+        levelElement.id = 'level';
+        levelElement.style.fontWeight = 'bold';
+        uiContainer.appendChild(levelElement);
+        
+        const expBarContainer = document.createElement('div');
+        expBarContainer.id = 'exp-bar-container';
+        expBarContainer.style.width = '200px';
+        expBarContainer.style.height = '8px';
+        expBarContainer.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
+        expBarContainer.style.border = '1px solid white';
+        expBarContainer.style.marginTop = '3px';
+        expBarContainer.style.marginBottom = '10px';
+        uiContainer.appendChild(expBarContainer);
+        
+        const expBar = document.createElement('div');
+        expBar.id = 'exp-bar';
+        expBar.style.width = '0%';
+        expBar.style.height = '100%';
+        expBar.style.backgroundColor = '#b388ff';
+        expBarContainer.appendChild(expBar);
+        
+        // Create wave display (current wave, or countdown to the next one)
+        const waveElement = document.createElement('div');
+        waveElement.id = 'wave';
+        waveElement.style.fontSize = '18px';
+        waveElement.style.fontWeight = 'bold';
+        waveElement.style.marginBottom = '5px';
+        uiContainer.appendChild(waveElement);
+        
         // Create zombie count display
         const zombieCountElement = document.createElement('div');
         zombieCountElement.id = 'zombieCount';
         uiContainer.appendChild(zombieCountElement);
         
+        // Create weapon display (gun in hand, and a notice when a new one is picked up)
+        const weaponElement = document.createElement('div');
+        weaponElement.id = 'weapon';
+        weaponElement.style.marginTop = '5px';
+        uiContainer.appendChild(weaponElement);
+        
+        // Create ammo counter (magazine / reserve, reload progress)
+        const ammoElement = document.createElement('div');
+        ammoElement.id = 'ammo';
+        ammoElement.style.fontSize = '18px';
+        ammoElement.style.fontWeight = 'bold';
+        uiContainer.appendChild(ammoElement);
+        
+        // Create equipment counter (grenade and mine charges)
+        const equipmentElement = document.createElement('div');
+        equipmentElement.id = 'equipment';
+        uiContainer.appendChild(equipmentElement);
+        
+        const weaponUnlockElement = document.createElement('div');
+        weaponUnlockElement.id = 'weapon-unlock';
+        weaponUnlockElement.style.color = '#ffcc33';
+        weaponUnlockElement.style.fontWeight = 'bold';
+        weaponUnlockElement.style.marginBottom = '5px';
+        uiContainer.appendChild(weaponUnlockElement);
+        
         // Create powerup display
         const powerupElement = document.createElement('div');
         powerupElement.id = 'powerup';
@@ -95,7 +164,28 @@ export const updateUI = (gameState) => {
     // Update score display
     const scoreElement = document.getElementById('score');
     if (scoreElement) {
-        scoreElement.textContent = `Score: ${gameState.score}`;
+        scoreElement.textContent = player.coins > 0 ? `Score: ${gameState.score} | Coins: ${player.coins}` : `Score: ${gameState.score}`;
+    }
+    
+    // The touch-screen DASH button fades while the dash cools down
+    const dashButton = document.getElementById('dashButton');
+    if (dashButton) {
+        dashButton.style.opacity = getDashReadiness(gameState) < 1 ? '0.4' : '1';
+    }
+    
+    // Update level and XP bar
+    const levelElement = document.getElementById('level');
+    const expBar = document.getElementById('exp-bar');
+    if (levelElement && expBar) {
+        levelElement.textContent = `Level ${player.level} - ${Math.floor(player.exp)} / ${getExpToNextLevel(player.level)} XP`;
+        expBar.style.width = `${getLevelProgress(gameState) * 100}%`;
+    }
+    
+    // Update wave display
+    const waveElement = document.getElementById('wave');
+    if (waveElement && gameState.wave) {
+        waveElement.textContent = getWaveText(gameState.wave);
+        waveElement.style.color = gameState.wave.isBossWave && gameState.wave.phase === 'active' ? '#ff4444' : 'white';
     }
     
     // Update zombie count
@@ -118,47 +208,126 @@ export const updateUI = (gameState) => {
         }
     }
     
+    // Update weapon display
+    const weaponElement = document.getElementById('weapon');
+    const weaponUnlockElement = document.getElementById('weapon-unlock');
+    if (weaponElement && weaponUnlockElement) {
+        const weapon = getEquippedWeapon(gameState);
+        weaponElement.textContent = `Weapon: ${weapon.name} [${getWeaponSlot(weapon.type)}]` +
+            (player.weapons.length > 1 ? ` (${player.weapons.length} carried)` : '');
+        
+        const ammoElement = document.getElementById('ammo');
+        if (ammoElement) {
+            const { text, color } = getAmmoText(gameState, weapon);
+            ammoElement.textContent = text;
+            ammoElement.style.color = color;
+        }
+        
+        const equipmentElement = document.getElementById('equipment');
+        if (equipmentElement) {
+            equipmentElement.textContent = EQUIPMENT_TYPES.map((type) => {
+                const { name, key } = getEquipmentDefinition(type);
+                return `${name} [${key.toUpperCase()}]: ${getCharges(gameState, type)}`;
+            }).join(' | ');
+        }
+        
+        const unlock = player.weaponUnlock;
+        const showUnlock = unlock && getSimTime() - unlock.time < WEAPON_UNLOCK_NOTICE_TIME;
+        weaponUnlockElement.textContent = showUnlock
+            ? `NEW WEAPON: ${getWeaponDefinition(unlock.type).name} - press ${getWeaponSlot(unlock.type)}`
+            : '';
+    }
+    
     // Update powerup display
     const powerupElement = document.getElementById('powerup');
     const powerupBarContainer = document.getElementById('powerup-bar-container');
     const powerupBar = document.getElementById('powerup-bar');
     
     if (powerupElement && powerupBarContainer && powerupBar) {
-        if (player.activePowerup) {
-            // Format the powerup name for display
-            const formattedName = player.activePowerup
-                .replace(/([A-Z])/g, ' $1') // Add space before capital letters
-                .replace(/^./, str => str.toUpperCase()); // Capitalize first letter
-            
-            powerupElement.textContent = `Active Powerup: ${formattedName}`;
-            powerupElement.style.color = getPowerupColor(player.activePowerup);
-            
-            // Hide powerup duration bar (using circle under player instead)
-            powerupBarContainer.style.display = 'none';
-        } else {
-            powerupElement.textContent = 'No Active Powerup';
-            powerupElement.style.color = 'white';
-            powerupBarContainer.style.display = 'none';
+        // Hide powerup duration bar (using circle under player instead)
+        powerupBarContainer.style.display = 'none';
+        
+        // One coloured entry per running powerup - only rebuilt when the text changes
+        const entries = getActivePowerups(gameState).map(getPowerupEntry);
+        const text = entries.map(entry => entry.text).join(' | ');
+        if (powerupElement.dataset.text !== text) {
+            powerupElement.dataset.text = text;
+            powerupElement.replaceChildren();
+            if (entries.length === 0) {
+                powerupElement.textContent = 'No Active Powerup';
+            }
+            entries.forEach(({ text: entryText, color }, index) => {
+                const span = document.createElement('span');
+                span.textContent = (index > 0 ? ' | ' : '') + entryText;
+                span.style.color = color;
+                powerupElement.appendChild(span);
+            });
         }
     }
 };
 
 /**
- * Gets the color associated with a powerup type
- * @param {string} powerupType - The type of powerup
- * @returns {string} The color as a hex string
+ * Gets the number key for a weapon
+ * @param {string} type - Weapon type
+ * @returns {number} Slot number (1 for the first gun in weapons.json)
+ */
+const getWeaponSlot = (type) => getWeaponDefinitions().findIndex(definition => definition.type === type) + 1;
+
+/**
+ * Gets the HUD ammo counter for the equipped gun
+ * @param {Object} gameState - The current game state
+ * @param {Object} weapon - Equipped weapon definition
+ * @returns {Object} { text, color } e.g. "Ammo: 8 / 36", "Ammo: 12 / ∞", "Reloading... 40%", "OUT OF AMMO"
+ */
+const getAmmoText = (gameState, weapon) => {
+    const reloadProgress = getReloadProgress(gameState);
+    if (reloadProgress !== null) {
+        return { text: `Reloading... ${Math.round(reloadProgress * 100)}%`, color: '#ffcc33' };
+    }
+    
+    const ammo = getAmmo(gameState, weapon.type);
+    if (ammo.magazine === 0 && ammo.reserve === 0) {
+        return { text: 'OUT OF AMMO', color: '#ff4444' };
+    }
+    const reserve = ammo.reserve === null ? '∞' : ammo.reserve;
+    const low = ammo.magazine <= Math.ceil(weapon.ammo.magazine / 4);
+    return { text: `Ammo: ${ammo.magazine} / ${reserve}`, color: low ? '#ff8844' : 'white' };
+};
+
+/**
+ * Gets the HUD text for the wave director's progress
+ * @param {Object} wave - gameState.wave
+ * @returns {string} e.g. "Wave 3", "Wave 5 - BOSS", "Wave 4 in 6s" ('' before solo waves start)
  */
-const getPowerupColor = (powerupType) => {
-    switch (powerupType) {
-        case 'tripleShot':
-            return '#ffa500'; // Orange
-        case 'shotgunBlast':
-            return '#4682b4'; // Steel blue
-        case 'explosion':
-            return '#ff0000'; // Red
-        default:
-            return '#ffffff'; // White
+const getWaveText = (wave) => {
+    if (wave.phase === 'active') {
+        return wave.isBossWave ? `Wave ${wave.number} - BOSS` : `Wave ${wave.number}`;
+    }
+    
+    // Nothing scheduled yet (co-op, or the very first frame)
+    if (wave.nextWaveTime === null) {
+        return '';
     }
+    
+    const secondsLeft = Math.max(0, Math.ceil((wave.nextWaveTime - getSimTime()) / 1000));
+    const cleared = wave.number > 0 ? `Wave ${wave.number} cleared! ` : '';
+    return `${cleared}Wave ${wave.number + 1} in ${secondsLeft}s`;
+};
+
+/**
+ * Gets the HUD entry for a running powerup
+ * @param {Object} powerup - { type, level, remaining, ... } from getActivePowerups
+ * @returns {Object} { text, color } e.g. "Rapid Fire II 12s" or "Shield 35 HP 9s" in the powerup's colour
+ */
+const getPowerupEntry = (powerup) => {
+    const { type, level, remaining } = powerup;
+    const definition = getPowerupDefinition(type);
+    const levelText = level > 1 ? ` ${'I'.repeat(level)}` : '';
+    const detailText = definition.hudText ? ` ${definition.hudText(powerup)}` : '';
+    return {
+        text: `${definition.name}${levelText}${detailText} ${Math.ceil(remaining)}s`,
+        color: `#${definition.color.toString(16).padStart(6, '0')}`
+    };
 };
 
 /**
@@ -18,10 +18,21 @@
  * 
  * const deviceInfo = getDeviceInfo();
  * console.log(`Device type: ${deviceInfo.type}, Screen width: ${deviceInfo.screenWidth}`);
+ * 
+ * if (hasDOM()) {
+ *   // Safe to touch window/document (false when running headless in Node)
+ * }
  */
 
 import { logger } from './logger.js';
 
+/**
+ * Checks whether we are running in a browser with a DOM
+ * Gameplay code uses this to skip DOM-only effects when the simulation runs headless
+ * @returns {boolean} True if window and document are available
+ */
+export const hasDOM = () => typeof window !== 'undefined' && typeof document !== 'undefined';
+
 /**
  * Detects if the current device is a mobile device based on user agent
  * @returns {boolean} True if the device is mobile
@@ -123,14 +134,17 @@ export const applyDeviceClasses = () => {
     logger.info('device', `Applied device classes: ${deviceInfo.type}, ${deviceInfo.orientation}`);
 };
 
-// Add an event listener for orientation changes
-window.addEventListener('resize', () => {
-    // Update orientation class when the window is resized
-    const orientation = getDeviceOrientation();
-    document.body.setAttribute('data-orientation', orientation);
-    
-    logger.debug('device', `Orientation changed to ${orientation}`);
-});
-
-// Initialize device detection when module loads
-applyDeviceClasses(); 
\ No newline at end of file
+// Browser-only setup (skipped when the game logic runs headless in Node)
+if (hasDOM()) {
+    // Add an event listener for orientation changes
+    window.addEventListener('resize', () => {
+        // Update orientation class when the window is resized
+        const orientation = getDeviceOrientation();
+        document.body.setAttribute('data-orientation', orientation);
+        
+        logger.debug('device', `Orientation changed to ${orientation}`);
+    });
+    
+    // Initialize device detection when module loads
+    applyDeviceClasses();
+}
@@ -0,0 +1,149 @@
+/**
+ * Random Module - Seedable random number service
+ *
+ * All gameplay randomness (enemy spawns, terrain, AI jitter, powerups, bullet
+ * spread) goes through here instead of Math.random(), so a single seed
+ * reproduces a whole run. Each system draws from its own named stream, so
+ * e.g. shooting more bullets doesn't change which enemy spawns next.
+ *
+ * Terrain uses position-keyed generators (createTileRandom) so a tile looks
+ * the same no matter in which order the player visits it.
+ *
+ * Purely cosmetic effects (particles, sound variation, model detail) keep
+ * using Math.random() so they never shift the gameplay streams.
+ *
+ * Example usage:
+ *   import { setSeed, getRandom, createTileRandom, randomRange } from './utils/random.js';
+ *
+ *   setSeed('daily-2025-01-01');          // or a number; ?seed= does this in main.js
+ *   const spawnRandom = getRandom('spawn'); // named stream, behaves like Math.random
+ *   const angle = spawnRandom() * Math.PI * 2;
+ *   const size = randomRange(spawnRandom, 1, 3);
+ *
+ *   const tileRandom = createTileRandom('terrain', 4, -2); // same tile -> same numbers
+ */
+
+import { logger } from './logger.js';
+
+// Add 'random' to logger sections if not already included
+logger.addSection('random');
+
+/**
+ * Hashes a string or number into a 32 bit unsigned integer (FNV-1a)
+ * @param {string|number} value - Value to hash
+ * @returns {number} 32 bit hash
+ */
+const hashSeed = (value) => {
+    const text = String(value);
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+};
+
+/**
+ * Creates a standalone seeded generator (mulberry32)
+ * Fast, small state and good enough distribution for gameplay
+ * @param {string|number} seed - Seed value (strings are hashed)
+ * @returns {Function} Function returning floats in [0, 1), like Math.random
+ */
+export const createRandom = (seed) => {
+    let state = hashSeed(seed);
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+/**
+ * Generates a seed for runs that didn't ask for one
+ * @returns {number} A random 32 bit seed
+ */
+const generateSeed = () => Math.floor(Math.random() * 4294967296);
+
+// Current master seed and the named streams derived from it
+let currentSeed = generateSeed();
+const streams = new Map(); // name -> { generator, random }
+
+/**
+ * Sets the master seed and resets every named stream
+ * Stream functions keep their identity, so modules may cache getRandom() results
+ * @param {string|number} seed - New seed (string or number)
+ * @returns {string|number} The seed now in use
+ */
+export const setSeed = (seed) => {
+    currentSeed = seed === undefined || seed === null || seed === '' ? generateSeed() : seed;
+    streams.forEach((stream, name) => {
+        stream.generator = createRandom(`${currentSeed}:${name}`);
+    });
+    logger.info('random', `Random seed set to ${currentSeed}`);
+    return currentSeed;
+};
+
+/**
+ * Gets the master seed (show it in UI / bug reports to reproduce a run)
+ * @returns {string|number} The current seed
+ */
+export const getSeed = () => currentSeed;
+
+/**
+ * Gets a named random stream derived from the master seed
+ * Safe to call at module load - the stream restarts whenever setSeed is called
+ * @param {string} name - Stream name ('spawn', 'ai', 'powerup', 'combat', ...)
+ * @returns {Function} Generator returning floats in [0, 1)
+ */
+export const getRandom = (name = 'default') => {
+    if (!streams.has(name)) {
+        const stream = { generator: createRandom(`${currentSeed}:${name}`) };
+        stream.random = () => stream.generator();
+        streams.set(name, stream);
+    }
+    return streams.get(name).random;
+};
+
+/**
+ * Creates a generator keyed to a grid position, independent of visit order
+ * @param {string} name - Which system is asking (e.g. 'terrain', 'chunk')
+ * @param {number} x - Grid x coordinate
+ * @param {number} z - Grid z coordinate
+ * @returns {Function} Generator returning floats in [0, 1)
+ */
+export const createTileRandom = (name, x, z) => createRandom(`${currentSeed}:${name}:${x},${z}`);
+
+/**
+ * Random float in [min, max)
+ * @param {Function} random - Generator to draw from
+ * @param {number} min - Lower bound
+ * @param {number} max - Upper bound
+ * @returns {number} Random float
+ */
+export const randomRange = (random, min, max) => min + random() * (max - min);
+
+/**
+ * Random integer in [min, max] (inclusive)
+ * @param {Function} random - Generator to draw from
+ * @param {number} min - Lower bound
+ * @param {number} max - Upper bound
+ * @returns {number} Random integer
+ */
+export const randomInt = (random, min, max) => min + Math.floor(random() * (max - min + 1));
+
+/**
+ * Shuffles an array in place (Fisher-Yates)
+ * Replaces the biased sort(() => Math.random() - 0.5) idiom
+ * @param {Function} random - Generator to draw from
+ * @param {Array} array - Array to shuffle
+ * @returns {Array} The same array, shuffled
+ */
+export const shuffle = (random, array) => {
+    for (let i = array.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
+};
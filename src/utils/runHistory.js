@@ -0,0 +1,211 @@
+/**
+ * Run History Module - Keeps finished runs in localStorage for high scores and history
+ *
+ * Every run that ends on the game over screen is recorded with its score,
+ * time survived, kills, distance, wave, seed, cause of death and date. The
+ * high-score table is the best runs per player name; the history view charts a
+ * player's runs in the order they were played. Records can be exported as
+ * JSON and imported on another machine - imports are merged, skipping runs
+ * that are already there.
+ *
+ * Storage is passed in (defaulting to localStorage) so the same code runs in
+ * Node with an in-memory store; without any storage nothing is kept.
+ *
+ * Example usage:
+ *   import { recordRun, getTopRuns, exportRuns, importRuns } from './utils/runHistory.js';
+ *
+ *   const { rank } = recordRun({ name: 'Ash', score: 420, timeMs: 95000, kills: 40,
+ *                                distance: 120, wave: 4, seed: 'abc', cause: 'Zombie' });
+ *   const best = getTopRuns('Ash');       // Best first
+ *   const json = exportRuns();            // Save to a file...
+ *   const added = importRuns(json);       // ...and load it elsewhere
+ */
+
+import { logger } from './logger.js';
+
+// Add 'history' to logger sections if not already included
+logger.addSection('history');
+
+// Run history settings
+export const RUN_HISTORY_SETTINGS = {
+    storageKey: 'zombieRunHistory', // localStorage key
+    maxRuns: 1000,                  // Oldest runs are dropped past this
+    topCount: 10                    // Rows in a high-score table
+};
+
+// Marks exported files so any other JSON is rejected on import
+const EXPORT_FORMAT = 'zombie-run-history';
+const EXPORT_VERSION = 1;
+
+/**
+ * Gets the browser's localStorage if there is one
+ * @returns {Storage|null} localStorage, or null (Node, privacy mode)
+ */
+const defaultStorage = () => {
+    try {
+        return globalThis.localStorage || null;
+    } catch {
+        return null; // Access can throw when storage is blocked
+    }
+};
+
+/**
+ * Checks that a value looks like a recorded run
+ * @param {*} run - Value to check
+ * @returns {boolean} True for a usable run
+ */
+const isValidRun = (run) => run !== null && typeof run === 'object' &&
+    typeof run.name === 'string' && run.name.length > 0 &&
+    Number.isFinite(run.score) && Number.isFinite(run.timeMs) &&
+    typeof run.date === 'string' && !Number.isNaN(Date.parse(run.date));
+
+/**
+ * Identifies a run so the same one isn't imported twice
+ * @param {Object} run - A run
+ * @returns {string} Key
+ */
+const runKey = (run) => `${run.name}|${run.date}|${run.score}|${run.seed}`;
+
+/**
+ * Orders runs best first - higher score, then longer survival
+ * @param {Object} a - A run
+ * @param {Object} b - Another run
+ * @returns {number} Sort order
+ */
+const byScore = (a, b) => (b.score - a.score) || (b.timeMs - a.timeMs);
+
+/**
+ * Loads every recorded run, oldest first
+ * @param {Storage|null} [storage] - Where runs are kept (default localStorage)
+ * @returns {Array<Object>} Runs (empty if nothing is stored or the data is unreadable)
+ */
+export const loadRuns = (storage = defaultStorage()) => {
+    if (!storage) return [];
+
+    const raw = storage.getItem(RUN_HISTORY_SETTINGS.storageKey);
+    if (!raw) return [];
+
+    try {
+        const runs = JSON.parse(raw);
+        return Array.isArray(runs) ? runs.filter(isValidRun) : [];
+    } catch (error) {
+        logger.warn('history', 'Stored run history is unreadable, starting a new one', { error: error.message });
+        return [];
+    }
+};
+
+/**
+ * Saves the runs, dropping the oldest past maxRuns
+ * @param {Array<Object>} runs - Runs, oldest first
+ * @param {Storage|null} storage - Where runs are kept
+ */
+const saveRuns = (runs, storage) => {
+    if (!storage) return;
+    const kept = runs.slice(-RUN_HISTORY_SETTINGS.maxRuns);
+    storage.setItem(RUN_HISTORY_SETTINGS.storageKey, JSON.stringify(kept));
+};
+
+/**
+ * Records a finished run
+ * @param {Object} run - { name, score, timeMs, kills, distance, wave, seed, cause, date? }
+ * @param {Storage|null} [storage] - Where runs are kept (default localStorage)
+ * @returns {Object} { run, rank } - the stored run and its place in the player's table (1 = best)
+ */
+export const recordRun = (run, storage = defaultStorage()) => {
+    const record = {
+        name: run.name,
+        score: run.score,
+        timeMs: Math.round(run.timeMs),
+        kills: run.kills || 0,
+        distance: Math.round(run.distance || 0),
+        wave: run.wave || 0,
+        seed: run.seed === undefined || run.seed === null ? null : String(run.seed),
+        cause: run.cause || 'Unknown',
+        date: run.date || new Date().toISOString()
+    };
+
+    const runs = loadRuns(storage);
+    runs.push(record);
+    saveRuns(runs, storage);
+
+    const rank = runs.filter(other => other.name === record.name).sort(byScore).indexOf(record) + 1;
+    logger.info('history', `Recorded run for ${record.name}: ${record.score} points (#${rank})`);
+    return { run: record, rank };
+};
+
+/**
+ * Gets a player's best runs
+ * @param {string|null} name - Player name (null = everyone)
+ * @param {number} [count=RUN_HISTORY_SETTINGS.topCount] - How many
+ * @param {Storage|null} [storage] - Where runs are kept
+ * @returns {Array<Object>} Runs, best first
+ */
+export const getTopRuns = (name, count = RUN_HISTORY_SETTINGS.topCount, storage = defaultStorage()) => {
+    return loadRuns(storage)
+        .filter(run => !name || run.name === name)
+        .sort(byScore)
+        .slice(0, count);
+};
+
+/**
+ * Gets all of a player's runs in the order they were played
+ * @param {string|null} name - Player name (null = everyone)
+ * @param {Storage|null} [storage] - Where runs are kept
+ * @returns {Array<Object>} Runs, oldest first
+ */
+export const getRunHistory = (name, storage = defaultStorage()) => {
+    return loadRuns(storage)
+        .filter(run => !name || run.name === name)
+        .sort((a, b) => Date.parse(a.date) - Date.parse(b.date));
+};
+
+/**
+ * Exports every run as JSON
+ * @param {Storage|null} [storage] - Where runs are kept
+ * @returns {string} JSON text for importRuns
+ */
+export const exportRuns = (storage = defaultStorage()) => {
+    return JSON.stringify({
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        runs: loadRuns(storage)
+    }, null, 2);
+};
+
+/**
+ * Merges runs from an export into the history
+ * @param {string} json - Text from exportRuns
+ * @param {Storage|null} [storage] - Where runs are kept
+ * @returns {number} How many new runs were added
+ */
+export const importRuns = (json, storage = defaultStorage()) => {
+    let data;
+    try {
+        data = JSON.parse(json);
+    } catch (error) {
+        throw new Error(`Run history import failed: not valid JSON (${error.message})`);
+    }
+
+    if (!data || data.format !== EXPORT_FORMAT || !Array.isArray(data.runs)) {
+        throw new Error('Run history import failed: not a run history export');
+    }
+    if (data.version > EXPORT_VERSION) {
+        throw new Error(`Run history import failed: made by a newer version (${data.version})`);
+    }
+
+    const runs = loadRuns(storage);
+    const known = new Set(runs.map(runKey));
+    const added = data.runs.filter((run) => {
+        if (!isValidRun(run) || known.has(runKey(run))) return false;
+        known.add(runKey(run)); // An export can hold the same run twice
+        return true;
+    });
+
+    // Keep the history in play order so maxRuns drops the oldest
+    const merged = runs.concat(added).sort((a, b) => Date.parse(a.date) - Date.parse(b.date));
+    saveRuns(merged, storage);
+
+    logger.info('history', `Imported ${added.length} runs (${data.runs.length - added.length} skipped)`);
+    return added.length;
+};
@@ -0,0 +1,148 @@
+/**
+ * Simulation Clock Module - Game time that only advances with the simulation
+ *
+ * The game loop advances this clock once per fixed simulation step. Anything
+ * that is part of the game (cooldowns, spawn timers, lifetimes, effect
+ * animations) should read time and schedule work here instead of using
+ * Date.now(), setTimeout or requestAnimationFrame. That way pausing freezes
+ * everything, slow motion slows everything, and a headless simulation behaves
+ * exactly like the rendered one.
+ *
+ * Example usage:
+ *   import { getSimTime, simTimeout, addSimTask } from './utils/simClock.js';
+ *
+ *   if (getSimTime() - lastShotTime > 100) { ... }   // instead of Date.now()
+ *   simTimeout(() => light.visible = false, 50);       // instead of setTimeout
+ *   addSimTask((delta) => {                            // instead of nested rAF
+ *       ring.scale.multiplyScalar(0.98);
+ *       return ring.scale.x > 0.01;                    // false = remove task
+ *   });
+ */
+
+// Clock state
+const simClock = {
+    time: 0, // Simulation time in ms since the run started
+    tick: 0, // Number of simulation steps taken
+    timeScale: 1, // 1 = normal speed, 0.5 = slow motion, 2 = fast forward
+    paused: false
+};
+
+// Scheduled work
+let timers = []; // { id, dueTime, callback }
+let tasks = []; // per-tick callbacks
+let nextTimerId = 1;
+
+/**
+ * Gets the current simulation time (use instead of Date.now() for gameplay)
+ * @returns {number} Milliseconds of simulated time
+ */
+export const getSimTime = () => simClock.time;
+
+/**
+ * Gets the current simulation time in seconds (handy for sin() animations)
+ * @returns {number} Seconds of simulated time
+ */
+export const getSimSeconds = () => simClock.time / 1000;
+
+/**
+ * Gets the number of simulation steps taken so far
+ * @returns {number} Tick count
+ */
+export const getSimTick = () => simClock.tick;
+
+/**
+ * Runs a callback after a delay of simulation time (use instead of setTimeout)
+ * @param {Function} callback - Function to run
+ * @param {number} delay - Delay in simulation milliseconds
+ * @returns {number} Timer id for clearSimTimeout
+ */
+export const simTimeout = (callback, delay = 0) => {
+    const id = nextTimerId++;
+    timers.push({ id, dueTime: simClock.time + delay, callback });
+    return id;
+};
+
+/**
+ * Cancels a timer created with simTimeout
+ * @param {number} id - Timer id
+ */
+export const clearSimTimeout = (id) => {
+    timers = timers.filter(timer => timer.id !== id);
+};
+
+/**
+ * Registers a callback that runs once per simulation step
+ * Replaces self-scheduling requestAnimationFrame animations
+ * @param {Function} task - Called with (deltaSeconds, simTime); return false to stop
+ */
+export const addSimTask = (task) => {
+    tasks.push(task);
+};
+
+/**
+ * Advances the clock by one simulation step and runs due timers and tasks
+ * Called by the game loop (or the headless runner) - not by gameplay code
+ * @param {number} delta - Step length in seconds
+ */
+export const advanceSimClock = (delta) => {
+    simClock.time += delta * 1000;
+    simClock.tick++;
+
+    // Run timers that are due (callbacks may schedule new timers)
+    if (timers.length > 0) {
+        const due = timers.filter(timer => timer.dueTime <= simClock.time);
+        if (due.length > 0) {
+            timers = timers.filter(timer => timer.dueTime > simClock.time);
+            due.sort((a, b) => a.dueTime - b.dueTime);
+            due.forEach(timer => timer.callback());
+        }
+    }
+
+    // Run per-tick tasks, dropping the ones that report they are done
+    if (tasks.length > 0) {
+        const current = tasks;
+        tasks = [];
+        const keep = current.filter(task => task(delta, simClock.time) !== false);
+        tasks = keep.concat(tasks); // Keep tasks added while running
+    }
+};
+
+/**
+ * Sets the simulation speed multiplier
+ * @param {number} scale - 1 = normal, <1 slow motion, >1 fast forward
+ */
+export const setTimeScale = (scale) => {
+    simClock.timeScale = Math.max(0, scale);
+};
+
+/**
+ * Gets the simulation speed multiplier
+ * @returns {number} Current time scale
+ */
+export const getTimeScale = () => simClock.timeScale;
+
+/**
+ * Pauses or resumes the simulation (rendering continues)
+ * @param {boolean} paused - Whether the simulation should be paused
+ */
+export const setSimPaused = (paused) => {
+    simClock.paused = !!paused;
+};
+
+/**
+ * Whether the simulation is paused
+ * @returns {boolean} Paused state
+ */
+export const isSimPaused = () => simClock.paused;
+
+/**
+ * Resets time and drops all pending timers and tasks (new run)
+ */
+export const resetSimClock = () => {
+    simClock.time = 0;
+    simClock.tick = 0;
+    simClock.timeScale = 1;
+    simClock.paused = false;
+    timers = [];
+    tasks = [];
+};
@@ -0,0 +1,113 @@
+/**
+ * Ammo tests - magazines, reloads, running dry and ammo crates
+ *
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHeadlessGame } from '../src/headless.js';
+import { shootBullet } from '../src/gameplay/combat.js';
+import { getAmmo } from '../src/gameplay/ammo.js';
+import { addWeapon, equipWeapon } from '../src/gameplay/weaponInventory.js';
+import { dropPickups } from '../src/gameplay/pickups.js';
+import { getEnemyDefinition } from '../src/enemies/enemyDefinitions.js';
+import { activatePowerup } from '../src/gameplay/activePowerups.js';
+
+test('the pistol empties its magazine, reloads on its own and never runs out', () => {
+    const game = createHeadlessGame({ seed: 'magazine', spawning: false });
+    const { scene, player, gameState } = game;
+
+    let shots = 0;
+    const pullTrigger = () => {
+        const before = gameState.bullets.length;
+        shootBullet(scene, player, gameState);
+        shots += gameState.bullets.length - before;
+    };
+
+    for (let shot = 0; shot < 12; shot++) {
+        pullTrigger();
+        game.runFor(0.15);
+    }
+    assert.equal(shots, 12);
+    assert.deepEqual(getAmmo(gameState, 'pistol'), { magazine: 0, reserve: null });
+    assert.ok(gameState.player.reload, 'the last round starts a reload');
+
+    pullTrigger();
+    assert.equal(shots, 12, 'no shots while reloading');
+
+    game.runFor(0.9);
+    assert.equal(gameState.player.reload, null);
+    assert.deepEqual(getAmmo(gameState, 'pistol'), { magazine: 12, reserve: null });
+});
+
+test('R reloads early from the reserve and switching guns cancels it', () => {
+    const game = createHeadlessGame({ seed: 'reload', spawning: false });
+    const { gameState } = game;
+    addWeapon(gameState, 'smg');
+    equipWeapon(gameState, 'smg');
+    getAmmo(gameState, 'smg').magazine = 10;
+
+    gameState.keys = { r: true };
+    game.step();
+    gameState.keys = {};
+    assert.equal(gameState.player.reload.weapon, 'smg');
+
+    game.runFor(1.5);
+    assert.deepEqual(getAmmo(gameState, 'smg'), { magazine: 40, reserve: 210 }, 'only the missing rounds come out of the reserve');
+
+    getAmmo(gameState, 'smg').magazine = 0;
+    gameState.keys = { r: true };
+    game.step();
+    gameState.keys = {};
+    equipWeapon(gameState, 'pistol');
+    game.runFor(1.5);
+    assert.equal(gameState.player.reload, null);
+    assert.equal(getAmmo(gameState, 'smg').magazine, 0, 'the cancelled reload loaded nothing');
+});
+
+test('a gun with nothing left clicks instead of firing, but powerup shots are free', () => {
+    const game = createHeadlessGame({ seed: 'dry', spawning: false });
+    const { scene, player, gameState } = game;
+    addWeapon(gameState, 'rifle');
+    equipWeapon(gameState, 'rifle');
+    Object.assign(getAmmo(gameState, 'rifle'), { magazine: 1, reserve: 0 });
+
+    shootBullet(scene, player, gameState);
+    assert.equal(gameState.bullets.length, 1);
+    assert.equal(gameState.player.reload, null, 'nothing to reload from');
+
+    game.runFor(0.5);
+    shootBullet(scene, player, gameState);
+    assert.equal(gameState.bullets.length, 1, 'dry');
+    assert.equal(gameState.lastShotTime, game.getTime(), 'the click is timed like a shot');
+
+    activatePowerup(gameState, 'laserShot', scene);
+    game.runFor(0.5);
+    const before = gameState.bullets.length;
+    shootBullet(scene, player, gameState);
+    assert.equal(gameState.bullets.length, before + 1, 'the laser fires without ammo');
+});
+
+test('zombies drop ammo crates that top up every limited gun', (t) => {
+    const game = createHeadlessGame({ seed: 'crates', spawning: false });
+    const { scene, player, gameState } = game;
+    const definition = getEnemyDefinition('zombie');
+    const drops = definition.drops;
+    definition.drops = [{ kind: 'ammo', chance: 1, count: 1 }];
+    t.after(() => { definition.drops = drops; });
+
+    const zombie = game.spawnZombie('zombie', { x: player.position.x + 3, z: player.position.z });
+    assert.deepEqual(dropPickups(scene, gameState, zombie), [], 'nothing to top up with only the pistol');
+
+    addWeapon(gameState, 'smg');
+    addWeapon(gameState, 'shotgun');
+    assert.equal(dropPickups(scene, gameState, zombie).length, 1);
+    assert.equal(gameState.pickups.length, 1);
+
+    player.position.x += 3;
+    game.step();
+    assert.equal(gameState.pickups.length, 0, 'walked over and collected');
+    assert.equal(getAmmo(gameState, 'smg').reserve, 240 + 40);
+    assert.equal(getAmmo(gameState, 'shotgun').reserve, 36 + 6);
+});
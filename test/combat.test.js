@@ -0,0 +1,64 @@
+/**
+ * Combat tests - shooting, bullet-zombie ray hits and fire rate
+ *
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { createHeadlessGame } from '../src/headless.js';
+import { createBullet } from '../src/gameplay/weapons.js';
+import { shootBullet } from '../src/gameplay/combat.js';
+
+test('holding the trigger kills a zombie in front of the player', () => {
+    const game = createHeadlessGame({ seed: 'combat', spawning: false });
+    const zombie = game.spawnZombie('zombie', { x: 0, z: 8 }); // Player faces +Z
+
+    game.gameState.mouseDown = true;
+    assert.ok(game.runUntil(() => !game.gameState.zombies.includes(zombie), 3), 'zombie was killed');
+
+    assert.ok(zombie.health <= 0);
+    assert.equal(game.gameState.stats.zombiesKilled, 1);
+    assert.ok(game.gameState.score > 0, 'kill awards points');
+    assert.ok(!game.scene.children.includes(zombie.mesh), 'mesh removed from the scene');
+});
+
+test('zombies outside the line of fire are not hit', () => {
+    const game = createHeadlessGame({ seed: 'combat-miss', spawning: false });
+    const bystander = game.spawnZombie('zombie', { x: 10, z: -10 });
+
+    game.gameState.mouseDown = true;
+    game.runFor(0.5);
+
+    assert.ok(game.gameState.bullets.length > 0, 'bullets were fired');
+    assert.equal(bystander.health, bystander.fullHealth);
+});
+
+test('a fast bullet hits a zombie it passes between two steps', () => {
+    const game = createHeadlessGame({ seed: 'ray-hit', spawning: false });
+    const zombie = game.spawnZombie('zombie', { x: 0, z: 3 });
+
+    // 6 units per step - the bullet is never inside the zombie's radius at a step boundary
+    const bullet = createBullet(new THREE.Vector3(0, 0.5, 0), new THREE.Vector3(0, 0, 1), 40, 6);
+    game.scene.add(bullet.mesh);
+    game.gameState.bullets.push(bullet);
+
+    game.step(1);
+
+    assert.ok(zombie.health < zombie.fullHealth, 'ray from previous to current position hit the zombie');
+    assert.ok(!game.gameState.bullets.includes(bullet), 'bullet is consumed by the hit');
+});
+
+test('fire rate is limited by simulation time', () => {
+    const game = createHeadlessGame({ seed: 'fire-rate', spawning: false });
+    const { scene, player, gameState } = game;
+
+    shootBullet(scene, player, gameState);
+    shootBullet(scene, player, gameState);
+    assert.equal(gameState.bullets.length, 1, 'second shot is still in cooldown');
+
+    game.runFor(0.1);
+    shootBullet(scene, player, gameState);
+    assert.equal(gameState.bullets.length, 2, 'cooldown is over after 100ms of sim time');
+});
@@ -0,0 +1,144 @@
+/**
+ * Dash tests - distance, cooldown, invulnerability frames and obstacles
+ *
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHeadlessGame } from '../src/headless.js';
+import { damagePlayer } from '../src/gameplay/zombieUtils.js';
+import { DASH_SETTINGS, isInvulnerable, getDashReadiness } from '../src/gameplay/dash.js';
+import { getRecordedReplay, startPlayback, stopPlayback } from '../src/replay/inputReplay.js';
+import { createRoom } from '../src/multiplayer/room.js';
+import { getKeyName } from '../src/eventHandlers.js';
+
+/**
+ * Taps the dash key for one step, then lets go
+ * @param {Object} game - Headless game
+ * @param {Object} [keys={}] - Movement keys held with it
+ */
+const tapDash = (game, keys = {}) => {
+    game.gameState.keys = { ...keys, shift: true };
+    game.step();
+    game.gameState.keys = { ...keys };
+};
+
+test('standing still dashes the full distance the way the player faces', () => {
+    const game = createHeadlessGame({ seed: 'dash', spawning: false });
+    game.player.rotation.y = 0; // Face +Z
+
+    tapDash(game);
+    game.runFor(0.5);
+    assert.equal(game.gameState.player.dash, null, 'the dash is over');
+    assert.ok(Math.abs(game.player.position.z - DASH_SETTINGS.distance) < 0.6, `moved ${game.player.position.z}`);
+    assert.ok(Math.abs(game.player.position.x) < 1e-9);
+});
+
+test('a dash follows the movement keys over facing', () => {
+    const game = createHeadlessGame({ seed: 'dash-keys', spawning: false });
+    game.player.rotation.y = 0;
+
+    tapDash(game, { w: true });
+    game.step(5);
+    assert.ok(game.player.position.z < -1, 'W dashes towards -z');
+});
+
+test('the cooldown blocks another dash until it is ready', () => {
+    const game = createHeadlessGame({ seed: 'dash-cooldown', spawning: false });
+    tapDash(game);
+    game.runFor(0.5);
+    const afterFirst = game.player.position.z;
+    assert.ok(getDashReadiness(game.gameState) < 1);
+
+    tapDash(game);
+    game.runFor(0.3);
+    assert.equal(game.player.position.z, afterFirst, 'no second dash while cooling down');
+
+    game.runFor(DASH_SETTINGS.cooldown / 1000);
+    tapDash(game);
+    game.runFor(0.3);
+    assert.ok(game.player.position.z > afterFirst + 4);
+});
+
+test('nothing hurts the player during the invulnerability frames', () => {
+    const game = createHeadlessGame({ seed: 'dash-iframes', spawning: false });
+    const { player } = game.gameState;
+
+    tapDash(game);
+    assert.ok(isInvulnerable(game.gameState));
+    damagePlayer(game.gameState, 40, 'Test hit');
+    assert.equal(player.health, 100);
+
+    game.runFor(DASH_SETTINGS.invulnerability / 1000);
+    assert.ok(!isInvulnerable(game.gameState));
+    damagePlayer(game.gameState, 40, 'Test hit');
+    assert.equal(player.health, 60);
+});
+
+test('the plague aura misses while dashing', () => {
+    const game = createHeadlessGame({ seed: 'dash-aura', spawning: false });
+    const titan = game.spawnZombie('plagueTitan', { x: 3, z: 0 });
+    titan.speed = titan.mesh.speed = 0;
+    game.player.rotation.y = 0;
+
+    tapDash(game);
+    game.step(Math.floor(DASH_SETTINGS.invulnerability / 1000 * 60) - 2);
+    assert.equal(game.gameState.player.health, 100);
+});
+
+test('a dash stops at an obstacle', () => {
+    const game = createHeadlessGame({ seed: 'dash-wall', spawning: false });
+    game.gameState.environmentObjects = [{ isObstacle: true, position: { x: 0, z: 5 }, boundingRadius: 1.5 }];
+    game.player.rotation.y = 0;
+
+    tapDash(game);
+    game.runFor(0.5);
+    assert.equal(game.gameState.player.dash, null);
+    assert.ok(game.player.position.z > 1, 'got some way');
+    assert.ok(game.player.position.z < 3, `stopped short of the rock at ${game.player.position.z}`);
+});
+
+test('a replay dashes at the same step', () => {
+    const game = createHeadlessGame({ seed: 'dash-replay', spawning: false });
+    game.step(30);
+    tapDash(game, { d: true });
+    game.runFor(1);
+    const recorded = { x: game.player.position.x, z: game.player.position.z };
+    const replay = getRecordedReplay();
+
+    const playback = createHeadlessGame({ seed: replay.seed, spawning: false });
+    startPlayback(replay, playback.gameState);
+    playback.step(replay.ticks);
+    assert.deepEqual({ x: playback.player.position.x, z: playback.player.position.z }, recorded);
+    stopPlayback(playback.gameState);
+});
+
+test('a co-op room holds off damage for a reported dash', () => {
+    const room = createRoom('dash', { seed: 'dash', initialSpawnCount: 0, enemySpawnRate: Infinity });
+    const player = room.addPlayer('a', 'Dasher');
+    const zombie = room.spawnZombie('zombie');
+    zombie.speed = 0;
+    zombie.x = player.x;
+    zombie.z = player.z + 0.5;
+
+    assert.ok(room.handleDash('a'));
+    room.tick(0.1);
+    room.tick(0.1);
+    assert.equal(player.health, 100);
+    assert.equal(room.handleDash('a'), false, 'still cooling down');
+
+    room.tick(0.2);
+    room.tick(0.1);
+    assert.ok(player.health < 100, 'hurt again once the window is over');
+});
+
+test('keys held with Shift keep their names, so weapon slots and movement work mid-dash', () => {
+    assert.equal(getKeyName({ code: 'ShiftLeft', key: 'Shift' }), 'shift');
+    assert.equal(getKeyName({ code: 'ShiftRight', key: 'Shift' }), 'shift');
+    assert.equal(getKeyName({ code: 'Digit2', key: '@' }), '2');
+    assert.equal(getKeyName({ code: 'KeyW', key: 'W' }), 'w');
+    assert.equal(getKeyName({ code: 'ArrowLeft', key: 'ArrowLeft' }), 'arrowleft');
+    assert.equal(getKeyName({ code: 'Space', key: ' ' }), ' ');
+    assert.equal(getKeyName({ code: '', key: 'Escape' }), 'escape');
+});
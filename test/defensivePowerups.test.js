@@ -0,0 +1,92 @@
+/**
+ * Defensive powerup tests - Shield, Regeneration, Speed Boost and Slow Motion
+ *
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHeadlessGame } from '../src/headless.js';
+import { activatePowerup } from '../src/gameplay/activePowerups.js';
+import { damagePlayer } from '../src/gameplay/zombieUtils.js';
+import { getPowerupDefinition, POWERUP_SETTINGS } from '../src/gameplay/powerupRegistry.js';
+
+test('a shield soaks up damage until it pops', () => {
+    const game = createHeadlessGame({ seed: 'shield', spawning: false });
+    const { scene, gameState } = game;
+
+    const shield = activatePowerup(gameState, 'shield', scene);
+    assert.equal(shield.shield, POWERUP_SETTINGS.shieldPerLevel);
+
+    damagePlayer(gameState, 30, 'Zombie');
+    assert.equal(gameState.player.health, 100, 'the shield took the whole hit');
+    assert.equal(shield.shield, 20);
+
+    damagePlayer(gameState, 50, 'Zombie');
+    assert.equal(gameState.player.health, 70, 'what the shield could not hold gets through');
+
+    game.runFor(0.1);
+    assert.equal(gameState.player.powerups.shield, undefined, 'a broken shield is gone');
+});
+
+test('picking up another shield tops it up to the new level', () => {
+    const game = createHeadlessGame({ seed: 'shield-level', spawning: false });
+    const { scene, gameState } = game;
+
+    activatePowerup(gameState, 'shield', scene);
+    damagePlayer(gameState, 40, 'Zombie');
+    const shield = activatePowerup(gameState, 'shield', scene);
+    assert.equal(shield.shield, POWERUP_SETTINGS.shieldPerLevel * 2);
+});
+
+test('regeneration heals over time but never past full health', () => {
+    const game = createHeadlessGame({ seed: 'regen', spawning: false });
+    const { scene, gameState } = game;
+    gameState.player.health = 50;
+
+    activatePowerup(gameState, 'regen', scene);
+    game.runFor(5);
+    assert.ok(Math.abs(gameState.player.health - 70) < 0.5, `healed 4 a second (${gameState.player.health})`);
+
+    game.runFor(getPowerupDefinition('regen').duration);
+    assert.equal(gameState.player.health, gameState.player.maxHealth);
+});
+
+test('speed boost makes the player run faster', () => {
+    const game = createHeadlessGame({ seed: 'speed-boost', spawning: false });
+    const { scene, player, gameState } = game;
+    const walkForward = () => {
+        const start = player.position.z;
+        gameState.keys = { w: true };
+        game.runFor(0.5);
+        gameState.keys = {};
+        return player.position.z - start;
+    };
+
+    const normal = walkForward();
+    activatePowerup(gameState, 'speedBoost', scene);
+    assert.ok(Math.abs(walkForward() - normal * 1.4) < 1e-6);
+});
+
+test('slow motion slows zombies inside its field until it runs out', () => {
+    const moveZombies = (slowMotion) => {
+        const game = createHeadlessGame({ seed: 'slow-motion', spawning: false });
+        const { scene, player, gameState } = game;
+        if (slowMotion) activatePowerup(gameState, 'timeSlow', scene);
+
+        const near = game.spawnZombie('zombie', { x: player.position.x, z: player.position.z + 6 });
+        const far = game.spawnZombie('zombie', { x: player.position.x, z: player.position.z + 30 });
+        const nearStart = near.mesh.position.z;
+        game.runFor(0.5);
+        return { game, near, far, moved: nearStart - near.mesh.position.z };
+    };
+
+    const normal = moveZombies(false);
+    const slowed = moveZombies(true);
+    assert.equal(slowed.near.timeScale, POWERUP_SETTINGS.timeSlowFactor);
+    assert.equal(slowed.far.timeScale, 1, 'zombies outside the field are not slowed');
+    assert.ok(slowed.moved < normal.moved * 0.6, `${slowed.moved} vs ${normal.moved}`);
+
+    slowed.game.runFor(getPowerupDefinition('timeSlow').duration);
+    assert.ok(slowed.game.gameState.zombies.every(zombie => zombie.timeScale === 1));
+});
@@ -0,0 +1,113 @@
+/**
+ * Enemy behaviour tests - the shared AI components enemies are composed from
+ *
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHeadlessGame } from '../src/headless.js';
+import { getEnemyDefinition } from '../src/enemies/enemyDefinitions.js';
+import { createEnemy } from '../src/enemies/enemyFactory.js';
+
+/**
+ * Distance from an enemy to the player (who stands at the origin)
+ * @param {Object} enemy - Enemy object from gameState.zombies
+ * @returns {number} Flat distance
+ */
+const distanceToPlayer = (enemy) => Math.hypot(enemy.mesh.position.x, enemy.mesh.position.z);
+
+/**
+ * Player health lost over some steps next to one enemy
+ * @param {string} type - Enemy type
+ * @param {Object} position - Where to spawn it
+ * @param {number} steps - Steps to run
+ * @returns {number} Health lost
+ */
+const damageTakenFrom = (type, position, steps = 1) => {
+    const game = createHeadlessGame({ seed: `damage-${type}`, spawning: false });
+    const before = game.gameState.player.health;
+    game.spawnZombie(type, position);
+    game.step(steps);
+    return before - game.gameState.player.health;
+};
+
+test('enemies are composed from the shared components', () => {
+    assert.deepEqual(getEnemyDefinition('zombie').behaviours, ['chase']);
+    assert.deepEqual(getEnemyDefinition('exploder').behaviours, ['explodeOnContact', 'chase']);
+    assert.deepEqual(getEnemyDefinition('plagueTitan').behaviours, ['plagueTitanAnimation', 'chase', 'poisonAura']);
+
+    const king = createEnemy('zombieKing', { x: 0, z: 0 }, 0.05);
+    assert.equal(king.avoidance, 'shove', 'tuning picks the avoidance style');
+    assert.equal(createEnemy('zombie', { x: 0, z: 0 }, 0.05).avoidance, 'even', 'components fill in defaults');
+});
+
+test('chasers bite on contact and the king bites twice as hard', () => {
+    const zombieBite = damageTakenFrom('zombie', { x: 0, z: 1 });
+    assert.ok(zombieBite > 0);
+    assert.ok(Math.abs(damageTakenFrom('zombieKing', { x: 0, z: 1 }) - zombieBite * 2) < 1e-9);
+    assert.equal(damageTakenFrom('zombie', { x: 0, z: 10 }), 0);
+});
+
+test('keepDistance backs off up close, holds at medium range and closes in from afar', () => {
+    const game = createHeadlessGame({ seed: 'keep-distance', spawning: false });
+    const close = game.spawnZombie('skeletonArcher', { x: 0, z: 5 });
+    const medium = game.spawnZombie('skeletonArcher', { x: 0, z: -12 });
+    const far = game.spawnZombie('skeletonArcher', { x: -30, z: 0 });
+
+    game.runFor(0.5);
+    assert.ok(distanceToPlayer(close) > 5);
+    assert.equal(distanceToPlayer(medium), 12, 'holds still while in bow range');
+    assert.ok(distanceToPlayer(far) < 30);
+});
+
+test('explodeOnContact lights a fuse, stops moving and then blows up', () => {
+    const game = createHeadlessGame({ seed: 'explode', spawning: false });
+    const exploder = game.spawnZombie('exploder', { x: 0, z: 2.5 });
+
+    game.step(1);
+    assert.equal(exploder.mesh.isExploding, true);
+    game.runFor(1);
+    assert.ok(Math.abs(distanceToPlayer(exploder) - 2.5) < 0.5, 'only wobbles while the fuse burns');
+    assert.ok(game.gameState.zombies.includes(exploder));
+
+    game.runFor(0.6);
+    assert.ok(!game.gameState.zombies.includes(exploder), 'detonated and removed');
+    assert.ok(game.gameState.player.health < 100, 'the blast hurt the player');
+});
+
+test('poisonAura hurts the player at range', () => {
+    assert.ok(damageTakenFrom('plagueTitan', { x: 0, z: 6 }) > 0, 'inside poisonRadius but out of reach');
+    assert.equal(damageTakenFrom('plagueTitan', { x: 0, z: 30 }), 0);
+});
+
+test('charge gives a burst of speed at medium range, then waits out its cooldown', () => {
+    const game = createHeadlessGame({ seed: 'charge', spawning: false });
+    const dashCooldown = getEnemyDefinition('skittercrab').tuning.dashCooldown;
+    game.runFor(dashCooldown / 1000 + 0.1); // The first charge is ready once a cooldown has passed
+    const crab = game.spawnZombie('skittercrab', { x: 0, z: 7 });
+
+    const start = distanceToPlayer(crab);
+    game.step(1);
+    const afterDash = distanceToPlayer(crab);
+    game.step(1);
+    const afterWalk = distanceToPlayer(crab);
+
+    assert.ok((start - afterDash) > (afterDash - afterWalk) * 2.5, 'the dash step covers about 3x the ground');
+    assert.equal(crab.mesh.speedBoost, 1);
+});
+
+test('summonMinions calls in zombies every summonInterval seconds', () => {
+    const game = createHeadlessGame({ seed: 'summon', spawning: false });
+    const king = game.spawnZombie('zombieKing', { x: 0, z: 40 });
+
+    game.step(1);
+    const afterFirst = game.gameState.zombies.length;
+    assert.ok(afterFirst > 1, 'summons straight away');
+    assert.equal(king.mesh.summonCooldown, king.mesh.summonInterval);
+
+    game.runFor(king.mesh.summonInterval - 1);
+    assert.equal(game.gameState.zombies.length, afterFirst);
+    game.runFor(1.1);
+    assert.ok(game.gameState.zombies.length > afterFirst);
+});
@@ -0,0 +1,99 @@
+/**
+ * Enemy definition tests - enemies.json validation and building enemies from it
+ *
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getEnemyDefinition, getEnemyDefinitions, loadEnemyDefinitions } from '../src/enemies/enemyDefinitions.js';
+import { createEnemy, GEOMETRY_BUILDERS, BEHAVIOURS } from '../src/enemies/enemyFactory.js';
+import { createHeadlessGame } from '../src/headless.js';
+
+const KNOWN = { geometries: Object.keys(GEOMETRY_BUILDERS), behaviours: Object.keys(BEHAVIOURS) };
+
+/**
+ * A minimal valid definition to break in different ways
+ * @returns {Object} Raw definition
+ */
+const validEntry = () => ({
+    name: 'Runner',
+    stats: { health: 50, speedMultiplier: 1.4, mass: 0.7, points: 5 },
+    fallbackGeometry: 'zombie',
+    behaviours: ['chase'],
+    spawn: { weight: 3, speedVariation: 0.02 }
+});
+
+test('the built-in definitions cover every enemy type', () => {
+    const types = getEnemyDefinitions().map(definition => definition.type);
+    assert.deepEqual(types, ['zombie', 'skeletonArcher', 'exploder', 'zombieKing', 'plagueTitan', 'necrofiend', 'rotBehemoth', 'skittercrab']);
+
+    const exploder = getEnemyDefinition('exploder');
+    assert.equal(exploder.stats.health, 100);
+    assert.equal(exploder.model.path, './exploder.glb');
+    assert.equal(exploder.scale, 1, 'optional fields get defaults');
+    assert.deepEqual(getEnemyDefinition('zombie').spawn.extraProps, {});
+});
+
+test('a new enemy only needs a definition', () => {
+    const [runner] = loadEnemyDefinitions({ runner: validEntry() }, KNOWN);
+
+    assert.equal(runner.type, 'runner');
+    assert.equal(runner.model, null);
+    assert.equal(runner.spawn.playSpawnSfx, false);
+});
+
+test('invalid definitions fail to load with every problem listed', () => {
+    const broken = validEntry();
+    broken.stats.health = -5;
+    broken.behaviours = ['chase', 'teleport'];
+    broken.spawn.wieght = 3;
+    broken.model = { path: './runner.glb', scale: [1, 2] };
+
+    assert.throws(() => loadEnemyDefinitions({ runner: broken }, KNOWN, 'test.json'), (error) => {
+        assert.match(error.message, /Invalid enemy definitions in test\.json/);
+        assert.match(error.message, /runner\.stats\.health must be a positive number \(got -5\)/);
+        assert.match(error.message, /runner\.behaviours\[1\] must be one of: .*chase.* \(got "teleport"\)/);
+        assert.match(error.message, /runner\.spawn\.wieght is not a known field/);
+        assert.match(error.message, /runner\.model\.scale must be a positive number or an array of 3 positive numbers/);
+        return true;
+    });
+
+    assert.throws(() => loadEnemyDefinitions({ runner: 'fast' }), /runner must be an object/);
+    assert.throws(() => loadEnemyDefinitions([]), /expected an object keyed by enemy type/);
+    assert.throws(
+        () => loadEnemyDefinitions({ runner: { ...validEntry(), spawn: { weight: 0, speedVariation: 0 } } }),
+        /at least one enemy needs a spawn\.weight above 0/
+    );
+});
+
+test('the factory builds enemies with the stats from their definition', () => {
+    const titan = createEnemy('plagueTitan', { x: 3, z: -4 }, 0.1);
+    const definition = getEnemyDefinition('plagueTitan');
+
+    assert.equal(titan.enemyType, 'plagueTitan');
+    assert.equal(titan.health, definition.stats.health);
+    assert.equal(titan.mass, definition.stats.mass);
+    assert.equal(titan.points, definition.stats.points);
+    assert.ok(Math.abs(titan.speed - 0.1 * definition.stats.speedMultiplier) < 1e-9);
+    assert.equal(titan.poisonRadius, definition.tuning.poisonRadius, 'tuning values are copied onto the enemy');
+    assert.equal(titan.position.x, 3);
+    assert.equal(titan.position.z, -4);
+    assert.ok(titan.children.length > 0, 'no model, so the fallback geometry is built right away');
+    assert.equal(typeof titan.update, 'function');
+
+    assert.equal(createEnemy('dragon', { x: 0, z: 0 }, 0.1), null);
+});
+
+test('spawned enemies use the spawn settings from their definition', () => {
+    const game = createHeadlessGame({ seed: 'definitions', spawning: false });
+
+    const archer = game.spawnZombie('skeletonArcher', { x: 0, z: 20 });
+    const definition = getEnemyDefinition('skeletonArcher');
+    assert.equal(archer.fullHealth, definition.stats.health);
+    assert.equal(archer.lastShotTime, definition.spawn.extraProps.lastShotTime);
+    assert.ok(Math.abs(archer.speed - archer.mesh.speed) <= definition.spawn.speedVariation / 2);
+
+    game.runFor(1);
+    assert.ok(archer.mesh.position.z < 20, 'the behaviour walks it towards the player');
+});
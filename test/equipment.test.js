@@ -0,0 +1,147 @@
+/**
+ * Equipment tests - grenade and mine charges, arming, throwing and refills
+ *
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHeadlessGame } from '../src/headless.js';
+import { EQUIPMENT_SETTINGS, getCharges, getEquipmentDefinition, getThrowPath } from '../src/gameplay/equipment.js';
+import { spawnPickup } from '../src/gameplay/pickups.js';
+import { getRecordedReplay, startPlayback, stopPlayback } from '../src/replay/inputReplay.js';
+import { setPauseReason } from '../src/ui/pauseMenu.js';
+
+/**
+ * Holds a key for a number of steps, then lets go for one step
+ * @param {Object} game - Headless game
+ * @param {string} key - Key
+ * @param {number} [steps=1] - Steps to hold it for
+ */
+const pressKey = (game, key, steps = 1) => {
+    game.gameState.keys = { [key]: true };
+    game.step(steps);
+    game.gameState.keys = {};
+    game.step();
+};
+
+/**
+ * Spawns a zombie that stays where it is put
+ * @param {Object} game - Headless game
+ * @param {Object} position - { x, z }
+ * @returns {Object} The zombie
+ */
+const spawnStillZombie = (game, position) => {
+    const zombie = game.spawnZombie('zombie', position);
+    zombie.speed = zombie.mesh.speed = 0; // Both, as the step falls back from one to the other
+    return zombie;
+};
+
+test('F places one mine per press and uses a charge', () => {
+    const game = createHeadlessGame({ seed: 'mine-press', spawning: false });
+    const before = getCharges(game.gameState, 'mine');
+    assert.equal(before, getEquipmentDefinition('mine').startingCharges);
+
+    pressKey(game, 'f', 30);
+    assert.equal(game.gameState.mines.length, 1, 'holding the key does not place more');
+    assert.equal(getCharges(game.gameState, 'mine'), before - 1);
+});
+
+test('a placed mine only goes off once it has armed', () => {
+    const game = createHeadlessGame({ seed: 'mine-arm', spawning: false });
+    pressKey(game, 'f');
+    const [mine] = game.gameState.mines;
+    game.player.position.set(20, 0, 0); // Out of the way
+
+    const zombie = spawnStillZombie(game, { x: mine.position.x + 0.5, z: mine.position.z });
+    game.step();
+    assert.ok(game.gameState.zombies.includes(zombie), 'not armed yet');
+    assert.equal(game.gameState.mines.length, 1);
+
+    game.runFor(EQUIPMENT_SETTINGS.mineArmDelay / 1000);
+    assert.ok(!game.gameState.zombies.includes(zombie));
+    assert.equal(game.gameState.mines.length, 0);
+});
+
+test('G throws on release and the grenade explodes where it lands', () => {
+    const game = createHeadlessGame({ seed: 'grenade', spawning: false });
+    game.player.rotation.y = 0; // Face +Z
+    const { end } = getThrowPath(game.player);
+    assert.ok(Math.abs(end.z - EQUIPMENT_SETTINGS.throwRange) < 1e-9);
+    const target = spawnStillZombie(game, { x: end.x, z: end.z });
+
+    game.gameState.keys = { g: true };
+    game.step(30);
+    assert.equal(game.gameState.grenades.length, 0, 'held to aim, not thrown yet');
+    game.gameState.keys = {};
+    game.step();
+    assert.equal(game.gameState.grenades.length, 1);
+    assert.equal(getCharges(game.gameState, 'grenade'), getEquipmentDefinition('grenade').startingCharges - 1);
+
+    game.runFor(EQUIPMENT_SETTINGS.flightTime / 2000);
+    assert.ok(game.gameState.grenades[0].mesh.position.y > 1, 'arcs up');
+    assert.ok(game.gameState.zombies.includes(target));
+
+    game.runFor(EQUIPMENT_SETTINGS.flightTime / 1000);
+    assert.equal(game.gameState.grenades.length, 0);
+    assert.ok(!game.gameState.zombies.includes(target));
+});
+
+test('nothing happens without charges', () => {
+    const game = createHeadlessGame({ seed: 'no-charges', spawning: false });
+    game.gameState.player.equipment = { grenade: 0, mine: 0 };
+    pressKey(game, 'g');
+    pressKey(game, 'f');
+    assert.equal(game.gameState.grenades.length, 0);
+    assert.equal(game.gameState.mines.length, 0);
+});
+
+test('supply bags refill each slot up to its maximum', () => {
+    const game = createHeadlessGame({ seed: 'supplies', spawning: false });
+    const { x, z } = game.player.position;
+    game.gameState.player.equipment = { grenade: 0, mine: getEquipmentDefinition('mine').maxCharges };
+
+    spawnPickup(game.scene, game.gameState, 'equipment', { x: x + 0.5, z });
+    game.step();
+    assert.equal(getCharges(game.gameState, 'grenade'), 1);
+    assert.equal(getCharges(game.gameState, 'mine'), getEquipmentDefinition('mine').maxCharges);
+
+    game.gameState.player.equipment.grenade = getEquipmentDefinition('grenade').maxCharges;
+    spawnPickup(game.scene, game.gameState, 'equipment', { x: x + 0.5, z });
+    game.step();
+    assert.equal(game.gameState.pickups.length, 1, 'left on the ground while every slot is full');
+});
+
+test('a replay throws and places at the same steps', () => {
+    const game = createHeadlessGame({ seed: 'equipment-replay', spawning: false });
+    game.player.rotation.y = 0.4;
+    spawnStillZombie(game, getThrowPath(game.player).end);
+    game.step(10);
+    pressKey(game, 'g', 12);
+    pressKey(game, 'f');
+    game.runFor(1);
+    const recorded = { kills: game.gameState.stats.zombiesKilled, mines: game.gameState.mines.length };
+    assert.deepEqual(recorded, { kills: 1, mines: 1 });
+    const replay = getRecordedReplay();
+
+    const playback = createHeadlessGame({ seed: replay.seed, spawning: false });
+    playback.player.rotation.y = 0.4; // Only to put the zombie in the same place - the replay does the aiming
+    spawnStillZombie(playback, getThrowPath(playback.player).end);
+    playback.player.rotation.y = 0;
+    startPlayback(replay, playback.gameState);
+    playback.step(replay.ticks);
+    assert.deepEqual({ kills: playback.gameState.stats.zombiesKilled, mines: playback.gameState.mines.length }, recorded);
+    stopPlayback(playback.gameState);
+});
+
+test('pausing while aiming a grenade cancels the throw', () => {
+    const game = createHeadlessGame({ seed: 'pause-aim', spawning: false });
+    game.gameState.keys = { g: true };
+    game.step(10);
+
+    setPauseReason('pauseMenu', true);
+    setPauseReason('pauseMenu', false);
+    game.step(5);
+    assert.equal(game.gameState.grenades.length, 0);
+    assert.equal(getCharges(game.gameState, 'grenade'), getEquipmentDefinition('grenade').startingCharges);
+});
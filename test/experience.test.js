@@ -0,0 +1,177 @@
+/**
+ * Experience tests - EXP for kills, level-ups and the perks they offer
+ *
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHeadlessGame } from '../src/headless.js';
+import { handleZombieDeath } from '../src/gameplay/zombieUtils.js';
+import { shootBullet } from '../src/gameplay/combat.js';
+import { awardExp, getExpToNextLevel, getLevelProgress } from '../src/gameplay/experience.js';
+import { choosePerk, PERK_TYPES } from '../src/gameplay/perks.js';
+import { getEnemyDefinition } from '../src/enemies/enemyDefinitions.js';
+import { getRecordedReplay, startPlayback, stopPlayback } from '../src/replay/inputReplay.js';
+import { isSimPaused, getSimTick } from '../src/utils/simClock.js';
+import { FIXED_TIMESTEP } from '../src/gameLoop.js';
+
+/**
+ * Offers a single perk and takes it
+ * @param {Object} gameState - The game state
+ * @param {string} type - Perk type
+ */
+const takePerk = (gameState, type) => {
+    gameState.player.perkChoice = [type];
+    choosePerk(gameState, type);
+};
+
+test('kills are worth their enemy type\'s EXP', () => {
+    const game = createHeadlessGame({ seed: 'kill-exp', spawning: false });
+    const { scene, gameState } = game;
+
+    for (const type of ['zombie', 'skittercrab']) {
+        const zombie = game.spawnZombie(type, { x: 0, z: 10 });
+        const before = gameState.player.exp;
+        handleZombieDeath(zombie, scene, gameState, gameState.zombies);
+        assert.equal(gameState.player.exp - before, getEnemyDefinition(type).stats.exp, type);
+    }
+});
+
+test('filling a level levels up, carries the rest over and offers three different perks', () => {
+    const game = createHeadlessGame({ seed: 'level-up', spawning: false });
+    const { player } = game.gameState;
+
+    awardExp(game.gameState, getExpToNextLevel(1) - 1);
+    assert.equal(player.level, 1);
+    assert.equal(player.perkChoice, null);
+    assert.ok(getLevelProgress(game.gameState) > 0.9);
+
+    assert.equal(awardExp(game.gameState, 5), 1);
+    assert.equal(player.level, 2);
+    assert.equal(player.exp, 4);
+    assert.equal(player.perkChoice.length, 3);
+    assert.equal(new Set(player.perkChoice).size, 3);
+    assert.ok(player.perkChoice.every(type => PERK_TYPES.includes(type)));
+    assert.ok(getExpToNextLevel(2) > getExpToNextLevel(1), 'each level takes more EXP');
+});
+
+test('level-ups during a choice wait their turn', () => {
+    const game = createHeadlessGame({ seed: 'queued-perks', spawning: false });
+    const { player } = game.gameState;
+
+    assert.equal(awardExp(game.gameState, getExpToNextLevel(1) + getExpToNextLevel(2)), 2);
+    const first = player.perkChoice;
+    assert.equal(player.pendingPerks, 1);
+
+    choosePerk(game.gameState, first[0]);
+    assert.ok(player.perkChoice, 'the second choice opens');
+    choosePerk(game.gameState, player.perkChoice[0]);
+    assert.equal(player.perkChoice, null);
+    assert.equal(player.perks.length, 2);
+});
+
+test('only a perk on offer can be taken', () => {
+    const game = createHeadlessGame({ seed: 'no-perk', spawning: false });
+    assert.throws(() => choosePerk(game.gameState, 'damage'), /Perk damage is not on offer/);
+});
+
+test('perks change the player\'s stats and stack', () => {
+    const game = createHeadlessGame({ seed: 'perk-stats', spawning: false });
+    const { gameState } = game;
+    const { player } = gameState;
+
+    takePerk(gameState, 'damage');
+    takePerk(gameState, 'damage');
+    assert.ok(Math.abs(player.damage - 40 * 1.44) < 1e-9);
+
+    player.health = 50;
+    takePerk(gameState, 'maxHealth');
+    assert.equal(player.maxHealth, 125);
+    assert.equal(player.health, 75);
+
+    takePerk(gameState, 'fireRate');
+    assert.equal(player.fireRateMultiplier, 0.85);
+    takePerk(gameState, 'pickupRadius');
+    assert.equal(player.pickupRadiusMultiplier, 1.5);
+    assert.deepEqual(player.perks, ['damage', 'damage', 'maxHealth', 'fireRate', 'pickupRadius']);
+});
+
+test('move speed perk makes the player walk faster', () => {
+    const game = createHeadlessGame({ seed: 'perk-speed', spawning: false });
+    const { player, gameState } = game;
+    const walkForward = () => {
+        const start = player.position.z;
+        gameState.keys = { w: true };
+        game.runFor(0.5);
+        gameState.keys = {};
+        return player.position.z - start;
+    };
+
+    const normal = walkForward();
+    takePerk(gameState, 'moveSpeed');
+    assert.ok(Math.abs(walkForward() - normal * 1.1) < 1e-6);
+});
+
+test('pierce perk sends each shot through one more zombie', () => {
+    const game = createHeadlessGame({ seed: 'perk-pierce', spawning: false });
+    const { scene, player, gameState } = game;
+    takePerk(gameState, 'pierce');
+
+    const zombies = [4, 7, 10].map(z => game.spawnZombie('zombie', { x: player.position.x, z: player.position.z + z }));
+    zombies.forEach(zombie => { zombie.health = 10000; });
+
+    shootBullet(scene, player, gameState);
+    game.runFor(1);
+    assert.deepEqual(zombies.map(zombie => zombie.health < 10000), [true, true, false]);
+});
+
+test('a replay picks the same perks as the recorded run', () => {
+    const game = createHeadlessGame({ seed: 'perk-replay', spawning: false });
+    for (let tick = 0; tick < 120; tick++) {
+        if (tick === 30) awardExp(game.gameState, getExpToNextLevel(1));
+        if (game.gameState.player.perkChoice) {
+            choosePerk(game.gameState, game.gameState.player.perkChoice[2]);
+        }
+        game.step();
+    }
+    const recorded = game.gameState.player.perks.slice();
+    const replay = getRecordedReplay();
+
+    const replayed = createHeadlessGame({ seed: replay.seed, spawning: false });
+    startPlayback(replay, replayed.gameState);
+    for (let tick = 0; tick < replay.ticks; tick++) {
+        if (tick === 30) awardExp(replayed.gameState, getExpToNextLevel(1));
+        replayed.step();
+    }
+    assert.deepEqual(replayed.gameState.player.perks, recorded);
+    stopPlayback(replayed.gameState);
+});
+
+test('a level-up stops the simulation on the step it happens', () => {
+    /**
+     * A run one kill from levelling up, shooting a one-hit zombie just ahead
+     * @returns {Object} Headless game
+     */
+    const setUp = () => {
+        const game = createHeadlessGame({ seed: 'level-up-pause', spawning: false });
+        awardExp(game.gameState, getExpToNextLevel(1) - 1);
+        game.player.rotation.y = 0;
+        game.spawnZombie('zombie', { x: 0, z: 1.5 }).health = 1;
+        game.gameState.mouseDown = true;
+        return game;
+    };
+
+    // Step by step, to find the step the kill lands on
+    const stepped = setUp();
+    assert.ok(stepped.runUntil(() => stepped.gameState.player.perkChoice !== null, 5 * FIXED_TIMESTEP));
+    const levelUpTick = getSimTick();
+    assert.ok(levelUpTick < 5, 'the kill lands within one frame\'s worth of steps');
+
+    // One long browser frame stops right there instead of running on under the perk choice
+    const framed = setUp();
+    framed.frame(5.5 * FIXED_TIMESTEP);
+    assert.ok(isSimPaused());
+    assert.equal(getSimTick(), levelUpTick);
+    assert.equal(framed.frame(0.1), 0, 'nothing runs while the choice is open');
+});
@@ -0,0 +1,44 @@
+/**
+ * Explosion tests - area damage, effect lifetime and exploder enemies
+ *
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { createHeadlessGame } from '../src/headless.js';
+import { createExplosion } from '../src/gameplay/zombieUtils.js';
+
+test('explosions damage zombies inside the radius only', () => {
+    const game = createHeadlessGame({ seed: 'explosion', spawning: false });
+    const near = game.spawnZombie('zombie', { x: 20, z: 20 });
+    const far = game.spawnZombie('zombie', { x: 30, z: 30 });
+
+    createExplosion(game.scene, new THREE.Vector3(20, 0.5, 20), 3, 100, game.gameState.zombies, game.player, game.gameState, 'player');
+
+    assert.ok(near.health < near.fullHealth, 'zombie at the centre is damaged');
+    assert.equal(far.health, far.fullHealth, 'zombie outside the radius is untouched');
+    assert.equal(game.gameState.player.health, 100, 'player far away is untouched');
+});
+
+test('the explosion effect fades out on simulation time', () => {
+    const game = createHeadlessGame({ seed: 'explosion-fade', spawning: false });
+
+    const explosion = createExplosion(game.scene, new THREE.Vector3(0, 0.5, 40), 3, 0, [], game.player, game.gameState, 'player');
+    assert.ok(explosion.visible);
+
+    game.runFor(0.1);
+    assert.ok(explosion.visible, 'still animating');
+
+    game.runFor(3);
+    assert.equal(explosion.visible, false, 'returned to the pool');
+});
+
+test('an exploder that reaches the player detonates and hurts them', () => {
+    const game = createHeadlessGame({ seed: 'exploder', spawning: false });
+    const exploder = game.spawnZombie('exploder', { x: 0, z: 3 });
+
+    assert.ok(game.runUntil(() => !game.gameState.zombies.includes(exploder), 10), 'exploder detonated');
+    assert.ok(game.gameState.player.health < 100, 'player took blast damage');
+});
@@ -0,0 +1,90 @@
+/**
+ * Horde flocking tests - spatial grid, cohort staggering and mob movement
+ *
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHeadlessGame } from '../src/headless.js';
+import { FLOCKING_SETTINGS, createSpatialGrid, getNearbyIndices, updateHordeFlocking } from '../src/gameplay/hordeFlocking.js';
+
+/**
+ * Standard deviation of some numbers
+ * @param {Array<number>} values - Numbers
+ * @returns {number} Spread
+ */
+const spread = (values) => {
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    return Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length);
+};
+
+/**
+ * Lines zombies up single file behind each other and lets them chase for a while
+ * @param {Object} weights - Flocking weights to use for the run
+ * @returns {number} Sideways spread of the column afterwards
+ */
+const columnSpreadAfterChase = (weights) => {
+    const saved = { ...FLOCKING_SETTINGS };
+    Object.assign(FLOCKING_SETTINGS, weights);
+
+    try {
+        const game = createHeadlessGame({ seed: 'conga', spawning: false });
+        game.gameState.player.health = 1e9;
+        const column = [];
+        for (let i = 0; i < 30; i++) {
+            column.push(game.spawnZombie('zombie', { x: 0, z: 30 + i }));
+        }
+        game.runFor(2);
+        return spread(column.map(zombie => zombie.mesh.position.x));
+    } finally {
+        Object.assign(FLOCKING_SETTINGS, saved);
+    }
+};
+
+test('the spatial grid finds zombies in the surrounding cells only', () => {
+    const at = (x, z) => ({ mesh: { position: { x, z } } });
+    const zombies = [at(0, 0), at(1, 1), at(-3, 2), at(30, 30), null];
+    const grid = createSpatialGrid(zombies, 4);
+
+    assert.deepEqual(getNearbyIndices(grid, zombies[0].mesh.position, 0).sort(), [1, 2]);
+    assert.deepEqual(getNearbyIndices(grid, zombies[3].mesh.position, 3), []);
+    assert.deepEqual(getNearbyIndices(grid, { x: 29, z: 29 }), [3]);
+});
+
+test('one cohort re-plans per step and every zombie gets a heading within a cycle', () => {
+    const game = createHeadlessGame({ seed: 'cohorts', spawning: false });
+    for (let i = 0; i < 100; i++) {
+        game.spawnZombie('zombie', { x: (i % 10) * 3 - 15, z: 40 + Math.floor(i / 10) * 3 });
+    }
+    const { zombies } = game.gameState;
+
+    const plannedPerStep = [];
+    for (let i = 0; i < FLOCKING_SETTINGS.cohortCount; i++) {
+        game.step(1);
+        plannedPerStep.push(updateHordeFlocking(zombies, createSpatialGrid(zombies), game.player.position));
+    }
+
+    assert.equal(plannedPerStep.reduce((sum, count) => sum + count, 0), 100, 'each zombie is in exactly one cohort');
+    plannedPerStep.forEach(count => assert.ok(count < 50, `cohorts share the work (${plannedPerStep})`));
+    assert.ok(zombies.every(zombie => zombie.mesh.flockHeading), 'everyone has a heading');
+});
+
+test('a single-file column spreads into a mob instead of a conga line', () => {
+    const flocking = columnSpreadAfterChase({});
+    const straight = columnSpreadAfterChase({ separationWeight: 0, cohesionWeight: 0 });
+
+    assert.ok(straight < 0.2, `with only attraction the column stays in line (spread ${straight.toFixed(2)})`);
+    assert.ok(flocking > straight * 3, `flocking fans the column out (spread ${flocking.toFixed(2)})`);
+});
+
+test('a lone zombie still heads straight for the player', () => {
+    const game = createHeadlessGame({ seed: 'lone', spawning: false });
+    const zombie = game.spawnZombie('zombie', { x: 0, z: 20 });
+
+    game.runFor(1);
+    const { position, flockHeading } = zombie.mesh;
+    const toPlayer = Math.atan2(-position.x, -position.z);
+    assert.ok(Math.abs(Math.atan2(flockHeading.x, flockHeading.z) - toPlayer) < 0.05, 'no neighbours, only attraction');
+    assert.ok(position.z < 20);
+});
@@ -0,0 +1,44 @@
+/**
+ * Game over tests - dying ends the run and freezes the simulation
+ *
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHeadlessGame } from '../src/headless.js';
+
+test('a zombie left alone next to the player ends the game', () => {
+    const game = createHeadlessGame({ seed: 'game-over', spawning: false });
+    game.spawnZombie('zombie', { x: 0, z: 1.5 });
+
+    assert.ok(game.runUntil(() => game.gameState.gameOver, 30), 'player died');
+
+    assert.ok(game.gameState.player.health <= 0);
+    assert.ok(game.gameState.stats.timePlayedMs > 0, 'time played comes from the sim clock');
+    assert.equal(game.gameState.stats.timePlayedMs, game.getTime());
+});
+
+test('the simulation stops advancing once the game is over', () => {
+    const game = createHeadlessGame({ seed: 'game-over-freeze' });
+
+    assert.ok(game.runUntil(() => game.gameState.gameOver, 60), 'horde overwhelmed the player');
+
+    const time = game.getTime();
+    const zombieCount = game.gameState.zombies.length;
+    assert.equal(game.runFor(5), 0, 'no steps taken after game over');
+    assert.equal(game.getTime(), time);
+    assert.equal(game.gameState.zombies.length, zombieCount);
+});
+
+test('a new headless game starts from a clean state', () => {
+    const first = createHeadlessGame({ seed: 'reset' });
+    first.runUntil(() => first.gameState.gameOver, 60);
+
+    const second = createHeadlessGame({ seed: 'reset' });
+    assert.equal(second.gameState.gameOver, false);
+    assert.equal(second.gameState.player.health, 100);
+    assert.equal(second.gameState.zombies.length, 0);
+    assert.equal(second.gameState.score, 0);
+    assert.equal(second.getTime(), 0);
+});
@@ -0,0 +1,50 @@
+/**
+ * Game reset tests - restarting in place clears the last run and starts a fresh one
+ *
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHeadlessGame } from '../src/headless.js';
+import { markPersistent, restartGame } from '../src/gameReset.js';
+import { getSeed } from '../src/utils/random.js';
+
+test('restarting removes and disposes the last run and resets the state', () => {
+    const game = createHeadlessGame({ seed: 'restart', spawning: false });
+    markPersistent(game.scene);
+
+    const titan = game.spawnZombie('plagueTitan', { x: 0, z: 1.5 });
+    let disposed = 0;
+    titan.mesh.traverse((node) => {
+        if (node.geometry) node.geometry.addEventListener('dispose', () => disposed++);
+    });
+    game.player.position.set(3, 0, 4);
+    assert.ok(game.runUntil(() => game.gameState.gameOver, 60), 'the titan wins');
+
+    const removed = restartGame({ scene: game.scene, player: game.player, seed: 'restart' });
+
+    assert.ok(removed >= 1);
+    assert.ok(!game.scene.children.includes(titan.mesh));
+    assert.ok(disposed > 0, 'geometry was freed');
+    assert.equal(game.gameState.gameOver, false);
+    assert.equal(game.gameState.player.health, 100);
+    assert.equal(game.gameState.zombies.length, 0);
+    assert.equal(game.getTime(), 0);
+    assert.equal(game.player.position.length(), 0);
+    assert.equal(getSeed(), 'restart', 'the same seed with ?seed=');
+    assert.equal(game.gameState.environmentObjects.length, 15, 'fresh scenery');
+    assert.ok(game.scene.children.includes(game.player), 'persistent objects stay');
+});
+
+test('the new run plays like any other', () => {
+    const game = createHeadlessGame({ seed: 'restart-again' });
+    markPersistent(game.scene);
+    assert.ok(game.runUntil(() => game.gameState.gameOver, 60));
+
+    restartGame({ scene: game.scene, player: game.player });
+    assert.notEqual(getSeed(), 'restart-again', 'no ?seed= picks a new one');
+
+    assert.ok(game.runUntil(() => game.gameState.zombies.length > 0, 20), 'the first wave arrives');
+    assert.ok(game.runUntil(() => game.gameState.gameOver, 60), 'and can end the run again');
+});
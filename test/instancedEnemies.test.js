@@ -0,0 +1,92 @@
+/**
+ * Instanced enemy tests - shared InstancedMesh batches, hit tint and the mesh fallback
+ *
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { createHeadlessGame } from '../src/headless.js';
+import { createEnemy } from '../src/enemies/enemyFactory.js';
+import { damageZombie } from '../src/gameplay/zombieUtils.js';
+import { getInstancedBatch, setInstancingEnabled, updateInstancedEnemies } from '../src/rendering/instancedEnemies.js';
+
+/**
+ * Reads one instance's position out of an InstancedMesh
+ * @param {THREE.InstancedMesh} mesh - The mesh
+ * @param {number} index - Instance index
+ * @returns {THREE.Vector3} World position of the instance's part
+ */
+const instancePosition = (mesh, index) => {
+    const matrix = new THREE.Matrix4();
+    mesh.getMatrixAt(index, matrix);
+    return new THREE.Vector3().setFromMatrixPosition(matrix);
+};
+
+test('instanced zombies have no meshes of their own and share one batch', () => {
+    const game = createHeadlessGame({ seed: 'instanced', spawning: false });
+    const first = game.spawnZombie('zombie', { x: 5, z: 20 });
+    const second = game.spawnZombie('zombie', { x: -5, z: 20 });
+
+    assert.equal(first.mesh.children.length, 0);
+    assert.equal(updateInstancedEnemies(game.scene), 2);
+
+    const batch = getInstancedBatch(game.scene, 'zombie');
+    assert.equal(batch.meshes.length, 8, 'one InstancedMesh per body part');
+    assert.ok(batch.meshes.every(mesh => mesh.parent === game.scene && mesh.count === 2));
+
+    // The body part sits 0.75 above the zombie's feet
+    const body = batch.meshes.find(mesh => mesh.geometry.parameters.height === 0.75 && mesh.geometry.parameters.depth === 0.25);
+    const index = second.mesh.userData.instanceIndex;
+    assert.ok(instancePosition(body, index).distanceTo(new THREE.Vector3(-5, 0.75, 20)) < 1e-6);
+});
+
+test('killed zombies free their slot and the buffers grow past their capacity', () => {
+    const game = createHeadlessGame({ seed: 'instanced-slots', spawning: false });
+    const zombies = [];
+    for (let i = 0; i < 300; i++) {
+        zombies.push(game.spawnZombie('zombie', { x: (i % 20) * 2, z: 30 + Math.floor(i / 20) * 2 }));
+    }
+    updateInstancedEnemies(game.scene);
+    const batch = getInstancedBatch(game.scene, 'zombie');
+    assert.ok(batch.capacity >= 300);
+
+    // Remove one from the middle - the last zombie takes its slot
+    const last = zombies[299];
+    game.scene.remove(zombies[10].mesh);
+    assert.equal(batch.enemies.length, 299);
+    assert.equal(last.mesh.userData.instanceIndex, 10);
+
+    updateInstancedEnemies(game.scene);
+    assert.equal(batch.meshes[0].count, 299);
+    assert.ok(instancePosition(batch.meshes[0], 10).distanceTo(last.mesh.position) < 2, 'slot 10 now draws the last zombie');
+});
+
+test('a hit tints the instance for a moment', () => {
+    const game = createHeadlessGame({ seed: 'instanced-flash', spawning: false });
+    const zombie = game.spawnZombie('zombie', { x: 0, z: 30 });
+    const color = new THREE.Color();
+
+    damageZombie(zombie, 10, game.scene);
+    updateInstancedEnemies(game.scene);
+    const mesh = getInstancedBatch(game.scene, 'zombie').meshes[0];
+    mesh.getColorAt(0, color);
+    assert.ok(color.r > color.g, 'flashing red');
+
+    game.runFor(0.5);
+    updateInstancedEnemies(game.scene);
+    mesh.getColorAt(0, color);
+    assert.deepEqual(color.toArray(), [1, 1, 1], 'back to normal');
+});
+
+test('with instancing off zombies are built from individual meshes', () => {
+    setInstancingEnabled(false);
+    try {
+        const zombie = createEnemy('zombie', { x: 0, z: 0 }, 0.05);
+        assert.ok(zombie.children.length > 0);
+        assert.equal(zombie.userData.instancedType, undefined);
+    } finally {
+        setInstancingEnabled(true);
+    }
+});
@@ -0,0 +1,55 @@
+/**
+ * Kill-cam tests - the rolling snapshot buffer and the clip's timing
+ *
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHeadlessGame } from '../src/headless.js';
+import {
+    KILLCAM_SETTINGS, getKillCamClip, getClipTime, getClipPlayLength
+} from '../src/rendering/killCam.js';
+
+test('the kill-cam keeps the last seconds of the run, following each enemy by id', () => {
+    const game = createHeadlessGame({ seed: 'killcam', spawning: false });
+    game.gameState.mouseDown = true;
+    const victim = game.spawnZombie('zombie', { x: 0, z: 8 }); // Player faces +Z
+    assert.ok(game.runUntil(() => !game.gameState.zombies.includes(victim), 3), 'zombie was shot');
+    game.gameState.mouseDown = false;
+    game.runFor(KILLCAM_SETTINGS.seconds - 4); // Still inside the window when the run ends
+    game.spawnZombie('plagueTitan', { x: 0, z: 1.5 });
+    assert.ok(game.runUntil(() => game.gameState.gameOver, 60), 'the titan wins');
+
+    const { snapshots, duration } = getKillCamClip();
+    assert.ok(duration <= KILLCAM_SETTINGS.seconds * 1000);
+    assert.equal(snapshots[snapshots.length - 1].t, game.getTime(), 'ends on the killing blow');
+
+    // The shot zombie is in the early snapshots only, and keeps its id
+    const idsOf = (snapshot, type) => snapshot.enemies.filter(enemy => enemy[1] === type).map(enemy => enemy[0]);
+    const [zombieId] = idsOf(snapshots[0], 'zombie');
+    assert.ok(zombieId, 'the zombie was alive when the window starts');
+    assert.deepEqual(idsOf(snapshots[snapshots.length - 1], 'zombie'), []);
+    const [titanId] = idsOf(snapshots[snapshots.length - 1], 'plagueTitan');
+    assert.notEqual(titanId, zombieId);
+    assert.ok(snapshots.some(snapshot => snapshot.projectiles.length > 0), 'bullets were captured');
+
+    // A new run starts with an empty buffer
+    createHeadlessGame({ seed: 'killcam' });
+    assert.equal(getKillCamClip().snapshots.length, 0);
+});
+
+test('the clip slows down for its last seconds', () => {
+    const duration = 10000;
+    const slow = KILLCAM_SETTINGS.slowMotionSeconds;
+    const playLength = getClipPlayLength(duration);
+    assert.equal(playLength, 10 - slow + slow / KILLCAM_SETTINGS.slowMotionScale);
+
+    assert.equal(getClipTime(0, duration), 0);
+    assert.equal(getClipTime(5, duration), 5000, 'normal speed to begin with');
+    assert.ok(Math.abs(getClipTime(playLength, duration) - duration) < 1e-6);
+    assert.equal(getClipTime(playLength + 5, duration), duration, 'holds the last frame');
+
+    // A short clip is all slow motion
+    assert.equal(getClipTime(1, 1000), 1000 * KILLCAM_SETTINGS.slowMotionScale);
+});
@@ -0,0 +1,179 @@
+/**
+ * Leaderboard tests - signed run submissions, sanity checks and the REST API
+ *
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { createHeadlessGame } from '../src/headless.js';
+import { createRunSummary, signRunSummary, checkRunSummary, isSubmittableRun } from '../src/leaderboard/runSummary.js';
+import { createLeaderboardStore, getPeriodStart } from '../src/leaderboard/leaderboardStore.js';
+import { createLeaderboardRouter } from '../src/leaderboard/leaderboardRoutes.js';
+
+/**
+ * Plays a short headless run that ends with the player dead
+ * @returns {Object} Run summary
+ */
+const playRun = () => {
+    const game = createHeadlessGame({ seed: 'leaderboard', spawning: false });
+    game.gameState.mouseDown = true;
+    for (let i = 0; i < 3; i++) {
+        const zombie = game.spawnZombie('zombie', { x: 0, z: 8 }); // Player faces +Z
+        assert.ok(game.runUntil(() => !game.gameState.zombies.includes(zombie), 3), 'zombie was shot');
+    }
+    game.gameState.mouseDown = false;
+    game.spawnZombie('plagueTitan', { x: 0, z: 1.5 });
+    assert.ok(game.runUntil(() => game.gameState.gameOver, 60), 'the titan wins');
+    return createRunSummary(game.gameState, { name: 'Ash', seed: 'leaderboard' });
+};
+
+/**
+ * Serves a leaderboard router on a free port
+ * @param {Object} store - Leaderboard store
+ * @param {Object} [options] - More createLeaderboardRouter options
+ * @returns {Promise<Object>} { call(route, body?), close() }
+ */
+const startLeaderboardServer = (store, options = {}) => new Promise((resolve) => {
+    const app = express();
+    app.use('/api/leaderboard', createLeaderboardRouter({ store, ...options }));
+    const server = app.listen(0, () => {
+        const base = `http://127.0.0.1:${server.address().port}/api/leaderboard`;
+        resolve({
+            call: async (route, body) => {
+                const response = await fetch(`${base}${route}`, body ? {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(body)
+                } : {});
+                return { status: response.status, data: await response.json() };
+            },
+            close: () => new Promise(done => server.close(done))
+        });
+    });
+});
+
+test('a played run passes the replay checks, and doctored ones do not', () => {
+    const summary = playRun();
+    assert.equal(summary.kills, 3);
+    assert.equal(summary.events.length, 3);
+    assert.match(summary.cause, /^Plague Titan/);
+    assert.deepEqual(checkRunSummary(summary), []);
+
+    assert.match(checkRunSummary({ ...summary, score: summary.score + 1000 }).join(), /doesn't match the events/);
+    const inflated = { ...summary, events: summary.events.map(event => ({ ...event, points: 100 })) };
+    assert.match(checkRunSummary(inflated).join(), /not worth 100 points/);
+    assert.match(checkRunSummary(summary, { maxDurationMs: 10 }).join(), /longer than the run's session/);
+
+    const burst = Array.from({ length: 200 }, () => ({ t: 500, points: 10, source: 'zombie', wave: 0 }));
+    const massacre = { ...summary, events: burst, kills: 200, score: 2000, durationMs: 600000 };
+    assert.match(checkRunSummary(massacre).join(), /within one second/);
+});
+
+test('a run through the waves passes, and kills its waves couldn\'t have spawned do not', () => {
+    const game = createHeadlessGame({ seed: 'leaderboard-waves' });
+    game.gameState.mouseDown = true;
+    game.runUntil(() => game.gameState.wave.number >= 2 || game.gameState.gameOver, 60);
+    game.gameState.stats.timePlayedMs = game.getTime();
+    const summary = createRunSummary(game.gameState, { name: 'Ash', seed: 'leaderboard-waves' });
+    assert.ok(summary.events.some(event => event.wave >= 1), 'killed something in a wave');
+    assert.deepEqual(checkRunSummary(summary), []);
+
+    // Ten Plague Titans a second, claimed deep into a long run
+    const titans = Array.from({ length: 50 }, (_, i) => ({ t: 300000 + i * 100, points: 100, source: 'plagueTitan', wave: 20 }));
+    const bossSpam = { ...summary, events: titans, kills: 50, score: 5000, wave: 20, durationMs: 600000 };
+    assert.match(checkRunSummary(bossSpam).join(), /more plagueTitan kills than/);
+    const early = { ...bossSpam, events: titans.slice(0, 1), kills: 1, score: 100 };
+    assert.deepEqual(checkRunSummary(early), [], 'one is fine by then');
+    assert.match(checkRunSummary({ ...early, events: [{ ...titans[0], wave: 3, t: 30000 }] }).join(),
+        /a plagueTitan can't be met by wave 3/);
+    assert.match(checkRunSummary({ ...early, events: [{ ...titans[0], t: 60000 }] }).join(),
+        /wave 20 can't have started by 60000 ms/);
+    assert.match(checkRunSummary({ ...early, wave: 10 }).join(), /past the run's wave/);
+});
+
+test('runs that arrive through a portal with a score are not submitted', () => {
+    const game = createHeadlessGame({ seed: 'portal-run', spawning: false });
+    assert.ok(isSubmittableRun(game.gameState));
+
+    game.gameState.score = game.gameState.startingScore = 500; // ?portal=true&score=500
+    game.gameState.stats.timePlayedMs = 1000;
+    assert.equal(isSubmittableRun(game.gameState), false);
+    assert.match(checkRunSummary(createRunSummary(game.gameState, { name: 'Ash', seed: 'portal-run' })).join(),
+        /doesn't match the events/, 'the server would turn it away');
+
+    game.gameState.startingScore = 0;
+    game.gameState.network = {};
+    try {
+        assert.equal(isSubmittableRun(game.gameState), false, 'co-op scores belong to the room');
+    } finally {
+        game.gameState.network = null;
+    }
+});
+
+test('signed runs are ranked and tampered ones are turned away', async () => {
+    const store = createLeaderboardStore();
+    const server = await startLeaderboardServer(store);
+    try {
+        const summary = playRun();
+
+        // Tampered: signed, then the score changed
+        const first = (await server.call('/sessions', {})).data;
+        const signature = await signRunSummary(summary, first.key);
+        const tampered = await server.call('/runs', { sessionId: first.sessionId, summary: { ...summary, score: 9999 }, signature });
+        assert.equal(tampered.status, 400);
+        assert.match(tampered.data.error, /Signature/);
+
+        // The real run, which also uses up the session
+        const accepted = await server.call('/runs', { sessionId: first.sessionId, summary, signature });
+        assert.equal(accepted.data.ok, true);
+        assert.deepEqual(accepted.data.ranks.daily, { rank: 1, of: 1, best: summary.score });
+        const replayed = await server.call('/runs', { sessionId: first.sessionId, summary, signature });
+        assert.match(replayed.data.error, /session/);
+
+        const top = await server.call('/top?period=weekly&limit=5');
+        assert.deepEqual(top.data.runs.map(run => [run.rank, run.name, run.score]), [[1, 'Ash', summary.score]]);
+        assert.equal((await server.call('/rank/Ash?period=all')).data.rank, 1);
+        assert.equal((await server.call('/rank/Nobody')).status, 404);
+        assert.equal((await server.call('/top?period=monthly')).status, 400);
+    } finally {
+        await server.close();
+    }
+});
+
+test('sessions are limited per IP and in total', async () => {
+    let now = Date.parse('2026-03-04T12:00:00Z');
+    const server = await startLeaderboardServer(createLeaderboardStore(), {
+        maxSessions: 3, sessionsPerMinute: 2, now: () => now
+    });
+    try {
+        const start = async () => (await server.call('/sessions', {})).status;
+        assert.deepEqual([await start(), await start(), await start()], [200, 200, 429]);
+
+        now += 60 * 1000;
+        assert.deepEqual([await start(), await start()], [200, 503], 'three open already');
+
+        now += 6 * 60 * 60 * 1000 + 1; // Every session has expired
+        assert.equal(await start(), 200);
+    } finally {
+        await server.close();
+    }
+});
+
+test('daily and weekly tables only count runs from their period', () => {
+    let now = Date.parse('2026-03-04T12:00:00Z'); // A Wednesday
+    const store = createLeaderboardStore({ now: () => now });
+    const run = (name, score) => store.addRun({ name, score, durationMs: 60000, kills: 1, wave: 1, seed: '', cause: 'Zombie' });
+
+    assert.equal(getPeriodStart('weekly', now), Date.parse('2026-03-02T00:00:00Z'));
+    run('Ash', 500);
+    now += 24 * 60 * 60 * 1000; // Thursday
+    run('Bo', 300);
+    run('Ash', 100);
+
+    assert.deepEqual(store.getTop('all').map(r => r.name), ['Ash', 'Bo']);
+    assert.deepEqual(store.getTop('daily').map(r => [r.name, r.score]), [['Bo', 300], ['Ash', 100]]);
+    const { rank, of } = store.getRank('Ash', 'weekly');
+    assert.deepEqual([rank, of], [1, 2]);
+});
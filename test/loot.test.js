@@ -0,0 +1,123 @@
+/**
+ * Loot tests - drop tables, health packs, coins and the pickup magnet
+ *
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHeadlessGame } from '../src/headless.js';
+import { handleZombieDeath } from '../src/gameplay/zombieUtils.js';
+import { dropPickups, spawnPickup, PICKUP_SETTINGS, PICKUP_KINDS } from '../src/gameplay/pickups.js';
+import { getEnemyDefinitions, loadEnemyDefinitions } from '../src/enemies/enemyDefinitions.js';
+
+/**
+ * Drops a pickup a few steps in front of the player
+ * @param {Object} game - Headless game
+ * @param {string} kind - Pickup kind
+ * @param {number} distance - How far away (world units, along +x)
+ * @returns {Object} The pickup
+ */
+const dropNearPlayer = (game, kind, distance) => {
+    const { x, z } = game.player.position;
+    return spawnPickup(game.scene, game.gameState, kind, { x: x + distance, z });
+};
+
+test('every drop table names a pickup that exists', () => {
+    for (const definition of getEnemyDefinitions()) {
+        for (const drop of definition.drops) {
+            assert.ok(PICKUP_KINDS.includes(drop.kind), `${definition.type} drops ${drop.kind}`);
+        }
+    }
+});
+
+test('drop tables are validated', () => {
+    const base = {
+        name: 'Test', stats: { health: 10, speedMultiplier: 1, mass: 1, points: 1 },
+        fallbackGeometry: 'zombie', behaviours: ['chase'], spawn: { weight: 1, speedVariation: 0 }
+    };
+    assert.equal(loadEnemyDefinitions({ test: base })[0].drops.length, 0, 'drops are optional');
+    assert.equal(loadEnemyDefinitions({ test: { ...base, drops: [{ kind: 'coin', chance: 0.5 }] } })[0].drops[0].count, 1);
+    assert.throws(
+        () => loadEnemyDefinitions({ test: { ...base, drops: [{ kind: 'coin', chance: 2, count: 0 }] } }),
+        /test\.drops\[0\]\.chance must be a number from 0 to 1[\s\S]*test\.drops\[0\]\.count must be a positive whole number/
+    );
+    assert.throws(
+        () => loadEnemyDefinitions({ test: { ...base, drops: [{ kind: 'pizza', chance: 1 }] } }, { pickups: PICKUP_KINDS }),
+        /test\.drops\[0\]\.kind must be one of: ammo, health, coin/
+    );
+});
+
+test('bosses always drop their loot', () => {
+    const game = createHeadlessGame({ seed: 'boss-loot', spawning: false });
+    const { scene, gameState } = game;
+
+    for (const type of ['rotBehemoth', 'plagueTitan']) {
+        gameState.pickups = [];
+        const boss = game.spawnZombie(type, { x: 0, z: 20 });
+        handleZombieDeath(boss, scene, gameState, gameState.zombies);
+        const kinds = gameState.pickups.map(pickup => pickup.kind);
+        assert.ok(kinds.includes('health'), `${type} drops health`);
+        assert.ok(kinds.includes('coin'), `${type} drops coins`);
+        assert.ok(kinds.length > 3, `${type} leaves a pile`);
+    }
+});
+
+test('a health pack heals up to max health and waits while the player is unhurt', () => {
+    const game = createHeadlessGame({ seed: 'health-pack', spawning: false });
+    const { player } = game.gameState;
+
+    dropNearPlayer(game, 'health', 0.5);
+    game.step();
+    assert.equal(game.gameState.pickups.length, 1, 'left on the ground at full health');
+
+    player.health = 90;
+    game.step();
+    assert.equal(game.gameState.pickups.length, 0);
+    assert.equal(player.health, 100);
+});
+
+test('coins count up during the run', () => {
+    const game = createHeadlessGame({ seed: 'coins', spawning: false });
+    dropNearPlayer(game, 'coin', 0.5);
+    dropNearPlayer(game, 'coin', -0.5);
+    game.step();
+    assert.equal(game.gameState.player.coins, 2 * PICKUP_SETTINGS.coinValue);
+});
+
+test('the magnet pulls in nearby pickups but not far ones', () => {
+    const game = createHeadlessGame({ seed: 'magnet', spawning: false });
+    const near = dropNearPlayer(game, 'coin', PICKUP_SETTINGS.magnetRadius - 0.5);
+    const far = dropNearPlayer(game, 'coin', -(PICKUP_SETTINGS.magnetRadius + 2));
+    const farStart = far.mesh.position.x;
+
+    game.runFor(1);
+    assert.ok(!game.gameState.pickups.includes(near), 'pulled in and collected');
+    assert.equal(far.mesh.position.x, farStart);
+});
+
+test('uncollected pickups blink and then disappear', () => {
+    const game = createHeadlessGame({ seed: 'despawn', spawning: false });
+    const pickup = dropNearPlayer(game, 'coin', 10);
+
+    game.runFor((PICKUP_SETTINGS.lifetime - PICKUP_SETTINGS.blinkTime / 2) / 1000);
+    let blinked = false;
+    for (let i = 0; i < 30; i++) {
+        game.step();
+        blinked = blinked || !pickup.mesh.visible;
+    }
+    assert.ok(blinked);
+    game.runFor(PICKUP_SETTINGS.blinkTime / 1000);
+    assert.equal(game.gameState.pickups.length, 0);
+});
+
+test('nothing drops in co-op', () => {
+    const game = createHeadlessGame({ seed: 'coop-loot', spawning: false });
+    const boss = game.spawnZombie('rotBehemoth', { x: 0, z: 20 });
+    game.gameState.network = {};
+    try {
+        assert.deepEqual(dropPickups(game.scene, game.gameState, boss), []);
+    } finally {
+        game.gameState.network = null;
+    }
+});
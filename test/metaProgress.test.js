@@ -0,0 +1,170 @@
+/**
+ * Meta progress tests - coins, shop unlocks and the loadout a run starts with
+ *
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    earnCoins, buyUnlock, setLoadout, loadMetaProgress, getRunLoadout, getCoinsForScore, META_SETTINGS
+} from '../src/gameplay/metaProgress.js';
+import { createHeadlessGame } from '../src/headless.js';
+import { awardExp, getExpToNextLevel } from '../src/gameplay/experience.js';
+import { choosePerk, rerollPerkChoice } from '../src/gameplay/perks.js';
+import { getPowerupLevel } from '../src/gameplay/activePowerups.js';
+import { getRecordedReplay, startPlayback, stopPlayback } from '../src/replay/inputReplay.js';
+import { getEarnedScore } from '../src/gameState.js';
+import { handleZombieDeath } from '../src/gameplay/zombieUtils.js';
+
+/**
+ * In-memory stand-in for localStorage
+ * @returns {Object} Storage with getItem / setItem
+ */
+const createMemoryStorage = () => {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value))
+    };
+};
+
+test('runs earn coins from their score and they are kept', () => {
+    const storage = createMemoryStorage();
+    assert.equal(earnCoins(1234, storage), 123);
+    assert.equal(earnCoins(5, storage), 0);
+    earnCoins(770, storage);
+    assert.equal(loadMetaProgress(storage).coins, 200);
+    assert.equal(getCoinsForScore(-50), 0);
+});
+
+test('a score carried in through a portal earns no coins', () => {
+    const game = createHeadlessGame({ seed: 'portal-coins', spawning: false });
+    const { gameState } = game;
+    gameState.score = gameState.startingScore = 1000000; // ?portal=true&score=1000000
+
+    const zombie = game.spawnZombie('zombie', { x: 0, z: 10 });
+    handleZombieDeath(zombie, game.scene, gameState, gameState.zombies);
+    assert.equal(getEarnedScore(gameState), gameState.score - 1000000);
+    assert.ok(getEarnedScore(gameState) > 0);
+
+    const next = createHeadlessGame({ seed: 'portal-coins-next', spawning: false });
+    assert.equal(next.gameState.startingScore, 0, 'the next run starts from nothing');
+});
+
+test('unlocks cost coins, level up and stop at their maximum', () => {
+    const storage = createMemoryStorage();
+    earnCoins(1000 * META_SETTINGS.scorePerCoin, storage);
+
+    buyUnlock('baseHealth', storage);
+    buyUnlock('baseHealth', storage);
+    const progress = loadMetaProgress(storage);
+    assert.equal(progress.unlocks.baseHealth, 2);
+    assert.equal(progress.coins, 1000 - 100 - 250);
+
+    buyUnlock('baseHealth', storage);
+    assert.throws(() => buyUnlock('baseHealth', storage), /Thick Blood is already maxed/);
+    assert.equal(getRunLoadout(loadMetaProgress(storage)).bonusHealth, 3 * META_SETTINGS.healthPerLevel);
+    assert.throws(() => buyUnlock('jetpack', storage), /Unknown unlock: jetpack/);
+});
+
+test('a purchase that can\'t be afforded changes nothing', () => {
+    const storage = createMemoryStorage();
+    earnCoins(50 * META_SETTINGS.scorePerCoin, storage);
+    assert.throws(() => buyUnlock('weapon:shotgun', storage), /costs \d+ coins \(you have 50\)/);
+    assert.deepEqual(loadMetaProgress(storage), { coins: 50, unlocks: {}, loadout: { weapon: null, powerup: null, color: null } });
+});
+
+test('only bought weapons, colours and powerups go in the loadout', () => {
+    const storage = createMemoryStorage();
+    earnCoins(2000 * META_SETTINGS.scorePerCoin, storage);
+    assert.throws(() => setLoadout('weapon', 'rifle', storage), /rifle is not unlocked/);
+    assert.throws(() => setLoadout('powerup', 'shield', storage), /shield is not unlocked/);
+
+    buyUnlock('weapon:shotgun', storage);
+    assert.equal(loadMetaProgress(storage).loadout.weapon, 'shotgun', 'a bought weapon is used straight away');
+    buyUnlock('startingPowerup', storage);
+    setLoadout('powerup', 'shield', storage);
+    buyUnlock('color:gold', storage);
+    buyUnlock('perkReroll', storage);
+
+    const loadout = getRunLoadout(loadMetaProgress(storage));
+    assert.deepEqual(loadout, { weapon: 'shotgun', powerup: 'shield', bonusHealth: 0, perkRerolls: 1, color: 0xffcc00 });
+    setLoadout('weapon', null, storage);
+    assert.equal(getRunLoadout(loadMetaProgress(storage)).weapon, null);
+});
+
+test('stored progress that doesn\'t add up is ignored', () => {
+    const storage = createMemoryStorage();
+    storage.setItem(META_SETTINGS.storageKey, JSON.stringify({
+        coins: -5, unlocks: { baseHealth: 99, jetpack: 1 }, loadout: { weapon: 'rifle', color: 'gold' }
+    }));
+    assert.deepEqual(loadMetaProgress(storage), {
+        coins: 0, unlocks: { baseHealth: 3 }, loadout: { weapon: null, powerup: null, color: null }
+    });
+    storage.setItem(META_SETTINGS.storageKey, '{not json');
+    assert.equal(loadMetaProgress(storage).coins, 0);
+});
+
+test('a run starts with its loadout on the first step', () => {
+    const loadout = { weapon: 'rifle', powerup: 'shield', bonusHealth: 40, perkRerolls: 2, color: null };
+    const game = createHeadlessGame({ seed: 'loadout', spawning: false, loadout });
+    const { player } = game.gameState;
+    game.step();
+
+    assert.equal(player.maxHealth, 140);
+    assert.equal(player.health, 140);
+    assert.equal(player.weapon, 'rifle');
+    assert.ok(player.weapons.includes('rifle'));
+    assert.equal(getPowerupLevel(game.gameState, 'shield'), 1);
+    assert.equal(player.perkRerolls, 2);
+
+    game.step(10);
+    assert.equal(player.maxHealth, 140, 'applied once');
+});
+
+test('rerolls swap the choice until they run out', () => {
+    const game = createHeadlessGame({ seed: 'reroll', spawning: false, loadout: { perkRerolls: 1 } });
+    game.step();
+    assert.throws(() => rerollPerkChoice(game.gameState), /No perk choice to reroll/);
+
+    awardExp(game.gameState, getExpToNextLevel(1));
+    const { player } = game.gameState;
+    const first = player.perkChoice;
+    rerollPerkChoice(game.gameState);
+    assert.equal(player.perkChoice.length, 3);
+    assert.notDeepEqual(player.perkChoice, first);
+    assert.throws(() => rerollPerkChoice(game.gameState), /No perk rerolls left/);
+
+    choosePerk(game.gameState, player.perkChoice[0]);
+    assert.deepEqual(player.perkActions, ['reroll', player.perks[0]]);
+});
+
+test('a replay starts with the recorded loadout and rerolls the same way', () => {
+    const loadout = { weapon: 'shotgun', powerup: 'speedBoost', bonusHealth: 20, perkRerolls: 1, color: null };
+    const game = createHeadlessGame({ seed: 'loadout-replay', spawning: false, loadout });
+    for (let tick = 0; tick < 90; tick++) {
+        if (tick === 20) awardExp(game.gameState, getExpToNextLevel(1));
+        if (tick === 21) rerollPerkChoice(game.gameState);
+        if (tick === 22) choosePerk(game.gameState, game.gameState.player.perkChoice[1]);
+        game.gameState.keys = tick >= 30 && tick < 60 ? { w: true } : {}; // Walk with the speed boost
+        game.step();
+    }
+    const recorded = { ...game.gameState.player, position: game.player.position.clone() };
+    const replay = getRecordedReplay();
+
+    // The shop holds nothing now - the replay brings its own loadout
+    const replayed = createHeadlessGame({ seed: replay.seed, spawning: false });
+    startPlayback(replay, replayed.gameState);
+    for (let tick = 0; tick < replay.ticks; tick++) {
+        if (tick === 20) awardExp(replayed.gameState, getExpToNextLevel(1));
+        replayed.step();
+    }
+    const { player } = replayed.gameState;
+    assert.equal(player.weapon, 'shotgun');
+    assert.equal(player.maxHealth, recorded.maxHealth);
+    assert.deepEqual(player.perkActions, recorded.perkActions);
+    assert.ok(recorded.position.length() > 0);
+    assert.equal(replayed.player.position.distanceTo(recorded.position), 0);
+    stopPlayback(replayed.gameState);
+});
@@ -0,0 +1,69 @@
+/**
+ * Pause tests - pause reasons holding the simulation clock, and the world with it
+ *
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { gameState } from '../src/gameState.js';
+import { setPauseReason, isGamePaused, clearPauseReasons } from '../src/ui/pauseMenu.js';
+import { isSimPaused, getSimTime, getSimTick } from '../src/utils/simClock.js';
+import { createHeadlessGame } from '../src/headless.js';
+
+test('the game stays paused until every reason to pause is gone', () => {
+    setPauseReason('pauseMenu', true);
+    setPauseReason('menu', true);
+    assert.ok(isSimPaused());
+
+    setPauseReason('menu', false);
+    assert.ok(isSimPaused(), 'closing the settings keeps the pause overlay up');
+    assert.ok(isGamePaused('pauseMenu'));
+
+    setPauseReason('pauseMenu', false);
+    assert.equal(isSimPaused(), false);
+    assert.equal(isGamePaused(), false);
+});
+
+test('pausing lets go of held keys and the trigger', () => {
+    gameState.keys = { w: true };
+    gameState.mouseDown = true;
+
+    setPauseReason('hidden', true);
+    assert.deepEqual(gameState.keys, {});
+    assert.equal(gameState.mouseDown, false);
+
+    clearPauseReasons();
+    assert.equal(isSimPaused(), false);
+});
+
+test('nothing in the world moves while the game is paused', () => {
+    const game = createHeadlessGame({ seed: 'paused-world' });
+    game.spawnZombie('zombie', { x: 0, z: 8 });
+    game.gameState.keys = { w: true };
+    game.frame(0.05);
+
+    /**
+     * The parts of the world a running simulation changes
+     * @returns {Object} Snapshot
+     */
+    const snapshot = () => ({
+        time: getSimTime(),
+        tick: getSimTick(),
+        player: game.player.position.toArray(),
+        zombies: game.gameState.zombies.map(zombie => zombie.mesh.position.toArray()),
+        wave: JSON.stringify(game.gameState.wave),
+        lastEnemySpawnTime: game.gameState.lastEnemySpawnTime
+    });
+    const before = snapshot();
+
+    setPauseReason('pauseMenu', true);
+    game.gameState.keys = { w: true }; // Held again after pausing - still nothing may move
+    for (let i = 0; i < 60; i++) game.frame(1 / 60);
+    assert.deepEqual(snapshot(), before);
+
+    setPauseReason('pauseMenu', false);
+    game.frame(0.05);
+    assert.ok(getSimTime() > before.time, 'runs again once resumed');
+    assert.notDeepEqual(game.gameState.zombies[0].mesh.position.toArray(), before.zombies[0]);
+});
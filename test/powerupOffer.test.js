@@ -0,0 +1,114 @@
+/**
+ * Powerup offer tests - the 1-of-3 draft and its curses
+ *
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHeadlessGame } from '../src/headless.js';
+import { spawnPowerupBehindPlayer, damagePowerup, POWERUP_OFFER_SETTINGS } from '../src/gameplay/powerupSpawner.js';
+import { activatePowerup } from '../src/gameplay/activePowerups.js';
+import { getPowerupDefinition } from '../src/gameplay/powerupRegistry.js';
+
+/**
+ * Changes the offer settings for one test
+ * @param {Object} t - The test context
+ * @param {Object} settings - Settings to use
+ */
+const useOfferSettings = (t, settings) => {
+    const saved = { ...POWERUP_OFFER_SETTINGS };
+    Object.assign(POWERUP_OFFER_SETTINGS, settings);
+    t.after(() => Object.assign(POWERUP_OFFER_SETTINGS, saved));
+};
+
+test('an offer is a row of 1 to 3 different options behind the player', () => {
+    const game = createHeadlessGame({ seed: 'offers', spawning: false });
+    const { scene, player, gameState } = game;
+    const sizes = new Set();
+
+    for (let i = 0; i < 30; i++) {
+        const offer = spawnPowerupBehindPlayer(scene, gameState, player);
+        sizes.add(offer.length);
+        assert.ok(offer.length >= 1 && offer.length <= 3);
+        assert.equal(new Set(offer.map(powerup => powerup.type)).size, offer.length, 'no type offered twice');
+        assert.equal(new Set(offer.map(powerup => powerup.spawnGroup)).size, 1);
+        assert.ok(offer.every(powerup => powerup.mesh.position.z > player.position.z));
+        assert.ok(offer.every(powerup => powerup.mesh.position.z === offer[0].mesh.position.z), 'all on one line');
+    }
+    assert.deepEqual([...sizes].sort(), [1, 2, 3]);
+});
+
+test('offers spawned in the same step get their own groups, numbered again each run', () => {
+    const game = createHeadlessGame({ seed: 'groups', spawning: false });
+    const { scene, player, gameState } = game;
+
+    const first = spawnPowerupBehindPlayer(scene, gameState, player);
+    const second = spawnPowerupBehindPlayer(scene, gameState, player);
+    assert.notEqual(first[0].spawnGroup, second[0].spawnGroup);
+
+    const next = createHeadlessGame({ seed: 'groups', spawning: false });
+    const offer = spawnPowerupBehindPlayer(next.scene, next.gameState, next.player);
+    assert.equal(offer[0].spawnGroup, first[0].spawnGroup);
+});
+
+test('offers can be all curses or none at all', (t) => {
+    const game = createHeadlessGame({ seed: 'curses', spawning: false });
+    const { scene, player, gameState } = game;
+    const isCursed = powerup => getPowerupDefinition(powerup.type).cursed === true;
+
+    useOfferSettings(t, { minOptions: 3, curseChance: 1 });
+    assert.ok(spawnPowerupBehindPlayer(scene, gameState, player).every(isCursed));
+
+    POWERUP_OFFER_SETTINGS.curseChance = 0;
+    assert.ok(!spawnPowerupBehindPlayer(scene, gameState, player).some(isCursed));
+});
+
+test('shooting one option takes it and the rest of the offer goes away', (t) => {
+    const game = createHeadlessGame({ seed: 'draft', spawning: false });
+    const { scene, player, gameState } = game;
+    useOfferSettings(t, { minOptions: 3, curseChance: 0 });
+
+    const [chosen, ...others] = spawnPowerupBehindPlayer(scene, gameState, player);
+    damagePowerup(chosen, chosen.maxHealth, gameState, scene);
+    game.runFor(1);
+
+    assert.ok(gameState.player.powerups[chosen.type]);
+    assert.ok(others.every(powerup => !powerup.active && !gameState.player.powerups[powerup.type]));
+    assert.equal(gameState.powerups.length, 0);
+});
+
+test('Sluggish slows the player down and Backwards flips the controls', () => {
+    const game = createHeadlessGame({ seed: 'cursed-moves', spawning: false });
+    const { scene, player, gameState } = game;
+    const walkForward = () => {
+        const start = player.position.z;
+        gameState.keys = { w: true };
+        game.runFor(0.5);
+        gameState.keys = {};
+        return player.position.z - start;
+    };
+
+    const normal = walkForward();
+    assert.ok(normal < 0, 'W walks towards -z');
+
+    activatePowerup(gameState, 'sluggish', scene);
+    assert.ok(Math.abs(walkForward() - normal * 0.6) < 1e-6);
+
+    activatePowerup(gameState, 'reversedControls', scene);
+    assert.ok(walkForward() > 0, 'W walks backwards');
+});
+
+test('Horde keeps bringing extra zombies while it runs', () => {
+    const game = createHeadlessGame({ seed: 'horde', spawning: false });
+    const { scene, gameState } = game;
+
+    activatePowerup(gameState, 'horde', scene);
+    game.runFor(6.1);
+    assert.equal(gameState.zombies.length, 3);
+
+    game.runFor(getPowerupDefinition('horde').duration);
+    const afterCurse = gameState.zombies.length;
+    game.runFor(5);
+    assert.equal(gameState.zombies.length, afterCurse, 'no more once it runs out');
+});
@@ -0,0 +1,95 @@
+/**
+ * Powerup registry tests - stacking, levels and independent timers
+ *
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHeadlessGame } from '../src/headless.js';
+import { shootBullet } from '../src/gameplay/combat.js';
+import { activatePowerup, applyFireHooks, getActivePowerups } from '../src/gameplay/activePowerups.js';
+import { POWERUP_TYPES, getPowerupDefinition } from '../src/gameplay/powerupRegistry.js';
+import { getEquippedWeapon } from '../src/gameplay/weaponInventory.js';
+
+test('every registry entry has its visuals, timing and at least one hook', () => {
+    for (const type of POWERUP_TYPES) {
+        const definition = getPowerupDefinition(type);
+        assert.equal(typeof definition.name, 'string', type);
+        assert.equal(typeof definition.color, 'number', type);
+        assert.equal(typeof definition.createMesh, 'function', type);
+        assert.ok(definition.duration > 0 && definition.unlockHealth > 0 && definition.maxLevel >= 1, type);
+        assert.ok(['onActivate', 'onFire', 'onMove', 'onHit', 'onDamage', 'onTick', 'onExpire'].some(hook => typeof definition[hook] === 'function'), type);
+    }
+});
+
+test('several powerups run at once and their fire hooks stack', () => {
+    const game = createHeadlessGame({ seed: 'stack', spawning: false });
+    const { scene, player, gameState } = game;
+
+    activatePowerup(gameState, 'shotgunBlast', scene);
+    activatePowerup(gameState, 'laserShot', scene);
+    assert.deepEqual(getActivePowerups(gameState).map(powerup => powerup.type), ['shotgunBlast', 'laserShot']);
+
+    const fireMode = applyFireHooks(gameState, getEquippedWeapon(gameState));
+    assert.equal(fireMode.projectile, 'laser');
+    assert.equal(fireMode.pellets, 8);
+
+    shootBullet(scene, player, gameState);
+    assert.equal(gameState.bullets.length, 8, 'a spread of laser beams');
+    assert.ok(gameState.bullets.every(bullet => bullet.isLaser));
+});
+
+test('collecting a running powerup levels it up and restarts its timer', () => {
+    const game = createHeadlessGame({ seed: 'level-up', spawning: false });
+    const { scene, gameState } = game;
+    const pistol = getEquippedWeapon(gameState);
+
+    activatePowerup(gameState, 'rapidFire', scene);
+    assert.equal(applyFireHooks(gameState, pistol).fireRate, pistol.fireRate / 3);
+
+    game.runFor(10);
+    const powerup = activatePowerup(gameState, 'rapidFire', scene);
+    assert.equal(powerup.level, 2);
+    assert.equal(powerup.remaining, powerup.duration);
+    assert.ok(powerup.duration > getPowerupDefinition('rapidFire').duration, 'higher levels last longer');
+    assert.equal(applyFireHooks(gameState, pistol).fireRate, pistol.fireRate / 4);
+
+    for (let i = 0; i < 5; i++) activatePowerup(gameState, 'rapidFire', scene);
+    assert.equal(gameState.player.powerups.rapidFire.level, getPowerupDefinition('rapidFire').maxLevel);
+});
+
+test('each powerup runs out on its own timer', () => {
+    const game = createHeadlessGame({ seed: 'timers', spawning: false });
+    const { scene, gameState } = game;
+
+    activatePowerup(gameState, 'grenadeLauncher', scene);
+    game.runFor(10);
+    activatePowerup(gameState, 'explosion', scene);
+    assert.ok(gameState.mines.length > 0, 'collecting the explosion powerup lays mines');
+
+    game.runFor(getPowerupDefinition('grenadeLauncher').duration - 10 + 0.5);
+    assert.equal(gameState.player.powerups.grenadeLauncher, undefined);
+    assert.ok(gameState.player.powerups.explosion, 'the later one is still running');
+
+    game.runFor(10);
+    assert.deepEqual(getActivePowerups(gameState), []);
+});
+
+test('laser beams pierce as many zombies as the powerup level', () => {
+    const game = createHeadlessGame({ seed: 'pierce', spawning: false });
+    const { scene, player, gameState } = game;
+    activatePowerup(gameState, 'laserShot', scene);
+
+    const zombies = [4, 7, 10].map(z => game.spawnZombie('zombie', { x: player.position.x, z: player.position.z + z }));
+    zombies.forEach(zombie => { zombie.health = 10000; });
+
+    shootBullet(scene, player, gameState);
+    game.runFor(1);
+    assert.deepEqual(zombies.map(zombie => zombie.health < 10000), [true, true, false]);
+});
+
+test('an unknown powerup type is an error', () => {
+    const game = createHeadlessGame({ seed: 'unknown-powerup', spawning: false });
+    assert.throws(() => activatePowerup(game.gameState, 'tripleShot', game.scene), /Unknown powerup type: tripleShot/);
+});
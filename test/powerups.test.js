@@ -0,0 +1,57 @@
+/**
+ * Powerup tests - shooting to unlock, collecting and expiry
+ *
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { createHeadlessGame } from '../src/headless.js';
+import { createPowerup, damagePowerup } from '../src/gameplay/powerupSpawner.js';
+
+test('shooting a powerup unlocks it and walking onto it activates it', () => {
+    const game = createHeadlessGame({ seed: 'powerup', spawning: false });
+    const powerup = createPowerup(game.scene, new THREE.Vector3(0, 0, 6), game.gameState, 'rapidFire');
+    assert.equal(powerup.unlocked, false);
+
+    game.gameState.mouseDown = true;
+    assert.ok(game.runUntil(() => powerup.unlocked, 5), 'powerup unlocked by gunfire');
+    assert.equal(powerup.health, 0);
+
+    game.gameState.mouseDown = false;
+    game.player.position.set(0, 0, 6);
+    game.step(1);
+
+    assert.equal(game.gameState.player.powerups.rapidFire.level, 1);
+    assert.ok(game.gameState.player.powerups.rapidFire.remaining > 0);
+});
+
+test('a locked powerup is not collected', () => {
+    const game = createHeadlessGame({ seed: 'powerup-locked', spawning: false });
+    const powerup = createPowerup(game.scene, new THREE.Vector3(0, 0, 6), game.gameState, 'shotgunBlast');
+
+    damagePowerup(powerup, 1, game.gameState, game.scene);
+    game.player.position.set(0, 0, 6);
+    game.step(5);
+
+    assert.equal(powerup.unlocked, false);
+    assert.deepEqual(game.gameState.player.powerups, {});
+});
+
+test('an active powerup runs out after its duration', () => {
+    const game = createHeadlessGame({ seed: 'powerup-expiry', spawning: false });
+    const powerup = createPowerup(game.scene, new THREE.Vector3(0, 0, 6), game.gameState, 'laserShot');
+
+    damagePowerup(powerup, powerup.maxHealth, game.gameState, game.scene);
+    game.player.position.set(0, 0, 6);
+    game.step(1);
+    assert.ok(game.gameState.player.powerups.laserShot);
+
+    const duration = game.gameState.player.powerups.laserShot.remaining;
+    game.runFor(duration - 0.5);
+    assert.ok(game.gameState.player.powerups.laserShot, 'still active just before expiry');
+
+    game.runFor(1);
+    assert.equal(game.gameState.player.powerups.laserShot, undefined);
+});
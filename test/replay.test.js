@@ -0,0 +1,88 @@
+/**
+ * Replay tests - recorded inputs play back to the same run, tick for tick
+ *
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHeadlessGame } from '../src/headless.js';
+import {
+    getRecordedReplay, startPlayback, stopPlayback, seekReplay, getPlaybackPosition,
+    serializeReplay, parseReplay
+} from '../src/replay/inputReplay.js';
+
+const SECONDS = 20;
+
+/**
+ * Plays a run with scripted input: strafing, turning and bursts of fire
+ * @returns {Object} { replay, result }
+ */
+const playScriptedRun = () => {
+    const game = createHeadlessGame({ seed: 'replay' });
+    const ticks = SECONDS * 60;
+    for (let tick = 0; tick < ticks && !game.gameState.gameOver; tick++) {
+        game.gameState.keys = { [tick % 240 < 120 ? 'a' : 'd']: true, w: tick % 90 < 30 };
+        game.gameState.mouseDown = tick % 50 < 35;
+        game.player.rotation.y = Math.sin(tick / 40) * 1.2;
+        game.step();
+    }
+    return { replay: getRecordedReplay(), result: snapshot(game) };
+};
+
+/**
+ * The parts of a run that show whether two runs played out the same
+ * @param {Object} game - Headless game
+ * @returns {Object} Snapshot
+ */
+const snapshot = (game) => ({
+    x: game.player.position.x,
+    z: game.player.position.z,
+    health: game.gameState.player.health,
+    score: game.gameState.score,
+    kills: game.gameState.stats.zombiesKilled,
+    zombies: game.gameState.zombies.map(zombie => [zombie.type, zombie.health, zombie.mesh.position.x, zombie.mesh.position.z]),
+    time: game.getTime()
+});
+
+test('a replay reproduces the recorded run exactly', () => {
+    const { replay, result } = playScriptedRun();
+    assert.ok(result.kills > 0, 'the run had some action');
+    assert.ok(replay.frames.length < replay.ticks * 3, 'only changes are stored');
+
+    // Through a file and back, then play it on a fresh run with the same seed
+    const loaded = parseReplay(serializeReplay(replay));
+    const game = createHeadlessGame({ seed: loaded.seed });
+    startPlayback(loaded, game.gameState);
+    game.step(loaded.ticks);
+
+    assert.deepEqual(snapshot(game), result);
+    stopPlayback(game.gameState);
+});
+
+test('seeking back and forth lands on the same state as playing straight through', () => {
+    const { replay } = playScriptedRun();
+
+    let game = createHeadlessGame({ seed: replay.seed });
+    const hooks = {
+        restart: (seed) => { game = createHeadlessGame({ seed }); },
+        step: () => game.step(),
+        isOver: () => game.gameState.gameOver
+    };
+    startPlayback(replay, game.gameState);
+
+    assert.equal(seekReplay(400, hooks), 400);
+    const straight = snapshot(game);
+    assert.equal(seekReplay(200, hooks), 200, 'back means a restart');
+    assert.equal(getPlaybackPosition().tick, 200);
+    seekReplay(400, hooks);
+
+    assert.deepEqual(snapshot(game), straight);
+    stopPlayback(game.gameState);
+});
+
+test('files that are not replays are refused', () => {
+    assert.throws(() => parseReplay('nope'), /not valid JSON/);
+    assert.throws(() => parseReplay('{"format": "zombie-run-history"}'), /not a replay file/);
+    assert.throws(() => parseReplay('{"format": "zombie-replay", "version": 99}'), /version 99/);
+});
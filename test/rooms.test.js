@@ -0,0 +1,393 @@
+/**
+ * Co-op room tests - the authoritative room, the socket.io room server and the browser client
+ *
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { setTimeout as wait } from 'timers/promises';
+import { Server } from 'socket.io';
+import { io as connect } from 'socket.io-client';
+import { createRoom } from '../src/multiplayer/room.js';
+import { attachRoomServer } from '../src/multiplayer/roomManager.js';
+import { connectToRoom, sendShots } from '../src/multiplayer/networkClient.js';
+import { createHeadlessGame } from '../src/headless.js';
+
+// A quiet room: nothing spawns unless a test asks for it
+const QUIET_ROOM = { seed: 'rooms', initialSpawnCount: 0, enemySpawnRate: Infinity };
+
+/**
+ * Spawns a zombie that stands still at a spot
+ * @param {Object} room - The room
+ * @param {number} x - X position
+ * @param {number} z - Z position
+ * @returns {Object} The zombie record
+ */
+const placeZombie = (room, x, z) => {
+    const zombie = room.spawnZombie('zombie');
+    Object.assign(zombie, { x, z, speed: 0 });
+    return zombie;
+};
+
+/**
+ * Starts a room server on a free port, ticked by hand through tickRooms
+ * @returns {Promise<Object>} { url, roomServer, close }
+ */
+const startRoomServer = () => new Promise((resolve) => {
+    const httpServer = http.createServer();
+    const ioServer = new Server(httpServer);
+    const roomServer = attachRoomServer(ioServer, { roomOptions: QUIET_ROOM });
+    roomServer.stop(); // The tests decide when rooms tick
+
+    httpServer.listen(0, () => {
+        resolve({
+            url: `http://127.0.0.1:${httpServer.address().port}`,
+            roomServer,
+            close: () => new Promise(done => ioServer.close(() => done()))
+        });
+    });
+});
+
+/**
+ * Connects a bare socket.io client and joins a room
+ * @param {string} url - Server URL
+ * @param {string} roomId - Room to join
+ * @param {string} name - Player name
+ * @returns {Promise<Object>} { socket, response }
+ */
+const joinRoom = (url, roomId, name) => new Promise((resolve, reject) => {
+    const socket = connect(url, { transports: ['websocket'], forceNew: true });
+    socket.on('connect_error', reject);
+    socket.on('connect', () => {
+        socket.emit('joinRoom', { roomId, name }, response => resolve({ socket, response }));
+    });
+});
+
+/**
+ * Waits for the next message of a kind on a socket
+ * @param {Object} socket - Client socket
+ * @param {string} name - Message name
+ * @returns {Promise<Object>} The message payload
+ */
+const nextMessage = (socket, name) => new Promise(resolve => socket.once(name, resolve));
+
+/**
+ * Waits for the room to be handed the next message of a kind from any client
+ * @param {Object} room - The room
+ * @param {string} handler - Room function the message goes to, e.g. 'handleShot'
+ * @returns {Promise<*>} What the room returned for it
+ */
+const nextHandled = (room, handler) => new Promise((resolve) => {
+    const handle = room[handler];
+    room[handler] = (...args) => {
+        room[handler] = handle;
+        resolve(handle(...args));
+    };
+});
+
+test('two players join one room and see the same players and horde', () => {
+    const room = createRoom('lobby', { seed: 'two-players', initialSpawnCount: 3, maxPlayers: 2 });
+    room.addPlayer('a', 'Ash');
+    room.addPlayer('b', 'Bo');
+    assert.equal(room.addPlayer('c', 'Cy'), null, 'the room is full');
+
+    const snapshot = room.getSnapshot();
+    assert.deepEqual(snapshot.players.map(p => p.name), ['Ash', 'Bo']);
+    assert.notDeepEqual([snapshot.players[0].x, snapshot.players[0].z], [snapshot.players[1].x, snapshot.players[1].z],
+        'spread out so they do not start inside each other');
+    assert.equal(snapshot.zombies.length, 3, 'the first player brought the horde');
+
+    const types = room.drainEvents().map(event => event.type);
+    assert.deepEqual(types.filter(type => type === 'zombieSpawned').length, 3);
+    assert.deepEqual(types.filter(type => type === 'playerJoined').length, 2);
+});
+
+test('the room spawns on its own clock, the same way for the same seed', () => {
+    const play = () => {
+        const room = createRoom('spawns', { seed: 'spawns', initialSpawnCount: 0 });
+        room.addPlayer('a', 'Ash');
+        room.tick(0.2);
+        assert.equal(room.zombies.size, 0, 'not time for a batch yet');
+        room.tick(0.1);
+        return room.getSnapshot().zombies;
+    };
+    const zombies = play();
+    assert.equal(zombies.length, 5);
+    assert.deepEqual(play(), zombies);
+});
+
+test('a shot is resolved by the room and the kill is scored to the shooter', () => {
+    const room = createRoom('shots', QUIET_ROOM);
+    const ash = room.addPlayer('a', 'Ash');
+    room.addPlayer('b', 'Bo');
+    const zombie = placeZombie(room, ash.x, ash.z + 5);
+    room.drainEvents();
+
+    assert.equal(room.handleShot('a', { x: ash.x + 10, z: ash.z, dirX: 0, dirZ: 1, damage: 40 }), false,
+        'a shot from somewhere the player is not');
+    assert.ok(room.handleShot('a', { x: ash.x, z: ash.z, dirX: 0, dirZ: 1, damage: 250 }));
+    room.tick(0.1);
+    room.tick(0.1);
+
+    const killed = room.drainEvents().find(event => event.type === 'zombieKilled');
+    assert.equal(killed.payload.id, zombie.id);
+    assert.equal(killed.payload.killerId, 'a');
+    const snapshot = room.getSnapshot();
+    assert.equal(snapshot.score, zombie.points);
+    assert.deepEqual(snapshot.players.map(p => [p.name, p.kills, p.score]), [['Ash', 1, zombie.points], ['Bo', 0, 0]]);
+});
+
+test('a player can only shoot as fast and as hard as their weapon allows', () => {
+    const room = createRoom('fire-rate', QUIET_ROOM);
+    const ash = room.addPlayer('a', 'Ash');
+    const shot = { x: ash.x, z: ash.z, dirX: 0, dirZ: -1, damage: 40, weapon: 'pistol' };
+    const fire = (count) => Array.from({ length: count }, () => room.handleShot('a', shot)).filter(Boolean).length;
+
+    const burst = 1 + room.config.shotBurst; // One pistol round plus the bunching allowance
+    assert.equal(fire(100), burst);
+    room.tick(0.1); // 100 ms: one pistol shot, times the headroom for Rapid Fire and perks
+    assert.equal(fire(100), room.config.shotRateAllowance);
+    assert.equal(room.handleShot('a', { ...shot, weapon: 'railgun' }), false, 'no such gun');
+
+    const titan = room.spawnZombie('plagueTitan');
+    Object.assign(titan, { x: ash.x, z: ash.z + 3, speed: 0 });
+    const health = titan.health;
+    room.tick(1);
+    assert.ok(room.handleShot('a', { ...shot, dirZ: 1, damage: 100000 }));
+    room.tick(0.1);
+    assert.equal(health - titan.health, room.config.maxShotDamage, 'the pistol can only hit so hard');
+});
+
+test('a reported position only moves the player as far as they could have got', () => {
+    const room = createRoom('teleport', QUIET_ROOM);
+    const ash = room.addPlayer('a', 'Ash');
+    const { moveBurst, maxMoveSpeed } = room.config;
+
+    room.handlePlayerState('a', { x: ash.x, z: 100, rotation: 1 });
+    assert.equal(ash.z, moveBurst, 'a dash worth, along the way');
+    assert.equal(ash.rotation, 1);
+    room.handlePlayerState('a', { x: ash.x, z: 100 });
+    assert.equal(ash.z, moveBurst, 'nothing left until time passes');
+
+    room.tick(0.2);
+    room.handlePlayerState('a', { x: ash.x, z: 100 });
+    assert.ok(Math.abs(ash.z - (moveBurst + maxMoveSpeed * 0.2)) < 1e-9);
+
+    room.tick(1);
+    room.handlePlayerState('a', { x: ash.x, z: ash.z + 1 });
+    assert.ok(Math.abs(ash.z - (moveBurst + maxMoveSpeed * 0.2 + 1)) < 1e-9, 'walking is left alone');
+});
+
+test('heals reported to the room are held to max health and to how fast a player can heal', () => {
+    const room = createRoom('heals', QUIET_ROOM);
+    const ash = room.addPlayer('a', 'Ash');
+    ash.health = 10;
+
+    assert.equal(room.handleHeal('a', { amount: 25, maxHealth: 100 }), 25, 'a health pack');
+    assert.equal(room.handleHeal('a', { amount: 500, maxHealth: 125 }), room.config.healBurst - 25);
+    assert.equal(ash.maxHealth, 125, 'a Thick Skin perk');
+    assert.equal(room.handleHeal('a', { amount: 5 }), 0, 'nothing left to heal with');
+
+    room.tick(1);
+    assert.equal(room.handleHeal('a', { amount: 5 }), 5);
+    room.tick(20);
+    assert.equal(room.handleHeal('a', { amount: 500, maxHealth: 1000 }), room.config.healBurst, 'refilled, but only so far');
+    assert.equal(ash.maxHealth, room.config.maxPlayerHealth);
+});
+
+test('a player dies in the room, and the game ends once nobody is standing', () => {
+    const room = createRoom('deaths', QUIET_ROOM);
+    const ash = room.addPlayer('a', 'Ash');
+    const bo = room.addPlayer('b', 'Bo');
+    placeZombie(room, ash.x, ash.z + 0.5);
+    room.drainEvents();
+
+    for (let i = 0; i < 60 && ash.alive; i++) room.tick(0.1);
+    assert.equal(ash.alive, false);
+    assert.deepEqual(room.drainEvents().map(event => event.type), ['playerDied']);
+    assert.equal(room.handleShot('a', { dirX: 0, dirZ: 1, damage: 40 }), false, 'the dead can not shoot');
+    assert.equal(room.isGameOver(), false, 'Bo is still standing');
+
+    placeZombie(room, bo.x, bo.z + 0.5);
+    for (let i = 0; i < 60 && bo.alive; i++) room.tick(0.1);
+    assert.ok(room.isGameOver());
+    assert.deepEqual(room.drainEvents().map(event => event.type), ['zombieSpawned', 'playerDied', 'gameOver']);
+});
+
+test('the room server shares shots and kills with everyone and closes empty rooms', async () => {
+    const server = await startRoomServer();
+    const ash = await joinRoom(server.url, 'Test Room!', 'Ash');
+    const bo = await joinRoom(server.url, 'test room', 'Bo');
+    try {
+        assert.ok(ash.response.ok && bo.response.ok);
+        assert.equal(bo.response.roomId, 'testroom');
+        assert.equal(bo.response.snapshot.players.length, 2, 'both in the same room');
+
+        const room = server.roomServer.getRoom('testroom');
+        const me = room.players.get(ash.response.playerId);
+        const zombie = placeZombie(room, me.x, me.z + 5);
+
+        const shotTaken = nextHandled(room, 'handleShot');
+        ash.socket.emit('shoot', { x: me.x, z: me.z, dirX: 0, dirZ: 1, damage: 250 });
+        assert.ok(await shotTaken);
+
+        const shotSeen = nextMessage(bo.socket, 'playerShot');
+        const kills = [nextMessage(ash.socket, 'zombieKilled'), nextMessage(bo.socket, 'zombieKilled')];
+        const snapshots = [nextMessage(ash.socket, 'snapshot'), nextMessage(bo.socket, 'snapshot')];
+        server.roomServer.tickRooms(0.1, false);
+        server.roomServer.tickRooms(0.1);
+        assert.equal((await shotSeen).playerId, ash.response.playerId, 'Bo draws Ash\'s tracer');
+        for (const killed of await Promise.all(kills)) assert.equal(killed.id, zombie.id);
+        for (const snapshot of await Promise.all(snapshots)) {
+            assert.equal(snapshot.score, zombie.points);
+            assert.equal(snapshot.zombies.length, 0);
+        }
+
+        const left = nextMessage(bo.socket, 'playerLeft');
+        ash.socket.emit('leaveRoom');
+        assert.equal((await left).name, 'Ash');
+        assert.equal(room.players.size, 1);
+
+        bo.socket.disconnect();
+        for (let i = 0; i < 50 && server.roomServer.getRoom('testroom'); i++) {
+            await wait(10);
+        }
+        assert.equal(server.roomServer.getRoom('testroom'), undefined, 'the empty room was dropped');
+    } finally {
+        ash.socket.disconnect();
+        bo.socket.disconnect();
+        await server.close();
+    }
+});
+
+test('messages that are not objects are ignored instead of taking the server down', async () => {
+    const server = await startRoomServer();
+    const socket = connect(server.url, { transports: ['websocket'], forceNew: true });
+    try {
+        await nextMessage(socket, 'connect');
+        const response = await new Promise(resolve => socket.emit('joinRoom', null, resolve));
+        assert.ok(response.ok);
+        assert.equal(response.roomId, 'lobby');
+
+        socket.emit('playerState', null);
+        socket.emit('shoot', 'bang');
+        socket.emit('shoot', null);
+        socket.emit('joinRoom', 42);
+
+        const bo = await joinRoom(server.url, 'lobby', 'Bo');
+        bo.socket.disconnect();
+        assert.ok(bo.response.ok, 'the server is still taking players');
+        assert.equal(server.roomServer.getRoom('lobby').players.size, 2);
+    } finally {
+        socket.disconnect();
+        await server.close();
+    }
+});
+
+test('the browser client mirrors the room and takes its health from it', async () => {
+    const server = await startRoomServer();
+    const game = createHeadlessGame({ seed: 'network-client', spawning: false });
+    const { gameState, scene } = game;
+    try {
+        const network = await connectToRoom({ roomId: 'client', serverUrl: server.url, scene, gameState });
+        const room = server.roomServer.getRoom('client');
+        const me = room.players.get(network.playerId);
+
+        const zombie = placeZombie(room, me.x, me.z + 5);
+        let snapshot = nextMessage(network.socket, 'snapshot');
+        server.roomServer.tickRooms(0, true);
+        await snapshot;
+        assert.ok(network.zombies.has(zombie.id), 'the room\'s zombie is drawn');
+        assert.ok(scene.children.includes(network.zombies.get(zombie.id).mesh));
+        assert.equal(gameState.zombies.length, 0, 'and left out of the local simulation');
+
+        const shotTaken = nextHandled(room, 'handleShot');
+        sendShots(gameState, [{ position: { x: me.x, z: me.z }, direction: { x: 0, z: 1 }, damage: 250, speed: 0.5 }]);
+        assert.ok(await shotTaken);
+        snapshot = nextMessage(network.socket, 'snapshot');
+        server.roomServer.tickRooms(0.1, false);
+        server.roomServer.tickRooms(0.1);
+        await snapshot;
+        assert.equal(network.zombies.size, 0);
+        assert.equal(gameState.stats.zombiesKilled, 1);
+        assert.equal(gameState.score, zombie.points);
+
+        // Hurt by the room, healed locally by a health pack: the room is told, and keeps it
+        const biter = placeZombie(room, me.x, me.z + 0.5);
+        snapshot = nextMessage(network.socket, 'snapshot');
+        server.roomServer.tickRooms(2);
+        await snapshot;
+        assert.equal(gameState.player.health, 60);
+        room.zombies.delete(biter.id);
+        gameState.player.health += 25;
+        const healTaken = nextHandled(room, 'handleHeal');
+        network.lastStateSent = 0; // Don't wait for the next playerState slot
+        game.step();
+        assert.equal(await healTaken, 25);
+        snapshot = nextMessage(network.socket, 'snapshot');
+        server.roomServer.tickRooms(0);
+        await snapshot;
+        assert.equal(gameState.player.health, 85);
+
+        placeZombie(room, me.x, me.z + 0.5);
+        for (let i = 0; i < 60 && me.alive; i++) server.roomServer.tickRooms(0.1, false);
+        snapshot = nextMessage(network.socket, 'snapshot');
+        server.roomServer.tickRooms(0, true);
+        await snapshot;
+        assert.equal(gameState.player.health, 0);
+        assert.ok(gameState.gameOver, 'dying in the room ends the local game');
+    } finally {
+        if (gameState.network) gameState.network.socket.disconnect();
+        gameState.network = null;
+        await server.close();
+    }
+});
+
+test('the browser client takes the room\'s wave for its guns and ends with the room', async () => {
+    const server = await startRoomServer();
+    const game = createHeadlessGame({ seed: 'network-waves', spawning: false });
+    const { gameState, scene } = game;
+    try {
+        const network = await connectToRoom({ roomId: 'waves', serverUrl: server.url, scene, gameState });
+        const room = server.roomServer.getRoom('waves');
+        const me = room.players.get(network.playerId);
+
+        const snapshot = nextMessage(network.socket, 'snapshot');
+        server.roomServer.tickRooms(room.config.waveDuration * 5.5 / 1000);
+        await snapshot;
+        assert.equal(gameState.wave.number, 6);
+        game.step();
+        assert.deepEqual(gameState.player.weapons, ['pistol', 'smg', 'shotgun', 'rifle'], 'unlocked as in a solo run');
+
+        // The room's game over arrives before any snapshot shows the player dead
+        placeZombie(room, me.x, me.z + 0.5);
+        const over = nextMessage(network.socket, 'gameOver');
+        for (let i = 0; i < 60 && !room.isGameOver(); i++) server.roomServer.tickRooms(0.1, false);
+        await over;
+        assert.ok(gameState.player.health > 0);
+        assert.ok(gameState.gameOver);
+    } finally {
+        if (gameState.network) gameState.network.socket.disconnect();
+        gameState.network = null;
+        await server.close();
+    }
+});
+
+test('losing the room ends the browser client\'s run', async () => {
+    const server = await startRoomServer();
+    const game = createHeadlessGame({ seed: 'network-lost', spawning: false });
+    const { gameState, scene } = game;
+    try {
+        const network = await connectToRoom({ roomId: 'lost', serverUrl: server.url, scene, gameState });
+        const lost = nextMessage(network.socket, 'disconnect');
+        await server.close();
+        await lost;
+        assert.ok(gameState.gameOver);
+        assert.equal(gameState.stats.causeOfDeath, 'Lost connection to the room');
+    } finally {
+        if (gameState.network) gameState.network.socket.disconnect();
+        gameState.network = null;
+    }
+});
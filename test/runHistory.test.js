@@ -0,0 +1,76 @@
+/**
+ * Run history tests - recording runs, high-score tables and export / import
+ *
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { recordRun, getTopRuns, getRunHistory, exportRuns, importRuns, loadRuns } from '../src/utils/runHistory.js';
+import { createHeadlessGame } from '../src/headless.js';
+
+/**
+ * In-memory stand-in for localStorage
+ * @returns {Object} Storage with getItem / setItem
+ */
+const createMemoryStorage = () => {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value))
+    };
+};
+
+const run = (name, score, day, extra = {}) => ({
+    name, score, timeMs: score * 100, kills: score / 10, distance: 50, wave: 2,
+    seed: `seed-${score}`, cause: 'Zombie', date: `2026-01-${String(day).padStart(2, '0')}T12:00:00.000Z`, ...extra
+});
+
+test('runs are ranked per player and the history stays in play order', () => {
+    const storage = createMemoryStorage();
+    recordRun(run('Ash', 300, 1), storage);
+    recordRun(run('Ash', 500, 2), storage);
+    recordRun(run('Bo', 900, 3), storage);
+    const { rank } = recordRun(run('Ash', 400, 4), storage);
+
+    assert.equal(rank, 2, 'second best of Ash\'s runs');
+    assert.deepEqual(getTopRuns('Ash', 10, storage).map(r => r.score), [500, 400, 300]);
+    assert.deepEqual(getTopRuns(null, 2, storage).map(r => r.score), [900, 500]);
+    assert.deepEqual(getRunHistory('Ash', storage).map(r => r.score), [300, 500, 400]);
+    assert.equal(getTopRuns('Ash', 1, storage)[0].seed, 'seed-500');
+});
+
+test('export and import move runs between browsers without duplicates', () => {
+    const home = createMemoryStorage();
+    recordRun(run('Ash', 300, 1), home);
+    recordRun(run('Ash', 500, 2), home);
+
+    const work = createMemoryStorage();
+    recordRun(run('Ash', 200, 3), work);
+
+    assert.equal(importRuns(exportRuns(home), work), 2);
+    assert.equal(importRuns(exportRuns(home), work), 0, 'already there');
+    assert.deepEqual(getRunHistory('Ash', work).map(r => r.score), [300, 500, 200]);
+
+    assert.throws(() => importRuns('not json', work), /not valid JSON/);
+    assert.throws(() => importRuns('{"runs": []}', work), /not a run history export/);
+    assert.equal(loadRuns(work).length, 3, 'failed imports change nothing');
+});
+
+test('a run that appears twice in one export is only imported once', () => {
+    const home = createMemoryStorage();
+    recordRun(run('Ash', 300, 1), home);
+    const exported = JSON.parse(exportRuns(home));
+    exported.runs.push({ ...exported.runs[0] });
+
+    const work = createMemoryStorage();
+    assert.equal(importRuns(JSON.stringify(exported), work), 1);
+    assert.deepEqual(loadRuns(work).map(r => r.score), [300]);
+});
+
+test('a run records what killed the player', () => {
+    const game = createHeadlessGame({ seed: 'history', spawning: false });
+    game.spawnZombie('plagueTitan', { x: 0, z: 1.5 });
+    assert.ok(game.runUntil(() => game.gameState.gameOver, 60), 'the titan wins');
+    assert.match(game.gameState.stats.causeOfDeath, /^Plague Titan/);
+});
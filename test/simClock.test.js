@@ -0,0 +1,54 @@
+/**
+ * Simulation clock tests - timers and per-tick tasks follow simulated time only
+ *
+ * Run with: npm test
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { advanceSimClock, addSimTask, clearSimTimeout, getSimTime, resetSimClock, simTimeout } from '../src/utils/simClock.js';
+
+const STEP = 1 / 60;
+
+beforeEach(() => {
+    resetSimClock();
+});
+
+test('simTimeout fires once its delay of simulated time has passed', () => {
+    let fired = 0;
+    simTimeout(() => fired++, 100);
+
+    for (let i = 0; i < 5; i++) advanceSimClock(STEP); // ~83ms
+    assert.equal(fired, 0);
+
+    advanceSimClock(STEP); // 100ms
+    assert.equal(fired, 1);
+
+    for (let i = 0; i < 10; i++) advanceSimClock(STEP);
+    assert.equal(fired, 1, 'timers only fire once');
+});
+
+test('clearSimTimeout cancels a pending timer', () => {
+    let fired = false;
+    const id = simTimeout(() => { fired = true; }, 10);
+    clearSimTimeout(id);
+
+    advanceSimClock(1);
+    assert.equal(fired, false);
+});
+
+test('tasks run every step until they return false', () => {
+    let runs = 0;
+    addSimTask(() => ++runs < 3);
+
+    for (let i = 0; i < 10; i++) advanceSimClock(STEP);
+    assert.equal(runs, 3);
+});
+
+test('nothing happens while the clock is not advanced', () => {
+    let fired = false;
+    simTimeout(() => { fired = true; }, 0);
+
+    assert.equal(getSimTime(), 0);
+    assert.equal(fired, false);
+});
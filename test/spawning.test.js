@@ -0,0 +1,75 @@
+/**
+ * Spawning tests - timed enemy spawns, seeding and spawn limits
+ *
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHeadlessGame } from '../src/headless.js';
+import { WAVE_SETTINGS } from '../src/gameplay/waveDirector.js';
+
+// Seconds until the first wave starts spawning
+const FIRST_WAVE_SECONDS = WAVE_SETTINGS.firstWaveDelay / 1000;
+
+/**
+ * Records type and rounded position of every enemy spawned in the first seconds
+ * @param {string} seed - Seed for the run
+ * @returns {Array<string>} One entry per enemy
+ */
+const recordSpawns = (seed) => {
+    const game = createHeadlessGame({ seed });
+    game.runUntil(() => game.gameState.zombies.length >= 10, FIRST_WAVE_SECONDS + 5);
+    return game.gameState.zombies.map(zombie =>
+        `${zombie.type}@${zombie.mesh.position.x.toFixed(2)},${zombie.mesh.position.z.toFixed(2)}`
+    );
+};
+
+test('enemies spawn in a ring around the player once the first wave starts', () => {
+    const game = createHeadlessGame({ seed: 'spawn-ring' });
+
+    game.step(1);
+    assert.equal(game.gameState.zombies.length, 0, 'nothing spawns on the first step');
+
+    assert.ok(game.runUntil(() => game.gameState.zombies.length > 0, FIRST_WAVE_SECONDS + 1));
+    assert.equal(game.gameState.zombies.length, 5, 'enemies spawn in batches of five');
+
+    for (const zombie of game.gameState.zombies) {
+        const distance = Math.hypot(zombie.mesh.position.x, zombie.mesh.position.z);
+        assert.ok(distance >= 15 && distance <= 25, `spawned ${distance.toFixed(2)} units away`);
+        assert.equal(zombie.health, zombie.fullHealth);
+        assert.ok(game.scene.children.includes(zombie.mesh));
+    }
+});
+
+test('the same seed spawns the same enemies in the same places', () => {
+    const first = recordSpawns('same-seed');
+    const second = recordSpawns('same-seed');
+    const other = recordSpawns('other-seed');
+
+    assert.equal(first.length, 10);
+    assert.deepEqual(second, first);
+    assert.notDeepEqual(other, first);
+});
+
+test('spawning stops at maxZombies', () => {
+    const game = createHeadlessGame({ seed: 'max-zombies' });
+    game.gameState.maxZombies = 12;
+
+    game.runFor(FIRST_WAVE_SECONDS + 3);
+    assert.equal(game.gameState.zombies.length, 12);
+});
+
+test('spawnEnemyAt places the requested type', () => {
+    const game = createHeadlessGame({ seed: 'spawn-at', spawning: false });
+
+    const archer = game.spawnZombie('skeletonArcher', { x: 4, z: -6 });
+    assert.equal(archer.type, 'skeletonArcher');
+    assert.equal(archer.mesh.position.x, 4);
+    assert.equal(archer.mesh.position.z, -6);
+    assert.equal(archer.lastShotTime, 0, 'registry extras are applied');
+    assert.equal(game.spawnZombie('dragon', { x: 0, z: 0 }), null);
+
+    game.runFor(2);
+    assert.equal(game.gameState.zombies.length, 1, 'no random spawns when spawning is off');
+});
@@ -0,0 +1,134 @@
+/**
+ * Wave tests - wave start/end, budgets, intermissions, escalation and boss waves
+ *
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHeadlessGame } from '../src/headless.js';
+import { WAVE_SETTINGS, BOSS_TYPES, getWaveConfig } from '../src/gameplay/waveDirector.js';
+
+/**
+ * Creates a game where the player can't die, so waves can be watched in peace
+ * @param {string} seed - Seed for the run
+ * @returns {Object} Headless game
+ */
+const createWaveGame = (seed) => {
+    const game = createHeadlessGame({ seed });
+    game.gameState.player.health = 1e9;
+    return game;
+};
+
+/**
+ * Removes every enemy, as if the player had killed them all
+ * @param {Object} game - Headless game
+ */
+const killAll = (game) => {
+    game.gameState.zombies.forEach(zombie => game.scene.remove(zombie.mesh));
+    game.gameState.zombies = [];
+};
+
+/**
+ * Skips the current intermission so the given wave starts on the next step
+ * @param {Object} game - Headless game
+ * @param {number} waveNumber - Wave to start
+ */
+const skipToWave = (game, waveNumber) => {
+    game.gameState.wave.number = waveNumber - 1;
+    game.gameState.wave.nextWaveTime = game.getTime();
+    game.step(1);
+};
+
+test('the first wave starts after the lead-in and spawns exactly its budget', () => {
+    const game = createWaveGame('wave-budget');
+    const { wave } = game.gameState;
+
+    game.runFor(WAVE_SETTINGS.firstWaveDelay / 1000 - 0.1);
+    assert.equal(wave.phase, 'intermission');
+    assert.equal(game.gameState.zombies.length, 0);
+
+    assert.ok(game.runUntil(() => wave.phase === 'active', 1));
+    assert.equal(wave.number, 1);
+    assert.equal(wave.budget, getWaveConfig(1).budget);
+
+    assert.ok(game.runUntil(() => wave.spawned >= wave.budget, 10));
+    game.runFor(2);
+    assert.equal(wave.spawned, wave.budget, 'nothing spawns past the budget');
+    assert.ok(game.gameState.zombies.length <= wave.budget);
+    assert.equal(wave.phase, 'active', 'the wave lasts while enemies are alive');
+});
+
+test('a wave ends when its enemies are dead and the next starts after the intermission', () => {
+    const game = createWaveGame('wave-end');
+    const { gameState } = game;
+
+    assert.ok(game.runUntil(() => gameState.wave.phase === 'active' && gameState.wave.spawned >= gameState.wave.budget, 10));
+    killAll(game);
+    game.step(1);
+
+    assert.equal(gameState.wave.phase, 'intermission');
+    assert.equal(gameState.stats.wavesCleared, 1);
+
+    game.runFor(WAVE_SETTINGS.intermissionDuration / 1000 - 0.5);
+    assert.equal(gameState.wave.phase, 'intermission');
+    assert.equal(gameState.zombies.length, 0, 'no spawns during the intermission');
+
+    assert.ok(game.runUntil(() => gameState.wave.phase === 'active', 1));
+    assert.equal(gameState.wave.number, 2);
+});
+
+test('later waves are bigger, tougher, faster and more varied', () => {
+    const first = getWaveConfig(1);
+    const fourth = getWaveConfig(4);
+    const late = getWaveConfig(40);
+
+    assert.ok(fourth.budget > first.budget);
+    assert.ok(fourth.healthMultiplier > first.healthMultiplier);
+    assert.ok(fourth.speedMultiplier > first.speedMultiplier);
+    assert.equal(late.speedMultiplier, WAVE_SETTINGS.maxSpeedMultiplier, 'speed is capped');
+
+    assert.equal(first.chances.skeletonArcher, 0, 'no archers in wave 1');
+    assert.equal(first.chances.zombieKing, 0, 'no bosses in wave 1');
+    assert.ok(fourth.chances.skeletonArcher > 0);
+    assert.ok(late.chances.exploder > fourth.chances.exploder);
+
+    // Spawned enemies get the wave's health multiplier
+    const game = createWaveGame('wave-escalation');
+    const baseline = game.spawnZombie('zombie', { x: 100, z: 100 });
+    killAll(game);
+
+    skipToWave(game, 4);
+    assert.ok(game.runUntil(() => game.gameState.zombies.some(zombie => zombie.type === 'zombie'), 2));
+    const zombie = game.gameState.zombies.find(enemy => enemy.type === 'zombie');
+    assert.equal(zombie.fullHealth, Math.round(baseline.fullHealth * fourth.healthMultiplier));
+    assert.equal(zombie.mesh.health, zombie.health);
+});
+
+test('every fifth wave is a boss wave that cycles through the bosses', () => {
+    assert.equal(getWaveConfig(4).isBossWave, false);
+    assert.deepEqual(
+        [5, 10, 15, 20].map(number => getWaveConfig(number).bossType),
+        BOSS_TYPES
+    );
+    assert.equal(getWaveConfig(25).bossType, 'zombieKing');
+    assert.equal(getWaveConfig(25).bossCount, 2, 'bosses double up on the second cycle');
+    assert.ok(getWaveConfig(5).budget < getWaveConfig(4).budget + WAVE_SETTINGS.budgetGrowth);
+
+    const game = createWaveGame('boss-wave');
+    skipToWave(game, 5);
+
+    assert.equal(game.gameState.wave.isBossWave, true);
+    const bosses = game.gameState.zombies.filter(zombie => zombie.type === 'zombieKing');
+    assert.equal(bosses.length, 1, 'the boss arrives with the wave');
+
+    // The wave isn't over until the boss is dead too
+    assert.ok(game.runUntil(() => game.gameState.wave.spawned >= game.gameState.wave.budget, 10));
+    game.gameState.zombies = game.gameState.zombies.filter(zombie => zombie.type === 'zombieKing');
+    game.step(1);
+    assert.equal(game.gameState.wave.phase, 'active');
+
+    killAll(game);
+    game.step(1);
+    assert.equal(game.gameState.wave.phase, 'intermission');
+});
@@ -0,0 +1,125 @@
+/**
+ * Weapon tests - weapons.json validation, the inventory and firing each gun
+ *
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getWeaponDefinitions, loadWeaponDefinitions } from '../src/gameplay/weaponDefinitions.js';
+import { unlockWeapons, equipWeaponSlot, cycleWeapon, addWeapon, getEquippedWeapon } from '../src/gameplay/weaponInventory.js';
+import { shootBullet } from '../src/gameplay/combat.js';
+import { createHeadlessGame } from '../src/headless.js';
+import { getRecordedReplay, startPlayback, stopPlayback } from '../src/replay/inputReplay.js';
+
+/**
+ * A minimal valid definition to break in different ways
+ * @returns {Object} Raw definition
+ */
+const validEntry = () => ({
+    name: 'Nail Gun',
+    fireRate: 80,
+    damageMultiplier: 0.5,
+    pellets: 1,
+    spread: 0.1,
+    projectile: 'bullet',
+    speed: 0.7,
+    color: '#cccccc',
+    ammo: { magazine: 30, reserve: null },
+    reloadTime: 1000,
+    unlockWave: 0,
+    model: { length: 0.6, width: 0.15, barrelLength: 0.4, barrelRadius: 0.03, barrels: 1, color: '#444444' }
+});
+
+test('the built-in weapons load in slot order and the pistol is the starting gun', () => {
+    const types = getWeaponDefinitions().map(definition => definition.type);
+    assert.deepEqual(types, ['pistol', 'smg', 'shotgun', 'rifle', 'launcher']);
+
+    const loaded = loadWeaponDefinitions({ nailgun: validEntry() });
+    assert.equal(loaded[0].model.stock, false, 'optional model parts default to off');
+});
+
+test('bad weapon definitions are rejected with every problem listed', () => {
+    const broken = { ...validEntry(), projectile: 'rocket', pellets: 0, ammo: { magazine: 30 }, recoil: 2 };
+    assert.throws(
+        () => loadWeaponDefinitions({ nailgun: broken }, 'test.json'),
+        (error) => {
+            assert.match(error.message, /Invalid weapon definitions in test\.json/);
+            assert.match(error.message, /nailgun\.projectile must be one of: bullet, laser, grenade/);
+            assert.match(error.message, /nailgun\.pellets must be a whole number above 0/);
+            assert.match(error.message, /nailgun\.ammo\.reserve/);
+            assert.match(error.message, /nailgun\.recoil is not a known field/);
+            return true;
+        }
+    );
+    assert.throws(() => loadWeaponDefinitions({ nailgun: { ...validEntry(), unlockWave: 3 } }), /runs start unarmed/);
+});
+
+test('guns unlock as the waves reach them and can be switched by slot or cycled', () => {
+    const { gameState } = createHeadlessGame({ seed: 'inventory', spawning: false });
+    assert.deepEqual(gameState.player.weapons, ['pistol']);
+    assert.equal(gameState.player.weapon, 'pistol');
+    assert.equal(equipWeaponSlot(gameState, 3), false, 'the shotgun is not carried yet');
+
+    gameState.wave.number = 4;
+    assert.deepEqual(unlockWeapons(gameState), ['smg', 'shotgun']);
+    assert.deepEqual(unlockWeapons(gameState), [], 'each gun is handed out once');
+    assert.equal(gameState.player.weaponUnlock.type, 'shotgun', 'the HUD hears about the latest one');
+    assert.equal(gameState.player.weapon, 'pistol', 'picking up a gun does not switch to it');
+
+    assert.equal(equipWeaponSlot(gameState, 3), true);
+    assert.equal(getEquippedWeapon(gameState).name, 'Shotgun');
+    assert.equal(cycleWeapon(gameState, 1), true);
+    assert.equal(gameState.player.weapon, 'pistol', 'cycling wraps around');
+    cycleWeapon(gameState, -1);
+    assert.equal(gameState.player.weapon, 'shotgun');
+
+    assert.throws(() => addWeapon(gameState, 'bfg'), /Unknown weapon type: bfg/);
+});
+
+test('the shotgun fires a spread of weaker pellets on a slower cycle', () => {
+    const game = createHeadlessGame({ seed: 'shotgun', spawning: false });
+    const { scene, player, gameState } = game;
+    addWeapon(gameState, 'shotgun');
+    equipWeaponSlot(gameState, 3);
+
+    shootBullet(scene, player, gameState);
+    assert.equal(gameState.bullets.length, 8);
+    assert.ok(gameState.bullets.every(bullet => bullet.damage === gameState.player.damage * 0.6));
+    const headings = new Set(gameState.bullets.map(bullet => bullet.direction.x.toFixed(4)));
+    assert.ok(headings.size > 1, 'pellets spread out');
+
+    game.runFor(0.3);
+    shootBullet(scene, player, gameState);
+    assert.equal(gameState.bullets.length, 8, 'still cycling');
+
+    game.runFor(0.4);
+    shootBullet(scene, player, gameState);
+    assert.equal(gameState.bullets.length, 16);
+});
+
+test('weapon switches are recorded and played back', () => {
+    const recorded = createHeadlessGame({ seed: 'switching' });
+    ['smg', 'shotgun', 'launcher'].forEach(type => addWeapon(recorded.gameState, type));
+    for (let tick = 0; tick < 600 && !recorded.gameState.gameOver; tick++) {
+        if (tick % 150 === 0) cycleWeapon(recorded.gameState, 1);
+        recorded.gameState.mouseDown = true;
+        recorded.player.rotation.y = Math.sin(tick / 50);
+        recorded.step();
+    }
+    const replay = getRecordedReplay();
+    assert.ok(replay.frames.filter(frame => 'weapon' in frame).length >= 4);
+
+    const played = createHeadlessGame({ seed: replay.seed });
+    startPlayback(replay, played.gameState);
+    played.step(replay.ticks);
+
+    assert.equal(played.gameState.player.weapon, recorded.gameState.player.weapon);
+    assert.equal(played.gameState.score, recorded.gameState.score);
+    assert.equal(played.gameState.stats.zombiesKilled, recorded.gameState.stats.zombiesKilled);
+    assert.deepEqual(
+        played.gameState.zombies.map(zombie => zombie.health),
+        recorded.gameState.zombies.map(zombie => zombie.health)
+    );
+    stopPlayback(played.gameState);
+});
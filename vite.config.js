@@ -32,7 +32,17 @@ export default defineConfig(({ mode }) => {
       port: 3000,
       open: true,
       cors: true,
-      host: true
+      host: true,
+      // Forward co-op and leaderboard traffic to server.js (falls back to 3001 when vite holds 3000)
+      proxy: {
+        '/socket.io': {
+          target: process.env.COOP_SERVER_URL || 'http://localhost:3001',
+          ws: true
+        },
+        '/api': {
+          target: process.env.COOP_SERVER_URL || 'http://localhost:3001'
+        }
+      }
     },
     
     // Build configuration
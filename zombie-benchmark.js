@@ -0,0 +1,180 @@
+/**
+ * Zombie Benchmark - Frame time of the horde with instanced vs individual meshes
+ *
+ * Spawns 250, 500 and then 1000 regular zombies around a stationary player,
+ * once with the instanced rendering path (rendering/instancedEnemies.js) and
+ * once with every zombie built from its own meshes, and measures the frames.
+ * Each frame runs the same work as the game: zombie AI (updateZombies), the
+ * instance sync and the render. Results go in a table on the page and the console.
+ *
+ * Run with: npm run dev-benchmark
+ */
+
+import * as THREE from 'three';
+import { createScene, createCamera, createRenderer, createLighting } from './src/rendering/scene.js';
+import { gameState, resetGameState } from './src/gameState.js';
+import { spawnEnemyAt } from './src/gameplay/entitySpawners.js';
+import { updateZombies } from './src/gameplay/zombie.js';
+import { setInstancingEnabled, updateInstancedEnemies } from './src/rendering/instancedEnemies.js';
+import { advanceSimClock, resetSimClock } from './src/utils/simClock.js';
+import { setSeed } from './src/utils/random.js';
+import { logger } from './src/utils/logger.js';
+
+// Add 'benchmark' to logger sections if not already included
+logger.addSection('benchmark');
+
+// Benchmark settings
+const ZOMBIE_COUNTS = [250, 500, 1000];
+const PATHS = ['instanced', 'individual'];
+const WARMUP_FRAMES = 60;    // Frames before measuring (shader compiles, buffer uploads)
+const MEASURED_FRAMES = 240; // Frames averaged per run
+const STEP = 1 / 60;         // Simulation step per frame
+
+// Basic setup from scene.js
+const scene = createScene();
+scene.fog = null; // Keep the far side of the horde visible
+const camera = createCamera();
+const renderer = createRenderer();
+createLighting(scene);
+
+// Ground so the shadows have somewhere to land
+const ground = new THREE.Mesh(
+    new THREE.PlaneGeometry(200, 200),
+    new THREE.MeshStandardMaterial({ color: 0x556b2f })
+);
+ground.rotation.x = -Math.PI / 2;
+ground.receiveShadow = true;
+scene.add(ground);
+
+// A stationary player in the middle for the horde to chase
+const player = new THREE.Object3D();
+scene.add(player);
+
+camera.position.set(0, 70, -55);
+camera.lookAt(0, 0, 0);
+
+// Results table
+const panel = document.createElement('div');
+panel.style.position = 'absolute';
+panel.style.top = '10px';
+panel.style.left = '10px';
+panel.style.color = 'white';
+panel.style.backgroundColor = 'rgba(0, 0, 0, 0.6)';
+panel.style.padding = '10px';
+panel.style.borderRadius = '5px';
+panel.style.fontFamily = 'monospace';
+panel.style.fontSize = '14px';
+document.body.appendChild(panel);
+
+const results = [];
+
+/**
+ * Redraws the results table
+ * @param {string} status - What the benchmark is doing
+ */
+const showResults = (status) => {
+    const rows = results.map(result =>
+        `<tr><td>${result.path}</td><td>${result.count}</td><td>${result.frameMs.toFixed(2)}</td>` +
+        `<td>${result.cpuMs.toFixed(2)}</td><td>${result.drawCalls}</td></tr>`
+    ).join('');
+    panel.innerHTML = `
+        <h3 style="margin-top: 0">Zombie Benchmark</h3>
+        <p>${status}</p>
+        <table cellpadding="4">
+            <tr><th>Path</th><th>Zombies</th><th>Frame ms</th><th>CPU ms</th><th>Draw calls</th></tr>
+            ${rows}
+        </table>
+    `;
+};
+
+/**
+ * Removes every zombie and spawns a fresh horde in a ring around the player
+ * @param {string} path - 'instanced' or 'individual'
+ * @param {number} count - Zombies to spawn
+ */
+const setUpHorde = (path, count) => {
+    for (const zombie of gameState.zombies) {
+        scene.remove(zombie.mesh);
+    }
+
+    resetSimClock();
+    setSeed('benchmark');
+    resetGameState();
+    gameState.player.health = Infinity; // Nobody dies mid-run
+
+    setInstancingEnabled(path === 'instanced');
+    for (let i = 0; i < count; i++) {
+        const angle = (i / count) * Math.PI * 2;
+        const distance = 15 + (i % 20) * 2;
+        spawnEnemyAt('zombie', { x: Math.cos(angle) * distance, z: Math.sin(angle) * distance }, scene, gameState);
+    }
+};
+
+/**
+ * Runs one frame's worth of game work
+ * @returns {number} CPU time spent (ms)
+ */
+const runFrame = () => {
+    const start = performance.now();
+    advanceSimClock(STEP);
+    updateZombies(gameState.zombies, player.position, STEP, gameState.baseSpeed);
+    updateInstancedEnemies(scene);
+    renderer.render(scene, camera);
+    return performance.now() - start;
+};
+
+/**
+ * Measures one path at one horde size
+ * @param {string} path - 'instanced' or 'individual'
+ * @param {number} count - Zombies
+ * @returns {Promise<Object>} { path, count, frameMs, cpuMs, drawCalls }
+ */
+const measure = (path, count) => new Promise((resolve) => {
+    setUpHorde(path, count);
+    showResults(`Running ${path} with ${count} zombies...`);
+
+    let frame = 0;
+    let cpuTotal = 0;
+    let measureStart = 0;
+
+    const tick = () => {
+        const cpuMs = runFrame();
+        frame++;
+
+        if (frame === WARMUP_FRAMES) {
+            measureStart = performance.now();
+        } else if (frame > WARMUP_FRAMES) {
+            cpuTotal += cpuMs;
+        }
+
+        if (frame < WARMUP_FRAMES + MEASURED_FRAMES) {
+            requestAnimationFrame(tick);
+            return;
+        }
+
+        resolve({
+            path,
+            count,
+            frameMs: (performance.now() - measureStart) / MEASURED_FRAMES,
+            cpuMs: cpuTotal / MEASURED_FRAMES,
+            drawCalls: renderer.info.render.calls
+        });
+    };
+    requestAnimationFrame(tick);
+});
+
+// Run every combination in turn
+const runBenchmark = async () => {
+    for (const count of ZOMBIE_COUNTS) {
+        for (const path of PATHS) {
+            const result = await measure(path, count);
+            results.push(result);
+            logger.info('benchmark', `${path} x${count}: ${result.frameMs.toFixed(2)} ms/frame, ${result.cpuMs.toFixed(2)} ms CPU, ${result.drawCalls} draw calls`);
+        }
+    }
+
+    showResults('Done. Frame ms is limited by vsync - compare CPU ms when both paths hit the refresh rate.');
+    console.table(results);
+};
+
+runBenchmark();